@@ -1,25 +1,122 @@
+import { fileURLToPath } from 'url';
+
 export const DEFAULT_RATE_LIMIT = 5;
 export const DEFAULT_RATE_LIMIT_TIMEFRAME = 3600000; // 1 hour
+export const DEFAULT_BATCH_LIMIT = 100;
+export const DEFAULT_BODY_LIMIT = '10mb';
+export const DEFAULT_CACHE_LIST_LIMIT = 100;
+export const MAX_CACHE_LIST_LIMIT = 1000;
+export const DEFAULT_CACHE_MAX_ENTRIES = 10000;
+export const DEFAULT_CACHE_TTL = 86400000; // 1 day
+export const DEFAULT_CIRCUIT_BREAKER_COOLDOWN = 60000; // 1 minute
+export const DEFAULT_CIRCUIT_BREAKER_THRESHOLD = 3;
+
+// a JSON file of API keys consumers must send, see README
+export const apiKeysPath = process.env.API_KEYS_PATH;
+
+// the maximum size of request bodies, like cache imports
+export const bodyLimit = process.env.BODY_LIMIT || DEFAULT_BODY_LIMIT;
+
+// a JSON file of IPs and CIDR blocks mapped to a fixed country, see README
+export const overridesPath = process.env.OVERRIDES_PATH;
+
+// validate responses against the OpenAPI document, so envelope regressions
+// fail tests, on by default under test
+export const responseValidation = process.env.VALIDATE_RESPONSES
+  ? process.env.VALIDATE_RESPONSES === 'true'
+  : process.env.NODE_ENV === 'test';
+
+export const batchLimit = Number(
+  process.env.BATCH_LIMIT || DEFAULT_BATCH_LIMIT
+);
+
+export const cache = {
+  filePath: process.env.CACHE_FILE_PATH || '.cache/countries.json',
+  maxEntries: Number(
+    process.env.CACHE_MAX_ENTRIES || DEFAULT_CACHE_MAX_ENTRIES
+  ),
+  redisUrl: process.env.CACHE_REDIS_URL || 'redis://localhost:6379',
+  // one of `memory`, `file` or `redis`
+  store: process.env.CACHE_STORE || 'memory',
+  ttl: Number(process.env.CACHE_TTL ?? DEFAULT_CACHE_TTL),
+};
+
+// a provider is skipped for `cooldown` milliseconds after `failureThreshold`
+// consecutive failures
+export const circuitBreaker = {
+  cooldown: Number(
+    process.env.CIRCUIT_BREAKER_COOLDOWN || DEFAULT_CIRCUIT_BREAKER_COOLDOWN
+  ),
+  failureThreshold: Number(
+    process.env.CIRCUIT_BREAKER_THRESHOLD || DEFAULT_CIRCUIT_BREAKER_THRESHOLD
+  ),
+};
+
+// the minimum level of log entries, one of `debug`, `info`, `warn`, `error`
+// or `silent`
+export const logLevel = process.env.LOG_LEVEL || 'info';
+
+// where upstream rate limit hits are counted, so they survive restarts
+// (`file`) or are shared by several instances (`redis`)
+export const rateLimitStore = {
+  // `fixed` windows reset once they end, `sliding` windows count the hits of
+  // the last timeframe
+  algorithm: process.env.RATE_LIMIT_WINDOW || 'fixed',
+  filePath: process.env.RATE_LIMIT_FILE_PATH || '.cache/rate-limits.json',
+  redisUrl: process.env.RATE_LIMIT_REDIS_URL || 'redis://localhost:6379',
+  // one of `memory`, `file` or `redis`
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+};
+
+// the number of providers queried and reconciled for each lookup (1 means
+// consensus mode is off) and the provider whose answer wins a dispute
+export const consensus = {
+  count: Number(process.env.CONSENSUS || 1),
+  tieBreaker: process.env.CONSENSUS_TIE_BREAKER,
+};
+
+// the provider selection strategy, one of `priority`, `round-robin`, `quota`,
+// `latency` or `cost`
+export const strategy = process.env.STRATEGY || 'priority';
+
+// comma separated CIDR blocks of proxies whose forwarding headers are trusted
+export const trustedProxies = (process.env.TRUSTED_PROXIES || '')
+  .split(',')
+  .map((cidr) => cidr.trim())
+  .filter(Boolean);
+
+// a JSON file of the providing APIs, see README
+export const providersPath = process.env.PROVIDERS_PATH
+  || fileURLToPath(new URL('../providers.json', import.meta.url));
+
+/**
+ * Returns the settings of a provider taken from environment variables named
+ * after it, like `API_TOKEN_IPSTACK`, which take precedence over the
+ * providers file. Unset variables are undefined.
+ * @param {string} name - The provider name.
+ * @returns {{cost: number, rateLimit: number, rateLimitTimeframe: number,
+ *  retries: number, timeout: number, token: string}} - The provider
+ *  settings.
+ */
+export const getProviderEnv = (name) => {
+  const suffix = name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+  const toNumber = (value) => (value ? Number(value) : undefined);
+  return {
+    cost: toNumber(process.env[`COST_${suffix}`]),
+    rateLimit: toNumber(process.env[`RATE_LIMIT_${suffix}`]),
+    rateLimitTimeframe: toNumber(process.env[`RATE_LIMIT_TIMEFRAME_${suffix}`]),
+    retries: toNumber(process.env[`RETRIES_${suffix}`]),
+    timeout: toNumber(process.env[`TIMEOUT_${suffix}`]),
+    token: process.env[`API_TOKEN_${suffix}`],
+  };
+};
 
 export const apis = {
-  ipstack: {
-    baseUrl: 'http://api.ipstack.com',
-    rateLimit: Number(
-      process.env.RATE_LIMIT_IPSTACK || DEFAULT_RATE_LIMIT
-    ),
-    rateLimitTimeframe: Number(
-      process.env.RATE_LIMIT_TIMEFRAME_IPSTACK || DEFAULT_RATE_LIMIT_TIMEFRAME
-    ),
-    token: process.env.API_TOKEN_IPSTACK,
-  },
-  ipxapi: {
-    baseUrl: 'https://ipxapi.com/api',
-    rateLimit: Number(
-      process.env.RATE_LIMIT_IPXAPI || DEFAULT_RATE_LIMIT
-    ),
-    rateLimitTimeframe: Number(
-      process.env.RATE_LIMIT_TIMEFRAME_IPXAPI || DEFAULT_RATE_LIMIT_TIMEFRAME
-    ),
-    token: process.env.API_TOKEN_IPXAPI,
+  local: {
+    path: process.env.GEOIP_DATABASE_PATH,
+    // answer from the local database before the remote APIs when true,
+    // otherwise it's used when the remote APIs are rate limited
+    primary: process.env.GEOIP_DATABASE_PRIMARY === 'true',
+    watch: process.env.GEOIP_DATABASE_WATCH !== 'false',
   },
 };
@@ -0,0 +1,300 @@
+import { ApiError } from '../services/api-client.js';
+import apiClientOrchestrator from '../orchestrator.js';
+import { formatCidr, normalizeIp, parseCidr } from '../utils/ip.js';
+import {
+  DEFAULT_CACHE_LIST_LIMIT,
+  MAX_CACHE_LIST_LIMIT,
+  batchLimit,
+} from '../config.js';
+
+/**
+ * Returns the canonical form of a cache key, an IP address or a CIDR block
+ * of a cached range. Throws a 400 ApiError if it's neither.
+ * @param {string} key - An IP address or CIDR block.
+ * @returns {string} - The canonical cache key.
+ */
+const parseCacheKey = (key) => {
+  const range = typeof key === 'string' && key.includes('/') && parseCidr(key);
+  const canonicalKey = range ? formatCidr(range) : normalizeIp(key);
+  if (!canonicalKey) {
+    throw new ApiError(`Invalid cache key '${key}'`, { status: 400 });
+  }
+  return canonicalKey;
+};
+
+/**
+ * Returns the cache key of a request, given as `/admin/cache/8.8.8.8`,
+ * `/admin/cache/8.8.8.0/24` or with an encoded slash.
+ * @param {object} req - Express request.
+ * @returns {string} - The canonical cache key.
+ */
+const getRequestCacheKey = (req) => {
+  const { key, prefixLength } = req.params;
+  return parseCacheKey(prefixLength === undefined ? key : `${key}/${prefixLength}`);
+};
+
+/**
+ * Parses a non-negative integer query parameter.
+ * @param {string} [value] - The query parameter value.
+ * @param {string} name - The query parameter name.
+ * @param {number} defaultValue - The value if the parameter is undefined.
+ * @returns {number} - The parsed value. Throws a 400 ApiError if invalid.
+ */
+const parseInteger = (value, name, defaultValue) => {
+  if (value === undefined) {
+    return defaultValue;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new ApiError(`Invalid ${name} '${value}'`, { status: 400 });
+  }
+  return Number(value);
+};
+
+/**
+ * Formats a cache entry for listing and export.
+ * @param {string} key - The entry key.
+ * @param {object} entry - The cache entry.
+ * @returns {object} - The entry's `key`, `value`, `createdAt` and `expiresAt`.
+ */
+const formatEntry = (key, { value, createdAt, expiresAt }) => ({
+  key,
+  value,
+  createdAt,
+  expiresAt,
+});
+
+/**
+ * Validates an imported entry in the shape of exported ones.
+ * @param {*} item - An imported item.
+ * @param {string} position - Where the item is, for error messages.
+ * @returns {Array} - A `[key, entry]` tuple. Throws a 400 ApiError if the
+ *  item is invalid.
+ */
+const parseImportedEntry = (item, position) => {
+  const {
+    key,
+    value,
+    createdAt,
+    expiresAt = null,
+  } = item && typeof item === 'object' ? item : {};
+  if (
+    !value
+    || typeof value !== 'object'
+    || typeof value.name !== 'string'
+    || !Number.isFinite(createdAt)
+    || (expiresAt !== null && !Number.isFinite(expiresAt))
+  ) {
+    throw new ApiError(`Invalid cache entry at ${position}`, { status: 400 });
+  }
+  return [parseCacheKey(key), { value, createdAt, expiresAt }];
+};
+
+/**
+ * Route controller to list cache entries, paginated with the `limit` and
+ * `offset` query parameters.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+export const listCacheEntries = async (req, res) => {
+  const limit = parseInteger(req.query.limit, 'limit', DEFAULT_CACHE_LIST_LIMIT);
+  const offset = parseInteger(req.query.offset, 'offset', 0);
+  if (limit < 1 || limit > MAX_CACHE_LIST_LIMIT) {
+    throw new ApiError(
+      `'limit' must be between 1 and ${MAX_CACHE_LIST_LIMIT}`,
+      { status: 400 }
+    );
+  }
+
+  const data = [];
+  let total = 0;
+  for await (const [key, entry] of apiClientOrchestrator.cache.entries()) {
+    if (total >= offset && data.length < limit) {
+      data.push(formatEntry(key, entry));
+    }
+    total++;
+  }
+
+  res.json({
+    data,
+    meta: {
+      count: data.length,
+      limit,
+      offset,
+      requestId: req.id,
+      status: 200,
+      total,
+    },
+  });
+};
+
+/**
+ * Route controller to get the cache entry of an IP or cached range.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+export const getCacheEntry = async (req, res) => {
+  const key = getRequestCacheKey(req);
+  const entry = await apiClientOrchestrator.cache.get(key);
+  if (!entry) {
+    throw new ApiError('Cache entry not found', { status: 404 });
+  }
+  res.json({
+    data: formatEntry(key, entry),
+    meta: { requestId: req.id, status: 200 },
+  });
+};
+
+/**
+ * Route controller to delete the cache entry of an IP or cached range.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+export const deleteCacheEntry = async (req, res) => {
+  const key = getRequestCacheKey(req);
+  if (!(await apiClientOrchestrator.cache.delete(key))) {
+    throw new ApiError('Cache entry not found', { status: 404 });
+  }
+  res.json({
+    data: { key },
+    meta: { requestId: req.id, status: 200 },
+  });
+};
+
+/**
+ * Route controller to delete all cache entries.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+export const clearCache = async (req, res) => {
+  await apiClientOrchestrator.clearCache();
+  res.json({
+    data: {},
+    meta: { requestId: req.id, status: 200 },
+  });
+};
+
+/**
+ * Route controller to warm the cache with a list of IPs provided in the
+ * request body as `{ "ips": [...] }`, within the rate limits of the APIs.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+export const warmCache = async (req, res) => {
+  const ips = req.body && req.body.ips;
+
+  if (
+    !Array.isArray(ips)
+    || !ips.length
+    || ips.some((ip) => typeof ip !== 'string' || !ip)
+  ) {
+    throw new ApiError(`'ips' must be a non-empty array of IP addresses`);
+  }
+  if (ips.length > batchLimit) {
+    throw new ApiError(`'ips' must not contain more than ${batchLimit} items`);
+  }
+
+  const data = await apiClientOrchestrator.warmCache(ips, {
+    requestId: req.id,
+    signal: req.signal,
+  });
+  const countStatus = (status) => data.filter((result) => (
+    result.status === status
+  )).length;
+  res.json({
+    data,
+    meta: {
+      cachedCount: countStatus('cached'),
+      count: data.length,
+      failedCount: countStatus('failed'),
+      requestId: req.id,
+      skippedCount: countStatus('skipped'),
+      status: 200,
+      warmedCount: countStatus('warmed'),
+    },
+  });
+};
+
+/**
+ * Route controller to export the cache as a JSON array (default) or as
+ * NDJSON with `?format=ndjson`, one entry per line. Entries are streamed as
+ * they're read from the cache.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+export const exportCache = async (req, res) => {
+  const format = req.query.format || 'json';
+  if (!['json', 'ndjson'].includes(format)) {
+    throw new ApiError(`Invalid format '${format}'`, { status: 400 });
+  }
+
+  const entries = apiClientOrchestrator.cache.entries();
+  // read the first entry before responding, so a failing cache responds
+  // with an error
+  let next = await entries.next();
+  res.attachment(`cache.${format}`);
+  res.type(format === 'json' ? 'application/json' : 'application/x-ndjson');
+  res.write(format === 'json' ? '[' : '');
+
+  try {
+    for (let index = 0; !next.done; index++) {
+      const line = JSON.stringify(formatEntry(...next.value));
+      if (format === 'json') {
+        res.write(index ? `,${line}` : line);
+      } else {
+        res.write(`${line}\n`);
+      }
+      next = await entries.next();
+    }
+  } catch (error) {
+    // the response can't turn into an error once it started
+    req.logger.error('Cache export failed', { error });
+    res.destroy(error);
+    return;
+  }
+  res.end(format === 'json' ? ']' : '');
+};
+
+/**
+ * Route controller to import cache entries in the shape they're exported,
+ * as a JSON array or as NDJSON (with an `application/x-ndjson` content
+ * type). Entries keep their creation and expiry time and expired entries are
+ * skipped.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+export const importCache = async (req, res) => {
+  let entries;
+  if (req.is('application/x-ndjson')) {
+    entries = String(req.body || '')
+      .split(/\r?\n/)
+      .map((line, index) => [line.trim(), index])
+      .filter(([line]) => line)
+      .map(([line, index]) => {
+        let item;
+        try {
+          item = JSON.parse(line);
+        } catch (error) {
+          throw new ApiError(`Invalid JSON at line ${index + 1}`, { status: 400 });
+        }
+        return parseImportedEntry(item, `line ${index + 1}`);
+      });
+  } else if (Array.isArray(req.body)) {
+    entries = req.body.map((item, index) => (
+      parseImportedEntry(item, `index ${index}`)
+    ));
+  } else {
+    throw new ApiError('Expected a JSON array or NDJSON of cache entries');
+  }
+
+  const importedCount = await apiClientOrchestrator.importCache(entries);
+  res.json({
+    data: {},
+    meta: {
+      count: entries.length,
+      importedCount,
+      requestId: req.id,
+      skippedCount: entries.length - importedCount,
+      status: 200,
+    },
+  });
+};
@@ -1,31 +1,142 @@
-import ApiClientIpstack from '../services/api-client.js';
-import ApiClientIpxapi from '../services/api-client-ipxapi.js';
-import ApiClientOrchestrator from '../services/api-client-orchestrator.js';
-import { apis } from '../config.js';
-
-const apiClientOrchestrator = new ApiClientOrchestrator({
-  apiClients: [
-    new ApiClientIpstack({
-      baseUrl: apis.ipstack.baseUrl,
-      rateLimit: apis.ipstack.rateLimit,
-      rateLimitTimeframe: apis.ipstack.rateLimitTimeframe,
-      token: apis.ipstack.token,
-    }),
-    new ApiClientIpxapi({
-      baseUrl: apis.ipxapi.baseUrl,
-      rateLimit: apis.ipxapi.rateLimit,
-      rateLimitTimeframe: apis.ipxapi.rateLimitTimeframe,
-      token: apis.ipxapi.token,
-    }),
-  ],
-});
+import { ApiError } from '../services/api-client.js';
+import apiClientOrchestrator from '../orchestrator.js';
+import { createTrustedProxies, resolveClientIp } from '../utils/client-ip.js';
+import { resolveLanguage } from '../utils/language.js';
+import { parseLocationFields } from '../utils/location.js';
+import { batchLimit, trustedProxies } from '../config.js';
+
+const trustedProxyRanges = createTrustedProxies(trustedProxies);
+
+/**
+ * Parses the `consensus` query parameter.
+ * @param {string} [value] - The query parameter value.
+ * @returns {number|undefined} - The number of providers to query, undefined
+ *  for the configured default.
+ */
+const parseConsensus = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^[1-9]\d*$/.test(value)) {
+    throw new Error(`Invalid consensus '${value}'`);
+  }
+  return Number(value);
+};
+
+/**
+ * Returns lookup options from the request, like the location `fields` to
+ * respond with, the `language` to localize the country name in (from the
+ * `lang` query parameter or `Accept-Language` header) and the number of
+ * providers to reach `consensus` with. The language is
+ * reported with a `Content-Language` response header. Throws a 400 ApiError
+ * if the query is invalid.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ * @returns {object} - Options of `ApiClientOrchestrator.getCountry`.
+ */
+const getLookupOptions = (req, res) => {
+  let options;
+  try {
+    options = {
+      consensus: parseConsensus(req.query.consensus),
+      fields: parseLocationFields(req.query.fields),
+      language: resolveLanguage({
+        acceptLanguage: req.get('accept-language'),
+        lang: req.query.lang,
+      }),
+      requestId: req.id,
+      signal: req.signal,
+    };
+  } catch (error) {
+    throw new ApiError(error.message, { status: 400 });
+  }
+
+  res.vary('Accept-Language');
+  res.set('Content-Language', options.language || 'en');
+  return options;
+};
 
 /**
  * Route controller to get a country for a provided IP.
- * @param {string} path - Express path.
- * @param {Promise} middleware - Express middleware.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
  */
 export const getCountry = async (req, res) => {
-  const result = await apiClientOrchestrator.apiClient.getCountry(req.params.ip);
+  const result = await apiClientOrchestrator.getCountry(
+    req.params.ip,
+    getLookupOptions(req, res)
+  );
+  result.meta.requestId = req.id;
+  res.status(result.meta.status).json(result);
+};
+
+/**
+ * Route controller to get the country of the requesting client. The client IP
+ * is resolved from the socket, honoring forwarding headers from trusted
+ * proxies only.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+export const getClientCountry = async (req, res) => {
+  const ip = resolveClientIp({
+    forwarded: req.get('forwarded'),
+    forwardedFor: req.get('x-forwarded-for'),
+    remoteAddress: req.socket.remoteAddress,
+    trustedProxies: trustedProxyRanges,
+  });
+  if (!ip) {
+    throw new ApiError('Unable to determine the client IP address');
+  }
+
+  const result = await apiClientOrchestrator.getCountry(
+    ip,
+    getLookupOptions(req, res)
+  );
+  result.meta.ip = ip;
+  result.meta.requestId = req.id;
+  res.status(result.meta.status).json(result);
+};
+
+/**
+ * Route controller to get the known country coverage of a CIDR block, given
+ * as `/countries/range/8.8.8.0/24` or with an encoded slash.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+export const getRangeCoverage = async (req, res) => {
+  const { cidr, prefixLength } = req.params;
+  const result = await apiClientOrchestrator.getCoverage(
+    prefixLength === undefined ? cidr : `${cidr}/${prefixLength}`,
+    { requestId: req.id }
+  );
+  result.meta.requestId = req.id;
+  res.status(result.meta.status).json(result);
+};
+
+/**
+ * Route controller to get countries for a list of IPs provided in the request
+ * body as `{ "ips": [...] }`.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+export const getCountries = async (req, res) => {
+  const ips = req.body && req.body.ips;
+
+  if (
+    !Array.isArray(ips)
+    || !ips.length
+    || ips.some((ip) => typeof ip !== 'string' || !ip)
+  ) {
+    throw new ApiError(`'ips' must be a non-empty array of IP addresses`);
+  }
+  if (ips.length > batchLimit) {
+    throw new ApiError(`'ips' must not contain more than ${batchLimit} items`);
+  }
+
+  const result = await apiClientOrchestrator.getCountries(
+    ips,
+    getLookupOptions(req, res)
+  );
+  result.meta.requestId = req.id;
   res.status(result.meta.status).json(result);
 };
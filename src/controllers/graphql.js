@@ -0,0 +1,49 @@
+import apiClientOrchestrator from '../orchestrator.js';
+import CountryLoader from '../services/country-loader.js';
+import { executeGraphql } from '../services/graphql.js';
+import { batchLimit } from '../config.js';
+
+/**
+ * Returns the GraphQL request of a `GET` request's query parameters, where
+ * `variables` are JSON encoded, or of a `POST` request's JSON body.
+ * @param {object} req - Express request.
+ * @returns {object} - The `query`, `variables` and `operationName`.
+ */
+const getGraphqlRequest = (req) => {
+  if (req.method !== 'GET') {
+    return req.body || {};
+  }
+  const { query, operationName } = req.query;
+  let { variables } = req.query;
+  if (typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables);
+    } catch (error) {
+      // reported as invalid variables
+    }
+  }
+  return { query, variables, operationName };
+};
+
+/**
+ * Route controller to execute a GraphQL query. Lookups of a query are
+ * batched and deduped, and limited to the batch limit of `POST /countries`.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+export const queryGraphql = async (req, res) => {
+  const { status, body } = await executeGraphql(getGraphqlRequest(req), {
+    acceptLanguage: req.get('accept-language'),
+    loader: new CountryLoader({
+      limit: batchLimit,
+      orchestrator: apiClientOrchestrator,
+      requestId: req.id,
+      signal: req.signal,
+    }),
+  });
+  res.vary('Accept-Language');
+  res.status(status).json({
+    ...body,
+    extensions: { ...body.extensions, requestId: req.id },
+  });
+};
@@ -0,0 +1,29 @@
+import apiClientOrchestrator from '../orchestrator.js';
+
+/**
+ * Route controller for liveness checks, responding as long as the server
+ * handles requests.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+export const getHealth = (req, res) => {
+  res.json({
+    data: { status: 'ok' },
+    meta: { requestId: req.id, status: 200 },
+  });
+};
+
+/**
+ * Route controller for readiness checks, responding with a 503 status when
+ * no ApiClient is available to make lookups, along with the status of each.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+export const getReadiness = (req, res) => {
+  const { ready, providers } = apiClientOrchestrator.getStatus();
+  const status = ready ? 200 : 503;
+  res.status(status).json({
+    data: { ready, providers },
+    meta: { requestId: req.id, status },
+  });
+};
@@ -0,0 +1,11 @@
+import registry from '../services/metrics.js';
+
+/**
+ * Route controller to respond with metrics in the Prometheus text format.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+export const getMetrics = (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(registry.render());
+};
@@ -0,0 +1,53 @@
+import express from 'express';
+import getSwaggerUiPath from 'swagger-ui-dist/absolute-path.js';
+import openApiDocument from '../openapi.js';
+
+/**
+ * Where the Swagger UI assets of the `swagger-ui-dist` package are served,
+ * see `swaggerUiAssets`.
+ * @type {string}
+ * @private
+ */
+const SWAGGER_UI_PATH = '/docs/assets';
+
+/**
+ * Serves the Swagger UI assets the documentation page loads from the
+ * installed `swagger-ui-dist` package, so no third-party code runs on it.
+ */
+export const swaggerUiAssets = express.static(getSwaggerUiPath(), {
+  index: false,
+});
+
+/**
+ * Route controller to get the OpenAPI document of this API.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+export const getOpenApiDocument = (req, res) => {
+  res.json(openApiDocument);
+};
+
+/**
+ * Route controller for the interactive documentation page, Swagger UI
+ * rendering the OpenAPI document served at `/openapi.json`.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+export const getDocs = (req, res) => {
+  res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>${openApiDocument.info.title}</title>
+    <link rel="stylesheet" href="${SWAGGER_UI_PATH}/swagger-ui.css">
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${SWAGGER_UI_PATH}/swagger-ui-bundle.js"></script>
+    <script>
+      SwaggerUIBundle({ url: '/openapi.json', dom_id: '#swagger-ui' });
+    </script>
+  </body>
+</html>
+`);
+};
@@ -0,0 +1,15 @@
+import apiClientOrchestrator from '../orchestrator.js';
+
+/**
+ * Route controller to list the active overrides in the order they were
+ * configured.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ */
+export const listOverrides = (req, res) => {
+  const data = apiClientOrchestrator.overrides.list();
+  res.json({
+    data,
+    meta: { count: data.length, requestId: req.id, status: 200 },
+  });
+};
@@ -0,0 +1,356 @@
+/**
+ * ISO 3166-1 countries as `[alpha-2 code, alpha-3 code, continent code, name]`
+ * rows, generated from the countries-list package (MIT licensed). Names are
+ * the canonical English names responded with. Codes outside ISO 3166-1,
+ * like the user-assigned `XK` for Kosovo, are left out, and continents
+ * follow the MaxMind and GeoNames assignments (Russia is in Europe).
+ */
+export const countries = [
+  ['AD', 'AND', 'EU', 'Andorra'],
+  ['AE', 'ARE', 'AS', 'United Arab Emirates'],
+  ['AF', 'AFG', 'AS', 'Afghanistan'],
+  ['AG', 'ATG', 'NA', 'Antigua and Barbuda'],
+  ['AI', 'AIA', 'NA', 'Anguilla'],
+  ['AL', 'ALB', 'EU', 'Albania'],
+  ['AM', 'ARM', 'AS', 'Armenia'],
+  ['AO', 'AGO', 'AF', 'Angola'],
+  ['AQ', 'ATA', 'AN', 'Antarctica'],
+  ['AR', 'ARG', 'SA', 'Argentina'],
+  ['AS', 'ASM', 'OC', 'American Samoa'],
+  ['AT', 'AUT', 'EU', 'Austria'],
+  ['AU', 'AUS', 'OC', 'Australia'],
+  ['AW', 'ABW', 'NA', 'Aruba'],
+  ['AX', 'ALA', 'EU', 'Aland'],
+  ['AZ', 'AZE', 'AS', 'Azerbaijan'],
+  ['BA', 'BIH', 'EU', 'Bosnia and Herzegovina'],
+  ['BB', 'BRB', 'NA', 'Barbados'],
+  ['BD', 'BGD', 'AS', 'Bangladesh'],
+  ['BE', 'BEL', 'EU', 'Belgium'],
+  ['BF', 'BFA', 'AF', 'Burkina Faso'],
+  ['BG', 'BGR', 'EU', 'Bulgaria'],
+  ['BH', 'BHR', 'AS', 'Bahrain'],
+  ['BI', 'BDI', 'AF', 'Burundi'],
+  ['BJ', 'BEN', 'AF', 'Benin'],
+  ['BL', 'BLM', 'NA', 'Saint Barthelemy'],
+  ['BM', 'BMU', 'NA', 'Bermuda'],
+  ['BN', 'BRN', 'AS', 'Brunei'],
+  ['BO', 'BOL', 'SA', 'Bolivia'],
+  ['BQ', 'BES', 'NA', 'Bonaire'],
+  ['BR', 'BRA', 'SA', 'Brazil'],
+  ['BS', 'BHS', 'NA', 'Bahamas'],
+  ['BT', 'BTN', 'AS', 'Bhutan'],
+  ['BV', 'BVT', 'AN', 'Bouvet Island'],
+  ['BW', 'BWA', 'AF', 'Botswana'],
+  ['BY', 'BLR', 'EU', 'Belarus'],
+  ['BZ', 'BLZ', 'NA', 'Belize'],
+  ['CA', 'CAN', 'NA', 'Canada'],
+  ['CC', 'CCK', 'AS', 'Cocos (Keeling) Islands'],
+  ['CD', 'COD', 'AF', 'Democratic Republic of the Congo'],
+  ['CF', 'CAF', 'AF', 'Central African Republic'],
+  ['CG', 'COG', 'AF', 'Republic of the Congo'],
+  ['CH', 'CHE', 'EU', 'Switzerland'],
+  ['CI', 'CIV', 'AF', 'Ivory Coast'],
+  ['CK', 'COK', 'OC', 'Cook Islands'],
+  ['CL', 'CHL', 'SA', 'Chile'],
+  ['CM', 'CMR', 'AF', 'Cameroon'],
+  ['CN', 'CHN', 'AS', 'China'],
+  ['CO', 'COL', 'SA', 'Colombia'],
+  ['CR', 'CRI', 'NA', 'Costa Rica'],
+  ['CU', 'CUB', 'NA', 'Cuba'],
+  ['CV', 'CPV', 'AF', 'Cabo Verde'],
+  ['CW', 'CUW', 'NA', 'Curacao'],
+  ['CX', 'CXR', 'AS', 'Christmas Island'],
+  ['CY', 'CYP', 'EU', 'Cyprus'],
+  ['CZ', 'CZE', 'EU', 'Czechia'],
+  ['DE', 'DEU', 'EU', 'Germany'],
+  ['DJ', 'DJI', 'AF', 'Djibouti'],
+  ['DK', 'DNK', 'EU', 'Denmark'],
+  ['DM', 'DMA', 'NA', 'Dominica'],
+  ['DO', 'DOM', 'NA', 'Dominican Republic'],
+  ['DZ', 'DZA', 'AF', 'Algeria'],
+  ['EC', 'ECU', 'SA', 'Ecuador'],
+  ['EE', 'EST', 'EU', 'Estonia'],
+  ['EG', 'EGY', 'AF', 'Egypt'],
+  ['EH', 'ESH', 'AF', 'Western Sahara'],
+  ['ER', 'ERI', 'AF', 'Eritrea'],
+  ['ES', 'ESP', 'EU', 'Spain'],
+  ['ET', 'ETH', 'AF', 'Ethiopia'],
+  ['FI', 'FIN', 'EU', 'Finland'],
+  ['FJ', 'FJI', 'OC', 'Fiji'],
+  ['FK', 'FLK', 'SA', 'Falkland Islands'],
+  ['FM', 'FSM', 'OC', 'Micronesia'],
+  ['FO', 'FRO', 'EU', 'Faroe Islands'],
+  ['FR', 'FRA', 'EU', 'France'],
+  ['GA', 'GAB', 'AF', 'Gabon'],
+  ['GB', 'GBR', 'EU', 'United Kingdom'],
+  ['GD', 'GRD', 'NA', 'Grenada'],
+  ['GE', 'GEO', 'AS', 'Georgia'],
+  ['GF', 'GUF', 'SA', 'French Guiana'],
+  ['GG', 'GGY', 'EU', 'Guernsey'],
+  ['GH', 'GHA', 'AF', 'Ghana'],
+  ['GI', 'GIB', 'EU', 'Gibraltar'],
+  ['GL', 'GRL', 'NA', 'Greenland'],
+  ['GM', 'GMB', 'AF', 'Gambia'],
+  ['GN', 'GIN', 'AF', 'Guinea'],
+  ['GP', 'GLP', 'NA', 'Guadeloupe'],
+  ['GQ', 'GNQ', 'AF', 'Equatorial Guinea'],
+  ['GR', 'GRC', 'EU', 'Greece'],
+  ['GS', 'SGS', 'AN', 'South Georgia and the South Sandwich Islands'],
+  ['GT', 'GTM', 'NA', 'Guatemala'],
+  ['GU', 'GUM', 'OC', 'Guam'],
+  ['GW', 'GNB', 'AF', 'Guinea-Bissau'],
+  ['GY', 'GUY', 'SA', 'Guyana'],
+  ['HK', 'HKG', 'AS', 'Hong Kong'],
+  ['HM', 'HMD', 'AN', 'Heard Island and McDonald Islands'],
+  ['HN', 'HND', 'NA', 'Honduras'],
+  ['HR', 'HRV', 'EU', 'Croatia'],
+  ['HT', 'HTI', 'NA', 'Haiti'],
+  ['HU', 'HUN', 'EU', 'Hungary'],
+  ['ID', 'IDN', 'AS', 'Indonesia'],
+  ['IE', 'IRL', 'EU', 'Ireland'],
+  ['IL', 'ISR', 'AS', 'Israel'],
+  ['IM', 'IMN', 'EU', 'Isle of Man'],
+  ['IN', 'IND', 'AS', 'India'],
+  ['IO', 'IOT', 'AS', 'British Indian Ocean Territory'],
+  ['IQ', 'IRQ', 'AS', 'Iraq'],
+  ['IR', 'IRN', 'AS', 'Iran'],
+  ['IS', 'ISL', 'EU', 'Iceland'],
+  ['IT', 'ITA', 'EU', 'Italy'],
+  ['JE', 'JEY', 'EU', 'Jersey'],
+  ['JM', 'JAM', 'NA', 'Jamaica'],
+  ['JO', 'JOR', 'AS', 'Jordan'],
+  ['JP', 'JPN', 'AS', 'Japan'],
+  ['KE', 'KEN', 'AF', 'Kenya'],
+  ['KG', 'KGZ', 'AS', 'Kyrgyzstan'],
+  ['KH', 'KHM', 'AS', 'Cambodia'],
+  ['KI', 'KIR', 'OC', 'Kiribati'],
+  ['KM', 'COM', 'AF', 'Comoros'],
+  ['KN', 'KNA', 'NA', 'Saint Kitts and Nevis'],
+  ['KP', 'PRK', 'AS', 'North Korea'],
+  ['KR', 'KOR', 'AS', 'South Korea'],
+  ['KW', 'KWT', 'AS', 'Kuwait'],
+  ['KY', 'CYM', 'NA', 'Cayman Islands'],
+  ['KZ', 'KAZ', 'AS', 'Kazakhstan'],
+  ['LA', 'LAO', 'AS', 'Laos'],
+  ['LB', 'LBN', 'AS', 'Lebanon'],
+  ['LC', 'LCA', 'NA', 'Saint Lucia'],
+  ['LI', 'LIE', 'EU', 'Liechtenstein'],
+  ['LK', 'LKA', 'AS', 'Sri Lanka'],
+  ['LR', 'LBR', 'AF', 'Liberia'],
+  ['LS', 'LSO', 'AF', 'Lesotho'],
+  ['LT', 'LTU', 'EU', 'Lithuania'],
+  ['LU', 'LUX', 'EU', 'Luxembourg'],
+  ['LV', 'LVA', 'EU', 'Latvia'],
+  ['LY', 'LBY', 'AF', 'Libya'],
+  ['MA', 'MAR', 'AF', 'Morocco'],
+  ['MC', 'MCO', 'EU', 'Monaco'],
+  ['MD', 'MDA', 'EU', 'Moldova'],
+  ['ME', 'MNE', 'EU', 'Montenegro'],
+  ['MF', 'MAF', 'NA', 'Saint Martin'],
+  ['MG', 'MDG', 'AF', 'Madagascar'],
+  ['MH', 'MHL', 'OC', 'Marshall Islands'],
+  ['MK', 'MKD', 'EU', 'North Macedonia'],
+  ['ML', 'MLI', 'AF', 'Mali'],
+  ['MM', 'MMR', 'AS', 'Myanmar'],
+  ['MN', 'MNG', 'AS', 'Mongolia'],
+  ['MO', 'MAC', 'AS', 'Macao'],
+  ['MP', 'MNP', 'OC', 'Northern Mariana Islands'],
+  ['MQ', 'MTQ', 'NA', 'Martinique'],
+  ['MR', 'MRT', 'AF', 'Mauritania'],
+  ['MS', 'MSR', 'NA', 'Montserrat'],
+  ['MT', 'MLT', 'EU', 'Malta'],
+  ['MU', 'MUS', 'AF', 'Mauritius'],
+  ['MV', 'MDV', 'AS', 'Maldives'],
+  ['MW', 'MWI', 'AF', 'Malawi'],
+  ['MX', 'MEX', 'NA', 'Mexico'],
+  ['MY', 'MYS', 'AS', 'Malaysia'],
+  ['MZ', 'MOZ', 'AF', 'Mozambique'],
+  ['NA', 'NAM', 'AF', 'Namibia'],
+  ['NC', 'NCL', 'OC', 'New Caledonia'],
+  ['NE', 'NER', 'AF', 'Niger'],
+  ['NF', 'NFK', 'OC', 'Norfolk Island'],
+  ['NG', 'NGA', 'AF', 'Nigeria'],
+  ['NI', 'NIC', 'NA', 'Nicaragua'],
+  ['NL', 'NLD', 'EU', 'Netherlands'],
+  ['NO', 'NOR', 'EU', 'Norway'],
+  ['NP', 'NPL', 'AS', 'Nepal'],
+  ['NR', 'NRU', 'OC', 'Nauru'],
+  ['NU', 'NIU', 'OC', 'Niue'],
+  ['NZ', 'NZL', 'OC', 'New Zealand'],
+  ['OM', 'OMN', 'AS', 'Oman'],
+  ['PA', 'PAN', 'NA', 'Panama'],
+  ['PE', 'PER', 'SA', 'Peru'],
+  ['PF', 'PYF', 'OC', 'French Polynesia'],
+  ['PG', 'PNG', 'OC', 'Papua New Guinea'],
+  ['PH', 'PHL', 'AS', 'Philippines'],
+  ['PK', 'PAK', 'AS', 'Pakistan'],
+  ['PL', 'POL', 'EU', 'Poland'],
+  ['PM', 'SPM', 'NA', 'Saint Pierre and Miquelon'],
+  ['PN', 'PCN', 'OC', 'Pitcairn Islands'],
+  ['PR', 'PRI', 'NA', 'Puerto Rico'],
+  ['PS', 'PSE', 'AS', 'Palestine'],
+  ['PT', 'PRT', 'EU', 'Portugal'],
+  ['PW', 'PLW', 'OC', 'Palau'],
+  ['PY', 'PRY', 'SA', 'Paraguay'],
+  ['QA', 'QAT', 'AS', 'Qatar'],
+  ['RE', 'REU', 'AF', 'Reunion'],
+  ['RO', 'ROU', 'EU', 'Romania'],
+  ['RS', 'SRB', 'EU', 'Serbia'],
+  ['RU', 'RUS', 'EU', 'Russia'],
+  ['RW', 'RWA', 'AF', 'Rwanda'],
+  ['SA', 'SAU', 'AS', 'Saudi Arabia'],
+  ['SB', 'SLB', 'OC', 'Solomon Islands'],
+  ['SC', 'SYC', 'AF', 'Seychelles'],
+  ['SD', 'SDN', 'AF', 'Sudan'],
+  ['SE', 'SWE', 'EU', 'Sweden'],
+  ['SG', 'SGP', 'AS', 'Singapore'],
+  ['SH', 'SHN', 'AF', 'Saint Helena'],
+  ['SI', 'SVN', 'EU', 'Slovenia'],
+  ['SJ', 'SJM', 'EU', 'Svalbard and Jan Mayen'],
+  ['SK', 'SVK', 'EU', 'Slovakia'],
+  ['SL', 'SLE', 'AF', 'Sierra Leone'],
+  ['SM', 'SMR', 'EU', 'San Marino'],
+  ['SN', 'SEN', 'AF', 'Senegal'],
+  ['SO', 'SOM', 'AF', 'Somalia'],
+  ['SR', 'SUR', 'SA', 'Suriname'],
+  ['SS', 'SSD', 'AF', 'South Sudan'],
+  ['ST', 'STP', 'AF', 'Sao Tome and Principe'],
+  ['SV', 'SLV', 'NA', 'El Salvador'],
+  ['SX', 'SXM', 'NA', 'Sint Maarten'],
+  ['SY', 'SYR', 'AS', 'Syria'],
+  ['SZ', 'SWZ', 'AF', 'Eswatini'],
+  ['TC', 'TCA', 'NA', 'Turks and Caicos Islands'],
+  ['TD', 'TCD', 'AF', 'Chad'],
+  ['TF', 'ATF', 'AN', 'French Southern Territories'],
+  ['TG', 'TGO', 'AF', 'Togo'],
+  ['TH', 'THA', 'AS', 'Thailand'],
+  ['TJ', 'TJK', 'AS', 'Tajikistan'],
+  ['TK', 'TKL', 'OC', 'Tokelau'],
+  ['TL', 'TLS', 'OC', 'East Timor'],
+  ['TM', 'TKM', 'AS', 'Turkmenistan'],
+  ['TN', 'TUN', 'AF', 'Tunisia'],
+  ['TO', 'TON', 'OC', 'Tonga'],
+  ['TR', 'TUR', 'AS', 'Türkiye'],
+  ['TT', 'TTO', 'NA', 'Trinidad and Tobago'],
+  ['TV', 'TUV', 'OC', 'Tuvalu'],
+  ['TW', 'TWN', 'AS', 'Taiwan'],
+  ['TZ', 'TZA', 'AF', 'Tanzania'],
+  ['UA', 'UKR', 'EU', 'Ukraine'],
+  ['UG', 'UGA', 'AF', 'Uganda'],
+  ['UM', 'UMI', 'OC', 'U.S. Minor Outlying Islands'],
+  ['US', 'USA', 'NA', 'United States'],
+  ['UY', 'URY', 'SA', 'Uruguay'],
+  ['UZ', 'UZB', 'AS', 'Uzbekistan'],
+  ['VA', 'VAT', 'EU', 'Vatican City'],
+  ['VC', 'VCT', 'NA', 'Saint Vincent and the Grenadines'],
+  ['VE', 'VEN', 'SA', 'Venezuela'],
+  ['VG', 'VGB', 'NA', 'British Virgin Islands'],
+  ['VI', 'VIR', 'NA', 'U.S. Virgin Islands'],
+  ['VN', 'VNM', 'AS', 'Vietnam'],
+  ['VU', 'VUT', 'OC', 'Vanuatu'],
+  ['WF', 'WLF', 'OC', 'Wallis and Futuna'],
+  ['WS', 'WSM', 'OC', 'Samoa'],
+  ['YE', 'YEM', 'AS', 'Yemen'],
+  ['YT', 'MYT', 'AF', 'Mayotte'],
+  ['ZA', 'ZAF', 'AF', 'South Africa'],
+  ['ZM', 'ZMB', 'AF', 'Zambia'],
+  ['ZW', 'ZWE', 'AF', 'Zimbabwe'],
+];
+
+/**
+ * Alternative country names used by providing APIs, by alpha-2 code. Common
+ * and former names are from the countries-list package, the rest are ISO 3166
+ * style names.
+ */
+export const countryAliases = {
+  AE: ['UAE', 'Emirates'],
+  BD: ['East Pakistan'],
+  BF: ['Upper Volta'],
+  BH: ['Bahrein'],
+  BJ: ['Dahomey'],
+  BN: ['Brunei Darussalam'],
+  BO: ['Bolivia, Plurinational State of'],
+  BW: ['Bechuanaland'],
+  BY: ['Byelorussia', 'Belorussia'],
+  BZ: ['British Honduras'],
+  CD: [
+    'Zaire',
+    'Congo-Kinshasa',
+    'DR Congo',
+    'DRC',
+    'Congo, The Democratic Republic of the',
+    'Congo (Kinshasa)',
+  ],
+  CF: ['Ubangi-Shari'],
+  CG: ['Congo-Brazzaville', 'Congo', 'Congo (Brazzaville)'],
+  CI: ['Cote d\'Ivoire', 'Côte d\'Ivoire'],
+  CV: ['Cape Verde'],
+  CZ: ['Czech Republic', 'Česká republika'],
+  EH: ['Spanish Sahara'],
+  ET: ['Abyssinia'],
+  FM: ['Micronesia, Federated States of'],
+  GB: [
+    'UK',
+    'Britain',
+    'Great Britain',
+    'United Kingdom of Great Britain and Northern Ireland',
+  ],
+  GH: ['Gold Coast'],
+  GW: ['Portuguese Guinea'],
+  ID: ['Dutch East Indies'],
+  IR: ['Persia', 'Iran, Islamic Republic of'],
+  KG: ['Kirghizia', 'Kyrgyz Republic'],
+  KH: ['Kampuchea'],
+  KI: ['Gilbert Islands'],
+  KP: ['DPRK', 'Korea, Democratic People\'s Republic of', 'North Korea'],
+  KR: ['Republic of Korea', 'Korea, Republic of', 'Korea'],
+  LA: ['Lao PDR', 'Lao People\'s Democratic Republic'],
+  LK: ['Ceylon'],
+  LS: ['Basutoland'],
+  MD: ['Moldavia', 'Moldova, Republic of', 'Republic of Moldova'],
+  MK: [
+    'Macedonia',
+    'FYROM',
+    'Macedonia, the Former Yugoslav Republic of',
+    'Republic of North Macedonia',
+  ],
+  ML: ['French Sudan'],
+  MM: ['Burma', 'Myanmar (Burma)'],
+  MO: ['Macau'],
+  MW: ['Nyasaland'],
+  NA: ['South West Africa'],
+  NL: ['Holland'],
+  PS: ['Palestine, State of', 'Palestinian Territory'],
+  RO: ['Rumania', 'Roumania'],
+  RU: ['Russian Federation'],
+  SY: ['Syrian Arab Republic'],
+  SZ: ['Swaziland', 'Eswatini'],
+  TH: ['Siam'],
+  TM: ['Turkmenia'],
+  TR: ['Turkey', 'Turkiye'],
+  TV: ['Ellice Islands'],
+  TW: ['Formosa', 'Taiwan, Province of China'],
+  TZ: ['Tanganyika', 'Tanzania, United Republic of'],
+  US: ['US', 'USA', 'America', 'United States of America'],
+  VA: ['Holy See', 'Vatican', 'Holy See (Vatican City State)'],
+  VE: ['Venezuela, Bolivarian Republic of'],
+  VG: ['Virgin Islands, British'],
+  VI: ['Virgin Islands, U.S.'],
+  VN: ['Viet Nam'],
+  VU: ['New Hebrides'],
+  ZM: ['Northern Rhodesia'],
+  ZW: ['Rhodesia', 'Southern Rhodesia'],
+};
+
+/**
+ * Continent names by continent code.
+ */
+export const continents = {
+  AF: 'Africa',
+  AN: 'Antarctica',
+  AS: 'Asia',
+  EU: 'Europe',
+  NA: 'North America',
+  OC: 'Oceania',
+  SA: 'South America',
+};
@@ -1,38 +1,69 @@
 import express from 'express';
 import timeout from 'connect-timeout';
 import { ApiError, formatResult } from './services/api-client.js';
+import abort from './middleware/abort.js';
+import requestLogging from './middleware/logging.js';
+import requestMetrics from './middleware/metrics.js';
+import { validateResponses } from './middleware/openapi.js';
 import bindRoutes from './routes/index.js';
+import logger from './services/logger.js';
+import { bodyLimit } from './config.js';
 import packageJson from '../package.json' assert { type: 'json' };
 
 const app = express();
 
+// assign request IDs and log requests
+app.use(requestLogging);
+
+// count requests, including timed out and rejected ones
+app.use(requestMetrics);
+
+// validate responses against the OpenAPI document when enabled, like under
+// test
+app.use(validateResponses);
+
 // enforce a 1 minute timeout
 app.use(timeout(60000));
 
+// abort upstream calls of timed out and cancelled requests
+app.use(abort);
+
+// parse JSON request bodies (batch lookups, cache imports) and NDJSON ones
+// (cache imports)
+app.use(express.json({ limit: bodyLimit }));
+app.use(express.text({ limit: bodyLimit, type: 'application/x-ndjson' }));
+
 bindRoutes(app);
 
 // 404 errors
-app.use((_, res) => {
+app.use((req, res) => {
   const result = formatResult({
     error: new ApiError('404 Not Found', { status: 404 }),
   });
+  result.meta.requestId = req.id;
   res.status(result.meta.status).json(result);
 });
 
-// 500 errors (uncaught exception)
+// thrown errors, 500 unless they carry their own status like an ApiError
+// or a malformed JSON body
 app.use((error, req, res, __) => {
-  console.error(error);
-  const status = !req.timedout ? 500 : 408;
+  const status = req.timedout ? 408 : error.status || 500;
+  // log error if it wasn't user generated
+  if (status >= 500) {
+    req.logger.error('Request failed', { error });
+  }
   const result = formatResult({
     error: new ApiError(error.message, { status }),
   });
+  result.meta.requestId = req.id;
   res.status(result.meta.status).json(result);
 });
 
 const port = process.env.COUNTRY_API_PORT || 3000;
 
 app.listen(port, () => {
-  console.log(
-    `${packageJson.name}@${packageJson.version} running on port ${port} 💻`
+  logger.info(
+    `${packageJson.name}@${packageJson.version} running on port ${port} 💻`,
+    { port }
   );
 });
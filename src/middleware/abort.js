@@ -0,0 +1,20 @@
+/**
+ * A middleware that sets `req.signal`, an AbortSignal that aborts when the
+ * client closes the connection before the response is sent or the request
+ * times out, so upstream calls made for the request can be aborted.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ * @param {function} next - Calls the next middleware.
+ */
+export default (req, res, next) => {
+  const controller = new AbortController();
+  req.signal = controller.signal;
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  // emitted by `connect-timeout`
+  req.on('timeout', () => controller.abort());
+  next();
+};
@@ -0,0 +1,78 @@
+import { ApiError } from '../services/api-client.js';
+import ApiKeys from '../services/api-keys.js';
+import { apiKeysPath } from '../config.js';
+
+/**
+ * Returns the API key of a request from the `X-API-Key` header or a bearer
+ * token in the `Authorization` header.
+ * @param {object} req - Express request.
+ * @returns {string|undefined} - The API key if one was sent.
+ */
+export const getRequestApiKey = (req) => {
+  const apiKey = req.get('x-api-key');
+  if (apiKey) {
+    return apiKey;
+  }
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  return scheme.toLowerCase() === 'bearer' && token ? token : undefined;
+};
+
+/**
+ * Creates a middleware that rejects requests without a known API key with a
+ * 401 ApiError and requests over their key's quota with a 429 ApiError.
+ * Quota usage is reported with `RateLimit-Limit`, `RateLimit-Remaining` and
+ * `RateLimit-Reset` (seconds) response headers, and `Retry-After` (seconds)
+ * when rejected.
+ * @param {ApiKeys} apiKeys - An ApiKeys class instance.
+ * @returns {function} - Express middleware.
+ */
+export const createAuthenticate = (apiKeys) => (req, res, next) => {
+  const apiKey = getRequestApiKey(req);
+  if (!apiKey) {
+    throw new ApiError('API key required', { status: 401 });
+  }
+  const settings = apiKeys.get(apiKey);
+  if (!settings) {
+    throw new ApiError('Invalid API key', { status: 401 });
+  }
+
+  const { isLimited, limit, remaining, resetAt } = apiKeys.consume(apiKey);
+  const reset = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+  if (limit !== Infinity) {
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(reset),
+    });
+  }
+  if (isLimited) {
+    res.set('Retry-After', String(reset));
+    throw new ApiError('Rate limited', { status: 429 });
+  }
+
+  req.apiKey = { admin: settings.admin, key: apiKey, name: settings.name };
+  next();
+};
+
+/**
+ * A middleware that rejects requests not authenticated with an admin API key
+ * with a 403 ApiError. Without configured API keys every request is
+ * rejected, so admin routes are never open.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ * @param {function} next - Calls the next middleware.
+ */
+export const authorizeAdmin = (req, res, next) => {
+  if (!req.apiKey || !req.apiKey.admin) {
+    throw new ApiError('Admin API key required', { status: 403 });
+  }
+  next();
+};
+
+/**
+ * Authenticates requests with the API keys of the configured file, or lets
+ * every request through when none is configured.
+ */
+export default apiKeysPath
+  ? createAuthenticate(ApiKeys.fromFile(apiKeysPath))
+  : (_, __, next) => next();
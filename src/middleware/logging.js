@@ -0,0 +1,45 @@
+import { randomUUID } from 'crypto';
+import logger from '../services/logger.js';
+
+/**
+ * Returns the request ID sent by the client or a proxy, if it's safe to
+ * echo and log.
+ * @param {object} req - Express request.
+ * @returns {string|undefined} - The request ID.
+ */
+export const getRequestId = (req) => {
+  const requestId = req.get('x-request-id');
+  return requestId && /^[\w.:-]{1,128}$/.test(requestId)
+    ? requestId
+    : undefined;
+};
+
+/**
+ * Creates a middleware that assigns each request an ID, taken from the
+ * `X-Request-Id` header or generated, echoes it in the response header and
+ * binds it to `req.logger` so entries logged for the request correlate.
+ * Each request is logged once it finishes.
+ * @param {Logger} requestLogger - The logger to bind the request ID to.
+ * @returns {function} - Express middleware.
+ */
+export const createRequestLogging = (requestLogger) => (req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  req.id = getRequestId(req) || randomUUID();
+  req.logger = requestLogger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  res.on('finish', () => {
+    req.logger.info('Request', {
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      duration: Number(process.hrtime.bigint() - startedAt) / 1e6,
+    });
+  });
+  next();
+};
+
+/**
+ * Assigns request IDs and logs requests with the logger of this API.
+ */
+export default createRequestLogging(logger);
@@ -0,0 +1,37 @@
+import registry from '../services/metrics.js';
+
+/**
+ * Creates a middleware that counts requests by method, route and status and
+ * observes their durations. Routes are reported by their pattern, like
+ * `/countries/:ip`, so IPs don't become label values.
+ * @param {MetricsRegistry} metricsRegistry - The registry to record metrics in.
+ * @returns {function} - Express middleware.
+ */
+export const createRequestMetrics = (metricsRegistry) => {
+  const requests = metricsRegistry.counter({
+    name: 'ip_country_http_requests_total',
+    help: 'HTTP requests by method, route and status.',
+    labelNames: ['method', 'route', 'status'],
+  });
+  const durations = metricsRegistry.histogram({
+    name: 'ip_country_http_request_duration_seconds',
+    help: 'HTTP request durations by method and route.',
+    labelNames: ['method', 'route'],
+  });
+
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      requests.inc({ method: req.method, route, status: res.statusCode });
+      durations.observe({ method: req.method, route }, seconds);
+    });
+    next();
+  };
+};
+
+/**
+ * Records request metrics in the registry of this API.
+ */
+export default createRequestMetrics(registry);
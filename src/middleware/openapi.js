@@ -0,0 +1,75 @@
+import openApiDocument from '../openapi.js';
+import { ApiError, formatResult } from '../services/api-client.js';
+import OpenApiValidator from '../services/openapi-validator.js';
+import { responseValidation } from '../config.js';
+
+/**
+ * Returns the path of a request, wherever the middleware is mounted.
+ * @param {object} req - Express request.
+ * @returns {string} - The path, without its query string.
+ */
+const getPath = (req) => req.originalUrl.split('?')[0];
+
+/**
+ * Creates a middleware that rejects requests not matching the OpenAPI
+ * document, like invalid query parameters or request bodies, with a 400
+ * ApiError (415 for undocumented content types). Must be used after the
+ * request body is parsed.
+ * @param {OpenApiValidator} validator - An OpenApiValidator class instance.
+ * @returns {function} - Express middleware.
+ */
+export const createValidateRequests = (validator) => (req, res, next) => {
+  validator.validateRequest({
+    method: req.method,
+    path: getPath(req),
+    query: req.query,
+    body: req.body,
+    contentType: req.get('content-type'),
+  });
+  next();
+};
+
+/**
+ * Creates a middleware that validates JSON responses against the OpenAPI
+ * document. Invalid responses are logged and replaced with a 500 error, so
+ * a response envelope changing shape fails the requests relying on it.
+ * @param {OpenApiValidator} validator - An OpenApiValidator class instance.
+ * @returns {function} - Express middleware.
+ */
+export const createValidateResponses = (validator) => (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    try {
+      validator.validateResponse({
+        method: req.method,
+        path: getPath(req),
+        status: res.statusCode,
+        body,
+      });
+    } catch (error) {
+      req.logger.error('Invalid response', { error, status: res.statusCode });
+      const result = formatResult({
+        error: new ApiError(error.message, { status: 500 }),
+      });
+      result.meta.requestId = req.id;
+      return json.call(res.status(500), result);
+    }
+    return json(body);
+  };
+  next();
+};
+
+const validator = new OpenApiValidator(openApiDocument);
+
+/**
+ * Validates requests against the OpenAPI document of this API.
+ */
+export const validateRequests = createValidateRequests(validator);
+
+/**
+ * Validates responses against the OpenAPI document of this API when
+ * response validation is on, like under test.
+ */
+export const validateResponses = responseValidation
+  ? createValidateResponses(validator)
+  : (_, __, next) => next();
@@ -0,0 +1,848 @@
+import fs from 'fs';
+import { LOCATION_FIELDS } from './utils/location.js';
+import {
+  DEFAULT_CACHE_LIST_LIMIT,
+  MAX_CACHE_LIST_LIMIT,
+  batchLimit,
+} from './config.js';
+
+const { version } = JSON.parse(
+  fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')
+);
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const parameterRef = (name) => ({ $ref: `#/components/parameters/${name}` });
+const responseRef = (name) => ({ $ref: `#/components/responses/${name}` });
+const nullable = (type) => ({ type: [type, 'null'] });
+
+/**
+ * Describes a JSON response.
+ * @param {string} description - What the response is.
+ * @param {object} schema - The response body schema.
+ * @returns {object} - An OpenAPI response object.
+ */
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } },
+});
+
+/**
+ * Describes a JSON request body.
+ * @param {object} schema - The request body schema.
+ * @returns {object} - An OpenAPI request body object.
+ */
+const jsonBody = (schema) => ({
+  required: true,
+  content: { 'application/json': { schema } },
+});
+
+/**
+ * Describes a response body in the envelope of this API, with `data` and a
+ * `meta` object with the request ID and status.
+ * @param {object} data - The `data` schema.
+ * @param {object} [meta] - Schemas of `meta` properties besides `requestId`
+ *  and `status`.
+ * @returns {object} - The response body schema.
+ */
+const envelope = (data, meta = {}) => ({
+  type: 'object',
+  required: ['data', 'meta'],
+  additionalProperties: false,
+  properties: {
+    data,
+    meta: {
+      type: 'object',
+      required: ['status'],
+      additionalProperties: false,
+      properties: {
+        ...meta,
+        requestId: { type: 'string' },
+        status: { type: 'integer' },
+      },
+    },
+  },
+});
+
+/**
+ * Error responses by status, every operation responds with `default` errors
+ * (like `408` timeouts) as well.
+ * @param {...number} statuses - HTTP statuses.
+ * @returns {object} - OpenAPI response objects by status.
+ */
+const errorResponses = (...statuses) => ({
+  ...Object.fromEntries(statuses.map((status) => [
+    status,
+    responseRef(`Error${status}`),
+  ])),
+  default: responseRef('Error'),
+});
+
+const IP_PATTERN = '^[0-9A-Fa-f:.]+$';
+
+const ipsBody = {
+  type: 'object',
+  required: ['ips'],
+  properties: {
+    ips: {
+      type: 'array',
+      minItems: 1,
+      maxItems: batchLimit,
+      items: { type: 'string', minLength: 1 },
+    },
+  },
+};
+
+const lookupParameters = [
+  parameterRef('fields'),
+  parameterRef('lang'),
+  parameterRef('consensus'),
+];
+
+const security = [{ apiKey: [] }, { bearer: [] }];
+
+const cacheKeyParameters = [
+  {
+    name: 'key',
+    in: 'path',
+    required: true,
+    description: 'An IP address or a CIDR block with an encoded slash.',
+    schema: { type: 'string' },
+  },
+];
+
+const prefixLengthParameter = {
+  name: 'prefixLength',
+  in: 'path',
+  required: true,
+  schema: { type: 'integer', minimum: 0, maximum: 128 },
+};
+
+const cacheEntryOperations = (parameters) => ({
+  parameters,
+  get: {
+    summary: 'Gets the cache entry of an IP or cached network.',
+    tags: ['Admin'],
+    security,
+    responses: {
+      200: jsonResponse('The cache entry.', envelope(schemaRef('CacheEntry'))),
+      ...errorResponses(400, 401, 403, 404),
+    },
+  },
+  delete: {
+    summary: 'Deletes the cache entry of an IP or cached network.',
+    tags: ['Admin'],
+    security,
+    responses: {
+      200: jsonResponse('The entry was deleted.', envelope({
+        type: 'object',
+        required: ['key'],
+        additionalProperties: false,
+        properties: { key: { type: 'string' } },
+      })),
+      ...errorResponses(400, 401, 403, 404),
+    },
+  },
+});
+
+const coverageOperation = (parameters) => ({
+  parameters,
+  get: {
+    summary: 'Gets the known country coverage of a CIDR block.',
+    tags: ['Countries'],
+    security,
+    responses: {
+      200: jsonResponse('The coverage.', envelope(schemaRef('Coverage'), {
+        truncated: { type: 'boolean' },
+      })),
+      ...errorResponses(400, 401),
+    },
+  },
+});
+
+/**
+ * The OpenAPI document of this API, the contract of every route. Requests are
+ * validated against it and, in test mode, responses too (see
+ * `OpenApiValidator`).
+ * @type {object}
+ */
+export default {
+  openapi: '3.1.0',
+  info: {
+    title: 'IP Country API',
+    version,
+    description: 'Provides countries from IP addresses, answered by '
+      + 'several providing APIs with failover, caching and rate limiting.',
+  },
+  tags: [
+    { name: 'Countries' },
+    { name: 'Admin' },
+    { name: 'Operations' },
+  ],
+  paths: {
+    '/countries/{ip}': {
+      get: {
+        summary: 'Gets the country of an IP address.',
+        tags: ['Countries'],
+        security,
+        parameters: [
+          {
+            name: 'ip',
+            in: 'path',
+            required: true,
+            description: 'An IPv4 or IPv6 address.',
+            schema: { type: 'string' },
+          },
+          ...lookupParameters,
+        ],
+        responses: {
+          200: jsonResponse('The country.', schemaRef('Lookup')),
+          ...errorResponses(400, 401, 404, 422, 429, 503),
+        },
+      },
+    },
+    '/countries/me': {
+      get: {
+        summary: 'Gets the country of the requesting client.',
+        tags: ['Countries'],
+        security,
+        parameters: lookupParameters,
+        responses: {
+          200: jsonResponse('The country.', schemaRef('Lookup')),
+          ...errorResponses(400, 401, 404, 422, 429, 503),
+        },
+      },
+    },
+    '/countries/range/{cidr}': coverageOperation([
+      {
+        name: 'cidr',
+        in: 'path',
+        required: true,
+        description: 'A CIDR block with an encoded slash.',
+        schema: { type: 'string' },
+      },
+    ]),
+    '/countries/range/{cidr}/{prefixLength}': coverageOperation([
+      {
+        name: 'cidr',
+        in: 'path',
+        required: true,
+        description: 'The network address of the CIDR block.',
+        schema: { type: 'string', pattern: IP_PATTERN },
+      },
+      prefixLengthParameter,
+    ]),
+    '/countries': {
+      post: {
+        summary: 'Gets the countries of a list of IP addresses.',
+        tags: ['Countries'],
+        security,
+        parameters: lookupParameters,
+        requestBody: jsonBody(ipsBody),
+        responses: {
+          200: jsonResponse('A result per unique IP.', envelope(
+            { type: 'array', items: schemaRef('BatchLookup') },
+            {
+              cacheCount: { type: 'integer' },
+              count: { type: 'integer' },
+              errorCount: { type: 'integer' },
+            }
+          )),
+          ...errorResponses(400, 401),
+        },
+      },
+    },
+    '/graphql': {
+      get: {
+        summary: 'Executes a GraphQL query given as query parameters.',
+        tags: ['Countries'],
+        security,
+        parameters: [
+          { name: 'query', in: 'query', schema: { type: 'string' } },
+          {
+            name: 'variables',
+            in: 'query',
+            description: 'JSON encoded variables.',
+            schema: { type: 'string' },
+          },
+          { name: 'operationName', in: 'query', schema: { type: 'string' } },
+        ],
+        responses: {
+          200: jsonResponse('The query result.', schemaRef('GraphqlResponse')),
+          400: jsonResponse('The query could not be executed.', schemaRef('GraphqlResponse')),
+          default: responseRef('Error'),
+        },
+      },
+      post: {
+        summary: 'Executes a GraphQL query.',
+        tags: ['Countries'],
+        security,
+        requestBody: {
+          // a missing query is reported as a GraphQL error
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  query: { type: 'string' },
+                  variables: nullable('object'),
+                  operationName: nullable('string'),
+                },
+              },
+            },
+          },
+        },
+        responses: {
+          200: jsonResponse('The query result.', schemaRef('GraphqlResponse')),
+          400: jsonResponse('The query could not be executed.', schemaRef('GraphqlResponse')),
+          default: responseRef('Error'),
+        },
+      },
+    },
+    '/admin/cache': {
+      get: {
+        summary: 'Lists cache entries.',
+        tags: ['Admin'],
+        security,
+        parameters: [
+          {
+            name: 'limit',
+            in: 'query',
+            schema: {
+              type: 'integer',
+              minimum: 1,
+              maximum: MAX_CACHE_LIST_LIMIT,
+              default: DEFAULT_CACHE_LIST_LIMIT,
+            },
+          },
+          {
+            name: 'offset',
+            in: 'query',
+            schema: { type: 'integer', minimum: 0, default: 0 },
+          },
+        ],
+        responses: {
+          200: jsonResponse('A page of cache entries.', envelope(
+            { type: 'array', items: schemaRef('CacheEntry') },
+            {
+              count: { type: 'integer' },
+              limit: { type: 'integer' },
+              offset: { type: 'integer' },
+              total: { type: 'integer' },
+            }
+          )),
+          ...errorResponses(400, 401, 403),
+        },
+      },
+      delete: {
+        summary: 'Deletes every cache entry.',
+        tags: ['Admin'],
+        security,
+        responses: {
+          200: jsonResponse('The cache was cleared.', envelope(schemaRef('Empty'))),
+          ...errorResponses(401, 403),
+        },
+      },
+    },
+    '/admin/cache/export': {
+      get: {
+        summary: 'Downloads every cache entry.',
+        tags: ['Admin'],
+        security,
+        parameters: [
+          {
+            name: 'format',
+            in: 'query',
+            schema: { enum: ['json', 'ndjson'], default: 'json' },
+          },
+        ],
+        responses: {
+          200: {
+            description: 'The cache entries.',
+            content: {
+              'application/json': {
+                schema: { type: 'array', items: schemaRef('CacheEntry') },
+              },
+              'application/x-ndjson': {
+                schema: { type: 'string' },
+              },
+            },
+          },
+          ...errorResponses(400, 401, 403),
+        },
+      },
+    },
+    '/admin/cache/import': {
+      post: {
+        summary: 'Imports cache entries in the shape they are exported.',
+        tags: ['Admin'],
+        security,
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: { type: 'array', items: schemaRef('CacheEntry') },
+            },
+            'application/x-ndjson': {
+              schema: { type: 'string' },
+            },
+          },
+        },
+        responses: {
+          200: jsonResponse('The entries were imported.', envelope(schemaRef('Empty'), {
+            count: { type: 'integer' },
+            importedCount: { type: 'integer' },
+            skippedCount: { type: 'integer' },
+          })),
+          ...errorResponses(400, 401, 403),
+        },
+      },
+    },
+    '/admin/cache/warm': {
+      post: {
+        summary: 'Caches a list of IP addresses ahead of time.',
+        tags: ['Admin'],
+        security,
+        requestBody: jsonBody(ipsBody),
+        responses: {
+          200: jsonResponse('A result per unique IP.', envelope(
+            {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['ip', 'status'],
+                additionalProperties: false,
+                properties: {
+                  ip: { type: 'string' },
+                  status: {
+                    enum: ['cached', 'failed', 'overridden', 'skipped', 'warmed'],
+                  },
+                  error: { type: 'string' },
+                },
+              },
+            },
+            {
+              cachedCount: { type: 'integer' },
+              count: { type: 'integer' },
+              failedCount: { type: 'integer' },
+              skippedCount: { type: 'integer' },
+              warmedCount: { type: 'integer' },
+            }
+          )),
+          ...errorResponses(400, 401, 403),
+        },
+      },
+    },
+    '/admin/cache/{key}': cacheEntryOperations(cacheKeyParameters),
+    '/admin/cache/{key}/{prefixLength}': cacheEntryOperations([
+      ...cacheKeyParameters,
+      prefixLengthParameter,
+    ]),
+    '/admin/overrides': {
+      get: {
+        summary: 'Lists the active overrides.',
+        tags: ['Admin'],
+        security,
+        responses: {
+          200: jsonResponse('The overrides.', envelope(
+            {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['cidr', 'location'],
+                additionalProperties: false,
+                properties: {
+                  cidr: { type: 'string' },
+                  location: schemaRef('Location'),
+                  note: { type: 'string' },
+                },
+              },
+            },
+            { count: { type: 'integer' } }
+          )),
+          ...errorResponses(401, 403),
+        },
+      },
+    },
+    '/metrics': {
+      get: {
+        summary: 'Gets metrics in the Prometheus text format.',
+        tags: ['Operations'],
+        responses: {
+          200: {
+            description: 'The metrics.',
+            content: { 'text/plain': { schema: { type: 'string' } } },
+          },
+        },
+      },
+    },
+    '/healthz': {
+      get: {
+        summary: 'Liveness check.',
+        tags: ['Operations'],
+        responses: {
+          200: jsonResponse('The server handles requests.', envelope({
+            type: 'object',
+            required: ['status'],
+            additionalProperties: false,
+            properties: { status: { const: 'ok' } },
+          })),
+        },
+      },
+    },
+    '/readyz': {
+      get: {
+        summary: 'Readiness check.',
+        tags: ['Operations'],
+        responses: {
+          200: jsonResponse('A providing API is available.', envelope(schemaRef('Readiness'))),
+          503: jsonResponse('No providing API is available.', envelope(schemaRef('Readiness'))),
+        },
+      },
+    },
+    '/openapi.json': {
+      get: {
+        summary: 'Gets this OpenAPI document.',
+        tags: ['Operations'],
+        responses: {
+          200: jsonResponse('The OpenAPI document.', { type: 'object' }),
+        },
+      },
+    },
+    '/docs': {
+      get: {
+        summary: 'Interactive documentation of this OpenAPI document.',
+        tags: ['Operations'],
+        responses: {
+          200: {
+            description: 'The documentation page.',
+            content: { 'text/html': { schema: { type: 'string' } } },
+          },
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      apiKey: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-API-Key',
+        description: 'Required when API keys are configured.',
+      },
+      bearer: {
+        type: 'http',
+        scheme: 'bearer',
+        description: 'An API key as a bearer token.',
+      },
+    },
+    parameters: {
+      fields: {
+        name: 'fields',
+        in: 'query',
+        description: `Comma separated location fields to respond with, any of ${
+          LOCATION_FIELDS.join(', ')
+        }.`,
+        schema: { type: 'string' },
+      },
+      lang: {
+        name: 'lang',
+        in: 'query',
+        description: 'A language to localize country names in, like `de`.',
+        schema: { type: 'string' },
+      },
+      consensus: {
+        name: 'consensus',
+        in: 'query',
+        description: 'The number of providing APIs to query and reconcile.',
+        schema: { type: 'integer', minimum: 1 },
+      },
+    },
+    responses: {
+      Error: jsonResponse('An error.', schemaRef('Error')),
+      Error400: jsonResponse('The request is invalid.', schemaRef('Error')),
+      Error401: jsonResponse('The API key is missing or invalid.', schemaRef('Error')),
+      Error403: jsonResponse('The API key is not an admin API key.', schemaRef('Error')),
+      Error404: jsonResponse('Not found.', schemaRef('Error')),
+      Error422: jsonResponse('The IP address is non-routable.', schemaRef('Error')),
+      Error429: jsonResponse(
+        'The API key quota or the providing API rate limit was met.',
+        schemaRef('Error')
+      ),
+      Error503: jsonResponse('No providing API is available.', schemaRef('Error')),
+    },
+    schemas: {
+      Location: {
+        type: 'object',
+        description: 'Fields may be left out with the `fields` parameter.',
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string' },
+          countryCode: { type: 'string' },
+          countryCodeAlpha3: { type: 'string' },
+          continent: { type: 'string' },
+          continentCode: { type: 'string' },
+          region: { type: 'string' },
+          city: { type: 'string' },
+          latitude: { type: 'number' },
+          longitude: { type: 'number' },
+          timeZone: { type: 'string' },
+        },
+      },
+      Attempt: {
+        type: 'object',
+        required: ['provider', 'status'],
+        additionalProperties: false,
+        properties: {
+          provider: { type: 'string' },
+          status: { type: 'integer' },
+          error: { type: 'string' },
+        },
+      },
+      Agreement: {
+        type: 'object',
+        required: ['answers', 'requested', 'status', 'votes'],
+        additionalProperties: false,
+        properties: {
+          answers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['provider', 'status'],
+              additionalProperties: false,
+              properties: {
+                provider: { type: 'string' },
+                status: { type: 'integer' },
+                countryCode: { type: 'string' },
+                name: { type: 'string' },
+                error: { type: 'string' },
+              },
+            },
+          },
+          requested: { type: 'integer' },
+          status: { enum: ['unanimous', 'majority', 'tie-breaker', 'disputed'] },
+          votes: { type: 'integer' },
+        },
+      },
+      Database: {
+        type: 'object',
+        required: ['type', 'version'],
+        additionalProperties: false,
+        properties: {
+          type: { type: 'string' },
+          version: { type: 'string' },
+        },
+      },
+      ErrorMeta: {
+        type: 'object',
+        required: ['status'],
+        additionalProperties: false,
+        properties: {
+          agreement: schemaRef('Agreement'),
+          apiUrl: { type: 'string' },
+          attempts: { type: 'array', items: schemaRef('Attempt') },
+          coalesced: { type: 'boolean' },
+          database: schemaRef('Database'),
+          ip: { type: 'string' },
+          rateLimit: {
+            ...nullable('integer'),
+            description: 'The rate limit of the providing API, null when unlimited.',
+          },
+          rateLimitCount: { type: 'integer' },
+          requestId: { type: 'string' },
+          status: { type: 'integer' },
+        },
+      },
+      LookupMeta: {
+        type: 'object',
+        required: ['cache', 'status'],
+        additionalProperties: false,
+        properties: {
+          agreement: schemaRef('Agreement'),
+          apiUrl: { type: 'string' },
+          attempts: { type: 'array', items: schemaRef('Attempt') },
+          cache: { type: 'boolean' },
+          cacheAge: { type: 'integer' },
+          coalesced: { type: 'boolean' },
+          database: schemaRef('Database'),
+          ip: { type: 'string' },
+          network: { type: 'string' },
+          rateLimit: {
+            ...nullable('integer'),
+            description: 'The rate limit of the providing API, null when unlimited.',
+          },
+          rateLimitCount: { type: 'integer' },
+          requestId: { type: 'string' },
+          source: { const: 'override' },
+          status: { const: 200 },
+        },
+      },
+      Lookup: {
+        type: 'object',
+        required: ['data', 'meta'],
+        additionalProperties: false,
+        properties: {
+          data: schemaRef('Location'),
+          meta: schemaRef('LookupMeta'),
+        },
+      },
+      Error: {
+        type: 'object',
+        required: ['error', 'meta'],
+        additionalProperties: false,
+        properties: {
+          error: {
+            type: 'object',
+            required: ['message'],
+            additionalProperties: false,
+            properties: { message: { type: 'string' } },
+          },
+          meta: schemaRef('ErrorMeta'),
+        },
+      },
+      BatchLookup: {
+        type: 'object',
+        required: ['ip', 'meta'],
+        properties: {
+          ip: { type: 'string' },
+        },
+        oneOf: [
+          {
+            required: ['data'],
+            properties: {
+              ip: true,
+              data: schemaRef('Location'),
+              meta: schemaRef('LookupMeta'),
+            },
+            additionalProperties: false,
+          },
+          {
+            required: ['error'],
+            properties: {
+              ip: true,
+              error: schemaRef('Error/properties/error'),
+              meta: schemaRef('ErrorMeta'),
+            },
+            additionalProperties: false,
+          },
+        ],
+      },
+      Coverage: {
+        type: 'object',
+        required: ['cidr', 'coverage', 'countries', 'ranges'],
+        additionalProperties: false,
+        properties: {
+          cidr: { type: 'string' },
+          coverage: { type: 'number', minimum: 0, maximum: 1 },
+          countries: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['coverage'],
+              additionalProperties: false,
+              properties: {
+                countryCode: { type: 'string' },
+                name: { type: 'string' },
+                coverage: { type: 'number', minimum: 0, maximum: 1 },
+              },
+            },
+          },
+          ranges: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['cidr', 'source'],
+              additionalProperties: false,
+              properties: {
+                cidr: { type: 'string' },
+                countryCode: { type: 'string' },
+                name: { type: 'string' },
+                source: { type: 'string' },
+              },
+            },
+          },
+        },
+      },
+      CacheEntry: {
+        type: 'object',
+        required: ['key', 'value', 'createdAt', 'expiresAt'],
+        additionalProperties: false,
+        properties: {
+          key: {
+            type: 'string',
+            description: 'An IP address or the CIDR block of a cached network.',
+          },
+          value: schemaRef('Location'),
+          createdAt: { type: 'integer' },
+          expiresAt: nullable('integer'),
+        },
+      },
+      Empty: {
+        type: 'object',
+        additionalProperties: false,
+      },
+      Readiness: {
+        type: 'object',
+        required: ['ready', 'providers'],
+        additionalProperties: false,
+        properties: {
+          ready: { type: 'boolean' },
+          providers: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['provider', 'status', 'circuit'],
+              additionalProperties: false,
+              properties: {
+                provider: { type: 'string' },
+                status: {
+                  enum: ['available', 'unconfigured', 'rate-limited', 'circuit-open'],
+                },
+                circuit: { enum: ['closed', 'open', 'half-open'] },
+                rateLimit: nullable('integer'),
+                rateLimitRemaining: nullable('integer'),
+                rateLimitResetAt: nullable('string'),
+                lastError: {
+                  oneOf: [
+                    { type: 'null' },
+                    {
+                      type: 'object',
+                      required: ['message', 'status', 'at'],
+                      additionalProperties: false,
+                      properties: {
+                        message: { type: 'string' },
+                        status: { type: 'integer' },
+                        at: { type: 'string' },
+                      },
+                    },
+                  ],
+                },
+              },
+            },
+          },
+        },
+      },
+      GraphqlResponse: {
+        type: 'object',
+        properties: {
+          data: nullable('object'),
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['message'],
+              properties: {
+                message: { type: 'string' },
+                path: { type: 'array' },
+                extensions: { type: 'object' },
+              },
+            },
+          },
+          extensions: {
+            type: 'object',
+            properties: { requestId: { type: 'string' } },
+          },
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,182 @@
+import ApiClientIpstack from './services/api-client.js';
+import ApiClientHttp from './services/api-client-http.js';
+import ApiClientIpApi from './services/api-client-ip-api.js';
+import ApiClientIpapiCo from './services/api-client-ipapi-co.js';
+import ApiClientIpgeolocation from './services/api-client-ipgeolocation.js';
+import ApiClientIpinfo from './services/api-client-ipinfo.js';
+import ApiClientIpxapi from './services/api-client-ipxapi.js';
+import ApiClientLocal from './services/api-client-local.js';
+import ApiClientOrchestrator from './services/api-client-orchestrator.js';
+import FileCache from './services/cache-file.js';
+import MemoryCache from './services/cache-memory.js';
+import RedisCache from './services/cache-redis.js';
+import metrics from './services/metrics.js';
+import Overrides from './services/overrides.js';
+import { loadProviderConfig } from './services/provider-config.js';
+import FileRateLimitStore from './services/rate-limit-store-file.js';
+import MemoryRateLimitStore from './services/rate-limit-store-memory.js';
+import RedisRateLimitStore from './services/rate-limit-store-redis.js';
+import CostStrategy from './services/strategy-cost.js';
+import LatencyStrategy from './services/strategy-latency.js';
+import PriorityStrategy from './services/strategy-priority.js';
+import QuotaStrategy from './services/strategy-quota.js';
+import RoundRobinStrategy from './services/strategy-round-robin.js';
+import {
+  DEFAULT_RATE_LIMIT,
+  apis,
+  cache,
+  circuitBreaker,
+  consensus,
+  getProviderEnv,
+  overridesPath,
+  providersPath,
+  rateLimitStore,
+  strategy,
+} from './config.js';
+
+/**
+ * Creates the configured rate limit store.
+ * @returns {RateLimitStore} - A RateLimitStore class instance.
+ */
+const createRateLimitStore = () => {
+  const { algorithm } = rateLimitStore;
+  switch (rateLimitStore.store) {
+    case 'file':
+      return new FileRateLimitStore({
+        algorithm,
+        path: rateLimitStore.filePath,
+      });
+    case 'memory':
+      return new MemoryRateLimitStore({ algorithm });
+    case 'redis':
+      return new RedisRateLimitStore({
+        algorithm,
+        url: rateLimitStore.redisUrl,
+      });
+    default:
+      throw new Error(
+        `Unsupported rate limit store '${rateLimitStore.store}'`
+      );
+  }
+};
+
+// rate limits are counted per API name, so the APIs share a store
+const apiRateLimitStore = createRateLimitStore();
+
+/**
+ * Creates an ApiClient from a provider definition of the providers file.
+ * Environment variables named after the provider take precedence over the
+ * definition's settings.
+ * @param {object} provider - A provider definition.
+ * @returns {ApiClient} - An ApiClient class instance.
+ */
+const createApiClient = ({
+  name,
+  optional,
+  priority,
+  type = 'http',
+  url,
+  ...options
+}) => {
+  const env = getProviderEnv(name);
+  const settings = {
+    cost: env.cost ?? options.cost,
+    rateLimit: env.rateLimit ?? options.rateLimit ?? DEFAULT_RATE_LIMIT,
+    rateLimitStore: apiRateLimitStore,
+    rateLimitTimeframe: env.rateLimitTimeframe ?? options.rateLimitTimeframe,
+    retries: env.retries ?? options.retries,
+    retryDelay: options.retryDelay,
+    timeout: env.timeout ?? options.timeout,
+    token: env.token,
+  };
+  switch (type) {
+    case 'http':
+      return new ApiClientHttp({ ...options, ...settings, name, url });
+    case 'ip-api':
+      return new ApiClientIpApi({ ...settings, baseUrl: url });
+    case 'ipapi.co':
+      return new ApiClientIpapiCo({ ...settings, baseUrl: url });
+    case 'ipgeolocation':
+      return new ApiClientIpgeolocation({ ...settings, baseUrl: url });
+    case 'ipinfo':
+      return new ApiClientIpinfo({ ...settings, baseUrl: url });
+    case 'ipstack':
+      return new ApiClientIpstack({ ...settings, baseUrl: url });
+    case 'ipxapi':
+      return new ApiClientIpxapi({ ...settings, baseUrl: url });
+    default:
+      throw new Error(`Unsupported provider type '${type}' of '${name}'`);
+  }
+};
+
+// optional providers are left out unless their token is set
+const remoteApiClients = loadProviderConfig(providersPath)
+  .filter(({ name, optional }) => !optional || getProviderEnv(name).token)
+  .map(createApiClient);
+
+const localApiClients = apis.local.path
+  ? [new ApiClientLocal({ path: apis.local.path, watch: apis.local.watch })]
+  : [];
+
+/**
+ * Creates the configured cache store.
+ * @returns {Cache} - A Cache class instance.
+ */
+const createCache = () => {
+  switch (cache.store) {
+    case 'file':
+      return new FileCache({
+        path: cache.filePath,
+        maxEntries: cache.maxEntries,
+        ttl: cache.ttl,
+      });
+    case 'memory':
+      return new MemoryCache({
+        maxEntries: cache.maxEntries,
+        ttl: cache.ttl,
+      });
+    case 'redis':
+      return new RedisCache({
+        ttl: cache.ttl,
+        url: cache.redisUrl,
+      });
+    default:
+      throw new Error(`Unsupported cache store '${cache.store}'`);
+  }
+};
+
+/**
+ * Creates the configured provider selection strategy.
+ * @returns {Strategy} - A Strategy class instance.
+ */
+const createStrategy = () => {
+  switch (strategy) {
+    case 'cost':
+      return new CostStrategy();
+    case 'latency':
+      return new LatencyStrategy();
+    case 'priority':
+      return new PriorityStrategy();
+    case 'quota':
+      return new QuotaStrategy();
+    case 'round-robin':
+      return new RoundRobinStrategy();
+    default:
+      throw new Error(`Unsupported strategy '${strategy}'`);
+  }
+};
+
+/**
+ * The orchestrator of the configured ApiClients, shared by controllers.
+ */
+export default new ApiClientOrchestrator({
+  apiClients: apis.local.primary
+    ? [...localApiClients, ...remoteApiClients]
+    : [...remoteApiClients, ...localApiClients],
+  cache: createCache(),
+  circuitBreaker,
+  consensus,
+  metrics,
+  overrides: overridesPath ? Overrides.fromFile(overridesPath) : undefined,
+  strategy: createStrategy(),
+});
@@ -1,9 +1,64 @@
-import { getCountry } from '../controllers/countries.js';
+import {
+  clearCache,
+  deleteCacheEntry,
+  exportCache,
+  getCacheEntry,
+  importCache,
+  listCacheEntries,
+  warmCache,
+} from '../controllers/cache.js';
+import {
+  getClientCountry,
+  getCountries,
+  getCountry,
+  getRangeCoverage,
+} from '../controllers/countries.js';
+import { queryGraphql } from '../controllers/graphql.js';
+import { getHealth, getReadiness } from '../controllers/health.js';
+import { getMetrics } from '../controllers/metrics.js';
+import {
+  getDocs,
+  getOpenApiDocument,
+  swaggerUiAssets,
+} from '../controllers/openapi.js';
+import { listOverrides } from '../controllers/overrides.js';
+import authenticate, { authorizeAdmin } from '../middleware/authenticate.js';
+import { validateRequests } from '../middleware/openapi.js';
 
 /**
- * Binds routes to controllers.
+ * Binds routes to controllers. Requests are validated against the OpenAPI
+ * document once authenticated.
  * @param {object} app - Express app.
  */
 export default (app) => {
+  app.use('/countries', authenticate, validateRequests);
+
+  // must be bound before `/countries/:ip` to take precedence
+  app.get('/countries/me', getClientCountry);
+  app.get('/countries/range/:cidr/:prefixLength?', getRangeCoverage);
   app.get('/countries/:ip', getCountry);
+  app.post('/countries', getCountries);
+
+  app.use('/graphql', authenticate, validateRequests);
+  app.get('/graphql', queryGraphql);
+  app.post('/graphql', queryGraphql);
+
+  app.use('/admin', authenticate, authorizeAdmin, validateRequests);
+  // must be bound before `/admin/cache/:key` to take precedence
+  app.get('/admin/cache', listCacheEntries);
+  app.delete('/admin/cache', clearCache);
+  app.get('/admin/cache/export', exportCache);
+  app.post('/admin/cache/import', importCache);
+  app.post('/admin/cache/warm', warmCache);
+  app.get('/admin/cache/:key/:prefixLength?', getCacheEntry);
+  app.delete('/admin/cache/:key/:prefixLength?', deleteCacheEntry);
+  app.get('/admin/overrides', listOverrides);
+
+  app.get('/metrics', getMetrics);
+  app.get('/healthz', getHealth);
+  app.get('/readyz', getReadiness);
+
+  app.get('/openapi.json', getOpenApiDocument);
+  app.get('/docs', getDocs);
+  app.use('/docs/assets', swaggerUiAssets);
 };
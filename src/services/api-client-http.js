@@ -0,0 +1,196 @@
+import ApiClient, { ApiError } from './api-client.js';
+import { LOCATION_FIELDS } from '../utils/location.js';
+
+export const AUTH_TYPES = ['bearer', 'none', 'query'];
+
+/**
+ * Returns the value at a path of an object, like `time_zone.id` or
+ * `$.data.0.country`. Path segments are separated by dots, array items are
+ * addressed by index and a leading `$` is optional.
+ * @param {*} object - The object to resolve the path in.
+ * @param {string} path - The path.
+ * @returns {*} - The value or undefined if the path doesn't exist.
+ */
+export const getPathValue = (object, path) => path
+  .replace(/^\$\.?/, '')
+  .split('.')
+  .filter(Boolean)
+  .reduce((value, segment) => (
+    value === undefined || value === null ? undefined : value[segment]
+  ), object);
+
+/**
+ * Returns whether a result matches an error rule.
+ * @param {object} result - A result returned from the providing API.
+ * @param {object} rule - An error rule, see the ApiClientHttp constructor.
+ * @returns {boolean} - True if the rule matches.
+ */
+const matchesErrorRule = (result, { path, equals }) => {
+  const value = getPathValue(result, path);
+  if (equals === undefined) {
+    return value !== undefined && value !== null && value !== false;
+  }
+  return Array.isArray(equals) ? equals.includes(value) : value === equals;
+};
+
+/**
+ * An ApiClient extended class for providing APIs described declaratively, so
+ * a provider is added with configuration rather than a subclass. The URL,
+ * authorization, result mapping and error detection come from options, see
+ * the constructor.
+ * See ApiClient definition for JSDoc types.
+ * @extends ApiClient
+ */
+export default class ApiClientHttp extends ApiClient {
+  /**
+   * How the token is sent.
+   * @property {{type: string, param: string}}
+   * @private
+   */
+  #auth;
+
+  /**
+   * Rules detecting errors in results.
+   * @property {object[]}
+   * @private
+   */
+  #errors;
+
+  /**
+   * Result paths by location field.
+   * @property {object}
+   * @private
+   */
+  #fields;
+
+  /**
+   * The result path of the CIDR block the IP belongs to, if any.
+   * @property {string}
+   * @private
+   */
+  #network;
+
+  /**
+   * @param {object} config - Options of ApiClient, except for `baseUrl`,
+   *  and the below.
+   * @param {string} config.name - A name identifying the providing API.
+   * @param {string} config.url - A URL template where `{ip}` is replaced by
+   *  the IP address, like `https://ipinfo.io/{ip}/json`.
+   * @param {object} [config.auth] - How the token is sent, defaults to none.
+   * @param {string} config.auth.type - One of `query` (a query parameter),
+   *  `bearer` (an `Authorization: Bearer` header) or `none`.
+   * @param {string} [config.auth.param] - The query parameter name, defaults
+   *  to `token`.
+   * @param {object} config.fields - Result paths (see `getPathValue`) by
+   *  location field (see `LOCATION_FIELDS`). The `name` path is required.
+   * @param {object[]} [config.errors] - Rules detecting errors in results,
+   *  the first one matching a result applies.
+   * @param {string} config.errors[].path - The result path to check.
+   * @param {*} [config.errors[].equals] - A value, or a list of values, the
+   *  result path must equal to match. Without one the rule matches when the
+   *  path has a value other than false.
+   * @param {number} [config.errors[].status] - The error status, defaults to
+   *  400. A 429 status marks the client rate limited.
+   * @param {string} [config.errors[].message] - The result path of the error
+   *  message.
+   * @param {string} [config.network] - The result path of the CIDR block the
+   *  IP belongs to, like `network`, if the providing API returns one.
+   */
+  constructor({
+    auth = { type: 'none' },
+    errors = [],
+    fields,
+    name,
+    network,
+    url,
+    ...options
+  }) {
+    if (typeof name !== 'string' || !name) {
+      throw new Error(`'name' option is invalid`);
+    }
+    if (typeof url !== 'string' || !url.includes('{ip}')) {
+      throw new Error(`'url' option is invalid`);
+    }
+    if (!auth || !AUTH_TYPES.includes(auth.type)) {
+      throw new Error(`'auth' option is invalid`);
+    }
+    if (
+      !fields
+      || typeof fields.name !== 'string'
+      || Object.entries(fields).some(([field, path]) => (
+        !LOCATION_FIELDS.includes(field) || typeof path !== 'string'
+      ))
+    ) {
+      throw new Error(`'fields' option is invalid`);
+    }
+    if (
+      !Array.isArray(errors)
+      || errors.some((rule) => !rule || typeof rule.path !== 'string')
+    ) {
+      throw new Error(`'errors' option is invalid`);
+    }
+    if (network !== undefined && typeof network !== 'string') {
+      throw new Error(`'network' option is invalid`);
+    }
+
+    super({ ...options, baseUrl: url });
+    this._name = name;
+    this.#auth = { param: 'token', ...auth };
+    this.#errors = errors;
+    this.#fields = fields;
+    this.#network = network;
+    if (auth.type === 'bearer') {
+      this._headers = {
+        accept: 'application/json',
+        authorization: `Bearer ${options.token}`,
+      };
+    }
+  }
+
+  /**
+   * Providing APIs without authorization need no token.
+   * @returns {boolean} - True if a token is set or none is needed.
+   */
+  get isConfigured() {
+    return this.#auth.type === 'none' || super.isConfigured;
+  }
+
+  getCountryApiUrl(ip) {
+    const url = new URL(this._baseUrl.replaceAll('{ip}', encodeURIComponent(ip)));
+    if (this.#auth.type === 'query') {
+      url.searchParams.set(this.#auth.param, this._token);
+    }
+    return url.toString();
+  }
+
+  getLocationFromResult(result) {
+    return Object.fromEntries(Object.entries(this.#fields).map(([field, path]) => (
+      [field, getPathValue(result, path)]
+    )));
+  }
+
+  getNetworkFromResult(result) {
+    return this.#network && getPathValue(result, this.#network);
+  }
+
+  validateResult(result) {
+    const rule = this.#errors.find((errorRule) => (
+      matchesErrorRule(result, errorRule)
+    ));
+    if (!rule) {
+      return;
+    }
+
+    const status = rule.status || 400;
+    if (status === 429) {
+      this.markRateLimited();
+    }
+    const message = rule.message && getPathValue(result, rule.message);
+    throw new ApiError(
+      typeof message === 'string' && message
+        ? message
+        : 'An unknown error occurred',
+      { status }
+    );
+  }
+}
@@ -0,0 +1,54 @@
+import ApiClient, { ApiError } from './api-client.js';
+
+// ip-api leaves out continents unless fields are listed
+const FIELDS = [
+  'status',
+  'message',
+  'continent',
+  'continentCode',
+  'country',
+  'countryCode',
+  'regionName',
+  'city',
+  'lat',
+  'lon',
+  'timezone',
+].join(',');
+
+/**
+ * An ApiClient extended class specifically for the ip-api Pro API
+ * (https://ip-api.com/).
+ * See ApiClient definition for JSDoc types.
+ * @extends ApiClient
+ */
+export default class ApiClientIpApi extends ApiClient {
+  _name = 'ip-api';
+
+  getCountryApiUrl(ip) {
+    return `${this._baseUrl}/json/${encodeURIComponent(ip)}`
+      + `?fields=${FIELDS}&key=${this._token}`;
+  }
+
+  getLocationFromResult(result) {
+    return {
+      name: result.country,
+      countryCode: result.countryCode,
+      continent: result.continent,
+      continentCode: result.continentCode,
+      region: result.regionName,
+      city: result.city,
+      latitude: result.lat,
+      longitude: result.lon,
+      timeZone: result.timezone,
+    };
+  }
+
+  validateResult(result) {
+    if (result.status === 'fail') {
+      throw new ApiError(
+        result.message || 'An unknown error occurred',
+        { status: 400 }
+      );
+    }
+  }
+}
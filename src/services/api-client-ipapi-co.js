@@ -0,0 +1,49 @@
+import ApiClient, { ApiError } from './api-client.js';
+
+/**
+ * An ApiClient extended class specifically for ipapi (https://ipapi.co/).
+ * See ApiClient definition for JSDoc types.
+ * @extends ApiClient
+ */
+export default class ApiClientIpapiCo extends ApiClient {
+  _name = 'ipapi.co';
+
+  getCountryApiUrl(ip) {
+    return `${this._baseUrl}/${encodeURIComponent(ip)}/json/?key=${this._token}`;
+  }
+
+  getLocationFromResult(result) {
+    return {
+      name: result.country_name,
+      countryCode: result.country_code,
+      countryCodeAlpha3: result.country_code_iso3,
+      continentCode: result.continent_code,
+      region: result.region,
+      city: result.city,
+      latitude: result.latitude,
+      longitude: result.longitude,
+      timeZone: result.timezone,
+    };
+  }
+
+  getNetworkFromResult(result) {
+    return result.network;
+  }
+
+  validateResult(result) {
+    if (result.reserved) {
+      throw new ApiError('Non-routable IP address', { status: 400 });
+    }
+    if (result.error) {
+      let status = 400;
+      if (result.reason === 'RateLimited') {
+        this.markRateLimited();
+        status = 429;
+      }
+      throw new ApiError(
+        result.message || result.reason || 'An unknown error occurred',
+        { status }
+      );
+    }
+  }
+}
@@ -0,0 +1,37 @@
+import ApiClient, { ApiError } from './api-client.js';
+
+/**
+ * An ApiClient extended class specifically for ipgeolocation
+ * (https://ipgeolocation.io/).
+ * See ApiClient definition for JSDoc types.
+ * @extends ApiClient
+ */
+export default class ApiClientIpgeolocation extends ApiClient {
+  _name = 'ipgeolocation';
+
+  getCountryApiUrl(ip) {
+    return `${this._baseUrl}/ipgeo?apiKey=${this._token}&ip=${encodeURIComponent(ip)}`;
+  }
+
+  getLocationFromResult(result) {
+    return {
+      name: result.country_name,
+      countryCode: result.country_code2,
+      countryCodeAlpha3: result.country_code3,
+      continent: result.continent_name,
+      continentCode: result.continent_code,
+      region: result.state_prov,
+      city: result.city,
+      latitude: result.latitude,
+      longitude: result.longitude,
+      timeZone: result.time_zone && result.time_zone.name,
+    };
+  }
+
+  validateResult(result) {
+    // errors only carry a message
+    if (result.message && !result.country_name) {
+      throw new ApiError(result.message, { status: 400 });
+    }
+  }
+}
@@ -0,0 +1,54 @@
+import ApiClient, { ApiError } from './api-client.js';
+
+/**
+ * An ApiClient extended class specifically for ipinfo (https://ipinfo.io/).
+ * See ApiClient definition for JSDoc types.
+ * @extends ApiClient
+ */
+export default class ApiClientIpinfo extends ApiClient {
+  _name = 'ipinfo';
+
+  constructor(options) {
+    super(options);
+    this._headers = {
+      accept: 'application/json',
+      authorization: `Bearer ${options.token}`,
+    };
+  }
+
+  getCountryApiUrl(ip) {
+    return `${this._baseUrl}/${encodeURIComponent(ip)}/json`;
+  }
+
+  getLocationFromResult(result) {
+    // coordinates are given as `<latitude>,<longitude>`
+    const [latitude, longitude] = typeof result.loc === 'string'
+      ? result.loc.split(',')
+      : [];
+    return {
+      countryCode: result.country,
+      region: result.region,
+      city: result.city,
+      latitude,
+      longitude,
+      timeZone: result.timezone,
+    };
+  }
+
+  getNetworkFromResult(result) {
+    // the route is included on plans with ASN details
+    return result.asn && result.asn.route;
+  }
+
+  validateResult(result) {
+    if (result.bogon) {
+      throw new ApiError('Non-routable IP address', { status: 400 });
+    }
+    if (result.error) {
+      throw new ApiError(
+        result.error.message || result.error.title || 'An unknown error occurred',
+        { status: 400 }
+      );
+    }
+  }
+}
@@ -6,6 +6,8 @@ import ApiClient, { ApiError } from './api-client.js';
  * @extends ApiClient
  */
 export default class ApiClientIpxapi extends ApiClient {
+  _name = 'ipxapi';
+
   constructor(options) {
     super(options);
     this._headers = {
@@ -15,11 +17,21 @@ export default class ApiClientIpxapi extends ApiClient {
   }
 
   getCountryApiUrl(ip) {
-    return `${this._baseUrl}/ip?ip=${ip}`;
+    return `${this._baseUrl}/ip?ip=${encodeURIComponent(ip)}`;
   }
 
-  getCountryNameFromResult(result) {
-    return result.country;
+  getLocationFromResult(result) {
+    return {
+      name: result.country,
+      countryCode: result.country_code,
+      continent: result.continent,
+      continentCode: result.continent_code,
+      region: result.region,
+      city: result.city,
+      latitude: result.latitude,
+      longitude: result.longitude,
+      timeZone: result.timezone,
+    };
   }
 
   validateResult(result) {
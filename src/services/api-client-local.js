@@ -0,0 +1,322 @@
+import fs from 'fs';
+import path from 'path';
+import { Reader } from 'mmdb-lib';
+import ApiClient, { ApiError } from './api-client.js';
+import defaultLogger from './logger.js';
+import {
+  containsCidr,
+  formatCidr,
+  formatIp,
+  getCidrSize,
+  getNetwork,
+  IpPrefixMap,
+  maskIp,
+  parseCidr,
+  parseIp,
+} from '../utils/ip.js';
+import { normalizeLocation } from '../utils/location.js';
+
+export const DEFAULT_RANGE_LIMIT = 1024;
+
+/**
+ * Parses a CSV of `<cidr>,<country name>` rows into a prefix map. Blank
+ * lines, `#` comments and a header row are skipped, as are columns after
+ * the second.
+ * @param {string} content - CSV file content.
+ * @returns {IpPrefixMap} - A prefix map of CIDR blocks to country names.
+ */
+export const parseCsvDatabase = (content) => {
+  const ranges = new IpPrefixMap();
+  let isFirstRow = true;
+
+  content.split(/\r?\n/).forEach((line, index) => {
+    const row = line.trim();
+    if (!row || row.startsWith('#')) {
+      return;
+    }
+
+    const [cidr, name] = row.split(',').map((column) => (
+      column.trim().replace(/^"(.*)"$/, '$1')
+    ));
+    // an invalid first row is taken as a header
+    if (!ranges.set(cidr, name) && !isFirstRow) {
+      throw new Error(`Invalid CSV database row ${index + 1}: ${row}`);
+    }
+    isFirstRow = false;
+  });
+
+  return ranges;
+};
+
+/**
+ * An ApiClient extended class that answers from a local IP range database,
+ * either a MaxMind MMDB file or a CSV of CIDR to country name rows. Lookups
+ * make no network calls and aren't rate limited. The database is reloaded
+ * when the file changes.
+ * See ApiClient definition for JSDoc types.
+ * @extends ApiClient
+ */
+export default class ApiClientLocal extends ApiClient {
+  _name = 'local';
+
+  /**
+   * The loaded database, a `Reader` for MMDB files or an `IpPrefixMap`
+   * for CSV files.
+   * @property {Reader|IpPrefixMap}
+   * @private
+   */
+  #database;
+
+  /**
+   * Describes the loaded database for result meta data.
+   * @property {{type: string, version: string}}
+   * @private
+   */
+  #databaseInfo;
+
+  /**
+   * The path of the database file.
+   * @property {string}
+   * @private
+   */
+  #path;
+
+  /**
+   * The listener watching the database file for changes, if any.
+   * @property {function}
+   * @private
+   */
+  #watchListener;
+
+  /**
+   * @param {object} config
+   * @param {string} config.path - The path of an `.mmdb` or `.csv` database.
+   * @param {boolean} [config.watch] - Reloads the database when the file
+   *  changes if true.
+   * @param {number} [config.watchInterval] - Milliseconds between file change
+   *  checks.
+   */
+  constructor({ path: databasePath, watch = false, watchInterval = 5000 }) {
+    if (typeof databasePath !== 'string') {
+      throw new Error(`'path' option is invalid`);
+    }
+
+    // local databases have no base URL, token or rate limit
+    super({ baseUrl: '', rateLimit: Infinity, token: '' });
+    this.#path = databasePath;
+    this.load();
+
+    if (watch) {
+      this.#watchListener = (current, previous) => {
+        if (current.mtimeMs === previous.mtimeMs) {
+          return;
+        }
+        try {
+          this.load();
+        } catch (error) {
+          // keep answering from the previous database
+          defaultLogger.error('Unable to reload the local database', { error });
+        }
+      };
+      fs.watchFile(this.#path, { interval: watchInterval }, this.#watchListener)
+        .unref();
+    }
+  }
+
+  /**
+   * Describes the loaded database.
+   * @returns {{type: string, version: string}} - The database type and version.
+   */
+  get database() {
+    return this.#databaseInfo;
+  }
+
+  /**
+   * Local databases need no token.
+   * @returns {boolean} - Always true.
+   */
+  get isConfigured() {
+    return true;
+  }
+
+  /**
+   * Local lookups are free and the database may be reloaded, so results
+   * aren't cached.
+   * @returns {boolean} - Always false.
+   */
+  get isCacheable() {
+    return false;
+  }
+
+  /**
+   * Stops watching the database file.
+   */
+  close() {
+    if (this.#watchListener) {
+      fs.unwatchFile(this.#path, this.#watchListener);
+      this.#watchListener = undefined;
+    }
+  }
+
+  /**
+   * (Re)loads the database from file. Throws if the file can't be parsed.
+   */
+  load() {
+    const buffer = fs.readFileSync(this.#path);
+
+    if (path.extname(this.#path).toLowerCase() === '.csv') {
+      this.#database = parseCsvDatabase(buffer.toString('utf8'));
+      this.#databaseInfo = {
+        type: 'csv',
+        version: fs.statSync(this.#path).mtime.toISOString(),
+      };
+      return;
+    }
+
+    const reader = new Reader(buffer);
+    this.#database = reader;
+    this.#databaseInfo = {
+      type: reader.metadata.databaseType,
+      version: reader.metadata.buildEpoch.toISOString(),
+    };
+  }
+
+  /**
+   * Finds the database record of an IP and the prefix length of the block
+   * it belongs to.
+   * @param {string} ip - An IP address.
+   * @returns {Array} - A `[record, prefixLength]` tuple, where the record is
+   *  null if the IP isn't in the database.
+   * @private
+   */
+  #find(ip) {
+    if (this.#database instanceof IpPrefixMap) {
+      const match = this.#database.get(ip);
+      return match ? [match, match.prefixLength] : [null];
+    }
+    return this.#database.getWithPrefixLength(ip);
+  }
+
+  /**
+   * Returns the database blocks with a country in a CIDR block, where a
+   * block containing the whole CIDR block is returned as the CIDR block
+   * itself. MMDB databases are walked block by block up to a limit.
+   * @param {string} cidr - A CIDR block.
+   * @param {object} [options]
+   * @param {number} [options.limit] - The maximum number of MMDB blocks to
+   *  walk.
+   * @returns {{ranges: object[], truncated: boolean}} - Blocks as `{cidr,
+   *  location}` in no particular order and whether the walk stopped at the
+   *  limit.
+   */
+  getRanges(cidr, { limit = DEFAULT_RANGE_LIMIT } = {}) {
+    const range = parseCidr(cidr);
+    if (!range) {
+      throw new Error(`Invalid CIDR block '${cidr}'`);
+    }
+
+    const ranges = [];
+    const addRange = (block, record) => {
+      const location = normalizeLocation(this.getLocationFromResult(record));
+      if (location.name) {
+        ranges.push({ cidr: formatCidr(block), location });
+      }
+    };
+
+    if (this.#database instanceof IpPrefixMap) {
+      for (const [blockCidr, value] of this.#database.entries()) {
+        const block = parseCidr(blockCidr);
+        if (containsCidr(block, range)) {
+          addRange(range, { value });
+        } else if (containsCidr(range, block)) {
+          addRange(block, { value });
+        }
+      }
+      return { ranges, truncated: false };
+    }
+
+    const end = range.network + getCidrSize(range);
+    let address = range.network;
+    for (let steps = 0; address < end && steps < limit; steps++) {
+      const [record, prefixLength] = this.#database.getWithPrefixLength(
+        formatIp(range.version, address)
+      );
+      const blockPrefixLength = Math.max(prefixLength, range.prefixLength);
+      const block = {
+        version: range.version,
+        prefixLength: blockPrefixLength,
+        network: maskIp(address, blockPrefixLength, range.version),
+      };
+      if (record) {
+        addRange(block, record);
+      }
+      address = block.network + getCidrSize(block);
+    }
+    return { ranges, truncated: address < end };
+  }
+
+  formatResult(payload) {
+    const { meta, ...result } = super.formatResult({
+      ...payload,
+      database: this.#databaseInfo,
+    });
+    const { rateLimit, rateLimitCount, ...localMeta } = meta;
+    return { ...result, meta: localMeta };
+  }
+
+  async getCountry(ip, { logger = defaultLogger } = {}) {
+    try {
+      if (!parseIp(ip)) {
+        throw new ApiError('Invalid IP address', { status: 400 });
+      }
+
+      const [result, prefixLength] = this.#find(ip);
+      const location = result
+        ? normalizeLocation(this.getLocationFromResult(result))
+        : {};
+      if (!location.name) {
+        throw new ApiError('Country not found for this IP', {
+          status: 400,
+        });
+      }
+
+      return this.formatResult({
+        ...location,
+        network: getNetwork(ip, prefixLength),
+      });
+    } catch (error) {
+      if (!error.status || error.status >= 500) {
+        logger.error('Local lookup failed', { provider: this._name, error });
+      }
+
+      return this.formatResult({ error });
+    }
+  }
+
+  getCountryApiUrl() {
+    return undefined;
+  }
+
+  getLocationFromResult(result) {
+    // CSV prefix map match
+    if (typeof result.value === 'string') {
+      return { name: result.value };
+    }
+
+    // MMDB record
+    const getName = (record) => record && record.names && record.names.en;
+    const country = result.country || result.registered_country || {};
+    const location = result.location || {};
+    return {
+      name: getName(country),
+      countryCode: country.iso_code,
+      continent: getName(result.continent),
+      continentCode: result.continent && result.continent.code,
+      region: getName(result.subdivisions && result.subdivisions[0]),
+      city: getName(result.city),
+      latitude: location.latitude,
+      longitude: location.longitude,
+      timeZone: location.time_zone,
+    };
+  }
+}
@@ -1,6 +1,34 @@
+import { ApiError, formatResult } from './api-client.js';
+import MemoryCache from './cache-memory.js';
+import CacheWarmer from './cache-warmer.js';
+import CircuitBreaker from './circuit-breaker.js';
+import Consensus from './consensus.js';
+import Coverage from './coverage.js';
+import defaultLogger from './logger.js';
+import { createLookupMetrics } from './lookup-metrics.js';
+import { MetricsRegistry } from './metrics.js';
+import Overrides from './overrides.js';
+import RangeCache from './range-cache.js';
+import PriorityStrategy from './strategy-priority.js';
+import { getReservedRange, normalizeIp } from '../utils/ip.js';
+import { formatLocation } from '../utils/location.js';
+
+/**
+ * Returns whether an error status means the provider itself failed (server
+ * errors, timeouts, network and authorization failures) as opposed to the
+ * lookup failing, like an unknown IP.
+ * @param {number} status - An HTTP response status code.
+ * @returns {boolean} - True if the provider failed.
+ */
+export const isProviderFailure = (status) => (
+  status >= 500 || [401, 403, 408].includes(status)
+);
+
 /**
  * An ApiClient class instance orchestrator. Determines and returns clients that
- * aren't rate limited when possible.
+ * aren't rate limited or failing when possible, in the order of preference
+ * of a selection strategy, fails over to the next client when one fails and
+ * caches their results, so a cached result is shared by all clients.
  */
 export default class ApiClientOrchestrator {
   /**
@@ -17,42 +45,690 @@ export default class ApiClientOrchestrator {
    */
   #apiClients = [];
 
+  /**
+   * A circuit breaker per ApiClient class instance
+   * @property {Map<ApiClient, CircuitBreaker>}
+   * @private
+   */
+  #circuitBreakers = new Map();
+
+  /**
+   * Warms the cache with lists of IPs
+   * @property {CacheWarmer}
+   * @private
+   */
+  #cacheWarmer;
+
+  /**
+   * Consensus mode defaults and reconciliation
+   * @property {Consensus}
+   * @private
+   */
+  #consensus;
+
+  /**
+   * Describes the known country coverage of CIDR blocks
+   * @property {Coverage}
+   * @private
+   */
+  #coverage;
+
+  /**
+   * Upstream lookups in flight by IP, shared by concurrent lookups of an IP
+   * @property {Map<string, object>}
+   * @private
+   */
+  #inFlight = new Map();
+
+  /**
+   * The logger lookups are logged with
+   * @property {Logger}
+   * @private
+   */
+  #logger;
+
+  /**
+   * Metrics recorded by the orchestrator
+   * @property {object}
+   * @private
+   */
+  #metrics;
+
+  /**
+   * Manual overrides answering for IPs before the cache and ApiClients
+   * @property {Overrides}
+   * @private
+   */
+  #overrides;
+
+  /**
+   * A cache of successful result data by IP and of countries by network
+   * @property {RangeCache}
+   * @private
+   */
+  #rangeCache;
+
+  /**
+   * The provider selection strategy
+   * @property {Strategy}
+   * @private
+   */
+  #strategy;
+
   /**
    * @param {object} config
    * @param {ApiClient[]} config.apiClients - A list of available ApiClient class
    *  instances
+   * @param {Cache} [config.cache] - A Cache class instance to store results in,
+   *  defaults to an in memory cache
+   * @param {object} [config.circuitBreaker] - CircuitBreaker options applied
+   *  to each ApiClient
+   * @param {object} [config.consensus] - Consensus mode defaults
+   * @param {number} [config.consensus.count] - The number of ApiClients to
+   *  query for each lookup, defaults to 1 (consensus mode off)
+   * @param {string} [config.consensus.tieBreaker] - The name of the ApiClient
+   *  whose answer wins when no country has a majority
+   * @param {Logger} [config.logger] - A logger to log lookups with, defaults
+   *  to the logger of this API
+   * @param {MetricsRegistry} [config.metrics] - A registry to record metrics
+   *  of the orchestrator and its ApiClients in
+   * @param {Overrides} [config.overrides] - Manual overrides of the country
+   *  of IPs and ranges, defaults to none
+   * @param {Strategy} [config.strategy] - A Strategy class instance to order
+   *  ApiClients by, defaults to their configured order
    */
-  constructor({ apiClients }) {
+  constructor({
+    apiClients,
+    cache = new MemoryCache(),
+    circuitBreaker,
+    consensus,
+    logger = defaultLogger,
+    metrics = new MetricsRegistry(),
+    overrides = new Overrides(),
+    strategy = new PriorityStrategy(),
+  }) {
     this.#apiClients = apiClients;
     this.#activeApiClient = apiClients[0];
+    this.#consensus = new Consensus(consensus);
+    this.#logger = logger;
+    this.#overrides = overrides;
+    this.#rangeCache = new RangeCache(cache);
+    this.#strategy = strategy;
+    apiClients.forEach((apiClient) => {
+      this.#circuitBreakers.set(apiClient, new CircuitBreaker(circuitBreaker));
+    });
+    this.#metrics = createLookupMetrics(metrics, {
+      apiClients,
+      circuitBreakers: this.#circuitBreakers,
+    });
+    this.#cacheWarmer = new CacheWarmer({
+      isWarmable: () => apiClients.some((apiClient) => (
+        apiClient.isCacheable && this.#isAvailable(apiClient)
+      )),
+      lookup: (ip, options) => this.getCountry(ip, options),
+      logger,
+      overrides,
+      rangeCache: this.#rangeCache,
+    });
+    this.#coverage = new Coverage({
+      apiClients,
+      logger,
+      overrides,
+      rangeCache: this.#rangeCache,
+    });
+  }
+
+  /**
+   * Surfaces the cache to the instantiator.
+   * @returns {Cache} - A Cache class instance.
+   */
+  get cache() {
+    return this.#rangeCache.cache;
+  }
+
+  /**
+   * Surfaces the overrides to the instantiator.
+   * @returns {Overrides} - An Overrides class instance.
+   */
+  get overrides() {
+    return this.#overrides;
   }
 
   /**
-   * Returns an ApiClient class instance that is not rate limited when one
-   * is available, otherwise it will the return current. This also sets
-   * the active ApiClient based on the above.
+   * Returns the ApiClient class instance preferred by the strategy among those
+   * that are not rate limited and whose circuit isn't open when one is
+   * available, otherwise it will the return current. This also sets the
+   * active ApiClient based on the above.
    * @returns {ApiClient} - An ApiClient class instance.
    */
   get apiClient() {
-    // if the currently active API client isn't rate limited,
-    // just continue using it
-    if (!this.#activeApiClient.isRateLimited) {
-      return this.#activeApiClient;
-    }
-  
-    const qualifiedApiClient = this.#apiClients.find((apiClient) => (
-      !apiClient.isRateLimited
+    return this.#selectApiClients()[0] || this.#activeApiClient;
+  }
+
+  /**
+   * Validates and normalizes an IP address before getting its country from an
+   * ApiClient, so that malformed and non-routable (private, loopback,
+   * link-local or reserved) addresses never reach a providing API. Return
+   * object is the same that is returned from the `formatResult` function.
+   * Results are cached with all location fields in English, except in
+   * consensus mode, which always queries the providing APIs. Concurrent
+   * lookups of an IP that isn't cached share a single upstream lookup.
+   * When the providing API returns the network of the IP, its country is
+   * also cached for the network, so lookups of IPs that aren't cached are
+   * answered by the most specific cached network containing them. Overridden
+   * IPs, including non-routable ones, are answered by their override before
+   * anything else with `meta.source` set to `override`.
+   * @param {string} ip - An IP address.
+   * @param {object} [options]
+   * @param {number} [options.consensus] - The number of ApiClients to query
+   *  and reconcile, defaults to the configured count. Capped by the number
+   *  of ApiClients.
+   * @param {string[]} [options.fields] - Location fields to include in result
+   *  data, all if undefined.
+   * @param {string} [options.language] - A supported language tag to localize
+   *  the country name in, English if undefined.
+   * @param {string} [options.requestId] - The ID of the request the lookup is
+   *  made for, included in log entries of the lookup and its upstream calls.
+   * @param {AbortSignal} [options.signal] - Aborts upstream calls, like when
+   *  the request the lookup is made for is cancelled.
+   * @returns {Promise<object>} - The formatted result.
+   */
+  async getCountry(ip, options = {}) {
+    const normalizedIp = normalizeIp(ip);
+    if (!normalizedIp) {
+      return formatResult({
+        error: new ApiError('Invalid IP address', { status: 400 }),
+      });
+    }
+
+    const override = this.#overrides.get(normalizedIp);
+    if (override) {
+      this.#metrics.overrideLookups.inc();
+      this.#logger.child({ requestId: options.requestId }).info('Lookup', {
+        ip: normalizedIp,
+        network: override.cidr,
+        source: 'override',
+        status: 200,
+      });
+      return formatResult({
+        ...formatLocation(override.location, options),
+        network: override.cidr,
+        source: 'override',
+      });
+    }
+
+    const reservedRange = getReservedRange(normalizedIp);
+    if (reservedRange) {
+      return formatResult({
+        error: new ApiError(
+          `Non-routable IP address (${reservedRange})`,
+          { status: 422 }
+        ),
+      });
+    }
+
+    const consensus = Math.min(
+      options.consensus ?? this.#consensus.count,
+      this.#apiClients.length
+    );
+    const logger = this.#logger.child({ requestId: options.requestId });
+    let entry;
+    if (consensus === 1) {
+      entry = await this.#getCacheEntry(normalizedIp, logger);
+      this.#metrics.cacheRequests.inc({ result: entry ? 'hit' : 'miss' });
+    }
+    if (entry) {
+      logger.info('Lookup', {
+        ip: normalizedIp,
+        cache: true,
+        ...(entry.network && { network: entry.network }),
+        status: 200,
+      });
+      return this.#activeApiClient.formatResult({
+        ...formatLocation(entry.value, options),
+        cache: true,
+        cacheAge: Date.now() - entry.createdAt,
+        ...(entry.network && { network: entry.network }),
+      });
+    }
+
+    const context = { logger, signal: options.signal };
+    const { result } = consensus === 1
+      ? await this.#getCountryCoalesced(normalizedIp, context)
+      : await this.#getCountryFromApiClients(normalizedIp, consensus, context);
+    if (!result.data) {
+      return result;
+    }
+    return { ...result, data: formatLocation(result.data, options) };
+  }
+
+  /**
+   * Returns country results for a list of IP addresses. IPs are normalized
+   * and duplicates looked up once, cached IPs are answered from cache and the
+   * rest are spread across clients as each one becomes rate limited.
+   * @param {string[]} ips - A list of IP addresses.
+   * @param {object} [options] - Options of `getCountry`.
+   * @returns {Promise<object>} - A batch result with one `formatResult` shaped
+   *  entry (plus its normalized `ip`) per unique IP and aggregate meta data.
+   */
+  async getCountries(ips, options) {
+    const uniqueIps = [...new Set(ips.map((ip) => normalizeIp(ip) || ip))];
+
+    // picking a client and updating its rate limit count happen without
+    // awaiting in between, so clients rotate as they hit their limits
+    const results = await Promise.all(uniqueIps.map((ip) => (
+      this.getCountry(ip, options)
+    )));
+
+    return {
+      data: uniqueIps.map((ip, index) => ({
+        ip,
+        ...results[index],
+      })),
+      meta: {
+        cacheCount: results.filter((result) => result.meta.cache).length,
+        count: results.length,
+        errorCount: results.filter((result) => result.error).length,
+        status: 200,
+      },
+    };
+  }
+
+  /**
+   * Deletes all cache entries, including cached ranges.
+   */
+  async clearCache() {
+    await this.#rangeCache.clear();
+  }
+
+  /**
+   * Restores cache entries, like ones exported from another instance (see
+   * `RangeCache#restore`).
+   * @param {Array[]} entries - `[key, entry]` tuples.
+   * @returns {Promise<number>} - The number of entries restored.
+   */
+  async importCache(entries) {
+    return this.#rangeCache.restore(entries);
+  }
+
+  /**
+   * Warms the cache with a list of IP addresses (see `CacheWarmer#warm`).
+   * @param {string[]} ips - A list of IP addresses.
+   * @param {object} [options] - Options of `getCountry`, except for
+   *  `consensus`.
+   * @returns {Promise<object[]>} - Per unique IP its normalized `ip` and
+   *  warming `status`.
+   */
+  async warmCache(ips, options) {
+    return this.#cacheWarmer.warm(ips, options);
+  }
+
+  /**
+   * Describes the known country coverage of a CIDR block, without querying
+   * any providing API (see `Coverage#get`).
+   * @param {string} cidr - A CIDR block like `8.8.8.0/24`.
+   * @param {object} [options] - Options of `Coverage#get`.
+   * @returns {Promise<object>} - A coverage summary as `data`, or a
+   *  `formatResult` shaped error if the CIDR block is invalid.
+   */
+  async getCoverage(cidr, options) {
+    return this.#coverage.get(cidr, options);
+  }
+
+  /**
+   * Describes the availability of each ApiClient, for health checks. Ready
+   * when at least one ApiClient is available.
+   * @returns {{ready: boolean, providers: object[]}} - Whether lookups can be
+   *  made and per ApiClient its status (one of `available`, `unconfigured`,
+   *  `rate-limited` or `circuit-open`), circuit state, rate limit, remaining
+   *  quota, rate limit reset time and last failure.
+   */
+  getStatus() {
+    const providers = this.#apiClients.map((apiClient) => {
+      const circuitBreaker = this.#circuitBreakers.get(apiClient);
+      const { lastError, rateLimitResetAt } = apiClient;
+      let status = 'available';
+      if (apiClient.isConfigured === false) {
+        status = 'unconfigured';
+      } else if (apiClient.isRateLimited) {
+        status = 'rate-limited';
+      } else if (!circuitBreaker.isAvailable) {
+        status = 'circuit-open';
+      }
+
+      return {
+        provider: apiClient.name,
+        status,
+        circuit: circuitBreaker.state,
+        rateLimit: apiClient.rateLimit,
+        rateLimitRemaining: apiClient.remainingQuota,
+        rateLimitResetAt: rateLimitResetAt
+          ? new Date(rateLimitResetAt).toISOString()
+          : null,
+        lastError: lastError
+          ? { ...lastError, at: new Date(lastError.at).toISOString() }
+          : null,
+      };
+    });
+
+    return {
+      ready: providers.some(({ status }) => status === 'available'),
+      providers,
+    };
+  }
+
+  /**
+   * Gets a country from the ApiClients (see `#getCountryFromApiClients`) and
+   * caches the result, sharing a single upstream lookup between concurrent
+   * lookups of the same IP whichever ApiClients end up answering it. Each
+   * caller gets its own copy of the result, where callers that joined a
+   * lookup in flight have `meta.coalesced` set. The shared lookup is only
+   * aborted once every caller's signal aborted, and is no longer joined
+   * then, so later callers start a lookup of their own.
+   * @param {string} ip - A normalized IP address.
+   * @param {object} context - The `logger` and abort `signal` of the lookup.
+   * @returns {Promise<object>} - The formatted result and the ApiClient that
+   *  returned it.
+   * @private
+   */
+  async #getCountryCoalesced(ip, { logger, signal }) {
+    let flight = this.#inFlight.get(ip);
+    const isCoalesced = Boolean(flight) && !flight.controller.signal.aborted;
+    if (isCoalesced) {
+      this.#metrics.coalescedLookups.inc();
+      logger.info('Lookup', { ip, coalesced: true });
+    } else {
+      flight = { callers: 0, controller: new AbortController() };
+      this.#inFlight.set(ip, flight);
+    }
+
+    // joined before the lookup starts, so an abort during it is observed
+    flight.callers++;
+    const leave = () => {
+      flight.callers--;
+      if (!flight.callers) {
+        flight.controller.abort();
+        this.#leaveFlight(ip, flight);
+      }
+    };
+    if (signal && signal.aborted) {
+      leave();
+    } else if (signal) {
+      signal.addEventListener('abort', leave, { once: true });
+    }
+
+    if (!isCoalesced) {
+      flight.promise = (async () => {
+        try {
+          const answer = await this.#getCountryFromApiClients(ip, 1, {
+            logger,
+            signal: flight.controller.signal,
+          });
+          // cached before leaving the flight, so later lookups hit the cache
+          if (answer.result.data && answer.apiClient.isCacheable) {
+            await this.#setCacheEntries(ip, answer.result, logger);
+          }
+          return answer;
+        } finally {
+          this.#leaveFlight(ip, flight);
+        }
+      })();
+    }
+    try {
+      const { apiClient, result } = await flight.promise;
+      return {
+        apiClient,
+        result: {
+          ...result,
+          meta: { ...result.meta, ...(isCoalesced && { coalesced: true }) },
+        },
+      };
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', leave);
+      }
+    }
+  }
+
+  /**
+   * Stops sharing a lookup in flight, unless a newer lookup of the IP took
+   * its place already.
+   * @param {string} ip - A normalized IP address.
+   * @param {object} flight - The lookup in flight.
+   * @private
+   */
+  #leaveFlight(ip, flight) {
+    if (this.#inFlight.get(ip) === flight) {
+      this.#inFlight.delete(ip);
+    }
+  }
+
+  /**
+   * Gets a country from the preferred ApiClient, failing over to the next
+   * available client when one is rate limited or fails (see
+   * `isProviderFailure`). Each failure is recorded by the client's circuit
+   * breaker and each attempt is listed in the result's `meta.attempts`. In
+   * consensus mode several clients are queried in parallel and their answers
+   * reconciled (see `Consensus#reconcile`).
+   * @param {string} ip - A normalized IP address.
+   * @param {number} consensus - The number of clients to query.
+   * @param {object} context - The `logger` and abort `signal` of the lookup.
+   * @returns {Promise<object>} - The formatted result of the last or chosen
+   *  attempt and the ApiClient that returned it.
+   * @private
+   */
+  async #getCountryFromApiClients(ip, consensus, context) {
+    const apiClients = this.#selectApiClients();
+    const attempts = [];
+    const answers = (await Promise.all(
+      Array.from({ length: consensus }, () => (
+        this.#queryApiClients(ip, apiClients, attempts, context)
+      ))
+    )).filter(Boolean);
+
+    if (!answers.length) {
+      // a rate limited client responds with its rate limited error, the
+      // active one if it's rate limited
+      const rateLimitedApiClient = this.#activeApiClient.isRateLimited
+        ? this.#activeApiClient
+        : this.#apiClients.find((apiClient) => apiClient.isRateLimited);
+      if (rateLimitedApiClient) {
+        return {
+          apiClient: rateLimitedApiClient,
+          result: await this.#getCountryFromApiClient(
+            rateLimitedApiClient,
+            ip,
+            context
+          ),
+        };
+      }
+      return {
+        apiClient: this.#activeApiClient,
+        result: this.#activeApiClient.formatResult({
+          error: new ApiError('No API client available', { status: 503 }),
+        }),
+      };
+    }
+
+    const { answer, agreement } = consensus > 1
+      ? this.#consensus.reconcile(answers, consensus)
+      : { answer: answers[0] };
+    return {
+      apiClient: answer.apiClient,
+      result: {
+        ...answer.result,
+        meta: {
+          ...answer.result.meta,
+          ...(agreement && { agreement }),
+          attempts,
+        },
+      },
+    };
+  }
+
+  /**
+   * Gets a country from an ApiClient, recording the call's status and
+   * duration with the strategy, in metrics and in the log, whichever
+   * ApiClient extended class it is.
+   * @param {ApiClient} apiClient - An ApiClient class instance.
+   * @param {string} ip - A normalized IP address.
+   * @param {object} context - The `logger` and abort `signal` of the lookup.
+   * @returns {Promise<object>} - The formatted result.
+   * @private
+   */
+  async #getCountryFromApiClient(apiClient, ip, context) {
+    const { logger, signal } = context;
+    const startedAt = process.hrtime.bigint();
+    const result = await apiClient.getCountry(ip, { logger, signal });
+    const latency = Number(process.hrtime.bigint() - startedAt) / 1e6;
+    const { status } = result.meta;
+
+    logger.info('Upstream request', {
+      provider: apiClient.name,
+      ip,
+      latency,
+      status,
+      cache: false,
+    });
+
+    this.#strategy.record(apiClient, { latency, status });
+    this.#metrics.upstreamRequests.inc({ provider: apiClient.name, status });
+    this.#metrics.upstreamDurations.observe(
+      { provider: apiClient.name },
+      latency / 1000
+    );
+    return result;
+  }
+
+  /**
+   * Queries ApiClients from a shared queue until one answers, meaning it
+   * didn't fail or respond rate limited. Several queries may share a queue
+   * to query clients in parallel without querying any twice.
+   * @param {string} ip - A normalized IP address.
+   * @param {ApiClient[]} queue - ApiClients to query in order, which are
+   *  removed as they're queried.
+   * @param {object[]} attempts - A list to add each attempt to.
+   * @param {object} context - The `logger` and abort `signal` of the lookup.
+   * @returns {Promise<object|undefined>} - The formatted result of the last
+   *  attempt and the ApiClient that returned it, if any was made.
+   * @private
+   */
+  async #queryApiClients(ip, queue, attempts, context) {
+    let lastAttempt;
+
+    while (queue.length && !(context.signal && context.signal.aborted)) {
+      const apiClient = queue.shift();
+      // availability may have changed while awaiting a previous attempt
+      if (!this.#isAvailable(apiClient)) {
+        continue;
+      }
+
+      const circuitBreaker = this.#circuitBreakers.get(apiClient);
+      circuitBreaker.onRequest();
+      const result = await this.#getCountryFromApiClient(apiClient, ip, context);
+      const { status } = result.meta;
+      attempts.push({
+        provider: apiClient.name,
+        status,
+        ...(result.error && { error: result.error.message }),
+      });
+      lastAttempt = { apiClient, result };
+
+      // a cancelled call tells nothing about the provider
+      if (status === 499) {
+        circuitBreaker.onCancel();
+        break;
+      }
+
+      if (isProviderFailure(status)) {
+        const previousState = circuitBreaker.state;
+        circuitBreaker.onFailure();
+        if (previousState !== 'open' && circuitBreaker.state === 'open') {
+          this.#metrics.circuitOpens.inc({ provider: apiClient.name });
+        }
+        this.#metrics.failovers.inc({ provider: apiClient.name, reason: 'failure' });
+        continue;
+      }
+      // a rate limited provider still responded, so only its quota is spent
+      circuitBreaker.onSuccess();
+      if (status !== 429) {
+        break;
+      }
+      this.#metrics.failovers.inc({ provider: apiClient.name, reason: 'rate-limited' });
+    }
+
+    return lastAttempt;
+  }
+
+  /**
+   * Returns the available ApiClients in the strategy's order of preference
+   * and sets the active ApiClient to the first of them, if any.
+   * @returns {ApiClient[]} - ApiClient class instances.
+   * @private
+   */
+  #selectApiClients() {
+    const availableApiClients = this.#apiClients.filter((apiClient) => (
+      this.#isAvailable(apiClient)
     ));
+    if (!availableApiClients.length) {
+      return [];
+    }
 
-    // if no qualified, then just use the currently active API client
-    if (!qualifiedApiClient) {
-      return this.#activeApiClient;
+    const apiClients = this.#strategy.order(availableApiClients);
+    if (apiClients[0] !== this.#activeApiClient) {
+      this.#metrics.switches.inc({
+        from: this.#activeApiClient.name,
+        to: apiClients[0].name,
+      });
     }
+    this.#activeApiClient = apiClients[0];
+    return apiClients;
+  }
 
-    // transfer cache from current API client to the next
-    qualifiedApiClient.transferCache(this.#activeApiClient);
+  /**
+   * Returns whether an ApiClient may be used, meaning it is configured, isn't
+   * rate limited and its circuit isn't open.
+   * @param {ApiClient} apiClient - An ApiClient class instance.
+   * @returns {boolean} - True if the ApiClient is available.
+   * @private
+   */
+  #isAvailable(apiClient) {
+    return apiClient.isConfigured !== false
+      && !apiClient.isRateLimited
+      && this.#circuitBreakers.get(apiClient).isAvailable;
+  }
 
-    this.#activeApiClient = qualifiedApiClient;
-    return this.#activeApiClient;
+  /**
+   * Returns the cache entry of an IP or of the most specific cached range
+   * containing it (see `RangeCache#get`). Cache failures are logged and
+   * treated as a miss so they never fail a lookup.
+   * @param {string} ip - A normalized IP address.
+   * @param {Logger} logger - The logger of the lookup.
+   * @returns {Promise<object|undefined>} - The cache entry.
+   * @private
+   */
+  async #getCacheEntry(ip, logger) {
+    try {
+      return await this.#rangeCache.get(ip);
+    } catch (error) {
+      logger.error('Cache lookup failed', { error });
+      return undefined;
+    }
+  }
+
+  /**
+   * Caches a result by IP and network (see `RangeCache#set`). Cache failures
+   * are logged and ignored.
+   * @param {string} ip - A normalized IP address.
+   * @param {object} result - A successful formatted result.
+   * @param {Logger} logger - The logger of the lookup.
+   * @private
+   */
+  async #setCacheEntries(ip, result, logger) {
+    try {
+      await this.#rangeCache.set(ip, result);
+    } catch (error) {
+      logger.error('Cache update failed', { error });
+    }
   }
 }
@@ -1,4 +1,12 @@
 import { DEFAULT_RATE_LIMIT_TIMEFRAME } from '../config.js';
+import { normalizeNetwork } from '../utils/ip.js';
+import { normalizeLocation } from '../utils/location.js';
+import defaultLogger from './logger.js';
+import MemoryRateLimitStore from './rate-limit-store-memory.js';
+
+export const DEFAULT_RETRIES = 2;
+export const DEFAULT_RETRY_DELAY = 200;
+export const DEFAULT_TIMEOUT = 10000; // 10 seconds
 
 /**
  * A custom error class to provide extra, API specific info.
@@ -9,21 +17,80 @@ export class ApiError extends Error {
    * @param {string} message - An error message.
    * @param {object} [info] - Additional error info.
    * @param {number} [info.status] - An HTTP response status code.
+   * @param {boolean} [info.retryable] - Whether the failed upstream request
+   *  may succeed when retried.
    */
   constructor(message, info) {
     super(message);
     this.status = info && info.status || 400;
+    this.retryable = Boolean(info && info.retryable);
   }
 }
 
+/**
+ * Parses a `Retry-After` header value, either seconds to wait or an HTTP date.
+ * @param {string|null} [value] - The header value.
+ * @returns {number|undefined} - When to retry in milliseconds from epoch or
+ *  undefined if the value is missing or invalid.
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) {
+    return undefined;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Date.now() + Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : date;
+};
+
+/**
+ * Returns whether a failed upstream request may succeed when retried, which
+ * is the case for network failures, timeouts and 5xx responses as flagged by
+ * `ApiClient.fetchResult`. Malformed results and errors mapping them aren't
+ * retried, as they'd fail again.
+ * @param {object} error - The error of the request.
+ * @returns {boolean} - True if the request should be retried.
+ */
+export const isRetryable = (error) => Boolean(error.retryable);
+
+/**
+ * Waits for a delay, like the backoff before a retry, rejecting with a
+ * cancelled ApiError as soon as the signal aborts.
+ * @param {number} delay - Milliseconds to wait.
+ * @param {AbortSignal} [signal] - Aborts the wait.
+ * @returns {Promise<void>} - Resolves once the delay passed.
+ */
+const wait = (delay, signal) => new Promise((resolve, reject) => {
+  const cancel = () => {
+    clearTimeout(timeout);
+    reject(new ApiError('Request cancelled', { status: 499 }));
+  };
+  const timeout = setTimeout(() => {
+    if (signal) {
+      signal.removeEventListener('abort', cancel);
+    }
+    resolve();
+  }, delay);
+  if (signal) {
+    signal.addEventListener('abort', cancel, { once: true });
+  }
+});
+
 /**
  * Returns a formatted result to provide consistency in result shape. Results
  * will represent either data or an error with any meta data.
  * @param {object} payload
  * @param {string} [payload.apiUrl] - URL from the providing API.
  * @param {boolean} [payload.cache] - Is true if the result came from cache.
+ * @param {number} [payload.cacheAge] - Age in milliseconds of the cache entry.
+ * @param {object} [payload.database] - The local database that answered.
  * @param {number} [payload.rateLimit] - The rate limit for the providing API.
  * @param {number} [payload.rateLimitCount] - The current rate limit count.
+ * @param {string} [payload.network] - The CIDR block the IP belongs to,
+ *  when the providing API tells.
+ * @param {string} [payload.source] - `override` if the result came from a
+ *  manual override.
  * @param {object} [payload.error] - A resulting error if applicable.
  * @param {string} [payload.error.message] - An error message.
  * @param {number} [payload.error.status] - An HTTP response status code.
@@ -34,16 +101,25 @@ export class ApiError extends Error {
  * @returns {...*} [result.data] - Any resulting from a successful response.
  * @returns {object} result.meta - Meta data for corresponding data or error.
  * @returns {string} [result.meta.apiUrl] - URL from the providing API.
- * @returns {string} [result.meta.apiUrl] - URL from the providing API.
+ * @returns {boolean} [result.meta.cache] - Is true if the result came from cache.
+ * @returns {number} [result.meta.cacheAge] - Age in milliseconds of the cache entry.
+ * @returns {object} [result.meta.database] - The local database that answered.
  * @returns {number} [result.meta.rateLimit] - The rate limit for the providing API.
  * @returns {number} [result.meta.rateLimitCount] - The current rate limit count.
+ * @returns {string} [result.meta.network] - The CIDR block the IP belongs to.
+ * @returns {string} [result.meta.source] - `override` if the result came
+ *  from a manual override.
  * @returns {number} [payload.error.status] - An HTTP response status code.
  */
 export const formatResult = ({
   apiUrl,
   cache = false,
+  cacheAge,
+  database,
+  network,
   rateLimit,
   rateLimitCount,
+  source,
   ...result
 }) => {
   if (result.error) {
@@ -54,6 +130,7 @@ export const formatResult = ({
       },
       meta: {
         apiUrl,
+        database,
         rateLimit,
         rateLimitCount,
         status,
@@ -66,8 +143,12 @@ export const formatResult = ({
     meta: {
       apiUrl,
       cache,
+      cacheAge,
+      database,
+      network,
       rateLimit,
       rateLimitCount,
+      source,
       status: 200,
     },
   }
@@ -85,10 +166,11 @@ export default class ApiClient {
   _baseUrl;
 
   /**
-   * A cache map to store API response values.
-   * @property {Map<string, string>}
+   * The cost of a lookup with the providing API, in any unit as long as it's
+   * the same for all clients.
+   * @property {number}
    */
-  _cache = new Map();
+  _cost = 0;
 
   /**
    * Headers sent with the API fetch.
@@ -96,6 +178,18 @@ export default class ApiClient {
    */
   _headers;
 
+  /**
+   * The last upstream failure, if any.
+   * @property {{message: string, status: number, at: number}}
+   */
+  _lastError;
+
+  /**
+   * A name identifying the providing API.
+   * @property {string}
+   */
+  _name = 'ipstack';
+
   /**
    * The rate limit for the providing API.
    * @property {number}
@@ -108,18 +202,57 @@ export default class ApiClient {
    */
   _rateLimitCount = 0;
 
+  /**
+   * When a rate limit signaled by the providing API ends, in milliseconds
+   * from epoch.
+   * @property {number}
+   */
+  _rateLimitBlockedUntil;
+
   /**
    * Rate limit expiry in milliseconds from epoch.
    * @property {number}
    */
   _rateLimitExpiry;
 
+  /**
+   * The number of rate limit hits awaiting the store, counted as hits so
+   * concurrent lookups see each other before the store answers.
+   * @property {number}
+   */
+  _rateLimitPending = 0;
+
+  /**
+   * The store rate limit hits are counted in. The count and expiry above are
+   * the store's last known state.
+   * @property {RateLimitStore}
+   */
+  _rateLimitStore;
+
   /**
    * Rate limit timeframe in milliseconds untile expiry.
    * @property {number}
    */
   _rateLimitTimeframe = DEFAULT_RATE_LIMIT_TIMEFRAME;
 
+  /**
+   * The number of times a failed request is retried.
+   * @property {number}
+   */
+  _retries = DEFAULT_RETRIES;
+
+  /**
+   * Base milliseconds to wait before a retry, doubled with each retry.
+   * @property {number}
+   */
+  _retryDelay = DEFAULT_RETRY_DELAY;
+
+  /**
+   * Milliseconds to wait for a response before aborting a request.
+   * @property {number}
+   */
+  _timeout = DEFAULT_TIMEOUT;
+
   /**
    * An authorization token for the providing API.
    * @property {string}
@@ -129,35 +262,135 @@ export default class ApiClient {
   /**
    * @param {object} config
    * @param {string} config.baseUrl - The base URL of the API.
+   * @param {number} [config.cost] - The cost of a lookup with the providing API.
    * @param {string} config.rateLimit - The rate limit for the providing API.
+   * @param {RateLimitStore} [config.rateLimitStore] - A store to count rate
+   *  limit hits in, defaults to an in memory store.
    * @param {string} [config.rateLimitTimeframe] - Rate limit timeframe in milliseconds
    *  until expiry.
-   * @param {string} config.token - An authorization token for the providing API.
+   * @param {number} [config.retries] - The number of times a request failing
+   *  with a network error, timeout or server error is retried.
+   * @param {number} [config.retryDelay] - Base milliseconds to wait before a
+   *  retry, doubled with each retry and jittered.
+   * @param {number} [config.timeout] - Milliseconds to wait for a response
+   *  before aborting a request.
+   * @param {string} [config.token] - An authorization token for the providing
+   *  API. Clients without one are surfaced as unconfigured.
    */
-  constructor({ baseUrl, rateLimit, rateLimitTimeframe, token }) {
+  constructor({
+    baseUrl,
+    cost,
+    rateLimit,
+    rateLimitStore = new MemoryRateLimitStore(),
+    rateLimitTimeframe,
+    retries,
+    retryDelay,
+    timeout,
+    token,
+  }) {
     if (typeof baseUrl !== 'string') {
       throw new Error(`'baseUrl' option is invalid`);
     }
+    if (cost !== undefined && (typeof cost !== 'number' || cost < 0)) {
+      throw new Error(`'cost' option is invalid`);
+    }
     if (typeof rateLimit !== 'number') {
       throw new Error(`'rateLimit' option is invalid`);
     }
-    if (typeof token !== 'string') {
+    if (retries !== undefined && (!Number.isInteger(retries) || retries < 0)) {
+      throw new Error(`'retries' option is invalid`);
+    }
+    if (retryDelay !== undefined && (typeof retryDelay !== 'number' || retryDelay < 0)) {
+      throw new Error(`'retryDelay' option is invalid`);
+    }
+    if (timeout !== undefined && (typeof timeout !== 'number' || timeout <= 0)) {
+      throw new Error(`'timeout' option is invalid`);
+    }
+    if (token !== undefined && typeof token !== 'string') {
       throw new Error(`'token' option is invalid`);
     }
     if (rateLimitTimeframe) {
       this._rateLimitTimeframe = rateLimitTimeframe;
     }
     this._baseUrl = baseUrl;
+    this._cost = cost ?? this._cost;
     this._rateLimit = rateLimit;
+    this._rateLimitStore = rateLimitStore;
+    this._retries = retries ?? this._retries;
+    this._retryDelay = retryDelay ?? this._retryDelay;
+    this._timeout = timeout ?? this._timeout;
     this._token = token;
   }
 
   /**
-   * Surfaces internal cache to the instantiator.
-   * @returns {Map<string, string>} - A cache map.
+   * Surfaces whether results of this client should be cached by the
+   * instantiator. Clients that are free to query may opt out.
+   * @returns {boolean} - True if results should be cached.
+   */
+  get isCacheable() {
+    return true;
+  }
+
+  /**
+   * Surfaces whether the client has what it needs to make lookups.
+   * @returns {boolean} - True if an authorization token is set.
+   */
+  get isConfigured() {
+    return Boolean(this._token);
+  }
+
+  /**
+   * Surfaces the cost of a lookup to the instantiator.
+   * @returns {number} - The cost of a lookup.
+   */
+  get cost() {
+    return this._cost;
+  }
+
+  /**
+   * Surfaces the name of the providing API to the instantiator.
+   * @returns {string} - A name like `ipstack`.
+   */
+  get name() {
+    return this._name;
+  }
+
+  /**
+   * Surfaces the last upstream failure to the instantiator.
+   * @returns {{message: string, status: number, at: number}|undefined} - The
+   *  error message, status and when it happened in milliseconds from epoch.
    */
-  get cache() {
-    return this._cache;
+  get lastError() {
+    return this._lastError;
+  }
+
+  /**
+   * Surfaces the rate limit to the instantiator.
+   * @returns {number} - The rate limit per timeframe.
+   */
+  get rateLimit() {
+    return this._rateLimit;
+  }
+
+  /**
+   * Surfaces the rate limit count of the current timeframe to the
+   * instantiator.
+   * @returns {number} - The rate limit count.
+   */
+  get rateLimitCount() {
+    return this.isRateLimitExpired() ? 0 : this._rateLimitCount;
+  }
+
+  /**
+   * Surfaces when the rate limit resets to the instantiator.
+   * @returns {number|undefined} - The end of a rate limit signaled by the
+   *  providing API or of the current timeframe in milliseconds from epoch.
+   */
+  get rateLimitResetAt() {
+    if (this.isRateLimitBlocked()) {
+      return this._rateLimitBlockedUntil;
+    }
+    return this.isRateLimitExpired() ? undefined : this._rateLimitExpiry;
   }
 
   /**
@@ -165,10 +398,25 @@ export default class ApiClient {
    * @returns {boolean} - True if rate limit has been met.
    */
   get isRateLimited() {
+    if (this.isRateLimitBlocked()) {
+      return true;
+    }
     if (this.isRateLimitExpired()) {
-      return false;
+      return this._rateLimitPending >= this._rateLimit;
     }
-    return this._rateLimitCount >= this._rateLimit;
+    return this._rateLimitCount + this._rateLimitPending >= this._rateLimit;
+  }
+
+  /**
+   * Surfaces the number of lookups left before the rate limit is met.
+   * @returns {number} - The remaining quota of the current timeframe.
+   */
+  get remainingQuota() {
+    if (this.isRateLimitBlocked()) {
+      return 0;
+    }
+    const count = this.isRateLimitExpired() ? 0 : this._rateLimitCount;
+    return Math.max(this._rateLimit - count - this._rateLimitPending, 0);
   }
 
   /**
@@ -186,21 +434,61 @@ export default class ApiClient {
   }
 
   /**
-   * Resets and / or updates rate limit if applicable and throws an error
-   * if rate limit has been met.
+   * Counts a hit in the rate limit store, updating the last known rate limit
+   * state, and throws an error if rate limit has been met. Store failures
+   * are logged and let the hit through, so lookups don't depend on the store.
+   * @param {object} [options]
+   * @param {Logger} [options.logger] - The logger to log store failures with.
    */
-  handleRateLimiting() {
-    // reset rate limit if applicable
-    if (this.isRateLimitExpired()) {
-      this._rateLimitExpiry = Date.now() + this._rateLimitTimeframe;
-      this._rateLimitCount = 0;
+  async handleRateLimiting({ logger = defaultLogger } = {}) {
+    if (this.isRateLimitBlocked()) {
+      throw new ApiError('Rate limited', { status: 429 });
+    }
+    // clients without a limit have nothing to count
+    if (this._rateLimit === Infinity) {
+      return;
+    }
+
+    this._rateLimitPending++;
+    let state;
+    try {
+      state = await this._rateLimitStore.consume(this._name, {
+        limit: this._rateLimit,
+        window: this._rateLimitTimeframe,
+      });
+    } catch (error) {
+      logger.error('Rate limit store failed', { provider: this._name, error });
+      return;
+    } finally {
+      this._rateLimitPending--;
     }
 
-    if (this.isRateLimited) {
+    this._rateLimitCount = state.count;
+    this._rateLimitExpiry = state.resetAt;
+    if (!state.allowed) {
       throw new ApiError('Rate limited', { status: 429 });
     }
+  }
+
+  /**
+   * Returns whether the providing API signaled a rate limit that hasn't
+   * ended yet.
+   * @returns {boolean} - True if the providing API is rate limiting.
+   */
+  isRateLimitBlocked() {
+    return Date.now() < this._rateLimitBlockedUntil;
+  }
 
-    this._rateLimitCount++;
+  /**
+   * Marks the client as rate limited following a rate limit or quota signal
+   * of the providing API, like a 429 response, so it isn't used until the
+   * signaled reset or, without one, for a rate limit timeframe.
+   * @param {number} [resetAt] - When the rate limit ends in milliseconds from
+   *  epoch.
+   */
+  markRateLimited(resetAt) {
+    this._rateLimitBlockedUntil = resetAt
+      || Date.now() + this._rateLimitTimeframe;
   }
 
   /**
@@ -212,54 +500,140 @@ export default class ApiClient {
   }
 
   /**
-   * Returns a country name based on a provided IP address. Return object is the
-   * same that is returned from the `formatResult` function.
+   * Returns a country location based on a provided IP address. Return object
+   * is the same that is returned from the `formatResult` function. Requests
+   * failing with a network error, timeout or server error are retried with
+   * jittered exponential backoff, each attempt counting against the rate
+   * limit.
    * @param {string} ip - An IP address.
+   * @param {object} [options]
+   * @param {Logger} [options.logger] - The logger to log failures with, like
+   *  one bound to the ID of the request the lookup is made for.
+   * @param {AbortSignal} [options.signal] - Aborts the lookup, like when the
+   *  request it's made for is cancelled.
    * @returns {object} - The formatted result.
    */
-  async getCountry(ip) {
+  async getCountry(ip, { logger = defaultLogger, signal } = {}) {
     const apiUrl = this.getCountryApiUrl(ip);
 
     try {
-      // use cache when available
-      const cachedCountryName = this._cache.get(ip);
-      if (cachedCountryName) {
-        return this.formatResult({
-          cache: true,
-          name: cachedCountryName,
-        });
+      if (!this.isConfigured) {
+        throw new ApiError('API token is missing', { status: 503 });
       }
 
-      this.handleRateLimiting();
-
-      // fetch from the API
-      const response = await fetch(apiUrl, {
-        headers: this._headers,
-      });
+      let result;
+      for (let attempt = 0; !result; attempt++) {
+        if (signal && signal.aborted) {
+          throw new ApiError('Request cancelled', { status: 499 });
+        }
+        await this.handleRateLimiting({ logger });
+        try {
+          result = await this.fetchResult(apiUrl, { signal });
+        } catch (error) {
+          if (attempt >= this._retries || !isRetryable(error)) {
+            throw error;
+          }
+          const delay = Math.random() * this._retryDelay * 2 ** attempt;
+          logger.warn('Retrying upstream request', {
+            provider: this._name,
+            attempt: attempt + 1,
+            delay,
+            error,
+          });
+          await wait(delay, signal);
+        }
+      }
 
-      // validation
-      this.validateResponse(response);
-      const result = await response.json();
-      this.validateResult(result);
-      const name = this.getCountryNameFromResult(result);
-      if (!name) {
+      const location = normalizeLocation(this.getLocationFromResult(result));
+      if (!location.name) {
         throw new ApiError('Country not found for this IP', {
           status: 400,
         });
       }
 
-      this._cache.set(ip, name);
       return this.formatResult({
         apiUrl,
-        name,
+        network: normalizeNetwork(ip, this.getNetworkFromResult(result)),
+        ...location,
       });
     } catch (error) {
       // log error if it wasn't user generated
       if (!error.status || error.status >= 500) {
-        console.error(error);
+        logger.error('Upstream request failed', { provider: this._name, error });
       }
 
-      return this.formatResult({ apiUrl, error });
+      // errors without a status, like network failures, are upstream failures
+      const apiError = error.status
+        ? error
+        : new ApiError(error.message, { status: 502 });
+      // lookups of unknown IPs and cancelled lookups aren't failures of the
+      // providing API
+      if (![400, 499].includes(apiError.status)) {
+        this._lastError = {
+          message: apiError.message,
+          status: apiError.status,
+          at: Date.now(),
+        };
+      }
+      return this.formatResult({ apiUrl, error: apiError });
+    }
+  }
+
+  /**
+   * Fetches and validates the API result, aborting the request once the
+   * timeout passes or the signal aborts.
+   * @param {string} apiUrl - The API URL to fetch.
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the request.
+   * @returns {Promise<object>} - The validated API result.
+   */
+  async fetchResult(apiUrl, { signal } = {}) {
+    // the signal may have aborted while waiting on the rate limit
+    if (signal && signal.aborted) {
+      throw new ApiError('Request cancelled', { status: 499 });
+    }
+    const controller = new AbortController();
+    const timeout = setTimeout(() => {
+      controller.abort(new ApiError('Upstream request timed out', {
+        status: 504,
+        retryable: true,
+      }));
+    }, this._timeout);
+    const cancel = () => {
+      controller.abort(new ApiError('Request cancelled', { status: 499 }));
+    };
+    if (signal) {
+      signal.addEventListener('abort', cancel);
+    }
+
+    try {
+      let response;
+      try {
+        response = await fetch(apiUrl, {
+          headers: this._headers,
+          signal: controller.signal,
+        });
+      } catch (error) {
+        // fetch itself failed, like on a network failure
+        throw new ApiError(error.message, { status: 502, retryable: true });
+      }
+      this.validateResponse(response);
+      let result;
+      try {
+        result = await response.json();
+      } catch (error) {
+        throw new ApiError(`Invalid API result: ${error.message}`, { status: 502 });
+      }
+      this.validateResult(result);
+      return result;
+    } catch (error) {
+      // surface why the request was aborted rather than the abort error
+      throw controller.signal.aborted ? controller.signal.reason : error;
+    } finally {
+      clearTimeout(timeout);
+      if (signal) {
+        signal.removeEventListener('abort', cancel);
+      }
     }
   }
 
@@ -270,54 +644,79 @@ export default class ApiClient {
    * @returns {string} - The API URL of the endpoint that gets a country by IP.
    */
   getCountryApiUrl(ip) {
-    return `${this._baseUrl}/${ip}?access_key=${this._token}`;
+    return `${this._baseUrl}/${encodeURIComponent(ip)}?access_key=${this._token}`;
   }
 
   /**
-   * Returns a country name from the API result. This is useful for classes
-   * that extend this to accommodate a variety of APIs.
+   * Maps the API result into the location model (see `LOCATION_FIELDS`),
+   * which is then normalized. This is useful for classes that extend this to
+   * accommodate a variety of APIs.
    * @param {object} result - A result returned from the providing API.
-   * @returns {string} - A country name.
+   * @returns {object} - A location with any of `LOCATION_FIELDS`.
    */
-  getCountryNameFromResult(result) {
-    return result.country_name;
+  getLocationFromResult(result) {
+    return {
+      name: result.country_name,
+      countryCode: result.country_code,
+      continent: result.continent_name,
+      continentCode: result.continent_code,
+      region: result.region_name,
+      city: result.city,
+      latitude: result.latitude,
+      longitude: result.longitude,
+      timeZone: result.time_zone && result.time_zone.id,
+    };
   }
 
   /**
-   * Accepts an instance of ApiClient and merges its cache onto this instance's.
-   * @param {ApiClient} apiClient - An instance of an ApiClient class.
+   * Returns the CIDR block the IP belongs to from the API result, if the
+   * providing API tells, so the country can be cached for the whole block.
+   * This is useful for classes that extend this to accommodate APIs that
+   * return network information.
+   * @param {object} result - A result returned from the providing API.
+   * @returns {string|undefined} - A CIDR block like `8.8.8.0/24`.
    */
-  transferCache(apiClient) {
-    this._cache = new Map([...this._cache, ...apiClient.cache]);
+  getNetworkFromResult(result) {
+    return undefined;
   }
 
   /**
    * Validates the fetched API response. Throws corresponding error when appropriate.
+   * A 429 response marks the client as rate limited until its `Retry-After`.
    * @param {object} response - A response from the API fetch.
    */
   validateResponse(response) {
+    if (response.status === 429) {
+      this.markRateLimited(parseRetryAfter(response.headers?.get('retry-after')));
+    }
     if (!response.ok) {
       throw new ApiError(`${response.status} ${response.statusText}`, {
         status: response.status,
+        retryable: response.status >= 500,
       });
     }
   }
 
   /**
    * Validates the API result. Throws corresponding error when appropriate.
-   * Checks if response identifies as unauthorized and surfaces error
-   * accordingly.
+   * Checks if response identifies as unauthorized or out of quota and
+   * surfaces error accordingly.
    * @param {object} result - A result from the API.
    */
   validateResult(result) {
     if (result.error) {
+      let status = 400;
+      if (result.error.type === 'invalid_access_key') {
+        status = 401;
+      } else if (
+        ['rate_limit_reached', 'usage_limit_reached'].includes(result.error.type)
+      ) {
+        this.markRateLimited();
+        status = 429;
+      }
       throw new ApiError(
         result.error.info || result.error.type || 'An unknown error occurred',
-        {
-          status: result.error.type !== 'invalid_access_key'
-            ? 400
-            : 401,
-        }
+        { status }
       );
     }
   }
@@ -0,0 +1,141 @@
+import fs from 'fs';
+
+export const DEFAULT_API_KEY_WINDOW = 3600000; // 1 hour
+
+/**
+ * A registry of API keys for consumers of this API, with a request quota per
+ * fixed time window for each key. Usage is counted per key.
+ */
+export default class ApiKeys {
+  /**
+   * Key settings by key.
+   * @property {Map<string, {admin: boolean, name: string, quota: number,
+   *  window: number}>}
+   * @private
+   */
+  #keys = new Map();
+
+  /**
+   * Usage counters by key.
+   * @property {Map<string, {count: number, resetAt: number, total: number}>}
+   * @private
+   */
+  #usage = new Map();
+
+  /**
+   * @param {object} config
+   * @param {object[]} config.keys - API keys.
+   * @param {string} config.keys[].key - The key consumers send.
+   * @param {boolean} [config.keys[].admin] - Allows the admin routes if true.
+   * @param {string} [config.keys[].name] - A name identifying the consumer,
+   *  defaults to the key.
+   * @param {number} [config.keys[].quota] - Requests allowed per window,
+   *  unlimited if undefined.
+   * @param {number} [config.keys[].window] - The window in milliseconds.
+   */
+  constructor({ keys }) {
+    if (!Array.isArray(keys)) {
+      throw new Error(`'keys' option is invalid`);
+    }
+    keys.forEach(({
+      admin = false,
+      key,
+      name = key,
+      quota = Infinity,
+      window = DEFAULT_API_KEY_WINDOW,
+    }, index) => {
+      if (typeof key !== 'string' || !key) {
+        throw new Error(`API key at index ${index} is invalid`);
+      }
+      if (this.#keys.has(key)) {
+        throw new Error(`API key '${name}' is duplicated`);
+      }
+      if (typeof admin !== 'boolean') {
+        throw new Error(`API key '${name}' admin is invalid`);
+      }
+      if (typeof quota !== 'number' || quota < 0) {
+        throw new Error(`API key '${name}' quota is invalid`);
+      }
+      if (!Number.isInteger(window) || window < 1) {
+        throw new Error(`API key '${name}' window is invalid`);
+      }
+      this.#keys.set(key, { admin, name, quota, window });
+    });
+  }
+
+  /**
+   * Creates an instance from a JSON file holding a list of keys in the shape
+   * of the constructor's `keys` option.
+   * @param {string} path - The path of the JSON file.
+   * @returns {ApiKeys} - An ApiKeys class instance.
+   */
+  static fromFile(path) {
+    let keys;
+    try {
+      keys = JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to load API keys file '${path}': ${error.message}`);
+    }
+    return new ApiKeys({ keys });
+  }
+
+  /**
+   * Returns the settings of a key.
+   * @param {string} key - An API key.
+   * @returns {object|undefined} - The key's `admin`, `name`, `quota` and
+   *  `window` or undefined if the key is unknown.
+   */
+  get(key) {
+    return this.#keys.get(key);
+  }
+
+  /**
+   * Returns the usage of a key in its current window.
+   * @param {string} key - A known API key.
+   * @returns {object} usage
+   * @returns {number} usage.count - Requests made in the current window.
+   * @returns {number} usage.resetAt - When the current window ends in
+   *  milliseconds from epoch.
+   * @returns {number} usage.total - Requests made since startup.
+   */
+  getUsage(key) {
+    const { window } = this.#keys.get(key);
+    const now = Date.now();
+    let usage = this.#usage.get(key);
+    if (!usage) {
+      usage = { count: 0, resetAt: now + window, total: 0 };
+      this.#usage.set(key, usage);
+    } else if (now >= usage.resetAt) {
+      usage.count = 0;
+      usage.resetAt = now + window;
+    }
+    return usage;
+  }
+
+  /**
+   * Counts a request against a key's quota unless the quota has been met.
+   * @param {string} key - A known API key.
+   * @returns {object} result
+   * @returns {boolean} result.isLimited - True if the quota had been met and
+   *  the request wasn't counted.
+   * @returns {number} result.limit - The key's quota.
+   * @returns {number} result.remaining - Requests left in the window.
+   * @returns {number} result.resetAt - When the window ends in milliseconds
+   *  from epoch.
+   */
+  consume(key) {
+    const { quota } = this.#keys.get(key);
+    const usage = this.getUsage(key);
+    const isLimited = usage.count >= quota;
+    if (!isLimited) {
+      usage.count++;
+      usage.total++;
+    }
+    return {
+      isLimited,
+      limit: quota,
+      remaining: Math.max(quota - usage.count, 0),
+      resetAt: usage.resetAt,
+    };
+  }
+}
@@ -0,0 +1,137 @@
+import fs from 'fs';
+import path from 'path';
+import MemoryCache from './cache-memory.js';
+import logger from './logger.js';
+
+/**
+ * A MemoryCache extended class that persists entries to a JSON file so they
+ * survive restarts. Entries are loaded from the file on instantiation and
+ * changes are written back shortly after they happen.
+ * See Cache definition for JSDoc types.
+ * @extends MemoryCache
+ */
+export default class FileCache extends MemoryCache {
+  /**
+   * The path of the cache file.
+   * @property {string}
+   * @private
+   */
+  #path;
+
+  /**
+   * Milliseconds to wait after a change before writing the file.
+   * @property {number}
+   * @private
+   */
+  #saveDelay;
+
+  /**
+   * A timer of a pending file write, if any.
+   * @property {object}
+   * @private
+   */
+  #saveTimeout;
+
+  /**
+   * @param {object} config
+   * @param {string} config.path - The path of the cache file.
+   * @param {number} [config.maxEntries] - The maximum number of entries.
+   * @param {number} [config.saveDelay] - Milliseconds to wait after a change
+   *  before writing the file, so bursts of changes are written once.
+   * @param {number} [config.ttl] - Default entry time to live in milliseconds.
+   */
+  constructor({ path: filePath, maxEntries, saveDelay = 1000, ttl }) {
+    if (typeof filePath !== 'string') {
+      throw new Error(`'path' option is invalid`);
+    }
+    super({ maxEntries, ttl });
+    this.#path = filePath;
+    this.#saveDelay = saveDelay;
+    this.load();
+  }
+
+  /**
+   * Loads entries from the cache file, skipping expired entries. A missing
+   * file is treated as an empty cache.
+   */
+  load() {
+    let entries;
+    try {
+      entries = JSON.parse(fs.readFileSync(this.#path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw new Error(`Unable to load cache file '${this.#path}': ${error.message}`);
+    }
+
+    entries
+      .filter(([, entry]) => !this.isExpired(entry))
+      .forEach(([key, entry]) => this.setEntry(key, entry));
+  }
+
+  /**
+   * Writes entries to the cache file. The file is replaced atomically so a
+   * crash mid write can't corrupt it.
+   */
+  save() {
+    clearTimeout(this.#saveTimeout);
+    this.#saveTimeout = undefined;
+
+    const temporaryPath = `${this.#path}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.#path), { recursive: true });
+    fs.writeFileSync(temporaryPath, JSON.stringify([...this._entries]));
+    fs.renameSync(temporaryPath, this.#path);
+  }
+
+  /**
+   * Schedules a write of the cache file unless one is pending.
+   * @private
+   */
+  #scheduleSave() {
+    if (this.#saveTimeout) {
+      return;
+    }
+    this.#saveTimeout = setTimeout(() => {
+      try {
+        this.save();
+      } catch (error) {
+        logger.error('Unable to save the cache file', { error });
+      }
+    }, this.#saveDelay);
+    this.#saveTimeout.unref();
+  }
+
+  async set(key, value, options) {
+    await super.set(key, value, options);
+    this.#scheduleSave();
+  }
+
+  async restore(key, entry) {
+    const restored = await super.restore(key, entry);
+    if (restored) {
+      this.#scheduleSave();
+    }
+    return restored;
+  }
+
+  async delete(key) {
+    const deleted = await super.delete(key);
+    if (deleted) {
+      this.#scheduleSave();
+    }
+    return deleted;
+  }
+
+  async clear() {
+    await super.clear();
+    this.#scheduleSave();
+  }
+
+  async close() {
+    // flush pending changes
+    if (this.#saveTimeout) {
+      this.save();
+    }
+  }
+}
@@ -0,0 +1,106 @@
+import Cache from './cache.js';
+
+export const DEFAULT_MAX_ENTRIES = 10000;
+
+/**
+ * A Cache extended class that stores entries in memory, evicting the least
+ * recently used entry once a maximum number of entries is reached.
+ * See Cache definition for JSDoc types.
+ * @extends Cache
+ */
+export default class MemoryCache extends Cache {
+  /**
+   * Cache entries in least to most recently used order.
+   * @property {Map<string, object>}
+   */
+  _entries = new Map();
+
+  /**
+   * The maximum number of entries.
+   * @property {number}
+   */
+  _maxEntries = DEFAULT_MAX_ENTRIES;
+
+  /**
+   * @param {object} [config]
+   * @param {number} [config.maxEntries] - The maximum number of entries.
+   * @param {number} [config.ttl] - Default entry time to live in milliseconds.
+   */
+  constructor({ maxEntries, ttl } = {}) {
+    super({ ttl });
+    if (maxEntries !== undefined) {
+      if (!Number.isInteger(maxEntries) || maxEntries < 1) {
+        throw new Error(`'maxEntries' option is invalid`);
+      }
+      this._maxEntries = maxEntries;
+    }
+  }
+
+  /**
+   * @returns {number} - The number of stored entries, including expired
+   *  entries that haven't been evicted yet.
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  async get(key) {
+    const entry = this._entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+    if (this.isExpired(entry)) {
+      this._entries.delete(key);
+      return undefined;
+    }
+
+    // move to most recently used
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, value, { ttl } = {}) {
+    this.setEntry(key, this.createEntry(value, ttl));
+  }
+
+  async restore(key, entry) {
+    if (this.isExpired(entry)) {
+      return false;
+    }
+    this.setEntry(key, entry);
+    return true;
+  }
+
+  /**
+   * Stores an entry as is, evicting the least recently used entry if the
+   * maximum number of entries is exceeded.
+   * @param {string} key - The entry key.
+   * @param {object} entry - A cache entry.
+   */
+  setEntry(key, entry) {
+    this._entries.delete(key);
+    this._entries.set(key, entry);
+    if (this._entries.size > this._maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    return this._entries.delete(key);
+  }
+
+  async *entries() {
+    // iterates over a copy, so entries may change meanwhile, without
+    // touching the order of use
+    for (const [key, entry] of [...this._entries]) {
+      if (!this.isExpired(entry)) {
+        yield [key, entry];
+      }
+    }
+  }
+
+  async clear() {
+    this._entries.clear();
+  }
+}
@@ -0,0 +1,112 @@
+import Cache from './cache.js';
+import RedisClient from './redis-client.js';
+
+/**
+ * A Cache extended class that stores entries on a Redis protocol server so
+ * several instances of this API share lookups. Entry expiry is left to the
+ * server.
+ * See Cache definition for JSDoc types.
+ * @extends Cache
+ */
+export default class RedisCache extends Cache {
+  /**
+   * The Redis protocol client.
+   * @property {RedisClient}
+   * @private
+   */
+  #client;
+
+  /**
+   * A prefix for keys to keep them apart from other data on the server.
+   * @property {string}
+   * @private
+   */
+  #keyPrefix;
+
+  /**
+   * @param {object} [config]
+   * @param {RedisClient} [config.client] - A client to use instead of creating
+   *  one from `url`.
+   * @param {string} [config.keyPrefix] - A prefix for keys.
+   * @param {number} [config.ttl] - Default entry time to live in milliseconds.
+   * @param {string} [config.url] - The server URL.
+   */
+  constructor({ client, keyPrefix = 'ip-country:cache:', ttl, url } = {}) {
+    super({ ttl });
+    this.#client = client || new RedisClient({ url });
+    this.#keyPrefix = keyPrefix;
+  }
+
+  async get(key) {
+    const serialized = await this.#client.command('GET', this.#keyPrefix + key);
+    return serialized ? JSON.parse(serialized) : undefined;
+  }
+
+  async set(key, value, { ttl = this._ttl } = {}) {
+    const entry = this.createEntry(value, ttl);
+    const args = ['SET', this.#keyPrefix + key, JSON.stringify(entry)];
+    if (ttl) {
+      args.push('PX', ttl);
+    }
+    await this.#client.command(...args);
+  }
+
+  async restore(key, entry) {
+    // Redis only accepts positive whole milliseconds as an expiry
+    const ttl = entry.expiresAt === null
+      ? null
+      : Math.ceil(entry.expiresAt - Date.now());
+    if (ttl !== null && ttl <= 0) {
+      return false;
+    }
+    const args = ['SET', this.#keyPrefix + key, JSON.stringify(entry)];
+    if (ttl !== null) {
+      args.push('PX', ttl);
+    }
+    await this.#client.command(...args);
+    return true;
+  }
+
+  async delete(key) {
+    return (await this.#client.command('DEL', this.#keyPrefix + key)) > 0;
+  }
+
+  async *entries() {
+    let cursor = '0';
+    do {
+      const [nextCursor, keys] = await this.#client.command(
+        'SCAN', cursor, 'MATCH', `${this.#keyPrefix}*`, 'COUNT', 100
+      );
+      if (keys.length) {
+        const values = await this.#client.command('MGET', ...keys);
+        for (let index = 0; index < keys.length; index++) {
+          // entries may expire or be deleted between the scan and the get
+          if (values[index]) {
+            yield [
+              keys[index].slice(this.#keyPrefix.length),
+              JSON.parse(values[index]),
+            ];
+          }
+        }
+      }
+      cursor = nextCursor;
+    } while (cursor !== '0');
+  }
+
+  async clear() {
+    let cursor = '0';
+    do {
+      const [nextCursor, keys] = await this.#client.command(
+        'SCAN', cursor, 'MATCH', `${this.#keyPrefix}*`, 'COUNT', 100
+      );
+      if (keys.length) {
+        await this.#client.command('DEL', ...keys);
+      }
+      cursor = nextCursor;
+    } while (cursor !== '0');
+  }
+
+  async close() {
+    this.#client.close();
+  }
+}
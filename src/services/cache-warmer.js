@@ -0,0 +1,129 @@
+import defaultLogger from './logger.js';
+import Overrides from './overrides.js';
+import { normalizeIp } from '../utils/ip.js';
+
+/**
+ * Warms a cache by looking up lists of IP addresses one at a time, so each
+ * lookup counts against the rate limit of the ApiClient preferred at that
+ * time.
+ */
+export default class CacheWarmer {
+  /**
+   * Returns whether an ApiClient whose results are cached is available
+   * @property {function}
+   * @private
+   */
+  #isWarmable;
+
+  /**
+   * The logger cache failures are logged with
+   * @property {Logger}
+   * @private
+   */
+  #logger;
+
+  /**
+   * Looks up the country of an IP, caching its result
+   * @property {function}
+   * @private
+   */
+  #lookup;
+
+  /**
+   * Manual overrides of the country of IPs and ranges
+   * @property {Overrides}
+   * @private
+   */
+  #overrides;
+
+  /**
+   * The cache lookups are cached in
+   * @property {RangeCache}
+   * @private
+   */
+  #rangeCache;
+
+  /**
+   * @param {object} config
+   * @param {function} config.isWarmable - Returns whether an ApiClient whose
+   *  results are cached is available.
+   * @param {function} config.lookup - Looks up the country of an IP with the
+   *  options of `ApiClientOrchestrator#getCountry`, caching its result.
+   * @param {RangeCache} config.rangeCache - The RangeCache class instance
+   *  lookups are cached in.
+   * @param {Logger} [config.logger] - A logger to log cache failures with,
+   *  defaults to the logger of this API.
+   * @param {Overrides} [config.overrides] - Manual overrides of the country
+   *  of IPs and ranges, defaults to none.
+   */
+  constructor({
+    isWarmable,
+    lookup,
+    rangeCache,
+    logger = defaultLogger,
+    overrides = new Overrides(),
+  }) {
+    this.#isWarmable = isWarmable;
+    this.#logger = logger;
+    this.#lookup = lookup;
+    this.#overrides = overrides;
+    this.#rangeCache = rangeCache;
+  }
+
+  /**
+   * Warms the cache with a list of IP addresses. Once no ApiClient whose
+   * results are cached is available the remaining IPs are skipped.
+   * Overridden IPs are never looked up.
+   * @param {string[]} ips - A list of IP addresses.
+   * @param {object} [options] - Options of the lookups, except for
+   *  `consensus`.
+   * @returns {Promise<object[]>} - Per unique IP its normalized `ip` and a
+   *  `status` of `cached` (already), `warmed`, `failed` (with its `error`
+   *  message), `overridden` or `skipped`.
+   */
+  async warm(ips, options = {}) {
+    const uniqueIps = [...new Set(ips.map((ip) => normalizeIp(ip) || ip))];
+    const results = [];
+
+    for (const ip of uniqueIps) {
+      if (this.#overrides.get(ip)) {
+        results.push({ ip, status: 'overridden' });
+        continue;
+      }
+      if (!this.#isWarmable() || (options.signal && options.signal.aborted)) {
+        results.push({ ip, status: 'skipped' });
+        continue;
+      }
+
+      const result = await this.#lookup(ip, { ...options, consensus: 1 });
+      if (result.error) {
+        results.push({ ip, status: 'failed', error: result.error.message });
+      } else if (result.meta.cache) {
+        results.push({ ip, status: 'cached' });
+      } else if (await this.#isCached(ip, options)) {
+        results.push({ ip, status: 'warmed' });
+      } else {
+        // answered by an ApiClient whose results aren't cached
+        results.push({ ip, status: 'failed', error: 'Result not cacheable' });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Returns whether an IP is cached. Cache failures are logged and treated
+   * as a miss.
+   * @param {string} ip - A normalized IP address.
+   * @param {object} options - Options of the lookups.
+   * @returns {Promise<boolean>} - True if the IP is cached.
+   * @private
+   */
+  async #isCached(ip, { requestId }) {
+    try {
+      return Boolean(await this.#rangeCache.get(ip));
+    } catch (error) {
+      this.#logger.child({ requestId }).error('Cache lookup failed', { error });
+      return false;
+    }
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * A base cache class defining the interface shared by cache stores. Entries
+ * are stored with their creation time so results can report their age, and
+ * with an optional expiry time. All methods are async so stores can be
+ * backed by remote storage.
+ */
+export default class Cache {
+  /**
+   * Default entry time to live in milliseconds (0 means entries never expire).
+   * @property {number}
+   */
+  _ttl = 0;
+
+  /**
+   * @param {object} [config]
+   * @param {number} [config.ttl] - Default entry time to live in milliseconds
+   *  (0 means entries never expire).
+   */
+  constructor({ ttl } = {}) {
+    if (ttl !== undefined && (typeof ttl !== 'number' || ttl < 0)) {
+      throw new Error(`'ttl' option is invalid`);
+    }
+    this._ttl = ttl || 0;
+  }
+
+  /**
+   * Creates a cache entry for a value.
+   * @param {*} value - The value to store.
+   * @param {number} [ttl] - Time to live in milliseconds, defaults to the
+   *  cache's.
+   * @returns {object} entry - The cache entry.
+   * @returns {*} entry.value - The stored value.
+   * @returns {number} entry.createdAt - Creation time in milliseconds from epoch.
+   * @returns {number|null} entry.expiresAt - Expiry time in milliseconds from
+   *  epoch or null if it never expires.
+   */
+  createEntry(value, ttl = this._ttl) {
+    const createdAt = Date.now();
+    return {
+      value,
+      createdAt,
+      expiresAt: ttl ? createdAt + ttl : null,
+    };
+  }
+
+  /**
+   * Returns an entry expiration status.
+   * @param {object} entry - A cache entry.
+   * @returns {boolean} - True if the entry has expired.
+   */
+  isExpired(entry) {
+    return entry.expiresAt !== null && Date.now() >= entry.expiresAt;
+  }
+
+  /**
+   * Returns a cache entry if one exists and hasn't expired.
+   * @param {string} key - The entry key.
+   * @returns {Promise<object|undefined>} - The cache entry.
+   */
+  async get(key) {
+    throw new Error(`'get' is not implemented`);
+  }
+
+  /**
+   * Stores a value.
+   * @param {string} key - The entry key.
+   * @param {*} value - The value to store. Must be JSON serializable.
+   * @param {object} [options]
+   * @param {number} [options.ttl] - Time to live in milliseconds for this
+   *  entry, defaults to the cache's.
+   */
+  async set(key, value, options) {
+    throw new Error(`'set' is not implemented`);
+  }
+
+  /**
+   * Stores an entry as is, like one taken from `entries` of another cache,
+   * keeping its creation and expiry time. Expired entries are skipped.
+   * @param {string} key - The entry key.
+   * @param {object} entry - A cache entry, see `createEntry`.
+   * @returns {Promise<boolean>} - True if the entry was stored.
+   */
+  async restore(key, entry) {
+    throw new Error(`'restore' is not implemented`);
+  }
+
+  /**
+   * Deletes an entry.
+   * @param {string} key - The entry key.
+   * @returns {Promise<boolean>} - True if an entry existed.
+   */
+  async delete(key) {
+    throw new Error(`'delete' is not implemented`);
+  }
+
+  /**
+   * Iterates over the entries that haven't expired, in no particular order.
+   * @returns {AsyncIterator<Array>} - `[key, entry]` tuples.
+   */
+  async *entries() {
+    throw new Error(`'entries' is not implemented`);
+  }
+
+  /**
+   * Deletes all entries.
+   */
+  async clear() {
+    throw new Error(`'clear' is not implemented`);
+  }
+
+  /**
+   * Releases any resources held by the cache.
+   */
+  async close() {}
+}
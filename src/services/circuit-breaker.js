@@ -0,0 +1,129 @@
+export const DEFAULT_FAILURE_THRESHOLD = 3;
+export const DEFAULT_COOLDOWN = 60000; // 1 minute
+
+/**
+ * A circuit breaker to skip a failing provider for a while. It opens after a
+ * number of consecutive failures, becomes half-open once a cooldown has
+ * passed to let a single trial request through, and closes again when that
+ * request succeeds (or reopens when it fails).
+ */
+export default class CircuitBreaker {
+  /**
+   * Milliseconds an open circuit waits before letting a trial request through.
+   * @property {number}
+   * @private
+   */
+  #cooldown;
+
+  /**
+   * The number of consecutive failures.
+   * @property {number}
+   * @private
+   */
+  #failureCount = 0;
+
+  /**
+   * The number of consecutive failures that opens the circuit.
+   * @property {number}
+   * @private
+   */
+  #failureThreshold;
+
+  /**
+   * Is true while a half-open circuit's trial request is in flight.
+   * @property {boolean}
+   * @private
+   */
+  #isTrialPending = false;
+
+  /**
+   * When the circuit opened in milliseconds from epoch.
+   * @property {number}
+   * @private
+   */
+  #openedAt;
+
+  /**
+   * One of `closed`, `open` or `half-open`.
+   * @property {string}
+   * @private
+   */
+  #state = 'closed';
+
+  /**
+   * @param {object} [config]
+   * @param {number} [config.cooldown] - Milliseconds an open circuit waits
+   *  before letting a trial request through.
+   * @param {number} [config.failureThreshold] - The number of consecutive
+   *  failures that opens the circuit.
+   */
+  constructor({
+    cooldown = DEFAULT_COOLDOWN,
+    failureThreshold = DEFAULT_FAILURE_THRESHOLD,
+  } = {}) {
+    this.#cooldown = cooldown;
+    this.#failureThreshold = failureThreshold;
+  }
+
+  /**
+   * Surfaces whether a request may be made.
+   * @returns {boolean} - True if the circuit is closed, or half-open without
+   *  a trial request in flight.
+   */
+  get isAvailable() {
+    const state = this.state;
+    return state === 'closed' || (state === 'half-open' && !this.#isTrialPending);
+  }
+
+  /**
+   * Surfaces the circuit state, moving an open circuit to half-open once its
+   * cooldown has passed.
+   * @returns {string} - One of `closed`, `open` or `half-open`.
+   */
+  get state() {
+    if (this.#state === 'open' && Date.now() >= this.#openedAt + this.#cooldown) {
+      this.#state = 'half-open';
+    }
+    return this.#state;
+  }
+
+  /**
+   * Records that a request is being made, which is the trial request of a
+   * half-open circuit.
+   */
+  onRequest() {
+    if (this.state === 'half-open') {
+      this.#isTrialPending = true;
+    }
+  }
+
+  /**
+   * Records a request that was cancelled before it completed, which lets
+   * another trial request through a half-open circuit.
+   */
+  onCancel() {
+    this.#isTrialPending = false;
+  }
+
+  /**
+   * Records a failed request, opening the circuit when the failure threshold
+   * is reached or the trial request of a half-open circuit failed.
+   */
+  onFailure() {
+    this.#failureCount++;
+    this.#isTrialPending = false;
+    if (this.state === 'half-open' || this.#failureCount >= this.#failureThreshold) {
+      this.#state = 'open';
+      this.#openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Records a successful request, closing the circuit.
+   */
+  onSuccess() {
+    this.#failureCount = 0;
+    this.#isTrialPending = false;
+    this.#state = 'closed';
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * Consensus mode settings and the reconciliation of the answers of several
+ * ApiClients queried for the same IP. A country answered by more than half
+ * of the queried ApiClients wins, otherwise the configured tie-breaker's
+ * answer wins if it answered with a country, or else the most answered
+ * country is flagged as disputed.
+ */
+export default class Consensus {
+  /**
+   * The number of ApiClients to query for each lookup by default.
+   * @property {number}
+   * @private
+   */
+  #count;
+
+  /**
+   * The name of the ApiClient whose answer wins when no country has a
+   * majority, if any.
+   * @property {string}
+   * @private
+   */
+  #tieBreaker;
+
+  /**
+   * @param {object} [config]
+   * @param {number} [config.count] - The number of ApiClients to query for
+   *  each lookup, defaults to 1 (consensus mode off).
+   * @param {string} [config.tieBreaker] - The name of the ApiClient whose
+   *  answer wins when no country has a majority.
+   */
+  constructor({ count = 1, tieBreaker } = {}) {
+    if (!Number.isInteger(count) || count < 1) {
+      throw new Error(`'count' option is invalid`);
+    }
+    this.#count = count;
+    this.#tieBreaker = tieBreaker;
+  }
+
+  /**
+   * @returns {number} - The number of ApiClients to query for each lookup by
+   *  default.
+   */
+  get count() {
+    return this.#count;
+  }
+
+  /**
+   * Reconciles the answers of several ApiClients by country. Ties between
+   * countries are won by the earlier answer.
+   * @param {object[]} answers - Formatted results and the ApiClients that
+   *  returned them, in order of preference.
+   * @param {number} requested - The number of ApiClients queried.
+   * @returns {object} - The chosen answer and `agreement` meta data listing
+   *  each answer, the `requested` number of ApiClients, the `votes` for the
+   *  chosen country and a `status` of `unanimous`, `majority`, `tie-breaker`
+   *  or `disputed`.
+   */
+  reconcile(answers, requested) {
+    const votes = new Map();
+    answers
+      .filter(({ result }) => result.data)
+      .forEach((answer) => {
+        const { countryCode, name } = answer.result.data;
+        const key = countryCode || name;
+        votes.set(key, [...(votes.get(key) || []), answer]);
+      });
+
+    // sorting is stable, so ties keep the order of preference
+    const [mostVoted = []] = [...votes.values()]
+      .sort((a, b) => b.length - a.length);
+    let answer = mostVoted[0];
+    let status;
+    if (mostVoted.length === requested) {
+      status = 'unanimous';
+    } else if (mostVoted.length > requested / 2) {
+      status = 'majority';
+    } else {
+      const tieBreakerAnswer = answers.find(({ apiClient, result }) => (
+        apiClient.name === this.#tieBreaker && result.data
+      ));
+      if (tieBreakerAnswer) {
+        answer = tieBreakerAnswer;
+        status = 'tie-breaker';
+      } else {
+        status = 'disputed';
+      }
+    }
+
+    // without any country answered, the last error responds
+    answer = answer || answers[answers.length - 1];
+    const { countryCode, name } = answer.result.data || {};
+
+    return {
+      answer,
+      agreement: {
+        answers: answers.map(({ apiClient, result }) => ({
+          provider: apiClient.name,
+          status: result.meta.status,
+          ...(result.data
+            ? { countryCode: result.data.countryCode, name: result.data.name }
+            : { error: result.error.message }),
+        })),
+        requested,
+        status,
+        votes: votes.get(countryCode || name)?.length || 0,
+      },
+    };
+  }
+}
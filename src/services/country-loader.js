@@ -0,0 +1,129 @@
+import { ApiError, formatResult } from './api-client.js';
+import { normalizeIp } from '../utils/ip.js';
+
+/**
+ * Batches and dedupes the country lookups of one request, like the fields of
+ * a GraphQL query. Each unique IP is looked up once per language and IPs
+ * requested in the same turn of the event loop are looked up together with
+ * `ApiClientOrchestrator.getCountries`, so they're spread across clients as
+ * each one becomes rate limited.
+ */
+export default class CountryLoader {
+  /**
+   * IPs waiting to be looked up by language, with the callbacks of their
+   * lookups.
+   * @property {Map<string, Map<string, object>>}
+   * @private
+   */
+  #batches = new Map();
+
+  /**
+   * The maximum number of unique lookups.
+   * @property {number}
+   * @private
+   */
+  #limit;
+
+  /**
+   * Options of `ApiClientOrchestrator.getCountries` shared by each lookup.
+   * @property {object}
+   * @private
+   */
+  #options;
+
+  /**
+   * The orchestrator IPs are looked up with.
+   * @property {ApiClientOrchestrator}
+   * @private
+   */
+  #orchestrator;
+
+  /**
+   * Lookups by language and normalized IP.
+   * @property {Map<string, Promise<object>>}
+   * @private
+   */
+  #results = new Map();
+
+  /**
+   * @param {object} config
+   * @param {ApiClientOrchestrator} config.orchestrator - The orchestrator to
+   *  look IPs up with.
+   * @param {number} [config.limit] - The maximum number of unique lookups,
+   *  further lookups result in a 400 error. Unlimited if undefined.
+   * @param {string} [config.requestId] - The ID of the request the lookups
+   *  are made for.
+   * @param {AbortSignal} [config.signal] - Aborts upstream calls of the
+   *  lookups.
+   */
+  constructor({
+    limit = Infinity,
+    orchestrator,
+    requestId,
+    signal,
+  }) {
+    this.#limit = limit;
+    this.#options = { requestId, signal };
+    this.#orchestrator = orchestrator;
+  }
+
+  /**
+   * Looks up the country of an IP address, sharing the lookup with earlier
+   * calls for the same IP and language.
+   * @param {string} ip - An IP address.
+   * @param {object} [options]
+   * @param {string} [options.language] - A supported language tag to
+   *  localize the country name in, English if undefined.
+   * @returns {Promise<object>} - A `formatResult` shaped result with its
+   *  normalized `ip` added.
+   */
+  load(ip, { language } = {}) {
+    const normalizedIp = normalizeIp(ip) || ip;
+    const key = `${language || ''}|${normalizedIp}`;
+    if (this.#results.has(key)) {
+      return this.#results.get(key);
+    }
+    if (this.#results.size >= this.#limit) {
+      return Promise.resolve({
+        ip: normalizedIp,
+        ...formatResult({
+          error: new ApiError(
+            `A request must not look up more than ${this.#limit} IPs`,
+            { status: 400 }
+          ),
+        }),
+      });
+    }
+
+    let batch = this.#batches.get(language);
+    if (!batch) {
+      batch = new Map();
+      this.#batches.set(language, batch);
+      setImmediate(() => this.#dispatch(language));
+    }
+    const result = new Promise((resolve, reject) => {
+      batch.set(normalizedIp, { resolve, reject });
+    });
+    this.#results.set(key, result);
+    return result;
+  }
+
+  /**
+   * Looks up the IPs waiting in a language's batch.
+   * @param {string} [language] - The language of the batch.
+   * @private
+   */
+  async #dispatch(language) {
+    const batch = this.#batches.get(language);
+    this.#batches.delete(language);
+    try {
+      const { data } = await this.#orchestrator.getCountries(
+        [...batch.keys()],
+        { ...this.#options, language }
+      );
+      data.forEach((result) => batch.get(result.ip).resolve(result));
+    } catch (error) {
+      batch.forEach(({ reject }) => reject(error));
+    }
+  }
+}
@@ -0,0 +1,127 @@
+import { ApiError, formatResult } from './api-client.js';
+import defaultLogger from './logger.js';
+import Overrides from './overrides.js';
+import { summarizeCoverage } from '../utils/coverage.js';
+import { containsCidr, formatCidr, parseCidr } from '../utils/ip.js';
+
+/**
+ * Describes the known country coverage of CIDR blocks from overrides, cached
+ * IPs and ranges and from ApiClients answering from a local database (any
+ * with a `getRanges` method), without querying any providing API.
+ */
+export default class Coverage {
+  /**
+   * A list of ApiClient class instances
+   * @property {ApiClient[]}
+   * @private
+   */
+  #apiClients;
+
+  /**
+   * The logger cache failures are logged with
+   * @property {Logger}
+   * @private
+   */
+  #logger;
+
+  /**
+   * Manual overrides of the country of IPs and ranges
+   * @property {Overrides}
+   * @private
+   */
+  #overrides;
+
+  /**
+   * The cache of IPs and ranges
+   * @property {RangeCache}
+   * @private
+   */
+  #rangeCache;
+
+  /**
+   * @param {object} config
+   * @param {ApiClient[]} config.apiClients - A list of ApiClient class
+   *  instances, those with a `getRanges` method are walked.
+   * @param {RangeCache} config.rangeCache - A RangeCache class instance.
+   * @param {Logger} [config.logger] - A logger to log cache failures with,
+   *  defaults to the logger of this API.
+   * @param {Overrides} [config.overrides] - Manual overrides of the country
+   *  of IPs and ranges, defaults to none.
+   */
+  constructor({
+    apiClients,
+    rangeCache,
+    logger = defaultLogger,
+    overrides = new Overrides(),
+  }) {
+    this.#apiClients = apiClients;
+    this.#logger = logger;
+    this.#overrides = overrides;
+    this.#rangeCache = rangeCache;
+  }
+
+  /**
+   * Describes the known country coverage of a CIDR block. Overrides answer
+   * for all of their addresses, as they do in lookups. Cache failures are
+   * logged and leave cached blocks out.
+   * @param {string} cidr - A CIDR block like `8.8.8.0/24`.
+   * @param {object} [options]
+   * @param {string} [options.requestId] - The ID of the request the lookup is
+   *  made for, included in log entries.
+   * @returns {Promise<object>} - A coverage summary (see `summarizeCoverage`)
+   *  as `data`, or a `formatResult` shaped error if the CIDR block is invalid.
+   *  `meta.truncated` is true if a local database had too many blocks to
+   *  walk them all.
+   */
+  async get(cidr, { requestId } = {}) {
+    const range = parseCidr(cidr);
+    if (!range) {
+      return formatResult({
+        error: new ApiError('Invalid CIDR block', { status: 400 }),
+      });
+    }
+
+    const overrides = [];
+    this.#overrides.list().forEach(({ cidr: overrideCidr, location }) => {
+      const block = parseCidr(overrideCidr);
+      if (containsCidr(block, range) || containsCidr(range, block)) {
+        overrides.push({
+          cidr: formatCidr(containsCidr(block, range) ? range : block),
+          location,
+          parsed: block,
+          source: 'override',
+        });
+      }
+    });
+    const blocks = [];
+    try {
+      (await this.#rangeCache.getBlocks(range)).forEach((block) => {
+        blocks.push({ ...block, source: 'cache' });
+      });
+    } catch (error) {
+      this.#logger.child({ requestId }).error('Cache lookup failed', { error });
+    }
+
+    let truncated = false;
+    this.#apiClients
+      .filter((apiClient) => typeof apiClient.getRanges === 'function')
+      .forEach((apiClient) => {
+        const local = apiClient.getRanges(formatCidr(range));
+        local.ranges.forEach(({ cidr: blockCidr, location }) => {
+          blocks.push({ cidr: blockCidr, location, source: apiClient.name });
+        });
+        truncated = truncated || local.truncated;
+      });
+
+    const isOverridden = ({ cidr: blockCidr }) => overrides.some(({ parsed }) => (
+      containsCidr(parsed, parseCidr(blockCidr))
+    ));
+    return {
+      data: summarizeCoverage(formatCidr(range), [
+        ...overrides.map(({ parsed, ...block }) => block),
+        ...blocks.filter((block) => !isOverridden(block)),
+      ]),
+      meta: { truncated, status: 200 },
+    };
+  }
+}
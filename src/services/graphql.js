@@ -0,0 +1,242 @@
+import {
+  buildSchema,
+  execute,
+  GraphQLError,
+  parse,
+  validate,
+} from 'graphql';
+import { resolveLanguage } from '../utils/language.js';
+
+/**
+ * GraphQL error codes by the HTTP status of an ApiError.
+ * @type {object}
+ * @private
+ */
+const ERROR_CODES = {
+  400: 'BAD_USER_INPUT',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  408: 'TIMEOUT',
+  422: 'NON_ROUTABLE',
+  429: 'RATE_LIMITED',
+  503: 'SERVICE_UNAVAILABLE',
+};
+
+/**
+ * Returns the GraphQL error code of an HTTP status.
+ * @param {number} status - An HTTP response status code.
+ * @returns {string} - The error code, like `RATE_LIMITED` for `429`.
+ */
+export const getErrorCode = (status) => (
+  ERROR_CODES[status]
+  || (status >= 500 ? 'INTERNAL_SERVER_ERROR' : 'BAD_REQUEST')
+);
+
+export const schema = buildSchema(`
+  type Query {
+    "Looks up the country of an IP address."
+    country(
+      ip: String!
+      "A language to localize the country name in, like \`de\`."
+      lang: String
+    ): Lookup
+
+    "Looks up the countries of a list of IP addresses, one lookup per item."
+    countries(
+      ips: [String!]!
+      "A language to localize the country names in, like \`de\`."
+      lang: String
+    ): [Lookup]!
+  }
+
+  "The result of looking up an IP address."
+  type Lookup {
+    "The normalized IP address."
+    ip: String!
+    location: Location!
+    meta: LookupMeta!
+  }
+
+  "The location of an IP address, fields are null when unknown."
+  type Location {
+    name: String!
+    "The ISO 3166-1 alpha-2 country code."
+    countryCode: String
+    "The ISO 3166-1 alpha-3 country code."
+    countryCodeAlpha3: String
+    continent: String
+    continentCode: String
+    region: String
+    city: String
+    latitude: Float
+    longitude: Float
+    "The IANA time zone, like \`America/New_York\`."
+    timeZone: String
+  }
+
+  "How a lookup was answered."
+  type LookupMeta {
+    "The providing API that answered, null when answered from cache."
+    provider: String
+    "The URL of the providing API."
+    apiUrl: String
+    "Each providing API called, in order."
+    attempts: [Attempt!]!
+    "Whether the lookup was answered from cache."
+    cache: Boolean!
+    "The age of the cache entry in milliseconds."
+    cacheAge: Float
+    "Whether the lookup joined a lookup of the same IP in flight."
+    coalesced: Boolean!
+    "The CIDR block the IP belongs to, when known."
+    network: String
+    "\`override\` when answered by a manual override."
+    source: String
+    "The rate limit of the providing API, null when unlimited."
+    rateLimit: Int
+    "The current rate limit count of the providing API."
+    rateLimitCount: Int
+  }
+
+  "A call to a providing API."
+  type Attempt {
+    provider: String!
+    status: Int!
+    error: String
+  }
+`);
+
+/**
+ * Converts a failed lookup to a GraphQL error carrying the lookup's `status`
+ * and error `code` (see `getErrorCode`) as extensions.
+ * @param {object} result - A `formatResult` shaped error result with its
+ *  `ip`.
+ * @returns {GraphQLError} - The GraphQL error.
+ */
+const toGraphQLError = ({ error, ip, meta }) => new GraphQLError(error.message, {
+  extensions: {
+    code: getErrorCode(meta.status),
+    status: meta.status,
+    ip,
+  },
+});
+
+/**
+ * Converts a lookup to the `Lookup` type, or a GraphQL error if it failed.
+ * @param {object} result - A `formatResult` shaped result with its `ip`.
+ * @returns {object|GraphQLError} - The `Lookup` or error.
+ */
+const toLookup = (result) => {
+  if (result.error) {
+    return toGraphQLError(result);
+  }
+  const { data, ip, meta } = result;
+  const attempts = meta.attempts || [];
+  const answered = !meta.cache && !meta.source && attempts[attempts.length - 1];
+  return {
+    ip,
+    location: data,
+    meta: {
+      ...meta,
+      provider: answered ? answered.provider : null,
+      attempts,
+      coalesced: Boolean(meta.coalesced),
+      rateLimit: Number.isFinite(meta.rateLimit) ? meta.rateLimit : null,
+    },
+  };
+};
+
+/**
+ * Resolves the language of a field from its `lang` argument, or else the
+ * request's `Accept-Language` header.
+ * @param {string} [lang] - The `lang` argument.
+ * @param {object} context - The execution context.
+ * @returns {string|undefined} - A canonical language tag or undefined for
+ *  English. Throws a GraphQL error if the language isn't supported.
+ */
+const getLanguage = (lang, context) => {
+  try {
+    return resolveLanguage({ lang, acceptLanguage: context.acceptLanguage });
+  } catch (error) {
+    throw new GraphQLError(error.message, {
+      extensions: { code: getErrorCode(400), status: 400 },
+    });
+  }
+};
+
+/**
+ * Resolvers of the `Query` type. Lookups go through the context's
+ * CountryLoader, so they're batched and deduped within a request.
+ * @type {object}
+ * @private
+ */
+const rootValue = {
+  country: async ({ ip, lang }, context) => {
+    const lookup = toLookup(
+      await context.loader.load(ip, { language: getLanguage(lang, context) })
+    );
+    if (lookup instanceof Error) {
+      throw lookup;
+    }
+    return lookup;
+  },
+  countries: ({ ips, lang }, context) => {
+    const language = getLanguage(lang, context);
+    return ips.map(async (ip) => toLookup(await context.loader.load(ip, { language })));
+  },
+};
+
+/**
+ * Executes a GraphQL request against the schema.
+ * @param {object} request - The GraphQL request.
+ * @param {string} request.query - The query document.
+ * @param {object} [request.variables] - Values of the query's variables.
+ * @param {string} [request.operationName] - The operation to execute when
+ *  the document has several.
+ * @param {object} context - The execution context.
+ * @param {CountryLoader} context.loader - Looks up countries.
+ * @param {string} [context.acceptLanguage] - The `Accept-Language` header
+ *  value, the default language of fields without a `lang` argument.
+ * @returns {Promise<{status: number, body: object}>} - The HTTP status and
+ *  GraphQL response. Requests that can't be executed, like a malformed
+ *  query, have a `400` status, executed ones a `200` status even if fields
+ *  failed.
+ */
+export const executeGraphql = async (
+  { query, variables, operationName },
+  context
+) => {
+  const fail = (errors) => ({ status: 400, body: { errors } });
+  if (typeof query !== 'string' || !query) {
+    return fail([{ message: `'query' must be a non-empty string` }]);
+  }
+  if (
+    variables !== undefined
+    && variables !== null
+    && (typeof variables !== 'object' || Array.isArray(variables))
+  ) {
+    return fail([{ message: `'variables' must be an object` }]);
+  }
+
+  let document;
+  try {
+    document = parse(query);
+  } catch (error) {
+    return fail([error]);
+  }
+  const errors = validate(schema, document);
+  if (errors.length) {
+    return fail(errors);
+  }
+
+  const result = await execute({
+    schema,
+    document,
+    rootValue,
+    contextValue: context,
+    variableValues: variables,
+    operationName,
+  });
+  return { status: result.data ? 200 : 400, body: result };
+};
@@ -0,0 +1,151 @@
+import { logLevel } from '../config.js';
+
+/**
+ * Log levels by name in increasing severity. `silent` turns logging off.
+ */
+export const LOG_LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity,
+};
+
+/**
+ * Serializes a field value for a log line, keeping the message, status and
+ * stack of errors which would otherwise serialize to an empty object.
+ * @param {*} value - A field value.
+ * @returns {*} - The serializable value.
+ */
+const serializeValue = (value) => {
+  if (!(value instanceof Error)) {
+    return value;
+  }
+  return {
+    message: value.message,
+    status: value.status,
+    stack: value.stack,
+  };
+};
+
+/**
+ * Writes a log line to the console, errors and warnings to stderr.
+ * @param {string} line - A serialized log line.
+ * @param {string} level - The level of the line.
+ */
+const writeToConsole = (line, level) => {
+  if (LOG_LEVELS[level] >= LOG_LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+};
+
+/**
+ * A logger writing structured JSON lines, one per entry, with a time, level,
+ * message and any fields bound to the logger or passed with the entry.
+ */
+export class Logger {
+  /**
+   * Fields included in every entry.
+   * @property {object}
+   * @private
+   */
+  #fields;
+
+  /**
+   * The minimum level of entries to write.
+   * @property {string}
+   * @private
+   */
+  #level;
+
+  /**
+   * Writes a serialized entry.
+   * @property {function}
+   * @private
+   */
+  #write;
+
+  /**
+   * @param {object} [config]
+   * @param {object} [config.fields] - Fields included in every entry.
+   * @param {string} [config.level] - The minimum level of entries to write,
+   *  one of `debug`, `info`, `warn`, `error` or `silent`.
+   * @param {function} [config.write] - Writes a serialized entry, called with
+   *  the line and its level. Defaults to writing to the console.
+   */
+  constructor({ fields = {}, level = 'info', write = writeToConsole } = {}) {
+    if (!Object.hasOwn(LOG_LEVELS, level)) {
+      throw new Error(`'level' option is invalid`);
+    }
+    this.#fields = fields;
+    this.#level = level;
+    this.#write = write;
+  }
+
+  /**
+   * Surfaces the minimum level of entries to write.
+   * @returns {string} - A level like `info`.
+   */
+  get level() {
+    return this.#level;
+  }
+
+  /**
+   * Creates a logger that includes additional fields in every entry, like a
+   * request ID, and writes like this one.
+   * @param {object} fields - Fields to include in every entry.
+   * @returns {Logger} - A Logger class instance.
+   */
+  child(fields) {
+    return new Logger({
+      fields: { ...this.#fields, ...fields },
+      level: this.#level,
+      write: this.#write,
+    });
+  }
+
+  /**
+   * Writes an entry if its level is at or above the logger's level.
+   * @param {string} level - The entry level.
+   * @param {string} message - A message describing the entry.
+   * @param {object} [fields] - Additional fields, where errors are
+   *  serialized with their message, status and stack.
+   */
+  log(level, message, fields = {}) {
+    if (LOG_LEVELS[level] < LOG_LEVELS[this.#level]) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      message,
+    };
+    Object.entries({ ...this.#fields, ...fields }).forEach(([name, value]) => {
+      entry[name] = serializeValue(value);
+    });
+    this.#write(JSON.stringify(entry), level);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+/**
+ * The logger of this API.
+ */
+export default new Logger({ level: logLevel });
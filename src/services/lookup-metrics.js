@@ -0,0 +1,94 @@
+/**
+ * Registers the metrics of lookups in a registry, including gauges of the
+ * cache hit ratio and of the rate limit and circuit state of each ApiClient,
+ * collected when the registry is read.
+ * @param {MetricsRegistry} registry - The registry to record metrics in.
+ * @param {object} sources
+ * @param {ApiClient[]} sources.apiClients - ApiClient class instances.
+ * @param {Map<ApiClient, CircuitBreaker>} sources.circuitBreakers - A
+ *  circuit breaker per ApiClient class instance.
+ * @returns {object} - Counters and histograms to record lookups with.
+ */
+export const createLookupMetrics = (registry, { apiClients, circuitBreakers }) => {
+  const cacheRequests = registry.counter({
+    name: 'ip_country_cache_requests_total',
+    help: 'Cache lookups by result, hit or miss.',
+    labelNames: ['result'],
+  });
+  registry.gauge({
+    name: 'ip_country_cache_hit_ratio',
+    help: 'The ratio of cache lookups that hit.',
+    collect: (gauge) => {
+      const hits = cacheRequests.get({ result: 'hit' });
+      const misses = cacheRequests.get({ result: 'miss' });
+      gauge.set({}, hits + misses ? hits / (hits + misses) : 0);
+    },
+  });
+  registry.gauge({
+    name: 'ip_country_rate_limit',
+    help: 'The rate limit of each providing API.',
+    labelNames: ['provider'],
+    collect: (gauge) => apiClients.forEach((apiClient) => {
+      gauge.set({ provider: apiClient.name }, apiClient.rateLimit);
+    }),
+  });
+  registry.gauge({
+    name: 'ip_country_rate_limit_count',
+    help: 'The current rate limit count of each providing API.',
+    labelNames: ['provider'],
+    collect: (gauge) => apiClients.forEach((apiClient) => {
+      gauge.set({ provider: apiClient.name }, apiClient.rateLimitCount);
+    }),
+  });
+  registry.gauge({
+    name: 'ip_country_circuit_state',
+    help: 'The circuit state of each providing API, 1 for the current state.',
+    labelNames: ['provider', 'state'],
+    collect: (gauge) => circuitBreakers.forEach((circuitBreaker, apiClient) => {
+      const currentState = circuitBreaker.state;
+      ['closed', 'half-open', 'open'].forEach((state) => {
+        gauge.set(
+          { provider: apiClient.name, state },
+          state === currentState ? 1 : 0
+        );
+      });
+    }),
+  });
+
+  return {
+    cacheRequests,
+    coalescedLookups: registry.counter({
+      name: 'ip_country_coalesced_lookups_total',
+      help: 'Lookups that joined a lookup of the same IP in flight.',
+    }),
+    circuitOpens: registry.counter({
+      name: 'ip_country_circuit_opens_total',
+      help: 'Circuits opened by providing API.',
+      labelNames: ['provider'],
+    }),
+    failovers: registry.counter({
+      name: 'ip_country_failovers_total',
+      help: 'Lookups failed over from a providing API by reason.',
+      labelNames: ['provider', 'reason'],
+    }),
+    overrideLookups: registry.counter({
+      name: 'ip_country_override_lookups_total',
+      help: 'Lookups answered by a manual override.',
+    }),
+    switches: registry.counter({
+      name: 'ip_country_provider_switches_total',
+      help: 'Switches of the active providing API.',
+      labelNames: ['from', 'to'],
+    }),
+    upstreamDurations: registry.histogram({
+      name: 'ip_country_upstream_request_duration_seconds',
+      help: 'Lookup durations by providing API.',
+      labelNames: ['provider'],
+    }),
+    upstreamRequests: registry.counter({
+      name: 'ip_country_upstream_requests_total',
+      help: 'Lookups by providing API and result status.',
+      labelNames: ['provider', 'status'],
+    }),
+  };
+};
@@ -0,0 +1,305 @@
+export const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+/**
+ * Formats a sample value in the Prometheus text format.
+ * @param {number} value - A sample value.
+ * @returns {string} - The formatted value.
+ */
+const formatValue = (value) => {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return String(value);
+};
+
+/**
+ * Formats labels in the Prometheus text format.
+ * @param {object} labels - Label values by name.
+ * @returns {string} - The formatted labels, empty without any.
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => (
+    `${name}="${String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n')}"`
+  ));
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * A base metric class holding values by label values.
+ */
+export class Metric {
+  /**
+   * The metric type in the Prometheus text format.
+   * @property {string}
+   */
+  _type;
+
+  /**
+   * Values by serialized label values.
+   * @property {Map<string, {labels: object, value: *}>}
+   */
+  _values = new Map();
+
+  /**
+   * @param {object} config
+   * @param {string} config.name - The metric name.
+   * @param {string} config.help - A description of the metric.
+   * @param {string[]} [config.labelNames] - Names of the metric's labels.
+   */
+  constructor({ name, help, labelNames = [] }) {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(name)) {
+      throw new Error(`'name' option is invalid`);
+    }
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+  }
+
+  /**
+   * Returns the stored value of a label combination, creating it if needed.
+   * @param {object} labels - Label values by name.
+   * @param {function} [createValue] - Returns an initial value, the entry
+   *  isn't created without it.
+   * @returns {object|undefined} - The label values and value.
+   */
+  _getEntry(labels, createValue) {
+    // missing labels are empty, like Prometheus treats them
+    const values = this.labelNames.map((labelName) => (
+      String(labels[labelName] ?? '')
+    ));
+    const key = JSON.stringify(values);
+    if (!this._values.has(key)) {
+      if (!createValue) {
+        return undefined;
+      }
+      this._values.set(key, {
+        labels: Object.fromEntries(
+          this.labelNames.map((labelName, index) => [labelName, values[index]])
+        ),
+        value: createValue(),
+      });
+    }
+    return this._values.get(key);
+  }
+
+  /**
+   * Returns sample lines in the Prometheus text format.
+   * @returns {string[]} - Sample lines.
+   */
+  _renderSamples() {
+    return [...this._values.values()].map(({ labels, value }) => (
+      `${this.name}${formatLabels(labels)} ${formatValue(value)}`
+    ));
+  }
+
+  /**
+   * Renders the metric in the Prometheus text format.
+   * @returns {string} - The rendered metric.
+   */
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this._type}`,
+      ...this._renderSamples(),
+    ].join('\n');
+  }
+}
+
+/**
+ * A Metric extended class whose values only go up.
+ * @extends Metric
+ */
+export class Counter extends Metric {
+  _type = 'counter';
+
+  /**
+   * Returns the value of a label combination.
+   * @param {object} [labels] - Label values by name.
+   * @returns {number} - The value, 0 if never incremented.
+   */
+  get(labels = {}) {
+    return this._getEntry(labels)?.value || 0;
+  }
+
+  /**
+   * Increments the value of a label combination.
+   * @param {object} [labels] - Label values by name.
+   * @param {number} [value] - The amount to increment by.
+   */
+  inc(labels = {}, value = 1) {
+    this._getEntry(labels, () => 0).value += value;
+  }
+}
+
+/**
+ * A Metric extended class whose values are set, either directly or by a
+ * collect function called before each render.
+ * @extends Metric
+ */
+export class Gauge extends Metric {
+  _type = 'gauge';
+
+  /**
+   * Sets values before each render, if any.
+   * @property {function}
+   * @private
+   */
+  #collect;
+
+  /**
+   * @param {object} config - See Metric.
+   * @param {function} [config.collect] - Called with the gauge before each
+   *  render to set its values.
+   */
+  constructor({ collect, ...config }) {
+    super(config);
+    this.#collect = collect;
+  }
+
+  /**
+   * Sets the value of a label combination.
+   * @param {object} labels - Label values by name.
+   * @param {number} value - The value.
+   */
+  set(labels, value) {
+    this._getEntry(labels, () => 0).value = value;
+  }
+
+  render() {
+    if (this.#collect) {
+      this._values.clear();
+      this.#collect(this);
+    }
+    return super.render();
+  }
+}
+
+/**
+ * A Metric extended class counting observations in cumulative buckets, like
+ * request durations.
+ * @extends Metric
+ */
+export class Histogram extends Metric {
+  _type = 'histogram';
+
+  /**
+   * @param {object} config - See Metric.
+   * @param {number[]} [config.buckets] - Upper bounds of the buckets in
+   *  ascending order.
+   */
+  constructor({ buckets = DEFAULT_BUCKETS, ...config }) {
+    super(config);
+    this.buckets = buckets;
+  }
+
+  /**
+   * Records an observation for a label combination.
+   * @param {object} labels - Label values by name.
+   * @param {number} value - The observed value.
+   */
+  observe(labels, value) {
+    const entry = this._getEntry(labels, () => ({
+      bucketCounts: this.buckets.map(() => 0),
+      count: 0,
+      sum: 0,
+    })).value;
+    this.buckets.forEach((bucket, index) => {
+      if (value <= bucket) {
+        entry.bucketCounts[index]++;
+      }
+    });
+    entry.count++;
+    entry.sum += value;
+  }
+
+  _renderSamples() {
+    return [...this._values.values()].flatMap(({ labels, value }) => [
+      ...this.buckets.map((bucket, index) => (
+        `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bucket) })} `
+        + value.bucketCounts[index]
+      )),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`,
+      `${this.name}_sum${formatLabels(labels)} ${value.sum}`,
+      `${this.name}_count${formatLabels(labels)} ${value.count}`,
+    ]);
+  }
+}
+
+/**
+ * A registry of metrics rendered together in the Prometheus text format.
+ * Metrics are created on first use, so instrumented modules share them by
+ * name.
+ */
+export class MetricsRegistry {
+  /**
+   * Metrics by name.
+   * @property {Map<string, Metric>}
+   * @private
+   */
+  #metrics = new Map();
+
+  /**
+   * Returns the metric of a name, registering it if needed.
+   * @param {function} MetricClass - A Metric extended class.
+   * @param {object} config - The metric's config.
+   * @returns {Metric} - A Metric class instance.
+   * @private
+   */
+  #getMetric(MetricClass, config) {
+    const metric = this.#metrics.get(config.name);
+    if (metric) {
+      if (!(metric instanceof MetricClass)) {
+        throw new Error(`Metric '${config.name}' is registered with another type`);
+      }
+      return metric;
+    }
+    const newMetric = new MetricClass(config);
+    this.#metrics.set(config.name, newMetric);
+    return newMetric;
+  }
+
+  /**
+   * @param {object} config - See Metric.
+   * @returns {Counter} - A Counter class instance.
+   */
+  counter(config) {
+    return this.#getMetric(Counter, config);
+  }
+
+  /**
+   * @param {object} config - See Gauge.
+   * @returns {Gauge} - A Gauge class instance.
+   */
+  gauge(config) {
+    return this.#getMetric(Gauge, config);
+  }
+
+  /**
+   * @param {object} config - See Histogram.
+   * @returns {Histogram} - A Histogram class instance.
+   */
+  histogram(config) {
+    return this.#getMetric(Histogram, config);
+  }
+
+  /**
+   * Renders all metrics in the Prometheus text format.
+   * @returns {string} - The rendered metrics.
+   */
+  render() {
+    return `${[...this.#metrics.values()].map((metric) => metric.render()).join('\n')}\n`;
+  }
+}
+
+/**
+ * The registry metrics of this API are collected in.
+ */
+export default new MetricsRegistry();
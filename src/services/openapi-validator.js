@@ -0,0 +1,304 @@
+import Ajv2020 from 'ajv/dist/2020.js';
+import { ApiError } from './api-client.js';
+
+/**
+ * The ID the OpenAPI document is registered with, so schemas compiled from
+ * its fragments resolve their `#/components/...` references in it.
+ * @type {string}
+ * @private
+ */
+const DOCUMENT_ID = 'openapi.json';
+
+/**
+ * Returns the URI fragment of a JSON pointer.
+ * @param {string[]} tokens - The tokens of the pointer, like
+ *  `['components', 'schemas', 'Lookup']`.
+ * @returns {string} - The fragment, like `#/components/schemas/Lookup`.
+ */
+const toFragment = (tokens) => `#/${tokens.map((token) => encodeURIComponent(
+  String(token).replace(/~/g, '~0').replace(/\//g, '~1')
+)).join('/')}`;
+
+/**
+ * Returns the tokens of a local reference.
+ * @param {string} ref - A `$ref`, like `#/components/responses/Error`.
+ * @returns {string[]} - The tokens of its pointer.
+ */
+const parseRef = (ref) => ref.slice(2).split('/').map((token) => (
+  decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~')
+));
+
+/**
+ * Describes the first error of a failed validation.
+ * @param {object[]} errors - Ajv validation errors.
+ * @returns {{at: string, message: string}} - Where and how the data is
+ *  invalid, like `/ips` and `must NOT have fewer than 1 items`.
+ */
+const describeError = ([error]) => {
+  const { additionalProperty } = error.params;
+  return {
+    at: error.instancePath,
+    message: additionalProperty
+      ? `${error.message} '${additionalProperty}'`
+      : error.message,
+  };
+};
+
+/**
+ * Validates requests and responses against an OpenAPI 3.1 document. Request
+ * paths match the path template with the fewest parameters first, so
+ * `/countries/me` takes precedence over `/countries/{ip}` as it does in the
+ * router.
+ */
+export default class OpenApiValidator {
+  /**
+   * Validates request and response bodies.
+   * @property {Ajv2020}
+   * @private
+   */
+  #ajv;
+
+  /**
+   * Validates parameters, coercing strings to the types of their schemas.
+   * @property {Ajv2020}
+   * @private
+   */
+  #coercingAjv;
+
+  /**
+   * The OpenAPI document.
+   * @property {object}
+   * @private
+   */
+  #document;
+
+  /**
+   * The path templates, fewest parameters first.
+   * @property {object[]}
+   * @private
+   */
+  #paths;
+
+  /**
+   * Compiled validation functions by Ajv instance and fragment.
+   * @property {Map}
+   * @private
+   */
+  #validators = new Map();
+
+  /**
+   * @param {object} document - An OpenAPI 3.1 document.
+   */
+  constructor(document) {
+    this.#document = document;
+    this.#ajv = new Ajv2020({ strict: false, validateSchema: false });
+    this.#coercingAjv = new Ajv2020({
+      coerceTypes: true,
+      strict: false,
+      validateSchema: false,
+    });
+    this.#ajv.addSchema(document, DOCUMENT_ID);
+    this.#coercingAjv.addSchema(document, DOCUMENT_ID);
+
+    this.#paths = Object.keys(document.paths)
+      .map((template) => {
+        const names = [];
+        const pattern = template
+          .split('/')
+          .map((segment) => {
+            const [, name] = segment.match(/^\{(.+)\}$/) || [];
+            if (name) {
+              names.push(name);
+              return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+          })
+          .join('/');
+        return { names, regExp: new RegExp(`^${pattern}/?$`), template };
+      })
+      .sort((a, b) => a.names.length - b.names.length);
+  }
+
+  /**
+   * Returns the value of a document fragment, following its `$ref`s.
+   * @param {string[]} tokens - The tokens of the fragment's pointer.
+   * @returns {{tokens: string[], value: *}} - The value and the tokens of
+   *  where it's defined.
+   * @private
+   */
+  #resolve(tokens) {
+    let resolvedTokens = tokens;
+    let value = tokens.reduce((parent, token) => parent?.[token], this.#document);
+    while (value && value.$ref) {
+      resolvedTokens = parseRef(value.$ref);
+      value = resolvedTokens.reduce((parent, token) => parent?.[token], this.#document);
+    }
+    return { tokens: resolvedTokens, value };
+  }
+
+  /**
+   * Returns the validation function of a schema in the document.
+   * @param {Ajv2020} ajv - The Ajv instance to compile with.
+   * @param {string[]} tokens - The tokens of the schema's pointer.
+   * @param {boolean} [wrapped] - Whether to validate a `value` property
+   *  holding the data, so it can be coerced.
+   * @returns {function} - The Ajv validation function.
+   * @private
+   */
+  #getValidator(ajv, tokens, wrapped = false) {
+    const ref = `${DOCUMENT_ID}${toFragment(tokens)}`;
+    const key = `${ajv === this.#ajv ? '' : 'coercing:'}${ref}`;
+    if (!this.#validators.has(key)) {
+      this.#validators.set(key, ajv.compile(wrapped
+        ? { type: 'object', properties: { value: { $ref: ref } } }
+        : { $ref: ref }));
+    }
+    return this.#validators.get(key);
+  }
+
+  /**
+   * Finds the operation of a request.
+   * @param {string} method - The HTTP method.
+   * @param {string} path - The request path, without its query string.
+   * @returns {{tokens: string[], operation: object, params: object}|undefined}
+   *  - The operation, the tokens of its pointer and the decoded path
+   *  parameters, or undefined if the document doesn't describe the request.
+   * @private
+   */
+  #match(method, path) {
+    const methods = method === 'HEAD' ? ['head', 'get'] : [method.toLowerCase()];
+    for (const { names, regExp, template } of this.#paths) {
+      const match = path.match(regExp);
+      const operationMethod = match && methods.find((name) => (
+        this.#document.paths[template][name]
+      ));
+      if (operationMethod) {
+        const params = {};
+        names.forEach((name, index) => {
+          try {
+            params[name] = decodeURIComponent(match[index + 1]);
+          } catch (error) {
+            params[name] = match[index + 1];
+          }
+        });
+        return {
+          tokens: ['paths', template, operationMethod],
+          operation: this.#document.paths[template][operationMethod],
+          params,
+        };
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Validates a request's path and query parameters and its body. Requests
+   * the document doesn't describe pass.
+   * @param {object} request - The request.
+   * @param {string} request.method - The HTTP method.
+   * @param {string} request.path - The request path, without its query
+   *  string.
+   * @param {object} [request.query] - The query parameters.
+   * @param {*} [request.body] - The parsed body, undefined without one.
+   * @param {string} [request.contentType] - The `Content-Type` header.
+   * Throws a 400 ApiError if the request is invalid, or a 415 ApiError if
+   * the body has an undocumented content type.
+   */
+  validateRequest({ method, path, query = {}, body, contentType }) {
+    const match = this.#match(method, path);
+    if (!match) {
+      return;
+    }
+    const { tokens, operation, params } = match;
+
+    const pathItemParameters = this.#document.paths[tokens[1]].parameters || [];
+    [
+      ...pathItemParameters.map((_, index) => ['paths', tokens[1], 'parameters', index]),
+      ...(operation.parameters || []).map((_, index) => [...tokens, 'parameters', index]),
+    ].forEach((parameterTokens) => {
+      const parameter = this.#resolve(parameterTokens);
+      const { name, in: location, required } = parameter.value;
+      if (location !== 'path' && location !== 'query') {
+        return;
+      }
+      const value = location === 'path' ? params[name] : query[name];
+      if (value === undefined) {
+        if (required) {
+          throw new ApiError(`Missing ${location} parameter '${name}'`);
+        }
+        return;
+      }
+      const validate = this.#getValidator(
+        this.#coercingAjv,
+        [...parameter.tokens, 'schema'],
+        true
+      );
+      if (!validate({ value })) {
+        const { message } = describeError(validate.errors);
+        throw new ApiError(`Invalid ${location} parameter '${name}': ${message}`);
+      }
+    });
+
+    if (!operation.requestBody) {
+      return;
+    }
+    const requestBody = this.#resolve([...tokens, 'requestBody']);
+    const mediaType = contentType && contentType.split(';')[0].trim().toLowerCase();
+    if (mediaType && !requestBody.value.content[mediaType]) {
+      throw new ApiError(`Unsupported content type '${mediaType}'`, { status: 415 });
+    }
+    if (body === undefined) {
+      if (requestBody.value.required) {
+        throw new ApiError('Request body required');
+      }
+      return;
+    }
+    const validate = this.#getValidator(
+      this.#ajv,
+      [...requestBody.tokens, 'content', mediaType || 'application/json', 'schema']
+    );
+    if (!validate(body)) {
+      const { at, message } = describeError(validate.errors);
+      throw new ApiError(`Invalid request body${at ? ` at '${at}'` : ''}: ${message}`);
+    }
+  }
+
+  /**
+   * Validates a JSON response body against the response the document
+   * describes for its status. Responses to requests the document doesn't
+   * describe pass.
+   * @param {object} response - The response.
+   * @param {string} response.method - The HTTP method of the request.
+   * @param {string} response.path - The request path, without its query
+   *  string.
+   * @param {number} response.status - The HTTP status.
+   * @param {*} response.body - The body, validated as it serializes to JSON.
+   * Throws an error if the response is invalid.
+   */
+  validateResponse({ method, path, status, body }) {
+    const match = this.#match(method, path);
+    if (!match) {
+      return;
+    }
+    const { responses } = match.operation;
+    const key = [status, `${String(status)[0]}XX`, 'default'].find((candidate) => (
+      responses[candidate]
+    ));
+    if (!key) {
+      throw new Error(`Undocumented response status ${status}`);
+    }
+    const response = this.#resolve([...match.tokens, 'responses', key]);
+    if (!response.value.content || !response.value.content['application/json']) {
+      return;
+    }
+    const validate = this.#getValidator(
+      this.#ajv,
+      [...response.tokens, 'content', 'application/json', 'schema']
+    );
+    const json = JSON.stringify(body);
+    if (!validate(json === undefined ? json : JSON.parse(json))) {
+      const { at, message } = describeError(validate.errors);
+      throw new Error(`Invalid response body${at ? ` at '${at}'` : ''}: ${message}`);
+    }
+  }
+}
@@ -0,0 +1,105 @@
+import fs from 'fs';
+import { formatCidr, IpPrefixMap, parseCidr } from '../utils/ip.js';
+import { normalizeLocation } from '../utils/location.js';
+import { findCountryByCode } from '../utils/countries.js';
+
+/**
+ * A table of manual overrides mapping IP addresses and CIDR blocks to a fixed
+ * country, for addresses the providing APIs consistently geolocate wrong.
+ * IPs resolve to the most specific block containing them.
+ */
+export default class Overrides {
+  /**
+   * Overrides in the order they were configured.
+   * @property {object[]}
+   * @private
+   */
+  #list = [];
+
+  /**
+   * Overrides by CIDR block.
+   * @property {IpPrefixMap}
+   * @private
+   */
+  #ranges = new IpPrefixMap();
+
+  /**
+   * @param {object} [config]
+   * @param {object[]} [config.overrides] - Overrides.
+   * @param {string} config.overrides[].cidr - An IP address or CIDR block.
+   * @param {string} config.overrides[].countryCode - The ISO 3166-1 alpha-2
+   *  or alpha-3 code of the country the addresses are in.
+   * @param {string} [config.overrides[].note] - Why the override exists.
+   */
+  constructor({ overrides = [] } = {}) {
+    if (!Array.isArray(overrides)) {
+      throw new Error(`'overrides' option is invalid`);
+    }
+    overrides.forEach(({ cidr, countryCode, note } = {}, index) => {
+      const range = typeof cidr === 'string' && parseCidr(cidr);
+      if (!range) {
+        throw new Error(`Override at index ${index} has an invalid cidr`);
+      }
+      const canonicalCidr = formatCidr(range);
+      if (this.#list.some((override) => override.cidr === canonicalCidr)) {
+        throw new Error(`Override '${cidr}' is duplicated`);
+      }
+      if (!findCountryByCode(countryCode)) {
+        throw new Error(`Override '${cidr}' countryCode is invalid`);
+      }
+      if (note !== undefined && typeof note !== 'string') {
+        throw new Error(`Override '${cidr}' note is invalid`);
+      }
+      const override = {
+        cidr: canonicalCidr,
+        location: normalizeLocation({ countryCode }),
+        note,
+      };
+      this.#list.push(override);
+      this.#ranges.set(canonicalCidr, override);
+    });
+  }
+
+  /**
+   * Creates an instance from a JSON file holding a list of overrides in the
+   * shape of the constructor's `overrides` option.
+   * @param {string} path - The path of the JSON file.
+   * @returns {Overrides} - An Overrides class instance.
+   */
+  static fromFile(path) {
+    let overrides;
+    try {
+      overrides = JSON.parse(fs.readFileSync(path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Unable to load overrides file '${path}': ${error.message}`);
+    }
+    return new Overrides({ overrides });
+  }
+
+  /**
+   * @returns {number} - The number of overrides.
+   */
+  get size() {
+    return this.#list.length;
+  }
+
+  /**
+   * Returns the override of the most specific block containing an IP.
+   * @param {string} ip - An IP address.
+   * @returns {object|undefined} - The override's canonical `cidr`, normalized
+   *  `location` and `note` if the IP is overridden.
+   */
+  get(ip) {
+    const match = this.#ranges.get(ip);
+    return match && { ...match.value };
+  }
+
+  /**
+   * Lists the overrides in the order they were configured.
+   * @returns {object[]} - Per override its canonical `cidr`, normalized
+   *  `location` and `note`.
+   */
+  list() {
+    return this.#list.map((override) => ({ ...override }));
+  }
+}
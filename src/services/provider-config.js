@@ -0,0 +1,69 @@
+import fs from 'fs';
+
+/**
+ * Validates a list of provider definitions and orders them by priority, so
+ * the orchestrator prefers providers in that order. Definitions without a
+ * priority come last and ties keep their order in the list. Options other
+ * than `name`, `type`, `priority` and `optional` are validated by the
+ * ApiClient the definition describes.
+ * @param {object[]} providers - Provider definitions.
+ * @param {string} providers[].name - A name identifying the provider.
+ * @param {string} [providers[].type] - The ApiClient type, `http` for
+ *  declaratively described providers if undefined.
+ * @param {number} [providers[].priority] - Lower priorities are preferred.
+ * @param {boolean} [providers[].optional] - Leaves the provider out unless
+ *  its token is set.
+ * @returns {object[]} - The provider definitions in order of priority.
+ */
+export const parseProviderConfig = (providers) => {
+  if (!Array.isArray(providers)) {
+    throw new Error('Providers must be a list');
+  }
+
+  const names = new Set();
+  providers.forEach(({
+    name,
+    optional,
+    priority,
+    type,
+  } = {}, index) => {
+    if (typeof name !== 'string' || !name) {
+      throw new Error(`Provider at index ${index} has an invalid name`);
+    }
+    if (names.has(name)) {
+      throw new Error(`Provider '${name}' is duplicated`);
+    }
+    if (type !== undefined && typeof type !== 'string') {
+      throw new Error(`Provider '${name}' type is invalid`);
+    }
+    if (priority !== undefined && typeof priority !== 'number') {
+      throw new Error(`Provider '${name}' priority is invalid`);
+    }
+    if (optional !== undefined && typeof optional !== 'boolean') {
+      throw new Error(`Provider '${name}' optional is invalid`);
+    }
+    names.add(name);
+  });
+
+  return providers
+    .map((provider, index) => ({ provider, index }))
+    .sort((a, b) => (
+      (a.provider.priority ?? Infinity) - (b.provider.priority ?? Infinity)
+      || a.index - b.index
+    ))
+    .map(({ provider }) => provider);
+};
+
+/**
+ * Loads provider definitions from a JSON file holding a list of them, see
+ * `parseProviderConfig`.
+ * @param {string} path - The path of the JSON file.
+ * @returns {object[]} - The provider definitions in order of priority.
+ */
+export const loadProviderConfig = (path) => {
+  try {
+    return parseProviderConfig(JSON.parse(fs.readFileSync(path, 'utf8')));
+  } catch (error) {
+    throw new Error(`Unable to load providers file '${path}': ${error.message}`);
+  }
+};
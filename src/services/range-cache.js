@@ -0,0 +1,189 @@
+import {
+  BIT_LENGTHS,
+  containsCidr,
+  formatCidr,
+  getNetwork,
+  parseCidr,
+  parseIp,
+} from '../utils/ip.js';
+import {
+  COUNTRY_FIELDS,
+  selectLocationFields,
+} from '../utils/location.js';
+
+/**
+ * The shortest prefix length by IP version of a network a providing API
+ * returned that is cached as a range, so a bogus network can't answer for
+ * a large part of the address space.
+ */
+export const MIN_RANGE_PREFIX_LENGTHS = { 4: 8, 6: 16 };
+
+/**
+ * Caches result data by IP and the country of the network an IP belongs to
+ * by CIDR block, in a Cache class instance, so lookups of IPs that aren't
+ * cached are answered by the most specific cached network containing them.
+ * Cache failures are thrown for the caller to handle.
+ */
+export default class RangeCache {
+  /**
+   * The cache entries are stored in
+   * @property {Cache}
+   * @private
+   */
+  #cache;
+
+  /**
+   * Prefix lengths of the ranges in the cache by IP version, learned from
+   * the cache on first use and as ranges are cached
+   * @property {Promise<object>}
+   * @private
+   */
+  #prefixLengths;
+
+  /**
+   * @param {Cache} cache - A Cache class instance to store entries in.
+   */
+  constructor(cache) {
+    this.#cache = cache;
+  }
+
+  /**
+   * Surfaces the cache to the instantiator.
+   * @returns {Cache} - A Cache class instance.
+   */
+  get cache() {
+    return this.#cache;
+  }
+
+  /**
+   * Returns the cache entry of an IP, or else of the most specific cached
+   * range containing it with the range as its `network`.
+   * @param {string} ip - A normalized IP address.
+   * @returns {Promise<object|undefined>} - The cache entry.
+   */
+  async get(ip) {
+    const entry = await this.#cache.get(ip);
+    if (entry) {
+      return entry;
+    }
+
+    const { version } = parseIp(ip);
+    const networks = [...(await this.#getPrefixLengths())[version]]
+      .sort((a, b) => b - a)
+      .map((prefixLength) => getNetwork(ip, prefixLength));
+    const entries = await Promise.all(networks.map((network) => (
+      this.#cache.get(network)
+    )));
+    const index = entries.findIndex(Boolean);
+    return index === -1
+      ? undefined
+      : { ...entries[index], network: networks[index] };
+  }
+
+  /**
+   * Stores result data by IP and, when the result has a `network` of at
+   * least the minimum prefix length, the country fields of the data by
+   * network.
+   * @param {string} ip - A normalized IP address.
+   * @param {object} result - A successful formatted result.
+   */
+  async set(ip, { data, meta }) {
+    await this.#cache.set(ip, data);
+
+    const range = parseCidr(meta.network);
+    if (
+      !range
+      || range.prefixLength < MIN_RANGE_PREFIX_LENGTHS[range.version]
+      || range.prefixLength === BIT_LENGTHS[range.version]
+    ) {
+      return;
+    }
+    await this.#cache.set(
+      formatCidr(range),
+      selectLocationFields(data, COUNTRY_FIELDS)
+    );
+    await this.#learnRange(range);
+  }
+
+  /**
+   * Deletes all cache entries, including cached ranges.
+   */
+  async clear() {
+    await this.#cache.clear();
+    this.#prefixLengths = undefined;
+  }
+
+  /**
+   * Restores cache entries, like ones exported from another instance,
+   * keeping their creation and expiry time. Expired entries are skipped.
+   * @param {Array[]} entries - `[key, entry]` tuples with IPs or CIDR blocks
+   *  as keys in their canonical form (see `normalizeIp` and `formatCidr`).
+   * @returns {Promise<number>} - The number of entries restored.
+   */
+  async restore(entries) {
+    let count = 0;
+    for (const [key, entry] of entries) {
+      if (await this.#cache.restore(key, entry)) {
+        count++;
+        if (key.includes('/')) {
+          await this.#learnRange(parseCidr(key));
+        }
+      }
+    }
+    return count;
+  }
+
+  /**
+   * Returns the cached IPs and ranges within a CIDR block, and the block
+   * itself if a cached range contains it, with their cached location.
+   * @param {object} range - A parsed CIDR block (see `parseCidr`).
+   * @returns {Promise<object[]>} - Blocks with their `cidr` and `location`.
+   */
+  async getBlocks(range) {
+    const blocks = [];
+    for await (const [key, { value }] of this.#cache.entries()) {
+      const block = parseCidr(key);
+      if (block && containsCidr(block, range)) {
+        blocks.push({ cidr: formatCidr(range), location: value });
+      } else if (block && containsCidr(range, block)) {
+        blocks.push({ cidr: key, location: value });
+      }
+    }
+    return blocks;
+  }
+
+  /**
+   * Returns the prefix lengths of the ranges in the cache, learning them
+   * from the cache keys on first use. Learning is retried on the next use if
+   * the cache fails.
+   * @returns {Promise<object>} - Sets of prefix lengths by IP version.
+   * @private
+   */
+  #getPrefixLengths() {
+    if (!this.#prefixLengths) {
+      this.#prefixLengths = (async () => {
+        const prefixLengths = { 4: new Set(), 6: new Set() };
+        for await (const [key] of this.#cache.entries()) {
+          const block = key.includes('/') && parseCidr(key);
+          if (block) {
+            prefixLengths[block.version].add(block.prefixLength);
+          }
+        }
+        return prefixLengths;
+      })();
+      this.#prefixLengths.catch(() => {
+        this.#prefixLengths = undefined;
+      });
+    }
+    return this.#prefixLengths;
+  }
+
+  /**
+   * Adds the prefix length of a cached range to those checked by lookups.
+   * @param {object} range - A parsed CIDR block (see `parseCidr`).
+   * @private
+   */
+  async #learnRange({ prefixLength, version }) {
+    (await this.#getPrefixLengths())[version].add(prefixLength);
+  }
+}
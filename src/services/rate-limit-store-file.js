@@ -0,0 +1,117 @@
+import fs from 'fs';
+import path from 'path';
+import logger from './logger.js';
+import MemoryRateLimitStore from './rate-limit-store-memory.js';
+
+/**
+ * A MemoryRateLimitStore extended class that persists rate limit states to a
+ * JSON file so they survive restarts. States are loaded from the file on
+ * instantiation and written back shortly after they change. The file isn't
+ * meant to be shared by several instances running at once.
+ * See RateLimitStore definition for JSDoc types.
+ * @extends MemoryRateLimitStore
+ */
+export default class FileRateLimitStore extends MemoryRateLimitStore {
+  /**
+   * The path of the state file.
+   * @property {string}
+   * @private
+   */
+  #path;
+
+  /**
+   * Milliseconds to wait after a change before writing the file.
+   * @property {number}
+   * @private
+   */
+  #saveDelay;
+
+  /**
+   * A timer of a pending file write, if any.
+   * @property {object}
+   * @private
+   */
+  #saveTimeout;
+
+  /**
+   * @param {object} config
+   * @param {string} [config.algorithm] - The window algorithm, `fixed`
+   *  (default) or `sliding`.
+   * @param {string} config.path - The path of the state file.
+   * @param {number} [config.saveDelay] - Milliseconds to wait after a change
+   *  before writing the file, so bursts of changes are written once.
+   */
+  constructor({ algorithm, path: filePath, saveDelay = 1000 }) {
+    if (typeof filePath !== 'string') {
+      throw new Error(`'path' option is invalid`);
+    }
+    super({ algorithm });
+    this.#path = filePath;
+    this.#saveDelay = saveDelay;
+    this.load();
+  }
+
+  /**
+   * Loads states from the state file. A missing file is treated as no
+   * states.
+   */
+  load() {
+    let states;
+    try {
+      states = JSON.parse(fs.readFileSync(this.#path, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw new Error(
+        `Unable to load rate limit file '${this.#path}': ${error.message}`
+      );
+    }
+    this._states = new Map(states);
+  }
+
+  /**
+   * Writes states to the state file. The file is replaced atomically so a
+   * crash mid write can't corrupt it.
+   */
+  save() {
+    clearTimeout(this.#saveTimeout);
+    this.#saveTimeout = undefined;
+
+    const temporaryPath = `${this.#path}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.#path), { recursive: true });
+    fs.writeFileSync(temporaryPath, JSON.stringify([...this._states]));
+    fs.renameSync(temporaryPath, this.#path);
+  }
+
+  /**
+   * Schedules a write of the state file unless one is pending.
+   * @private
+   */
+  #scheduleSave() {
+    if (this.#saveTimeout) {
+      return;
+    }
+    this.#saveTimeout = setTimeout(() => {
+      try {
+        this.save();
+      } catch (error) {
+        logger.error('Unable to save the rate limit file', { error });
+      }
+    }, this.#saveDelay);
+    this.#saveTimeout.unref();
+  }
+
+  async consume(key, options) {
+    const result = await super.consume(key, options);
+    this.#scheduleSave();
+    return result;
+  }
+
+  async close() {
+    // flush pending changes
+    if (this.#saveTimeout) {
+      this.save();
+    }
+  }
+}
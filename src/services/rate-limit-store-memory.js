@@ -0,0 +1,21 @@
+import RateLimitStore from './rate-limit-store.js';
+
+/**
+ * A RateLimitStore extended class that keeps rate limit states in memory,
+ * so they're lost on restart and not shared between instances.
+ * See RateLimitStore definition for JSDoc types.
+ * @extends RateLimitStore
+ */
+export default class MemoryRateLimitStore extends RateLimitStore {
+  /**
+   * Rate limit states by key.
+   * @property {Map<string, object>}
+   */
+  _states = new Map();
+
+  async consume(key, options) {
+    const { state, result } = this.applyHit(this._states.get(key), options);
+    this._states.set(key, state);
+    return result;
+  }
+}
@@ -0,0 +1,120 @@
+import crypto from 'crypto';
+import RateLimitStore from './rate-limit-store.js';
+import RedisClient from './redis-client.js';
+
+/**
+ * A RateLimitStore extended class that keeps rate limit states on a Redis
+ * protocol server, so several instances of this API share their upstream
+ * quotas. Hits are counted in transactions, so concurrent instances never
+ * count more hits than the limit. Fixed windows are counters expiring with
+ * the window and sliding windows are sorted sets of hit times.
+ * See RateLimitStore definition for JSDoc types.
+ * @extends RateLimitStore
+ */
+export default class RedisRateLimitStore extends RateLimitStore {
+  /**
+   * The Redis protocol client.
+   * @property {RedisClient}
+   * @private
+   */
+  #client;
+
+  /**
+   * A prefix for keys to keep them apart from other data on the server.
+   * @property {string}
+   * @private
+   */
+  #keyPrefix;
+
+  /**
+   * @param {object} [config]
+   * @param {string} [config.algorithm] - The window algorithm, `fixed`
+   *  (default) or `sliding`.
+   * @param {RedisClient} [config.client] - A client to use instead of creating
+   *  one from `url`.
+   * @param {string} [config.keyPrefix] - A prefix for keys.
+   * @param {string} [config.url] - The server URL.
+   */
+  constructor({
+    algorithm,
+    client,
+    keyPrefix = 'ip-country:rate-limit:',
+    url,
+  } = {}) {
+    super({ algorithm });
+    this.#client = client || new RedisClient({ url });
+    this.#keyPrefix = keyPrefix;
+  }
+
+  async consume(key, options) {
+    return this._algorithm === 'sliding'
+      ? this.#consumeSliding(this.#keyPrefix + key, options)
+      : this.#consumeFixed(this.#keyPrefix + key, options);
+  }
+
+  async close() {
+    this.#client.close();
+  }
+
+  /**
+   * Runs commands in a transaction. Commands are written at once, so other
+   * commands of this client can't interleave.
+   * @param {Array<Array<string|number>>} commands - Commands and their
+   *  arguments.
+   * @returns {Promise<Array>} - The replies of the commands.
+   * @private
+   */
+  async #transaction(commands) {
+    const replies = await Promise.all([
+      this.#client.command('MULTI'),
+      ...commands.map((args) => this.#client.command(...args)),
+      this.#client.command('EXEC'),
+    ]);
+    return replies[replies.length - 1];
+  }
+
+  /**
+   * Counts a hit in a counter that expires with the window. Hits over the
+   * limit are counted too, but reported as the limit.
+   * @private
+   */
+  async #consumeFixed(key, { limit, window }) {
+    const [, count, ttl] = await this.#transaction([
+      ['SET', key, 0, 'PX', window, 'NX'],
+      ['INCR', key],
+      ['PTTL', key],
+    ]);
+    return {
+      allowed: count <= limit,
+      count: Math.min(count, limit),
+      resetAt: Date.now() + Math.max(ttl, 0),
+    };
+  }
+
+  /**
+   * Adds a hit to a sorted set of the window's hit times and removes it again
+   * if that exceeds the limit.
+   * @private
+   */
+  async #consumeSliding(key, { limit, window }) {
+    const now = Date.now();
+    const member = `${now}:${crypto.randomUUID()}`;
+    const [, , count, [, oldestHit]] = await this.#transaction([
+      ['ZREMRANGEBYSCORE', key, '-inf', now - window],
+      ['ZADD', key, now, member],
+      ['ZCARD', key],
+      ['ZRANGE', key, 0, 0, 'WITHSCORES'],
+      ['PEXPIRE', key, window],
+    ]);
+
+    const allowed = count <= limit;
+    if (!allowed) {
+      await this.#client.command('ZREM', key, member);
+    }
+    return {
+      allowed,
+      count: Math.min(count, limit),
+      resetAt: Number(oldestHit) + window,
+    };
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * A base rate limit store class defining the interface shared by rate limit
+ * stores. Stores count hits against a limit per key within a time window,
+ * either a fixed window that starts with the first hit and resets once it
+ * ends, or a sliding window that counts the hits of the last window length.
+ * All methods are async so stores can be shared through remote storage.
+ */
+export default class RateLimitStore {
+  /**
+   * The window algorithm, `fixed` or `sliding`.
+   * @property {string}
+   */
+  _algorithm = 'fixed';
+
+  /**
+   * @param {object} [config]
+   * @param {string} [config.algorithm] - The window algorithm, `fixed`
+   *  (default) or `sliding`.
+   */
+  constructor({ algorithm = 'fixed' } = {}) {
+    if (!['fixed', 'sliding'].includes(algorithm)) {
+      throw new Error(`'algorithm' option is invalid`);
+    }
+    this._algorithm = algorithm;
+  }
+
+  /**
+   * Counts a hit against a key's limit unless the limit has been met.
+   * @param {string} key - The rate limited key, like an API name.
+   * @param {object} options
+   * @param {number} options.limit - Hits allowed per window.
+   * @param {number} options.window - The window in milliseconds.
+   * @returns {Promise<object>} result
+   * @returns {boolean} result.allowed - False if the limit had been met and
+   *  the hit wasn't counted.
+   * @returns {number} result.count - Hits counted in the current window.
+   * @returns {number} result.resetAt - When a hit will be allowed again, in
+   *  milliseconds from epoch, if the limit is met.
+   */
+  async consume(key, options) {
+    throw new Error(`'consume' is not implemented`);
+  }
+
+  /**
+   * Releases any resources held by the store.
+   */
+  async close() {}
+
+  /**
+   * Applies a hit to a key's state in the shape kept by in process stores.
+   * Fixed window states hold a `count` and `resetAt`, sliding window states
+   * hold the `hits` times of the current window.
+   * @param {object|undefined} state - The key's state, if any.
+   * @param {object} options
+   * @param {number} options.limit - Hits allowed per window.
+   * @param {number} options.window - The window in milliseconds.
+   * @returns {object} - The key's new `state` and the `consume` result.
+   */
+  applyHit(state, { limit, window }) {
+    const now = Date.now();
+
+    if (this._algorithm === 'sliding') {
+      const hits = (state?.hits || []).filter((hit) => hit > now - window);
+      const allowed = hits.length < limit;
+      if (allowed) {
+        hits.push(now);
+      }
+      return {
+        state: { hits },
+        result: {
+          allowed,
+          count: hits.length,
+          resetAt: (hits.length ? hits[0] : now) + window,
+        },
+      };
+    }
+
+    const current = !state || now >= state.resetAt
+      ? { count: 0, resetAt: now + window }
+      : { ...state };
+    const allowed = current.count < limit;
+    if (allowed) {
+      current.count++;
+    }
+    return {
+      state: current,
+      result: { allowed, count: current.count, resetAt: current.resetAt },
+    };
+  }
+}
@@ -0,0 +1,251 @@
+import net from 'net';
+
+/**
+ * Encodes a command as a RESP array of bulk strings.
+ * @param {Array<string|number>} args - The command name and arguments.
+ * @returns {Buffer} - The encoded command.
+ */
+export const encodeCommand = (args) => Buffer.concat([
+  Buffer.from(`*${args.length}\r\n`),
+  ...args.map((arg) => {
+    const bytes = Buffer.from(String(arg));
+    return Buffer.concat([
+      Buffer.from(`$${bytes.length}\r\n`),
+      bytes,
+      Buffer.from('\r\n'),
+    ]);
+  }),
+]);
+
+/**
+ * Parses one RESP reply from a buffer. Error replies are returned as Error
+ * instances.
+ * @param {Buffer} buffer - Received data.
+ * @param {number} [offset] - Where the reply starts in the buffer.
+ * @returns {Array|null} - A tuple of the parsed reply and the offset after it
+ *  or null if the buffer doesn't hold a complete reply yet.
+ */
+export const parseReply = (buffer, offset = 0) => {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) {
+    return null;
+  }
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return [line, next];
+    case '-':
+      return [new Error(line), next];
+    case ':':
+      return [Number(line), next];
+    case '$': {
+      const length = Number(line);
+      if (length === -1) {
+        return [null, next];
+      }
+      if (buffer.length < next + length + 2) {
+        return null;
+      }
+      return [buffer.toString('utf8', next, next + length), next + length + 2];
+    }
+    case '*': {
+      const length = Number(line);
+      if (length === -1) {
+        return [null, next];
+      }
+      const items = [];
+      let itemOffset = next;
+      for (let index = 0; index < length; index++) {
+        const parsed = parseReply(buffer, itemOffset);
+        if (!parsed) {
+          return null;
+        }
+        items.push(parsed[0]);
+        itemOffset = parsed[1];
+      }
+      return [items, itemOffset];
+    }
+    default:
+      throw new Error(`Unexpected RESP reply type '${type}'`);
+  }
+};
+
+/**
+ * A minimal client for servers speaking the Redis protocol (RESP). It
+ * connects lazily on the first command and reconnects on the next command
+ * after the connection is lost.
+ */
+export default class RedisClient {
+  /**
+   * Received data not parsed yet.
+   * @property {Buffer}
+   * @private
+   */
+  #buffer = Buffer.alloc(0);
+
+  /**
+   * Callbacks of commands awaiting replies, in order.
+   * @property {Array<{resolve: function, reject: function}>}
+   * @private
+   */
+  #pending = [];
+
+  /**
+   * The current connection, if any.
+   * @property {net.Socket}
+   * @private
+   */
+  #socket;
+
+  /**
+   * Milliseconds to wait for a reply before failing.
+   * @property {number}
+   * @private
+   */
+  #timeout;
+
+  /**
+   * The parsed server URL.
+   * @property {URL}
+   * @private
+   */
+  #url;
+
+  /**
+   * @param {object} [config]
+   * @param {string} [config.url] - The server URL like
+   *  `redis://:password@localhost:6379/0`.
+   * @param {number} [config.timeout] - Milliseconds to wait for a reply
+   *  before failing.
+   */
+  constructor({ url = 'redis://localhost:6379', timeout = 2000 } = {}) {
+    this.#url = new URL(url);
+    if (this.#url.protocol !== 'redis:') {
+      throw new Error(`'url' option is invalid`);
+    }
+    this.#timeout = timeout;
+  }
+
+  /**
+   * Sends a command and resolves with its reply. Rejects with error replies
+   * and connection errors.
+   * @param {...(string|number)} args - The command name and arguments.
+   * @returns {Promise<*>} - The reply.
+   */
+  command(...args) {
+    if (!this.#socket) {
+      this.#connect();
+    }
+    return this.#send(args);
+  }
+
+  /**
+   * Closes the connection, rejecting commands still awaiting replies.
+   */
+  close() {
+    const socket = this.#socket;
+    if (socket) {
+      this.#fail(socket, new Error('Redis connection closed'));
+      socket.end();
+    }
+  }
+
+  /**
+   * Opens a connection, authenticating and selecting a database if the URL
+   * specifies them.
+   * @private
+   */
+  #connect() {
+    const socket = net.createConnection({
+      host: this.#url.hostname || 'localhost',
+      port: Number(this.#url.port) || 6379,
+    });
+    this.#socket = socket;
+    this.#buffer = Buffer.alloc(0);
+
+    socket.setTimeout(this.#timeout);
+    socket.on('timeout', () => {
+      if (this.#pending.length) {
+        socket.destroy(new Error('Redis command timed out'));
+      }
+    });
+    socket.on('data', (data) => this.#receive(socket, data));
+    socket.on('error', (error) => this.#fail(socket, error));
+    socket.on('close', () => this.#fail(socket, new Error('Redis connection closed')));
+
+    // commands are queued in order, so these run before any others
+    const password = decodeURIComponent(this.#url.password);
+    if (password) {
+      const username = decodeURIComponent(this.#url.username);
+      this.#send(username ? ['AUTH', username, password] : ['AUTH', password])
+        .catch((error) => socket.destroy(error));
+    }
+    const database = this.#url.pathname.slice(1);
+    if (database) {
+      this.#send(['SELECT', database]).catch((error) => socket.destroy(error));
+    }
+  }
+
+  /**
+   * Rejects pending commands when a connection fails or is closed, and
+   * forgets the connection's unparsed data.
+   * @param {net.Socket} socket - The failed connection.
+   * @param {Error} error - The cause.
+   * @private
+   */
+  #fail(socket, error) {
+    if (socket !== this.#socket) {
+      return;
+    }
+    this.#socket = undefined;
+    this.#buffer = Buffer.alloc(0);
+    const pending = this.#pending;
+    this.#pending = [];
+    pending.forEach(({ reject }) => reject(error));
+  }
+
+  /**
+   * Parses received data and settles pending commands with their replies.
+   * Data of a connection that was closed or failed is ignored, as its
+   * commands were already rejected.
+   * @param {net.Socket} socket - The connection the data was received on.
+   * @param {Buffer} data - Received data.
+   * @private
+   */
+  #receive(socket, data) {
+    if (socket !== this.#socket) {
+      return;
+    }
+    this.#buffer = Buffer.concat([this.#buffer, data]);
+
+    let parsed = parseReply(this.#buffer);
+    while (parsed) {
+      const [reply, offset] = parsed;
+      this.#buffer = this.#buffer.subarray(offset);
+      const { resolve, reject } = this.#pending.shift();
+      if (reply instanceof Error) {
+        reject(reply);
+      } else {
+        resolve(reply);
+      }
+      parsed = this.#buffer.length ? parseReply(this.#buffer) : null;
+    }
+  }
+
+  /**
+   * Writes a command to the current connection.
+   * @param {Array<string|number>} args - The command name and arguments.
+   * @returns {Promise<*>} - The reply.
+   * @private
+   */
+  #send(args) {
+    return new Promise((resolve, reject) => {
+      this.#pending.push({ resolve, reject });
+      this.#socket.write(encodeCommand(args));
+    });
+  }
+}
@@ -0,0 +1,15 @@
+import Strategy from './strategy.js';
+
+/**
+ * A Strategy extended class that prefers the ApiClient class instances with
+ * the lowest cost per lookup, so paid quotas are only spent once cheaper
+ * providing APIs are rate limited or failing.
+ * See Strategy definition for JSDoc types.
+ * @extends Strategy
+ */
+export default class CostStrategy extends Strategy {
+  order(apiClients) {
+    // sorting is stable, so equal costs keep their configured order
+    return [...apiClients].sort((a, b) => a.cost - b.cost);
+  }
+}
@@ -0,0 +1,72 @@
+import Strategy from './strategy.js';
+
+export const DEFAULT_SMOOTHING = 0.3;
+
+/**
+ * A Strategy extended class that prefers ApiClient class instances with the
+ * lowest observed latency. Latency is tracked as an exponentially weighted
+ * moving average, so it follows changes while smoothing out spikes. Only
+ * successful lookups are observed, as failing or cancelled calls can end
+ * instantly and would make a broken provider look fastest. Clients without
+ * observations yet are preferred so they get measured.
+ * See Strategy definition for JSDoc types.
+ * @extends Strategy
+ */
+export default class LatencyStrategy extends Strategy {
+  /**
+   * Average latency in milliseconds by ApiClient class instance.
+   * @property {Map<ApiClient, number>}
+   * @private
+   */
+  #latencies = new Map();
+
+  /**
+   * The weight of a new observation in the average, from 0 to 1.
+   * @property {number}
+   * @private
+   */
+  #smoothing;
+
+  /**
+   * @param {object} [config]
+   * @param {number} [config.smoothing] - The weight of a new observation in
+   *  the average, from 0 (exclusive) to 1 (inclusive).
+   */
+  constructor({ smoothing = DEFAULT_SMOOTHING } = {}) {
+    super();
+    if (typeof smoothing !== 'number' || smoothing <= 0 || smoothing > 1) {
+      throw new Error(`'smoothing' option is invalid`);
+    }
+    this.#smoothing = smoothing;
+  }
+
+  /**
+   * Returns the average latency of an ApiClient.
+   * @param {ApiClient} apiClient - An ApiClient class instance.
+   * @returns {number|undefined} - Average latency in milliseconds or undefined
+   *  if none was observed.
+   */
+  getLatency(apiClient) {
+    return this.#latencies.get(apiClient);
+  }
+
+  order(apiClients) {
+    // sorting is stable, so equal latencies keep their configured order
+    return [...apiClients].sort((a, b) => (
+      (this.getLatency(a) ?? 0) - (this.getLatency(b) ?? 0)
+    ));
+  }
+
+  record(apiClient, { latency, status }) {
+    if (status !== 200) {
+      return;
+    }
+    const average = this.getLatency(apiClient);
+    this.#latencies.set(
+      apiClient,
+      average === undefined
+        ? latency
+        : average + this.#smoothing * (latency - average)
+    );
+  }
+}
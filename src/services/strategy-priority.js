@@ -0,0 +1,31 @@
+import Strategy from './strategy.js';
+
+/**
+ * A Strategy extended class that prefers ApiClient class instances in their
+ * configured order, except that the one preferred last is kept first while
+ * it's available, so a client is used until it's rate limited or failing
+ * and is only switched away from then.
+ * See Strategy definition for JSDoc types.
+ * @extends Strategy
+ */
+export default class PriorityStrategy extends Strategy {
+  /**
+   * The ApiClient class instance preferred by the last order, if any.
+   * @property {ApiClient}
+   * @private
+   */
+  #current;
+
+  order(apiClients) {
+    if (!apiClients.includes(this.#current)) {
+      [this.#current] = apiClients;
+    }
+    if (!this.#current) {
+      return [];
+    }
+    return [
+      this.#current,
+      ...apiClients.filter((apiClient) => apiClient !== this.#current),
+    ];
+  }
+}
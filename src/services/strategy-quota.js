@@ -0,0 +1,71 @@
+import Strategy from './strategy.js';
+
+/**
+ * A Strategy extended class that picks ApiClient class instances at random,
+ * weighted by their remaining quota, so lookups spread in proportion to what
+ * each providing API has left. Clients without a rate limit are preferred.
+ * See Strategy definition for JSDoc types.
+ * @extends Strategy
+ */
+export default class QuotaStrategy extends Strategy {
+  /**
+   * Returns a random number from 0 (inclusive) to 1 (exclusive).
+   * @property {function}
+   * @private
+   */
+  #random;
+
+  /**
+   * @param {object} [config]
+   * @param {function} [config.random] - Returns a random number from 0
+   *  (inclusive) to 1 (exclusive), defaults to `Math.random`.
+   */
+  constructor({ random = Math.random } = {}) {
+    super();
+    this.#random = random;
+  }
+
+  order(apiClients) {
+    const remaining = [...apiClients];
+    const ordered = [];
+
+    while (remaining.length) {
+      const index = this.#pickIndex(remaining);
+      ordered.push(...remaining.splice(index, 1));
+    }
+    return ordered;
+  }
+
+  /**
+   * Picks an ApiClient at random weighted by remaining quota.
+   * @param {ApiClient[]} apiClients - ApiClient class instances to pick from.
+   * @returns {number} - The index of the picked ApiClient.
+   * @private
+   */
+  #pickIndex(apiClients) {
+    if (apiClients.length === 1) {
+      return 0;
+    }
+
+    const unlimitedIndex = apiClients.findIndex(({ remainingQuota }) => (
+      remainingQuota === Infinity
+    ));
+    if (unlimitedIndex !== -1) {
+      return unlimitedIndex;
+    }
+
+    const total = apiClients.reduce((sum, { remainingQuota }) => (
+      sum + remainingQuota
+    ), 0);
+    if (!total) {
+      return 0;
+    }
+
+    let threshold = this.#random() * total;
+    const index = apiClients.findIndex(({ remainingQuota }) => {
+      threshold -= remainingQuota;
+      return threshold < 0;
+    });
+    return index === -1 ? apiClients.length - 1 : index;
+  }
+}
@@ -0,0 +1,22 @@
+import Strategy from './strategy.js';
+
+/**
+ * A Strategy extended class that rotates through ApiClient class instances,
+ * preferring the next one for each lookup.
+ * See Strategy definition for JSDoc types.
+ * @extends Strategy
+ */
+export default class RoundRobinStrategy extends Strategy {
+  /**
+   * The number of orders made, which determines the next preferred client.
+   * @property {number}
+   * @private
+   */
+  #count = 0;
+
+  order(apiClients) {
+    const start = this.#count % apiClients.length;
+    this.#count++;
+    return [...apiClients.slice(start), ...apiClients.slice(0, start)];
+  }
+}
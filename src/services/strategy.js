@@ -0,0 +1,28 @@
+/**
+ * A base provider selection strategy class defining the interface shared by
+ * strategies. A strategy orders the available ApiClient class instances by
+ * preference for each lookup, the first is tried first and the rest are
+ * failed over to in order. Strategies may record lookup outcomes to inform
+ * later orders.
+ */
+export default class Strategy {
+  /**
+   * Orders ApiClient class instances by preference for a lookup.
+   * @param {ApiClient[]} apiClients - Available ApiClient class instances in
+   *  configured order.
+   * @returns {ApiClient[]} - The ApiClient class instances in order of
+   *  preference.
+   */
+  order(apiClients) {
+    throw new Error(`'order' is not implemented`);
+  }
+
+  /**
+   * Records the outcome of a lookup by an ApiClient.
+   * @param {ApiClient} apiClient - The ApiClient class instance that looked up.
+   * @param {object} outcome
+   * @param {number} outcome.latency - Milliseconds the lookup took.
+   * @param {number} outcome.status - The result status.
+   */
+  record(apiClient, outcome) {}
+}
@@ -0,0 +1,90 @@
+import { IpPrefixMap, normalizeIp } from './ip.js';
+
+/**
+ * Strips quotes, brackets and ports from an address in a forwarding header
+ * like `"[2001:db8::1]:4711"` or `192.0.2.60:8080`.
+ * @param {string} address - An address from a forwarding header.
+ * @returns {string|null} - The normalized IP address or null if invalid or
+ *  obfuscated (like `unknown` or `_hidden`).
+ */
+const parseForwardedAddress = (address) => {
+  const unquoted = address.trim().replace(/^"(.*)"$/, '$1');
+  const bracketed = unquoted.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) {
+    return normalizeIp(bracketed[1]);
+  }
+  // an IPv4 address with a port
+  const withPort = unquoted.match(/^([\d.]+):\d+$/);
+  return normalizeIp(withPort ? withPort[1] : unquoted);
+};
+
+/**
+ * Returns the addresses from a `Forwarded` (RFC 7239) header, client first.
+ * @param {string} header - The `Forwarded` header value.
+ * @returns {Array<string|null>} - The `for` addresses of each element.
+ */
+const parseForwardedHeader = (header) => header
+  .split(',')
+  .map((element) => {
+    const pair = element
+      .split(';')
+      .map((param) => param.trim().split('='))
+      .find(([name]) => name.toLowerCase() === 'for');
+    return pair ? parseForwardedAddress(pair.slice(1).join('=')) : null;
+  });
+
+/**
+ * Creates a matcher of trusted proxy CIDR blocks. Throws if one is invalid.
+ * @param {string[]} cidrs - A list of CIDR blocks or IP addresses.
+ * @returns {IpPrefixMap} - A prefix map of the trusted blocks.
+ */
+export const createTrustedProxies = (cidrs) => {
+  const trustedProxies = new IpPrefixMap();
+  cidrs.forEach((cidr) => {
+    if (!trustedProxies.set(cidr, true)) {
+      throw new Error(`Invalid trusted proxy CIDR '${cidr}'`);
+    }
+  });
+  return trustedProxies;
+};
+
+/**
+ * Resolves the IP address of a client. Forwarding headers are only honored
+ * when the connecting peer is a trusted proxy, and are then walked from the
+ * closest hop back until the first address that isn't a trusted proxy. The
+ * `Forwarded` header takes precedence over `X-Forwarded-For`.
+ * @param {object} options
+ * @param {string} [options.forwarded] - The `Forwarded` header value.
+ * @param {string} [options.forwardedFor] - The `X-Forwarded-For` header value.
+ * @param {string} options.remoteAddress - The address of the socket peer.
+ * @param {IpPrefixMap} options.trustedProxies - Trusted proxy CIDR blocks.
+ * @returns {string|null} - The normalized client IP address or null if it
+ *  can't be determined.
+ */
+export const resolveClientIp = ({
+  forwarded,
+  forwardedFor,
+  remoteAddress,
+  trustedProxies,
+}) => {
+  let clientIp = normalizeIp(remoteAddress);
+  if (!clientIp) {
+    return null;
+  }
+
+  const hops = forwarded
+    ? parseForwardedHeader(forwarded)
+    : (forwardedFor || '').split(',').filter((hop) => hop.trim())
+      .map(parseForwardedAddress);
+
+  while (trustedProxies.get(clientIp) && hops.length) {
+    const hop = hops.pop();
+    // an obfuscated or invalid hop ends the trusted chain
+    if (!hop) {
+      break;
+    }
+    clientIp = hop;
+  }
+
+  return clientIp;
+};
@@ -0,0 +1,198 @@
+import fs from 'fs';
+import { createRequire } from 'module';
+import path from 'path';
+import { continents, countries, countryAliases } from '../data/countries.js';
+
+/**
+ * The directory of the CLDR locale data of the `cldr-localenames-full`
+ * package, with a directory per locale.
+ * @type {string}
+ * @private
+ */
+const CLDR_LOCALES_PATH = path.join(
+  path.dirname(
+    createRequire(import.meta.url).resolve('cldr-localenames-full/package.json')
+  ),
+  'main'
+);
+
+/**
+ * Countries by upper case alpha-2 and alpha-3 code.
+ * @type {Map<string, object>}
+ * @private
+ */
+const countriesByCode = new Map();
+
+/**
+ * Countries by name key (see `toNameKey`) of their canonical name, aliases
+ * and CLDR English name.
+ * @type {Map<string, object>}
+ * @private
+ */
+const countriesByName = new Map();
+
+/**
+ * CLDR territory names by language tag, or null for languages without
+ * bundled names.
+ * @type {Map<string, object|null>}
+ * @private
+ */
+const territoryNamesByLanguage = new Map();
+
+/**
+ * Reduces a country name to a key that ignores case, accents and
+ * punctuation, so spelling variants like "Côte d’Ivoire" and
+ * "Cote d'Ivoire" match.
+ * @param {string} name - A country name.
+ * @returns {string} - The name key.
+ * @private
+ */
+const toNameKey = (name) => name
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, 'and')
+  .replace(/[^a-z0-9]/g, '');
+
+/**
+ * Reads the CLDR territory names of a locale of the bundled data.
+ * @param {string} locale - A canonical BCP 47 language tag.
+ * @returns {object|undefined} - Names by region code, if the locale has data.
+ * @private
+ */
+const readTerritoryNames = (locale) => {
+  const filePath = path.join(CLDR_LOCALES_PATH, locale, 'territories.json');
+  if (!fs.existsSync(filePath)) {
+    return undefined;
+  }
+  const { main } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return main[locale].localeDisplayNames.territories;
+};
+
+/**
+ * Returns the locales whose CLDR data may localize a language, most specific
+ * first. The language itself and its likely script (like `zh-Hant-TW` for
+ * `zh-TW`) come before the more general locales they fall back to.
+ * @param {string} language - A canonical BCP 47 language tag.
+ * @returns {string[]} - Candidate locales.
+ * @private
+ */
+const getCandidateLocales = (language) => {
+  const truncations = (tag) => tag
+    .split('-')
+    .map((_, index, subtags) => subtags.slice(0, subtags.length - index).join('-'));
+  let maximized = language;
+  try {
+    maximized = new Intl.Locale(language).maximize().toString();
+  } catch (error) {
+    // likely subtags are unknown to the runtime
+  }
+  return [...new Set([language, ...truncations(maximized), ...truncations(language)])];
+};
+
+/**
+ * Returns the bundled CLDR territory names of a language.
+ * @param {string} language - A canonical BCP 47 language tag.
+ * @returns {object|null} - Names by region code, or null if none are bundled
+ *  for the language.
+ * @private
+ */
+const getTerritoryNames = (language) => {
+  if (!territoryNamesByLanguage.has(language)) {
+    const locale = /^und\b/.test(language)
+      ? undefined
+      : getCandidateLocales(language).find((candidate) => (
+        fs.existsSync(path.join(CLDR_LOCALES_PATH, candidate))
+      ));
+    territoryNamesByLanguage.set(
+      language,
+      (locale && readTerritoryNames(locale)) || null
+    );
+  }
+  return territoryNamesByLanguage.get(language);
+};
+
+countries.forEach(([code, alpha3, continentCode, name]) => {
+  const country = {
+    code,
+    alpha3,
+    continentCode,
+    continent: continents[continentCode],
+    name,
+  };
+  countriesByCode.set(code, country);
+  countriesByCode.set(alpha3, country);
+  countriesByName.set(toNameKey(name), country);
+});
+
+// aliases and CLDR names never replace a canonical name
+const addNameIfMissing = (name, country) => {
+  const key = toNameKey(name);
+  if (key && !countriesByName.has(key)) {
+    countriesByName.set(key, country);
+  }
+};
+Object.entries(countryAliases).forEach(([code, aliases]) => {
+  aliases.forEach((alias) => addNameIfMissing(alias, countriesByCode.get(code)));
+});
+countries.forEach(([code]) => {
+  const cldrName = getTerritoryNames('en')[code];
+  if (cldrName) {
+    addNameIfMissing(cldrName, countriesByCode.get(code));
+  }
+});
+
+/**
+ * Returns ISO 3166-1 details of a country.
+ * @param {string} code - An ISO 3166-1 alpha-2 or alpha-3 country code.
+ * @returns {object|undefined} country - The country if the code is known.
+ * @returns {string} country.code - The alpha-2 code.
+ * @returns {string} country.alpha3 - The alpha-3 code.
+ * @returns {string} country.continentCode - The continent code.
+ * @returns {string} country.continent - The continent name.
+ * @returns {string} country.name - The canonical English name.
+ */
+export const findCountryByCode = (code) => (
+  typeof code === 'string'
+    ? countriesByCode.get(code.trim().toUpperCase())
+    : undefined
+);
+
+/**
+ * Returns ISO 3166-1 details of a country from any of the names providing
+ * APIs use for it, like "United States of America" or "Korea, Republic of".
+ * @param {string} name - A country name.
+ * @returns {object|undefined} - The country if the name is known. See
+ *  `findCountryByCode` for its shape.
+ */
+export const findCountryByName = (name) => (
+  typeof name === 'string' ? countriesByName.get(toNameKey(name)) : undefined
+);
+
+/**
+ * Returns whether country names can be localized in a language, meaning
+ * CLDR data is bundled for it.
+ * @param {string} language - A canonical BCP 47 language tag.
+ * @returns {boolean} - True if names can be localized in the language.
+ */
+export const hasCountryNames = (language) => Boolean(getTerritoryNames(language));
+
+/**
+ * Returns the name of a country in a language. English names are the
+ * canonical names, other languages use the bundled CLDR data.
+ * @param {string} code - An ISO 3166-1 alpha-2 or alpha-3 country code.
+ * @param {string} [language] - A supported BCP 47 language tag, English if
+ *  undefined.
+ * @returns {string|undefined} - The country name if the code is known.
+ */
+export const getCountryName = (code, language) => {
+  const country = findCountryByCode(code);
+  if (!country) {
+    return undefined;
+  }
+  if (!language || /^en\b/i.test(language)) {
+    return country.name;
+  }
+  const names = getTerritoryNames(language);
+  return (names && names[country.code]) || country.name;
+};
@@ -0,0 +1,103 @@
+import {
+  containsCidr,
+  formatCidr,
+  getCidrSize,
+  parseCidr,
+} from './ip.js';
+
+/**
+ * Returns a number of addresses as a ratio of a total, rounded to six
+ * decimals so huge IPv6 counts don't lose precision before dividing.
+ * @param {bigint} addresses - A number of addresses.
+ * @param {bigint} total - The total number of addresses.
+ * @returns {number} - The ratio.
+ */
+const toRatio = (addresses, total) => Number((addresses * 1000000n) / total) / 1000000;
+
+/**
+ * Summarizes the known country coverage of a CIDR block from blocks known to
+ * be in a country, like cached ranges and local database blocks. Blocks may
+ * nest, in which case the most specific block answers for its addresses as
+ * it would in a lookup. Blocks listed more than once count once, as the
+ * first of them.
+ * @param {string} cidr - The CIDR block to summarize.
+ * @param {object[]} blocks - Known blocks, where blocks outside the CIDR
+ *  block are ignored.
+ * @param {string} blocks[].cidr - The CIDR block.
+ * @param {object} blocks[].location - The normalized location of the block.
+ * @param {string} blocks[].source - Where the block is known from.
+ * @returns {object} summary - The coverage summary.
+ * @returns {string} summary.cidr - The canonical CIDR block.
+ * @returns {number} summary.coverage - The ratio of addresses with a known
+ *  country.
+ * @returns {object[]} summary.countries - The `countryCode`, `name` and
+ *  `coverage` ratio of each country, most covering first.
+ * @returns {object[]} summary.ranges - The `cidr`, `countryCode`, `name` and
+ *  `source` of the blocks answering for any addresses, in address order.
+ */
+export const summarizeCoverage = (cidr, blocks) => {
+  const range = parseCidr(cidr);
+  const total = getCidrSize(range);
+
+  const uniqueBlocks = new Map();
+  blocks.forEach((block) => {
+    const parsed = parseCidr(block.cidr);
+    if (parsed && containsCidr(range, parsed)) {
+      const key = formatCidr(parsed);
+      if (!uniqueBlocks.has(key)) {
+        uniqueBlocks.set(key, { ...block, cidr: key, parsed, nestedSize: 0n });
+      }
+    }
+  });
+
+  // in address order with containing blocks before the blocks they contain,
+  // so each block's closest containing block is on the stack
+  const sortedBlocks = [...uniqueBlocks.values()].sort((a, b) => {
+    if (a.parsed.network !== b.parsed.network) {
+      return a.parsed.network < b.parsed.network ? -1 : 1;
+    }
+    return a.parsed.prefixLength - b.parsed.prefixLength;
+  });
+  const stack = [];
+  let covered = 0n;
+  sortedBlocks.forEach((block) => {
+    while (stack.length && !containsCidr(stack[stack.length - 1].parsed, block.parsed)) {
+      stack.pop();
+    }
+    const size = getCidrSize(block.parsed);
+    if (stack.length) {
+      stack[stack.length - 1].nestedSize += size;
+    } else {
+      covered += size;
+    }
+    stack.push(block);
+  });
+
+  const countries = new Map();
+  const ranges = [];
+  sortedBlocks.forEach(({ location, nestedSize, parsed, source }) => {
+    const addresses = getCidrSize(parsed) - nestedSize;
+    if (!addresses) {
+      return;
+    }
+    const { countryCode, name } = location;
+    ranges.push({ cidr: formatCidr(parsed), countryCode, name, source });
+    const key = countryCode || name;
+    const country = countries.get(key) || { countryCode, name, addresses: 0n };
+    country.addresses += addresses;
+    countries.set(key, country);
+  });
+
+  return {
+    cidr: formatCidr(range),
+    coverage: toRatio(covered, total),
+    countries: [...countries.values()]
+      .sort((a, b) => Number(b.addresses - a.addresses))
+      .map(({ addresses, countryCode, name }) => ({
+        countryCode,
+        name,
+        coverage: toRatio(addresses, total),
+      })),
+    ranges,
+  };
+};
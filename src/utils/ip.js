@@ -0,0 +1,408 @@
+export const BIT_LENGTHS = { 4: 32, 6: 128 };
+
+/**
+ * Parses an IPv4 address into its numeric value.
+ * @param {string} ip - An IPv4 address in dotted decimal notation.
+ * @returns {bigint|null} - The numeric value or null if invalid.
+ */
+const parseIpv4 = (ip) => {
+  const octets = ip.split('.');
+  if (octets.length !== 4) {
+    return null;
+  }
+
+  let value = 0n;
+  for (const octet of octets) {
+    // reject empty, non-numeric and zero padded (ambiguous octal) octets
+    if (!/^(0|[1-9]\d{0,2})$/.test(octet) || Number(octet) > 255) {
+      return null;
+    }
+    value = (value << 8n) + BigInt(octet);
+  }
+  return value;
+};
+
+/**
+ * Parses an IPv6 address, including `::` compression and a trailing dotted
+ * IPv4 part, into its numeric value.
+ * @param {string} ip - An IPv6 address.
+ * @returns {bigint|null} - The numeric value or null if invalid.
+ */
+const parseIpv6 = (ip) => {
+  const halves = ip.split('::');
+  if (halves.length > 2) {
+    return null;
+  }
+
+  const toGroups = (part) => (part ? part.split(':') : []);
+  const head = toGroups(halves[0]);
+  const tail = toGroups(halves[1]);
+  const groups = halves.length === 2 ? tail : head;
+
+  // a trailing IPv4 part occupies the last two groups
+  const last = groups[groups.length - 1];
+  if (last && last.includes('.')) {
+    const ipv4Value = parseIpv4(last);
+    if (ipv4Value === null) {
+      return null;
+    }
+    groups.splice(
+      -1,
+      1,
+      (ipv4Value >> 16n).toString(16),
+      (ipv4Value & 0xffffn).toString(16)
+    );
+  }
+
+  const groupCount = head.length + (halves.length === 2 ? tail.length : 0);
+  if (
+    (halves.length === 1 && groupCount !== 8)
+    || (halves.length === 2 && groupCount > 7)
+  ) {
+    return null;
+  }
+
+  const fill = halves.length === 2
+    ? new Array(8 - groupCount).fill('0')
+    : [];
+  const allGroups = halves.length === 2 ? [...head, ...fill, ...tail] : head;
+
+  let value = 0n;
+  for (const group of allGroups) {
+    if (!/^[0-9a-f]{1,4}$/i.test(group)) {
+      return null;
+    }
+    value = (value << 16n) + BigInt(`0x${group}`);
+  }
+  return value;
+};
+
+/**
+ * Parses an IPv4 or IPv6 address.
+ * @param {string} ip - An IP address.
+ * @returns {object|null} parsed - The parsed address or null if invalid.
+ * @returns {number} parsed.version - The IP version, 4 or 6.
+ * @returns {bigint} parsed.value - The numeric value of the address.
+ */
+export const parseIp = (ip) => {
+  if (typeof ip !== 'string') {
+    return null;
+  }
+
+  const version = ip.includes(':') ? 6 : 4;
+  const value = version === 4 ? parseIpv4(ip) : parseIpv6(ip);
+  return value === null ? null : { version, value };
+};
+
+/**
+ * Parses a CIDR block like `10.0.0.0/8`. A plain IP address is treated as a
+ * block of its full bit length.
+ * @param {string} cidr - A CIDR block.
+ * @returns {object|null} parsed - The parsed block or null if invalid.
+ * @returns {number} parsed.version - The IP version, 4 or 6.
+ * @returns {number} parsed.prefixLength - The number of network bits.
+ * @returns {bigint} parsed.network - The (masked) network address value.
+ */
+export const parseCidr = (cidr) => {
+  if (typeof cidr !== 'string') {
+    return null;
+  }
+
+  const [ip, prefix, ...rest] = cidr.trim().split('/');
+  const parsed = parseIp(ip);
+  if (!parsed || rest.length) {
+    return null;
+  }
+
+  const bitLength = BIT_LENGTHS[parsed.version];
+  if (prefix !== undefined && !/^\d{1,3}$/.test(prefix)) {
+    return null;
+  }
+  const prefixLength = prefix === undefined ? bitLength : Number(prefix);
+  if (prefixLength > bitLength) {
+    return null;
+  }
+
+  return {
+    version: parsed.version,
+    prefixLength,
+    network: maskIp(parsed.value, prefixLength, parsed.version),
+  };
+};
+
+/**
+ * Masks an IP address value down to its network bits.
+ * @param {bigint} value - The numeric value of an address.
+ * @param {number} prefixLength - The number of network bits to keep.
+ * @param {number} version - The IP version, 4 or 6.
+ * @returns {bigint} - The network address value.
+ */
+export const maskIp = (value, prefixLength, version) => {
+  const hostBits = BigInt(BIT_LENGTHS[version] - prefixLength);
+  return (value >> hostBits) << hostBits;
+};
+
+/**
+ * Formats a parsed CIDR block (see `parseCidr`) as a string.
+ * @param {object} block - A parsed CIDR block.
+ * @param {number} block.version - The IP version, 4 or 6.
+ * @param {number} block.prefixLength - The number of network bits.
+ * @param {bigint} block.network - The network address value.
+ * @returns {string} - A CIDR block like `10.0.0.0/8`.
+ */
+export const formatCidr = ({ version, prefixLength, network }) => (
+  `${formatIp(version, network)}/${prefixLength}`
+);
+
+/**
+ * Returns whether a parsed CIDR block contains another, or is the same.
+ * @param {object} outer - A parsed CIDR block (see `parseCidr`).
+ * @param {object} inner - A parsed CIDR block.
+ * @returns {boolean} - True if `outer` contains `inner`.
+ */
+export const containsCidr = (outer, inner) => (
+  outer.version === inner.version
+  && outer.prefixLength <= inner.prefixLength
+  && maskIp(inner.network, outer.prefixLength, outer.version) === outer.network
+);
+
+/**
+ * Returns the number of addresses in a CIDR block.
+ * @param {object} block - A parsed CIDR block (see `parseCidr`).
+ * @returns {bigint} - The number of addresses.
+ */
+export const getCidrSize = ({ version, prefixLength }) => (
+  1n << BigInt(BIT_LENGTHS[version] - prefixLength)
+);
+
+/**
+ * Returns the CIDR block of a given prefix length an IP address belongs to.
+ * @param {string} ip - An IP address.
+ * @param {number} prefixLength - The number of network bits.
+ * @returns {string|null} - A CIDR block like `10.0.0.0/8` or null if the IP
+ *  or prefix length is invalid.
+ */
+export const getNetwork = (ip, prefixLength) => {
+  const parsed = parseCidr(`${ip}/${prefixLength}`);
+  return parsed && formatCidr(parsed);
+};
+
+/**
+ * Returns the canonical form of a CIDR block an IP address belongs to, like
+ * one a providing API returned, so it can be trusted for the IP.
+ * @param {string} ip - An IP address.
+ * @param {*} cidr - A CIDR block.
+ * @returns {string|undefined} - The canonical CIDR block or undefined if it's
+ *  invalid or doesn't contain the IP.
+ */
+export const normalizeNetwork = (ip, cidr) => {
+  const block = parseCidr(cidr);
+  const address = parseCidr(ip);
+  return block && address && containsCidr(block, address)
+    ? formatCidr(block)
+    : undefined;
+};
+
+/**
+ * Formats a numeric IP address value as a string. IPv6 addresses are
+ * formatted in their canonical (RFC 5952) form.
+ * @param {number} version - The IP version, 4 or 6.
+ * @param {bigint} value - The numeric value of the address.
+ * @returns {string} - The formatted IP address.
+ */
+export const formatIp = (version, value) => {
+  if (version === 4) {
+    return [24n, 16n, 8n, 0n]
+      .map((shift) => ((value >> shift) & 0xffn).toString())
+      .join('.');
+  }
+
+  const groups = [];
+  for (let shift = 112n; shift >= 0n; shift -= 16n) {
+    groups.push(Number((value >> shift) & 0xffffn));
+  }
+
+  // find the longest run (of at least two) zero groups to compress
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let start = 0; start < groups.length; start++) {
+    let length = 0;
+    while (groups[start + length] === 0) {
+      length++;
+    }
+    if (length > bestLength) {
+      bestStart = start;
+      bestLength = length;
+    }
+  }
+
+  const hex = groups.map((group) => group.toString(16));
+  if (bestStart === -1) {
+    return hex.join(':');
+  }
+  const head = hex.slice(0, bestStart).join(':');
+  const tail = hex.slice(bestStart + bestLength).join(':');
+  return `${head}::${tail}`;
+};
+
+/**
+ * Returns the canonical form of an IP address so equivalent notations share
+ * one form. IPv6 zone IDs are dropped, IPv4-mapped IPv6 addresses
+ * (`::ffff:1.2.3.4`) become plain IPv4 and IPv6 is formatted per RFC 5952.
+ * @param {string} ip - An IP address.
+ * @returns {string|null} - The canonical IP address or null if invalid.
+ */
+export const normalizeIp = (ip) => {
+  if (typeof ip !== 'string') {
+    return null;
+  }
+
+  // drop an IPv6 zone ID like `%eth0`
+  const address = ip.trim().replace(/^([^%]*:[^%]*)%[^%]+$/, '$1');
+  const parsed = parseIp(address);
+  if (!parsed) {
+    return null;
+  }
+
+  if (parsed.version === 6 && parsed.value >> 32n === 0xffffn) {
+    return formatIp(4, parsed.value & 0xffffffffn);
+  }
+  return formatIp(parsed.version, parsed.value);
+};
+
+/**
+ * A map of CIDR blocks to values that resolves IP addresses by longest
+ * prefix match.
+ */
+export class IpPrefixMap {
+  /**
+   * Per IP version, a map of prefix lengths to maps of network values.
+   * @property {object}
+   * @private
+   */
+  #tables = { 4: new Map(), 6: new Map() };
+
+  /**
+   * The number of stored CIDR blocks.
+   * @property {number}
+   * @private
+   */
+  #size = 0;
+
+  /**
+   * @returns {number} - The number of stored CIDR blocks.
+   */
+  get size() {
+    return this.#size;
+  }
+
+  /**
+   * Stores a value for a CIDR block.
+   * @param {string} cidr - A CIDR block or IP address.
+   * @param {*} value - The value to store.
+   * @returns {boolean} - False if the CIDR block is invalid.
+   */
+  set(cidr, value) {
+    const parsed = parseCidr(cidr);
+    if (!parsed) {
+      return false;
+    }
+
+    const table = this.#tables[parsed.version];
+    if (!table.has(parsed.prefixLength)) {
+      // keep prefix lengths sorted longest first for lookups
+      const entries = [...table, [parsed.prefixLength, new Map()]]
+        .sort(([a], [b]) => b - a);
+      this.#tables[parsed.version] = new Map(entries);
+    }
+
+    const networks = this.#tables[parsed.version].get(parsed.prefixLength);
+    if (!networks.has(parsed.network)) {
+      this.#size++;
+    }
+    networks.set(parsed.network, value);
+    return true;
+  }
+
+  /**
+   * Iterates over the stored CIDR blocks and their values.
+   * @returns {Iterator<Array>} - `[cidr, value]` tuples.
+   */
+  *entries() {
+    for (const [version, table] of Object.entries(this.#tables)) {
+      for (const [prefixLength, networks] of table) {
+        for (const [network, value] of networks) {
+          yield [
+            formatCidr({ version: Number(version), prefixLength, network }),
+            value,
+          ];
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns the value of the most specific CIDR block containing an IP.
+   * @param {string} ip - An IP address.
+   * @returns {object|undefined} match - The match if one is found.
+   * @returns {*} match.value - The stored value.
+   * @returns {number} match.prefixLength - The prefix length of the block.
+   */
+  get(ip) {
+    const parsed = parseIp(ip);
+    if (!parsed) {
+      return undefined;
+    }
+
+    for (const [prefixLength, networks] of this.#tables[parsed.version]) {
+      const network = maskIp(parsed.value, prefixLength, parsed.version);
+      if (networks.has(network)) {
+        return { value: networks.get(network), prefixLength };
+      }
+    }
+    return undefined;
+  }
+}
+
+/**
+ * Special purpose (non publicly routable) address ranges by category.
+ * @type {IpPrefixMap}
+ * @private
+ */
+const reservedRanges = new IpPrefixMap();
+[
+  ['0.0.0.0/8', 'reserved'],
+  ['10.0.0.0/8', 'private'],
+  ['100.64.0.0/10', 'private'],
+  ['127.0.0.0/8', 'loopback'],
+  ['169.254.0.0/16', 'link-local'],
+  ['172.16.0.0/12', 'private'],
+  ['192.0.0.0/24', 'reserved'],
+  ['192.0.2.0/24', 'reserved'],
+  ['192.168.0.0/16', 'private'],
+  ['198.18.0.0/15', 'reserved'],
+  ['198.51.100.0/24', 'reserved'],
+  ['203.0.113.0/24', 'reserved'],
+  ['224.0.0.0/4', 'multicast'],
+  ['240.0.0.0/4', 'reserved'],
+  ['::/128', 'reserved'],
+  ['::1/128', 'loopback'],
+  ['64:ff9b:1::/48', 'reserved'],
+  ['100::/64', 'reserved'],
+  ['2001:db8::/32', 'reserved'],
+  ['fc00::/7', 'private'],
+  ['fe80::/10', 'link-local'],
+  ['ff00::/8', 'multicast'],
+].forEach(([cidr, category]) => reservedRanges.set(cidr, category));
+
+/**
+ * Returns the category of the special purpose range an IP address belongs
+ * to, if any. These addresses can't be geolocated.
+ * @param {string} ip - A (normalized) IP address.
+ * @returns {string|undefined} - One of `private`, `loopback`, `link-local`,
+ *  `multicast` or `reserved`, or undefined for a publicly routable address.
+ */
+export const getReservedRange = (ip) => {
+  const match = reservedRanges.get(ip);
+  return match && match.value;
+};
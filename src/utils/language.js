@@ -0,0 +1,69 @@
+import { hasCountryNames } from './countries.js';
+
+/**
+ * Returns the canonical form of a language tag if names can be localized in
+ * it.
+ * @param {string} language - A BCP 47 language tag like `de` or `pt-BR`.
+ * @returns {string|undefined} - The canonical language tag if supported.
+ * @private
+ */
+const toSupportedLanguage = (language) => {
+  let canonical;
+  try {
+    [canonical] = Intl.getCanonicalLocales(language);
+  } catch (error) {
+    // invalid language tag
+    return undefined;
+  }
+  return hasCountryNames(canonical) ? canonical : undefined;
+};
+
+/**
+ * Parses an `Accept-Language` header into language tags ordered by
+ * preference. Wildcards and languages with a zero quality are dropped.
+ * @param {string} header - The `Accept-Language` header value.
+ * @returns {string[]} - Language tags, most preferred first.
+ */
+export const parseAcceptLanguage = (header) => header
+  .split(',')
+  .map((item, index) => {
+    const [language, ...params] = item.trim().split(';');
+    const quality = params
+      .map((param) => param.trim().match(/^q=([\d.]+)$/))
+      .find(Boolean);
+    return {
+      index,
+      language: language.trim(),
+      quality: quality ? Number(quality[1]) : 1,
+    };
+  })
+  .filter(({ language, quality }) => language && language !== '*' && quality > 0)
+  .sort((a, b) => b.quality - a.quality || a.index - b.index)
+  .map(({ language }) => language);
+
+/**
+ * Resolves the language to localize names in. An explicit language takes
+ * precedence and throws if it isn't supported, otherwise the most preferred
+ * supported language of the `Accept-Language` header is used.
+ * @param {object} options
+ * @param {string} [options.lang] - An explicitly requested language tag.
+ * @param {string} [options.acceptLanguage] - The `Accept-Language` header value.
+ * @returns {string|undefined} - A canonical language tag or undefined for
+ *  the default (English) names.
+ */
+export const resolveLanguage = ({ lang, acceptLanguage }) => {
+  if (lang !== undefined && lang !== '') {
+    const language = toSupportedLanguage(String(lang));
+    if (!language) {
+      throw new Error(`Unsupported language '${lang}'`);
+    }
+    return language;
+  }
+
+  if (!acceptLanguage) {
+    return undefined;
+  }
+  return parseAcceptLanguage(acceptLanguage)
+    .map(toSupportedLanguage)
+    .find(Boolean);
+};
@@ -0,0 +1,142 @@
+import {
+  findCountryByCode,
+  findCountryByName,
+  getCountryName,
+} from './countries.js';
+
+/**
+ * Fields of the normalized location model that providers map their results
+ * into. Only `name` is required, the rest are included when known.
+ * - `name` - The country name.
+ * - `countryCode` - The ISO 3166-1 alpha-2 country code.
+ * - `countryCodeAlpha3` - The ISO 3166-1 alpha-3 country code.
+ * - `continent` - The continent name.
+ * - `continentCode` - The two letter continent code.
+ * - `region` - The region (state, province) name.
+ * - `city` - The city name.
+ * - `latitude` - The latitude in decimal degrees.
+ * - `longitude` - The longitude in decimal degrees.
+ * - `timeZone` - The IANA time zone like `America/New_York`.
+ * @type {string[]}
+ */
+export const LOCATION_FIELDS = [
+  'name',
+  'countryCode',
+  'countryCodeAlpha3',
+  'continent',
+  'continentCode',
+  'region',
+  'city',
+  'latitude',
+  'longitude',
+  'timeZone',
+];
+
+/**
+ * Location fields describing the country, which hold for the whole network
+ * an IP belongs to rather than the IP alone.
+ * @type {string[]}
+ */
+export const COUNTRY_FIELDS = [
+  'name',
+  'countryCode',
+  'countryCodeAlpha3',
+  'continent',
+  'continentCode',
+];
+
+const toText = (value) => (
+  typeof value === 'string' && value.trim() ? value.trim() : undefined
+);
+
+const toCoordinate = (value) => {
+  const coordinate = typeof value === 'string' ? Number(value) : value;
+  return Number.isFinite(coordinate) ? coordinate : undefined;
+};
+
+/**
+ * Normalizes a location mapped from a provider result. Values are trimmed
+ * and coerced and unknown values are dropped. The country is resolved from
+ * its code, or its name when the provider has no code, so the canonical
+ * country name is used whichever provider answered and details missing from
+ * the provider are filled in.
+ * @param {object} location - A location with any of `LOCATION_FIELDS`.
+ * @returns {object} - The normalized location.
+ */
+export const normalizeLocation = (location) => {
+  const country = findCountryByCode(location.countryCode)
+    || findCountryByName(location.name);
+  const normalized = {
+    name: country ? country.name : toText(location.name),
+    countryCode: country ? country.code : undefined,
+    countryCodeAlpha3: country ? country.alpha3 : undefined,
+    continent: toText(location.continent) || (country && country.continent),
+    continentCode: toText(location.continentCode)
+      || (country && country.continentCode),
+    region: toText(location.region),
+    city: toText(location.city),
+    latitude: toCoordinate(location.latitude),
+    longitude: toCoordinate(location.longitude),
+    timeZone: toText(location.timeZone),
+  };
+
+  return Object.fromEntries(
+    Object.entries(normalized).filter(([, value]) => value !== undefined)
+  );
+};
+
+/**
+ * Parses a comma separated list of location fields.
+ * @param {string} [fields] - A list like `name,countryCode`.
+ * @returns {string[]|undefined} - The fields or undefined if none are given.
+ *  Throws if a field is unknown.
+ */
+export const parseLocationFields = (fields) => {
+  if (fields === undefined || fields === '') {
+    return undefined;
+  }
+
+  const list = String(fields).split(',').map((field) => field.trim());
+  const unknownFields = list.filter((field) => !LOCATION_FIELDS.includes(field));
+  if (unknownFields.length) {
+    throw new Error(
+      `Unknown fields '${unknownFields.join(`', '`)}', expected any of `
+      + `'${LOCATION_FIELDS.join(`', '`)}'`
+    );
+  }
+  return list;
+};
+
+/**
+ * Returns a copy of a location with only the selected fields.
+ * @param {object} location - A normalized location.
+ * @param {string[]} [fields] - The fields to keep, all if undefined.
+ * @returns {object} - The selected location fields.
+ */
+export const selectLocationFields = (location, fields) => (
+  fields
+    ? Object.fromEntries(
+      Object.entries(location).filter(([field]) => fields.includes(field))
+    )
+    : { ...location }
+);
+
+/**
+ * Formats a normalized location for a response, localizing the country name
+ * and selecting fields.
+ * @param {object} location - A normalized location.
+ * @param {object} [options]
+ * @param {string[]} [options.fields] - The fields to keep, all if undefined.
+ * @param {string} [options.language] - A supported language tag to localize
+ *  the country name in, English if undefined.
+ * @returns {object} - The formatted location.
+ */
+export const formatLocation = (location, { fields, language } = {}) => {
+  const localizedName = language && location.countryCode
+    ? getCountryName(location.countryCode, language)
+    : undefined;
+  return selectLocationFields(
+    localizedName ? { ...location, name: localizedName } : location,
+    fields
+  );
+};
@@ -0,0 +1,178 @@
+import net from 'net';
+import { parseReply } from '../../src/services/redis-client';
+
+const encodeReply = (reply) => {
+  if (reply === null) {
+    return '$-1\r\n';
+  }
+  if (reply instanceof Error) {
+    return `-${reply.message}\r\n`;
+  }
+  if (typeof reply === 'number') {
+    return `:${reply}\r\n`;
+  }
+  if (Array.isArray(reply)) {
+    return `*${reply.length}\r\n${reply.map(encodeReply).join('')}`;
+  }
+  return `$${Buffer.byteLength(reply)}\r\n${reply}\r\n`;
+};
+
+/**
+ * Starts a local stand-in for a Redis server supporting the commands used by
+ * this project. Data is kept in memory and shared by all connections.
+ * @returns {Promise<object>} - The stand-in with its `url`, `data`,
+ *  `commands` and `dropConnections` and `close` functions.
+ */
+export const startRedisStandIn = async () => {
+  const data = new Map();
+  const sockets = new Set();
+
+  const isLive = (key) => {
+    const item = data.get(key);
+    if (item && item.expiresAt && Date.now() >= item.expiresAt) {
+      data.delete(key);
+    }
+    return data.has(key);
+  };
+
+  // sorted sets are kept as maps of members to scores
+  const getSortedSet = (key) => {
+    if (!isLive(key)) {
+      data.set(key, { value: new Map() });
+    }
+    return data.get(key).value;
+  };
+
+  const commands = {
+    DEL: (...keys) => keys.filter((key) => isLive(key) && data.delete(key)).length,
+    GET: (key) => (isLive(key) ? data.get(key).value : null),
+    INCR: (key) => {
+      const item = isLive(key) ? data.get(key) : { value: '0' };
+      item.value = String(Number(item.value) + 1);
+      data.set(key, item);
+      return Number(item.value);
+    },
+    MGET: (...keys) => keys.map((key) => (isLive(key) ? data.get(key).value : null)),
+    PEXPIRE: (key, ttl) => {
+      if (!isLive(key)) {
+        return 0;
+      }
+      data.get(key).expiresAt = Date.now() + Number(ttl);
+      return 1;
+    },
+    PING: () => 'PONG',
+    PTTL: (key) => {
+      if (!isLive(key)) {
+        return -2;
+      }
+      const { expiresAt } = data.get(key);
+      return expiresAt ? expiresAt - Date.now() : -1;
+    },
+    SCAN: (cursor, match, pattern) => {
+      const prefix = pattern.replace(/\*$/, '');
+      return ['0', [...data.keys()].filter((key) => (
+        key.startsWith(prefix) && isLive(key)
+      ))];
+    },
+    SET: (key, value, px, ttl, nx) => {
+      // like Redis, only accepts positive integer expiries
+      if (px && !/^[1-9]\d*$/.test(ttl)) {
+        return new Error("ERR invalid expire time in 'set' command");
+      }
+      if (nx && isLive(key)) {
+        return null;
+      }
+      data.set(key, {
+        value,
+        expiresAt: px ? Date.now() + Number(ttl) : undefined,
+      });
+      return 'OK';
+    },
+    ZADD: (key, score, member) => {
+      const sortedSet = getSortedSet(key);
+      const isNew = !sortedSet.has(member);
+      sortedSet.set(member, Number(score));
+      return isNew ? 1 : 0;
+    },
+    ZCARD: (key) => (isLive(key) ? data.get(key).value.size : 0),
+    ZRANGE: (key, start, stop) => {
+      if (!isLive(key)) {
+        return [];
+      }
+      const members = [...data.get(key).value]
+        .sort(([, a], [, b]) => a - b)
+        .slice(Number(start), Number(stop) === -1 ? undefined : Number(stop) + 1);
+      // always replies with scores
+      return members.flatMap(([member, score]) => [member, String(score)]);
+    },
+    ZREM: (key, member) => (isLive(key) && data.get(key).value.delete(member) ? 1 : 0),
+    ZREMRANGEBYSCORE: (key, min, max) => {
+      if (!isLive(key)) {
+        return 0;
+      }
+      const sortedSet = data.get(key).value;
+      const lower = min === '-inf' ? -Infinity : Number(min);
+      const members = [...sortedSet].filter(([, score]) => (
+        score >= lower && score <= Number(max)
+      ));
+      members.forEach(([member]) => sortedSet.delete(member));
+      return members.length;
+    },
+  };
+
+  const run = (name, args) => {
+    const command = commands[name.toUpperCase()];
+    return command
+      ? command(...args)
+      : new Error(`ERR unknown command '${name}'`);
+  };
+
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    // commands queued by MULTI until EXEC, if any
+    let transaction;
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let parsed = parseReply(buffer);
+      while (parsed) {
+        const [[name, ...args], offset] = parsed;
+        buffer = buffer.subarray(offset);
+        switch (name.toUpperCase()) {
+          case 'MULTI':
+            transaction = [];
+            socket.write(encodeReply('OK'));
+            break;
+          case 'EXEC':
+            socket.write(encodeReply(
+              transaction.map((queued) => run(...queued))
+            ));
+            transaction = undefined;
+            break;
+          default:
+            if (transaction) {
+              transaction.push([name, args]);
+              socket.write(encodeReply('QUEUED'));
+            } else {
+              socket.write(encodeReply(run(name, args)));
+            }
+        }
+        parsed = buffer.length ? parseReply(buffer) : null;
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    commands,
+    data,
+    url: `redis://127.0.0.1:${server.address().port}`,
+    dropConnections: () => sockets.forEach((socket) => socket.destroy()),
+    close: () => new Promise((resolve) => {
+      sockets.forEach((socket) => socket.destroy());
+      server.close(resolve);
+    }),
+  };
+};
@@ -0,0 +1,34 @@
+import { EventEmitter } from 'events';
+import { describe, expect, jest, test } from '@jest/globals';
+import abort from '../../../src/middleware/abort';
+
+describe('abort', () => {
+  const request = () => {
+    const req = new EventEmitter();
+    const res = Object.assign(new EventEmitter(), { writableFinished: false });
+    const next = jest.fn();
+    abort(req, res, next);
+    expect(next).toHaveBeenCalled();
+    return { req, res };
+  };
+
+  test('aborts when the connection closes before the response is sent', () => {
+    const { req, res } = request();
+    expect(req.signal.aborted).toEqual(false);
+    res.emit('close');
+    expect(req.signal.aborted).toEqual(true);
+  });
+
+  test('does not abort once the response is sent', () => {
+    const { req, res } = request();
+    res.writableFinished = true;
+    res.emit('close');
+    expect(req.signal.aborted).toEqual(false);
+  });
+
+  test('aborts when the request times out', () => {
+    const { req } = request();
+    req.emit('timeout');
+    expect(req.signal.aborted).toEqual(true);
+  });
+});
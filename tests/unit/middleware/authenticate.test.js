@@ -0,0 +1,98 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import {
+  authorizeAdmin,
+  createAuthenticate,
+} from '../../../src/middleware/authenticate';
+import ApiKeys from '../../../src/services/api-keys';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const createRequest = (headers = {}) => ({
+  get: (name) => headers[name.toLowerCase()],
+});
+
+const createResponse = () => {
+  const res = {
+    headers: {},
+    set: (name, value) => {
+      Object.assign(res.headers, typeof name === 'object' ? name : { [name]: value });
+      return res;
+    },
+  };
+  return res;
+};
+
+describe('createAuthenticate', () => {
+  const createMiddleware = () => createAuthenticate(new ApiKeys({
+    keys: [
+      { key: 'limited', name: 'frontend', quota: 1, window: 60000 },
+      { key: 'unlimited' },
+    ],
+  }));
+
+  test('rejects requests without an API key', () => {
+    const next = jest.fn();
+    expect(() => createMiddleware()(createRequest(), createResponse(), next))
+      .toThrow(expect.objectContaining({ message: 'API key required', status: 401 }));
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('rejects requests with an unknown API key', () => {
+    expect(() => createMiddleware()(
+      createRequest({ 'x-api-key': 'foo' }), createResponse(), jest.fn()
+    )).toThrow(expect.objectContaining({ message: 'Invalid API key', status: 401 }));
+  });
+
+  test('accepts API keys as header or bearer token and reports the quota', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(0);
+    const middleware = createMiddleware();
+    const req = createRequest({ authorization: 'Bearer limited' });
+    const res = createResponse();
+    const next = jest.fn();
+    middleware(req, res, next);
+    expect(next).toHaveBeenCalled();
+    expect(req.apiKey).toEqual({ admin: false, key: 'limited', name: 'frontend' });
+    expect(res.headers).toEqual({
+      'RateLimit-Limit': '1',
+      'RateLimit-Remaining': '0',
+      'RateLimit-Reset': '60',
+    });
+
+    const unlimitedRes = createResponse();
+    middleware(createRequest({ 'x-api-key': 'unlimited' }), unlimitedRes, next);
+    expect(unlimitedRes.headers).toEqual({});
+  });
+
+  test('rejects requests over the quota with a retry time', () => {
+    const dateNow = jest.spyOn(Date, 'now').mockReturnValue(0);
+    const middleware = createMiddleware();
+    const req = createRequest({ 'x-api-key': 'limited' });
+    middleware(req, createResponse(), jest.fn());
+    dateNow.mockReturnValue(15500);
+    const res = createResponse();
+    expect(() => middleware(req, res, jest.fn()))
+      .toThrow(expect.objectContaining({ message: 'Rate limited', status: 429 }));
+    expect(res.headers['Retry-After']).toEqual('45');
+    expect(res.headers['RateLimit-Remaining']).toEqual('0');
+  });
+});
+
+describe('authorizeAdmin', () => {
+  test('accepts requests authenticated with an admin API key', () => {
+    const next = jest.fn();
+    authorizeAdmin({ apiKey: { admin: true, key: 'a', name: 'a' } }, createResponse(), next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('rejects other requests', () => {
+    [{ apiKey: { admin: false, key: 'a', name: 'a' } }, {}].forEach((req) => {
+      const next = jest.fn();
+      expect(() => authorizeAdmin(req, createResponse(), next)).toThrow(
+        expect.objectContaining({ message: 'Admin API key required', status: 403 })
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+  });
+});
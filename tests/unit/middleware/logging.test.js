@@ -0,0 +1,55 @@
+import { EventEmitter } from 'events';
+import { describe, expect, jest, test } from '@jest/globals';
+import { createRequestLogging } from '../../../src/middleware/logging';
+import { Logger } from '../../../src/services/logger';
+
+describe('createRequestLogging', () => {
+  const request = (headers = {}) => {
+    const entries = [];
+    const middleware = createRequestLogging(new Logger({
+      write: (line) => entries.push(JSON.parse(line)),
+    }));
+    const req = {
+      get: (name) => headers[name.toLowerCase()],
+      method: 'GET',
+      originalUrl: '/countries/8.8.8.8',
+    };
+    const res = Object.assign(new EventEmitter(), {
+      headers: {},
+      set(name, value) { this.headers[name] = value; },
+      statusCode: 200,
+    });
+    const next = jest.fn();
+    middleware(req, res, next);
+    expect(next).toHaveBeenCalled();
+    res.emit('finish');
+    return { entries, req, res };
+  };
+
+  test('takes the request ID from the X-Request-Id header', () => {
+    const { entries, req, res } = request({ 'x-request-id': 'abc-123' });
+    expect(req.id).toEqual('abc-123');
+    expect(res.headers['X-Request-Id']).toEqual('abc-123');
+    expect(entries).toEqual([expect.objectContaining({
+      message: 'Request',
+      requestId: 'abc-123',
+      method: 'GET',
+      path: '/countries/8.8.8.8',
+      status: 200,
+      duration: expect.any(Number),
+    })]);
+  });
+
+  test('generates a request ID when none or an unsafe one is sent', () => {
+    const { req } = request();
+    expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+    const { req: unsafeReq } = request({ 'x-request-id': 'abc\n{"level":"error"}' });
+    expect(unsafeReq.id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('binds the request ID to the request logger', () => {
+    const { entries, req } = request({ 'x-request-id': 'abc' });
+    req.logger.info('Lookup');
+    expect(entries[1]).toMatchObject({ message: 'Lookup', requestId: 'abc' });
+  });
+});
@@ -0,0 +1,32 @@
+import { EventEmitter } from 'events';
+import { describe, expect, jest, test } from '@jest/globals';
+import { createRequestMetrics } from '../../../src/middleware/metrics';
+import { MetricsRegistry } from '../../../src/services/metrics';
+
+describe('createRequestMetrics', () => {
+  const request = (middleware, req, statusCode) => {
+    const res = Object.assign(new EventEmitter(), { statusCode });
+    const next = jest.fn();
+    middleware(req, res, next);
+    expect(next).toHaveBeenCalled();
+    res.emit('finish');
+  };
+
+  test('counts requests by method, route pattern and status', () => {
+    const registry = new MetricsRegistry();
+    const middleware = createRequestMetrics(registry);
+    const req = { baseUrl: '', method: 'GET', route: { path: '/countries/:ip' } };
+    request(middleware, req, 200);
+    request(middleware, req, 200);
+    request(middleware, { method: 'GET' }, 404);
+
+    const requests = registry.counter({ name: 'ip_country_http_requests_total' });
+    expect(requests.get({ method: 'GET', route: '/countries/:ip', status: 200 }))
+      .toEqual(2);
+    expect(requests.get({ method: 'GET', route: 'unmatched', status: 404 }))
+      .toEqual(1);
+    expect(registry.render()).toContain(
+      'ip_country_http_request_duration_seconds_count{method="GET",route="/countries/:ip"} 2'
+    );
+  });
+});
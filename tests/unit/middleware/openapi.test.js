@@ -0,0 +1,90 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import {
+  createValidateRequests,
+  createValidateResponses,
+} from '../../../src/middleware/openapi';
+import openApiDocument from '../../../src/openapi';
+import OpenApiValidator from '../../../src/services/openapi-validator';
+
+const validator = new OpenApiValidator(openApiDocument);
+
+describe('createValidateRequests', () => {
+  const createRequest = ({ headers = {}, ...req }) => ({
+    get: (name) => headers[name.toLowerCase()],
+    query: {},
+    ...req,
+  });
+
+  test('passes valid requests on', () => {
+    const next = jest.fn();
+    createValidateRequests(validator)(createRequest({
+      method: 'POST',
+      originalUrl: '/countries?lang=de',
+      query: { lang: 'de' },
+      body: { ips: ['8.8.8.8'] },
+      headers: { 'content-type': 'application/json' },
+    }), {}, next);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('rejects invalid requests', () => {
+    const next = jest.fn();
+    expect(() => createValidateRequests(validator)(createRequest({
+      method: 'GET',
+      originalUrl: '/countries/8.8.8.8?consensus=0',
+      query: { consensus: '0' },
+    }), {}, next)).toThrow(expect.objectContaining({
+      message: `Invalid query parameter 'consensus': must be >= 1`,
+      status: 400,
+    }));
+    expect(next).not.toHaveBeenCalled();
+  });
+});
+
+describe('createValidateResponses', () => {
+  const respond = (body, status = 200) => {
+    const req = {
+      id: 'abc',
+      logger: { error: jest.fn() },
+      method: 'GET',
+      originalUrl: '/healthz?verbose',
+    };
+    const res = {
+      json: jest.fn(),
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      statusCode: status,
+    };
+    const json = res.json;
+    const next = jest.fn();
+    createValidateResponses(validator)(req, res, next);
+    expect(next).toHaveBeenCalled();
+    res.json(body);
+    return { json, req, res };
+  };
+
+  test('sends valid responses', () => {
+    const body = { data: { status: 'ok' }, meta: { requestId: 'abc', status: 200 } };
+    const { json, req, res } = respond(body);
+    expect(json).toHaveBeenCalledWith(body);
+    expect(res.statusCode).toEqual(200);
+    expect(req.logger.error).not.toHaveBeenCalled();
+  });
+
+  test('replaces invalid responses with an error', () => {
+    const { json, req, res } = respond({ data: { status: 'ok' }, meta: {} });
+    expect(res.statusCode).toEqual(500);
+    expect(json).toHaveBeenCalledWith({
+      error: {
+        message: `Invalid response body at '/meta': must have required property 'status'`,
+      },
+      meta: expect.objectContaining({ requestId: 'abc', status: 500 }),
+    });
+    expect(req.logger.error).toHaveBeenCalledWith('Invalid response', {
+      error: expect.any(Error),
+      status: 200,
+    });
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import ApiClientHttp, { getPathValue } from '../../../src/services/api-client-http';
+
+global.fetch = jest.fn();
+
+const mockResponse = (result) => {
+  fetch.mockImplementationOnce(() => Promise.resolve({
+    json: () => Promise.resolve(result),
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+  }));
+};
+
+beforeEach(() => {
+  fetch.mockReset();
+});
+
+describe('getPathValue', () => {
+  test('resolves nested paths and array indexes', () => {
+    const object = { data: [{ time_zone: { id: 'Europe/Paris' } }] };
+    expect(getPathValue(object, 'data.0.time_zone.id')).toEqual('Europe/Paris');
+    expect(getPathValue(object, '$.data.0.time_zone.id')).toEqual('Europe/Paris');
+  });
+
+  test('returns undefined for missing paths', () => {
+    expect(getPathValue({ data: null }, 'data.country')).toEqual(undefined);
+    expect(getPathValue({}, 'a.b.c')).toEqual(undefined);
+  });
+});
+
+describe('ApiClientHttp', () => {
+  const ip = '111.22.33.44';
+  const createApiClient = (options) => new ApiClientHttp({
+    name: 'example',
+    url: 'https://geo.example.com/json/{ip}',
+    auth: { type: 'query', param: 'key' },
+    fields: {
+      name: 'country',
+      countryCode: 'countryCode',
+      timeZone: 'location.timezone',
+    },
+    errors: [
+      { path: 'status', equals: 'fail', message: 'message' },
+      { path: 'error.code', equals: [101, 102], status: 401, message: 'error.info' },
+      { path: 'error.code', equals: 104, status: 429 },
+    ],
+    rateLimit: 5,
+    token: 'abc123',
+    ...options,
+  });
+
+  test('builds the URL from the template and authorizes with a query parameter', async () => {
+    mockResponse({ country: 'Germany', countryCode: 'DE' });
+    const result = await createApiClient().getCountry(ip);
+    expect(fetch.mock.calls[0][0])
+      .toEqual(`https://geo.example.com/json/${ip}?key=abc123`);
+    expect(result.meta.apiUrl).toEqual(`https://geo.example.com/json/${ip}?key=abc123`);
+  });
+
+  test('authorizes with a bearer header', async () => {
+    mockResponse({ country: 'Germany' });
+    await createApiClient({ auth: { type: 'bearer' } }).getCountry(ip);
+    expect(fetch.mock.calls[0][0]).toEqual(`https://geo.example.com/json/${ip}`);
+    expect(fetch.mock.calls[0][1].headers.authorization).toEqual('Bearer abc123');
+  });
+
+  test('maps result paths into the location model', async () => {
+    mockResponse({
+      country: 'Germany',
+      countryCode: 'DE',
+      location: { timezone: 'Europe/Berlin' },
+    });
+    const result = await createApiClient().getCountry(ip);
+    expect(result.data).toEqual({
+      name: 'Germany',
+      countryCode: 'DE',
+      countryCodeAlpha3: 'DEU',
+      continent: 'Europe',
+      continentCode: 'EU',
+      timeZone: 'Europe/Berlin',
+    });
+  });
+
+  test('reports the network of the IP from its result path', async () => {
+    mockResponse({ country: 'Germany', range: { cidr: '111.22.0.0/16' } });
+    const result = await createApiClient({ network: 'range.cidr' }).getCountry(ip);
+    expect(result.meta.network).toEqual('111.22.0.0/16');
+
+    mockResponse({ country: 'Germany', range: { cidr: '111.22.0.0/16' } });
+    expect((await createApiClient().getCountry(ip)).meta.network).toEqual(undefined);
+  });
+
+  test('surfaces errors matched by error rules', async () => {
+    const apiClient = createApiClient();
+    mockResponse({ status: 'fail', message: 'invalid query' });
+    let result = await apiClient.getCountry(ip);
+    expect(result.error).toEqual({ message: 'invalid query' });
+    expect(result.meta.status).toEqual(400);
+
+    mockResponse({ error: { code: 101, info: 'Invalid key' } });
+    result = await apiClient.getCountry(ip);
+    expect(result.error).toEqual({ message: 'Invalid key' });
+    expect(result.meta.status).toEqual(401);
+  });
+
+  test('marks the client as rate limited on a 429 error rule', async () => {
+    const apiClient = createApiClient();
+    mockResponse({ error: { code: 104 } });
+    const result = await apiClient.getCountry(ip);
+    expect(result.error).toEqual({ message: 'An unknown error occurred' });
+    expect(result.meta.status).toEqual(429);
+    expect(apiClient.isRateLimited).toEqual(true);
+  });
+
+  test('is configured without a token when no authorization is needed', () => {
+    expect(createApiClient({ token: undefined }).isConfigured).toEqual(false);
+    expect(createApiClient({ auth: { type: 'none' }, token: undefined }).isConfigured)
+      .toEqual(true);
+  });
+
+  test('uses its name for rate limits and results', () => {
+    expect(createApiClient().name).toEqual('example');
+  });
+
+  test('throws on invalid options', () => {
+    expect(() => createApiClient({ url: 'https://geo.example.com/json' }))
+      .toThrow(`'url' option is invalid`);
+    expect(() => createApiClient({ auth: { type: 'basic' } }))
+      .toThrow(`'auth' option is invalid`);
+    expect(() => createApiClient({ fields: { countryCode: 'country' } }))
+      .toThrow(`'fields' option is invalid`);
+    expect(() => createApiClient({ fields: { name: 'country', flag: 'flag' } }))
+      .toThrow(`'fields' option is invalid`);
+    expect(() => createApiClient({ errors: [{ status: 401 }] }))
+      .toThrow(`'errors' option is invalid`);
+    expect(() => createApiClient({ network: ['network'] }))
+      .toThrow(`'network' option is invalid`);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import ApiClientIpApi from '../../../src/services/api-client-ip-api';
+
+global.fetch = jest.fn();
+
+const mockResponse = (result) => {
+  fetch.mockImplementationOnce(() => Promise.resolve({
+    json: () => Promise.resolve(result),
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+  }));
+};
+
+beforeEach(() => {
+  fetch.mockReset();
+});
+
+describe('ApiClientIpApi', () => {
+  const ip = '24.48.0.1';
+  let apiClient;
+
+  beforeEach(() => {
+    apiClient = new ApiClientIpApi({
+      baseUrl: 'https://pro.ip-api.com',
+      rateLimit: 5,
+      token: 'abc123',
+    });
+  });
+
+  describe('ApiClientIpApi.getCountry', () => {
+    test('returns location data mapped from the API result', async () => {
+      mockResponse({
+        status: 'success',
+        continent: 'North America',
+        continentCode: 'NA',
+        country: 'Canada',
+        countryCode: 'CA',
+        regionName: 'Quebec',
+        city: 'Montreal',
+        lat: 45.6026,
+        lon: -73.5167,
+        timezone: 'America/Toronto',
+      });
+      const result = await apiClient.getCountry(ip);
+      expect(fetch.mock.calls[0][0]).toMatch(
+        new RegExp(`^https://pro\\.ip-api\\.com/json/${ip}\\?fields=.*&key=abc123$`)
+      );
+      expect(result.data).toEqual({
+        name: 'Canada',
+        countryCode: 'CA',
+        countryCodeAlpha3: 'CAN',
+        continent: 'North America',
+        continentCode: 'NA',
+        region: 'Quebec',
+        city: 'Montreal',
+        latitude: 45.6026,
+        longitude: -73.5167,
+        timeZone: 'America/Toronto',
+      });
+    });
+
+    test('requests continents, which are left out by default', async () => {
+      mockResponse({ status: 'success', countryCode: 'CA' });
+      await apiClient.getCountry(ip);
+      const url = new URL(fetch.mock.calls[0][0]);
+      expect(url.searchParams.get('fields').split(','))
+        .toEqual(expect.arrayContaining(['continent', 'continentCode']));
+    });
+
+    test('returns 400 error for failed lookups', async () => {
+      mockResponse({ status: 'fail', message: 'reserved range' });
+      const result = await apiClient.getCountry(ip);
+      expect(result.error).toEqual({ message: 'reserved range' });
+      expect(result.meta.status).toEqual(400);
+    });
+  });
+});
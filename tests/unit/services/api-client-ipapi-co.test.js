@@ -0,0 +1,95 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import ApiClientIpapiCo from '../../../src/services/api-client-ipapi-co';
+
+global.fetch = jest.fn();
+
+const mockResponse = (result) => {
+  fetch.mockImplementationOnce(() => Promise.resolve({
+    json: () => Promise.resolve(result),
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+  }));
+};
+
+beforeEach(() => {
+  fetch.mockReset();
+});
+
+describe('ApiClientIpapiCo', () => {
+  const ip = '8.8.4.4';
+  let apiClient;
+
+  beforeEach(() => {
+    apiClient = new ApiClientIpapiCo({
+      baseUrl: 'https://ipapi.co',
+      rateLimit: 5,
+      token: 'abc123',
+    });
+  });
+
+  describe('ApiClientIpapiCo.getCountry', () => {
+    test('returns location data mapped from the API result', async () => {
+      mockResponse({
+        ip,
+        city: 'Mountain View',
+        region: 'California',
+        country_code: 'US',
+        country_code_iso3: 'USA',
+        country_name: 'United States',
+        continent_code: 'NA',
+        latitude: 37.42301,
+        longitude: -122.083352,
+        timezone: 'America/Los_Angeles',
+      });
+      const result = await apiClient.getCountry(ip);
+      expect(fetch.mock.calls[0][0]).toEqual(`https://ipapi.co/${ip}/json/?key=abc123`);
+      expect(result.data).toEqual({
+        name: 'United States',
+        countryCode: 'US',
+        countryCodeAlpha3: 'USA',
+        continent: 'North America',
+        continentCode: 'NA',
+        region: 'California',
+        city: 'Mountain View',
+        latitude: 37.42301,
+        longitude: -122.083352,
+        timeZone: 'America/Los_Angeles',
+      });
+    });
+
+    test('reports the network of the IP', async () => {
+      mockResponse({ ip, country_code: 'US', network: '8.8.4.0/24' });
+      expect((await apiClient.getCountry(ip)).meta.network).toEqual('8.8.4.0/24');
+
+      // a network that doesn't contain the IP is ignored
+      mockResponse({ ip, country_code: 'US', network: '9.9.9.0/24' });
+      expect((await apiClient.getCountry(ip)).meta.network).toEqual(undefined);
+    });
+
+    test('returns 400 error for reserved IPs', async () => {
+      mockResponse({ ip, reserved: true });
+      const result = await apiClient.getCountry(ip);
+      expect(result.error).toEqual({ message: 'Non-routable IP address' });
+      expect(result.meta.status).toEqual(400);
+    });
+
+    test('returns 400 error with the reason of failed lookups', async () => {
+      mockResponse({ ip, error: true, reason: 'Invalid IP Address' });
+      const result = await apiClient.getCountry(ip);
+      expect(result.error).toEqual({ message: 'Invalid IP Address' });
+      expect(result.meta.status).toEqual(400);
+    });
+
+    test('maps rate limit errors to 429 and marks the client as rate limited', async () => {
+      mockResponse({
+        error: true,
+        reason: 'RateLimited',
+        message: 'Visit https://ipapi.co/ratelimited/ for details',
+      });
+      const result = await apiClient.getCountry(ip);
+      expect(result.meta.status).toEqual(429);
+      expect(apiClient.isRateLimited).toEqual(true);
+    });
+  });
+});
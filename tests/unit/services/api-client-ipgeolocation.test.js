@@ -0,0 +1,82 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import ApiClientIpgeolocation from '../../../src/services/api-client-ipgeolocation';
+
+global.fetch = jest.fn();
+
+const mockResponse = (result) => {
+  fetch.mockImplementationOnce(() => Promise.resolve({
+    json: () => Promise.resolve(result),
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+  }));
+};
+
+beforeEach(() => {
+  fetch.mockReset();
+});
+
+describe('ApiClientIpgeolocation', () => {
+  const ip = '1.1.1.1';
+  let apiClient;
+
+  beforeEach(() => {
+    apiClient = new ApiClientIpgeolocation({
+      baseUrl: 'https://api.ipgeolocation.io',
+      rateLimit: 5,
+      token: 'abc123',
+    });
+  });
+
+  describe('ApiClientIpgeolocation.getCountry', () => {
+    test('returns location data mapped from the API result', async () => {
+      mockResponse({
+        ip,
+        continent_code: 'OC',
+        continent_name: 'Oceania',
+        country_code2: 'AU',
+        country_code3: 'AUS',
+        country_name: 'Australia',
+        state_prov: 'Queensland',
+        city: 'South Brisbane',
+        latitude: '-27.47561',
+        longitude: '153.01537',
+        time_zone: { name: 'Australia/Brisbane' },
+      });
+      const result = await apiClient.getCountry(ip);
+      expect(fetch.mock.calls[0][0])
+        .toEqual(`https://api.ipgeolocation.io/ipgeo?apiKey=abc123&ip=${ip}`);
+      expect(result.data).toEqual({
+        name: 'Australia',
+        countryCode: 'AU',
+        countryCodeAlpha3: 'AUS',
+        continent: 'Oceania',
+        continentCode: 'OC',
+        region: 'Queensland',
+        city: 'South Brisbane',
+        latitude: -27.47561,
+        longitude: 153.01537,
+        timeZone: 'Australia/Brisbane',
+      });
+    });
+
+    test('returns the error message of the API result', async () => {
+      mockResponse({ message: "'1.1.1' is not a valid IP address." });
+      const result = await apiClient.getCountry(ip);
+      expect(result.error).toEqual({ message: "'1.1.1' is not a valid IP address." });
+      expect(result.meta.status).toEqual(400);
+    });
+
+    test('returns an error for failed responses', async () => {
+      fetch.mockImplementationOnce(() => Promise.resolve({
+        json: () => Promise.resolve({ message: 'Provided API key is not valid.' }),
+        ok: false,
+        status: 401,
+        statusText: 'Unauthorized',
+      }));
+      const result = await apiClient.getCountry(ip);
+      expect(result.error).toEqual({ message: '401 Unauthorized' });
+      expect(result.meta.status).toEqual(401);
+    });
+  });
+});
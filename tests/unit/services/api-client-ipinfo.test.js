@@ -0,0 +1,88 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import ApiClientIpinfo from '../../../src/services/api-client-ipinfo';
+
+global.fetch = jest.fn();
+
+const mockResponse = (result) => {
+  fetch.mockImplementationOnce(() => Promise.resolve({
+    json: () => Promise.resolve(result),
+    ok: true,
+    status: 200,
+    statusText: 'OK',
+  }));
+};
+
+beforeEach(() => {
+  fetch.mockReset();
+});
+
+describe('ApiClientIpinfo', () => {
+  const ip = '8.8.8.8';
+  let apiClient;
+
+  beforeEach(() => {
+    apiClient = new ApiClientIpinfo({
+      baseUrl: 'https://ipinfo.io',
+      rateLimit: 5,
+      token: 'abc123',
+    });
+  });
+
+  describe('ApiClientIpinfo.getCountry', () => {
+    test('returns location data mapped from the API result', async () => {
+      mockResponse({
+        ip,
+        city: 'Mountain View',
+        region: 'California',
+        country: 'US',
+        loc: '37.4056,-122.0775',
+        timezone: 'America/Los_Angeles',
+      });
+      const result = await apiClient.getCountry(ip);
+      expect(fetch.mock.calls[0][0]).toEqual(`https://ipinfo.io/${ip}/json`);
+      expect(fetch.mock.calls[0][1].headers.authorization).toEqual('Bearer abc123');
+      expect(result.data).toEqual({
+        name: 'United States',
+        countryCode: 'US',
+        countryCodeAlpha3: 'USA',
+        continent: 'North America',
+        continentCode: 'NA',
+        region: 'California',
+        city: 'Mountain View',
+        latitude: 37.4056,
+        longitude: -122.0775,
+        timeZone: 'America/Los_Angeles',
+      });
+      expect(result.meta.apiUrl).toEqual(`https://ipinfo.io/${ip}/json`);
+    });
+
+    test('reports the network of the IP from its ASN route', async () => {
+      mockResponse({ ip, country: 'US', asn: { asn: 'AS15169', route: '8.8.8.0/24' } });
+      const result = await apiClient.getCountry(ip);
+      expect(result.meta.network).toEqual('8.8.8.0/24');
+    });
+
+    test('returns 400 error for bogon IPs', async () => {
+      mockResponse({ ip, bogon: true });
+      const result = await apiClient.getCountry(ip);
+      expect(result.error).toEqual({ message: 'Non-routable IP address' });
+      expect(result.meta.status).toEqual(400);
+    });
+
+    test('returns the error message of the API result', async () => {
+      mockResponse({ error: { title: 'Wrong ip', message: 'Please provide a valid IP address' } });
+      const result = await apiClient.getCountry(ip);
+      expect(result.error).toEqual({ message: 'Please provide a valid IP address' });
+      expect(result.meta.status).toEqual(400);
+    });
+
+    test('is unconfigured without a token', () => {
+      const unconfiguredApiClient = new ApiClientIpinfo({
+        baseUrl: 'https://ipinfo.io',
+        rateLimit: 5,
+      });
+      expect(unconfiguredApiClient.isConfigured).toEqual(false);
+      expect(unconfiguredApiClient.name).toEqual('ipinfo');
+    });
+  });
+});
@@ -0,0 +1,256 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, describe, expect, test } from '@jest/globals';
+import ApiClientLocal, {
+  parseCsvDatabase,
+} from '../../../src/services/api-client-local';
+
+/**
+ * Builds a minimal IPv4 MMDB database mapping 1.0.0.0/8 to a country record.
+ */
+const buildMmdb = ({ buildEpoch, code, name }) => {
+  const encodeString = (value) => {
+    const bytes = Buffer.from(value);
+    return Buffer.concat([Buffer.from([(2 << 5) | bytes.length]), bytes]);
+  };
+  const encodeUint = (type, value, size) => {
+    const bytes = Buffer.alloc(size);
+    bytes.writeUIntBE(value, 0, size);
+    return Buffer.concat([Buffer.from([(type << 5) | size]), bytes]);
+  };
+  const encodeMap = (entries) => Buffer.concat([
+    Buffer.from([(7 << 5) | entries.length]),
+    ...entries.flatMap(([key, value]) => [encodeString(key), value]),
+  ]);
+
+  const nodeCount = 8;
+  const tree = Buffer.alloc(nodeCount * 6);
+  for (let node = 0; node < nodeCount; node++) {
+    const isLast = node === nodeCount - 1;
+    tree.writeUIntBE(isLast ? nodeCount : node + 1, node * 6, 3);
+    tree.writeUIntBE(isLast ? nodeCount + 16 : nodeCount, node * 6 + 3, 3);
+  }
+
+  const data = encodeMap([
+    ['country', encodeMap([
+      ['iso_code', encodeString(code)],
+      ['names', encodeMap([['en', encodeString(name)]])],
+    ])],
+  ]);
+  const metadata = encodeMap([
+    ['binary_format_major_version', encodeUint(5, 2, 2)],
+    ['binary_format_minor_version', encodeUint(5, 0, 2)],
+    ['build_epoch', encodeUint(6, buildEpoch, 4)],
+    ['database_type', encodeString('Test-Country')],
+    ['ip_version', encodeUint(5, 4, 2)],
+    ['node_count', encodeUint(6, nodeCount, 4)],
+    ['record_size', encodeUint(5, 24, 2)],
+  ]);
+
+  return Buffer.concat([
+    tree,
+    Buffer.alloc(16),
+    data,
+    Buffer.from('ABCDEF4D61784D696E642E636F6D', 'hex'),
+    metadata,
+  ]);
+};
+
+describe('parseCsvDatabase', () => {
+  test('skips comments and a header row', () => {
+    const ranges = parseCsvDatabase(
+      '# countries\nnetwork,country\n1.0.0.0/24,Australia\n\n2001:db8::/32,"Nowhere"\n'
+    );
+    expect(ranges.size).toEqual(2);
+    expect(ranges.get('1.0.0.1').value).toEqual('Australia');
+    expect(ranges.get('2001:db8::1').value).toEqual('Nowhere');
+  });
+
+  test('throws on invalid rows after the first', () => {
+    expect(() => parseCsvDatabase('1.0.0.0/24,Australia\nfoo,bar')).toThrow(
+      'Invalid CSV database row 2: foo,bar'
+    );
+  });
+});
+
+describe('ApiClientLocal', () => {
+  let apiClient;
+  let directory;
+
+  const writeDatabase = (fileName, content) => {
+    directory = directory || fs.mkdtempSync(path.join(os.tmpdir(), 'ip-country-'));
+    const databasePath = path.join(directory, fileName);
+    fs.writeFileSync(databasePath, content);
+    return databasePath;
+  };
+
+  afterEach(() => {
+    if (apiClient) {
+      apiClient.close();
+      apiClient = undefined;
+    }
+    if (directory) {
+      fs.rmSync(directory, { force: true, recursive: true });
+      directory = undefined;
+    }
+  });
+
+  describe('ApiClientLocal.getCountry', () => {
+    test('returns country name and database meta data from a CSV database', async () => {
+      const databasePath = writeDatabase(
+        'countries.csv',
+        '1.0.0.0/24,Australia\n1.0.0.128/25,Somewhere Else\n'
+      );
+      apiClient = new ApiClientLocal({ path: databasePath });
+      const version = fs.statSync(databasePath).mtime.toISOString();
+
+      expect(await apiClient.getCountry('1.0.0.1')).toEqual({
+        data: {
+          name: 'Australia',
+          countryCode: 'AU',
+          countryCodeAlpha3: 'AUS',
+          continent: 'Oceania',
+          continentCode: 'OC',
+        },
+        meta: {
+          cache: false,
+          database: { type: 'csv', version },
+          network: '1.0.0.0/24',
+          status: 200,
+        },
+      });
+      expect((await apiClient.getCountry('1.0.0.200')).data.name)
+        .toEqual('Somewhere Else');
+    });
+
+    test('returns country name and database meta data from an MMDB database', async () => {
+      const databasePath = writeDatabase(
+        'countries.mmdb',
+        buildMmdb({ buildEpoch: 1700000000, code: 'AU', name: 'Australia' })
+      );
+      apiClient = new ApiClientLocal({ path: databasePath });
+
+      expect(await apiClient.getCountry('1.2.3.4')).toEqual({
+        data: {
+          name: 'Australia',
+          countryCode: 'AU',
+          countryCodeAlpha3: 'AUS',
+          continent: 'Oceania',
+          continentCode: 'OC',
+        },
+        meta: {
+          cache: false,
+          database: {
+            type: 'Test-Country',
+            version: new Date(1700000000 * 1000).toISOString(),
+          },
+          network: '1.0.0.0/8',
+          status: 200,
+        },
+      });
+    });
+
+    test('returns error when the IP is not in the database', async () => {
+      apiClient = new ApiClientLocal({
+        path: writeDatabase('countries.csv', '1.0.0.0/24,Australia'),
+      });
+      const result = await apiClient.getCountry('2.0.0.1');
+      expect(result.error).toEqual({ message: 'Country not found for this IP' });
+      expect(result.meta.status).toEqual(400);
+    });
+
+    test('returns error when the IP is invalid', async () => {
+      apiClient = new ApiClientLocal({
+        path: writeDatabase('countries.csv', '1.0.0.0/24,Australia'),
+      });
+      const result = await apiClient.getCountry('foo');
+      expect(result.error).toEqual({ message: 'Invalid IP address' });
+      expect(result.meta.status).toEqual(400);
+    });
+
+    test('is never rate limited', async () => {
+      apiClient = new ApiClientLocal({
+        path: writeDatabase('countries.csv', '1.0.0.0/24,Australia'),
+      });
+      for (let count = 0; count < 10; count++) {
+        await apiClient.getCountry('1.0.0.1');
+      }
+      expect(apiClient.isRateLimited).toEqual(false);
+    });
+  });
+
+  describe('ApiClientLocal.getRanges', () => {
+    test('returns CSV blocks in a CIDR block', () => {
+      apiClient = new ApiClientLocal({
+        path: writeDatabase(
+          'countries.csv',
+          '1.0.0.0/24,Australia\n1.0.0.128/25,New Zealand\n2.0.0.0/24,Germany\n'
+        ),
+      });
+      const { ranges, truncated } = apiClient.getRanges('1.0.0.0/16');
+      expect(ranges.map(({ cidr, location }) => [cidr, location.countryCode]))
+        .toEqual([['1.0.0.128/25', 'NZ'], ['1.0.0.0/24', 'AU']]);
+      expect(truncated).toEqual(false);
+      // a block containing the CIDR block answers for all of it
+      expect(apiClient.getRanges('1.0.0.0/28').ranges.map(({ cidr }) => cidr))
+        .toEqual(['1.0.0.0/28']);
+    });
+
+    test('walks MMDB blocks in a CIDR block up to a limit', () => {
+      apiClient = new ApiClientLocal({
+        path: writeDatabase(
+          'countries.mmdb',
+          buildMmdb({ buildEpoch: 1700000000, code: 'AU', name: 'Australia' })
+        ),
+      });
+      expect(apiClient.getRanges('0.0.0.0/6')).toEqual({
+        ranges: [{
+          cidr: '1.0.0.0/8',
+          location: {
+            name: 'Australia',
+            countryCode: 'AU',
+            countryCodeAlpha3: 'AUS',
+            continent: 'Oceania',
+            continentCode: 'OC',
+          },
+        }],
+        truncated: false,
+      });
+      expect(apiClient.getRanges('1.2.0.0/16').ranges[0].cidr).toEqual('1.2.0.0/16');
+      expect(apiClient.getRanges('0.0.0.0/6', { limit: 1 }).truncated).toEqual(true);
+    });
+  });
+
+  describe('ApiClientLocal.load', () => {
+    test('reloads the database when the file changes', async () => {
+      const databasePath = writeDatabase(
+        'countries.mmdb',
+        buildMmdb({ buildEpoch: 1700000000, code: 'AU', name: 'Australia' })
+      );
+      apiClient = new ApiClientLocal({
+        path: databasePath,
+        watch: true,
+        watchInterval: 10,
+      });
+
+      fs.writeFileSync(
+        databasePath,
+        buildMmdb({ buildEpoch: 1800000000, code: 'NZ', name: 'New Zealand' })
+      );
+      fs.utimesSync(databasePath, new Date(), new Date(Date.now() + 60000));
+      // wait for the watcher to poll, allowing for a busy machine
+      for (let wait = 0; wait < 5000; wait += 50) {
+        if (apiClient.database.version !== new Date(1700000000 * 1000).toISOString()) {
+          break;
+        }
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+
+      const result = await apiClient.getCountry('1.2.3.4');
+      expect(result.data.name).toEqual('New Zealand');
+      expect(result.meta.database.version)
+        .toEqual(new Date(1800000000 * 1000).toISOString());
+    });
+  });
+});
@@ -1,19 +1,22 @@
-import { describe, expect, test } from '@jest/globals';
+import { describe, expect, jest, test } from '@jest/globals';
+import { formatResult } from '../../../src/services/api-client';
 import ApiClientOrchestrator from '../../../src/services/api-client-orchestrator';
+import MemoryCache from '../../../src/services/cache-memory';
+import { Logger } from '../../../src/services/logger';
+import { MetricsRegistry } from '../../../src/services/metrics';
+import Overrides from '../../../src/services/overrides';
+import RoundRobinStrategy from '../../../src/services/strategy-round-robin';
 
 describe('ApiClientOrchestrator', () => {
   let apiClientMock1;
   let apiClientMock2;
 
   beforeEach(() => {
-    const transferCache = () => (undefined);
     apiClientMock1 = {
       _id: 'a', isRateLimited: false,
-      transferCache,
     };
     apiClientMock2 = {
       _id: 'b', isRateLimited: false,
-      transferCache,
     };
   });
 
@@ -49,6 +52,27 @@ describe('ApiClientOrchestrator', () => {
       }
     );
 
+    test('keeps the current API client after the rate limit of the first resets', async () => {
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock1, apiClientMock2],
+      });
+      apiClientMock1.isRateLimited = true;
+      expect(apiClientOrchestrator.apiClient).toEqual(apiClientMock2);
+      apiClientMock1.isRateLimited = false;
+      expect(apiClientOrchestrator.apiClient).toEqual(apiClientMock2);
+    });
+
+    test('returns the API client preferred by the strategy', async () => {
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock1, apiClientMock2],
+        strategy: new RoundRobinStrategy(),
+      });
+      expect(apiClientOrchestrator.apiClient).toEqual(apiClientMock1);
+      expect(apiClientOrchestrator.apiClient).toEqual(apiClientMock2);
+      apiClientMock1.isRateLimited = true;
+      expect(apiClientOrchestrator.apiClient).toEqual(apiClientMock2);
+    });
+
     test('returns the current API client when both rate limited', async () => {
       apiClientMock1.isRateLimited = true;
       apiClientMock2.isRateLimited = true;
@@ -58,4 +82,892 @@ describe('ApiClientOrchestrator', () => {
       expect(apiClientOrchestrator.apiClient).toEqual(apiClientMock1);
     });
   });
+
+  describe('ApiClientOrchestrator.getStatus', () => {
+    test('lists the status of each API client', async () => {
+      Object.assign(apiClientMock1, {
+        name: 'a',
+        isConfigured: false,
+        rateLimit: 5,
+        remainingQuota: 5,
+      });
+      Object.assign(apiClientMock2, {
+        name: 'b',
+        isConfigured: true,
+        lastError: { message: '500 Internal Server Error', status: 500, at: 0 },
+        rateLimit: 5,
+        rateLimitResetAt: 60000,
+        remainingQuota: 3,
+      });
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock1, apiClientMock2],
+      });
+      expect(apiClientOrchestrator.apiClient).toEqual(apiClientMock2);
+      expect(apiClientOrchestrator.getStatus()).toEqual({
+        ready: true,
+        providers: [
+          {
+            provider: 'a',
+            status: 'unconfigured',
+            circuit: 'closed',
+            rateLimit: 5,
+            rateLimitRemaining: 5,
+            rateLimitResetAt: null,
+            lastError: null,
+          },
+          {
+            provider: 'b',
+            status: 'available',
+            circuit: 'closed',
+            rateLimit: 5,
+            rateLimitRemaining: 3,
+            rateLimitResetAt: '1970-01-01T00:01:00.000Z',
+            lastError: {
+              message: '500 Internal Server Error',
+              status: 500,
+              at: '1970-01-01T00:00:00.000Z',
+            },
+          },
+        ],
+      });
+    });
+
+    test('is not ready when no API client is available', async () => {
+      apiClientMock1.isConfigured = false;
+      apiClientMock2.isRateLimited = true;
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock1, apiClientMock2],
+      });
+      const { ready, providers } = apiClientOrchestrator.getStatus();
+      expect(ready).toEqual(false);
+      expect(providers.map(({ status }) => status))
+        .toEqual(['unconfigured', 'rate-limited']);
+    });
+  });
+
+  describe('ApiClientOrchestrator.getCountry', () => {
+    let requestedIps;
+
+    beforeEach(() => {
+      requestedIps = [];
+      apiClientMock1.isCacheable = true;
+      apiClientMock1.formatResult = ({ cache, cacheAge, ...data }) => ({
+        data,
+        meta: { cache, cacheAge, status: 200 },
+      });
+      apiClientMock1.getCountry = async (ip) => {
+        requestedIps.push(ip);
+        return { data: { name: 'Somewhere' }, meta: { cache: false, status: 200 } };
+      };
+    });
+
+    test('returns 400 error for malformed IPs without calling an API client', async () => {
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock1],
+      });
+      const result = await apiClientOrchestrator.getCountry('1.2.3.4&foo=bar');
+      expect(result).toEqual({
+        error: { message: 'Invalid IP address' },
+        meta: { status: 400 },
+      });
+      expect(requestedIps).toEqual([]);
+    });
+
+    test('returns non-routable error for private IPs without calling an API client', async () => {
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock1],
+      });
+      const result = await apiClientOrchestrator.getCountry('192.168.1.1');
+      expect(result).toEqual({
+        error: { message: 'Non-routable IP address (private)' },
+        meta: { status: 422 },
+      });
+      expect(requestedIps).toEqual([]);
+    });
+
+    test('passes the normalized IP to the API client', async () => {
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock1],
+      });
+      await apiClientOrchestrator.getCountry('::FFFF:8.8.8.8');
+      await apiClientOrchestrator.getCountry('2001:4860:0:0:0:0:0:8888');
+      expect(requestedIps).toEqual(['8.8.8.8', '2001:4860::8888']);
+    });
+
+    test('caches successful results with their age', async () => {
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock1],
+      });
+      const dateNow = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      await apiClientOrchestrator.getCountry('8.8.8.8');
+      dateNow.mockReturnValue(6000);
+      const result = await apiClientOrchestrator.getCountry('::ffff:8.8.8.8');
+      dateNow.mockRestore();
+      expect(requestedIps).toEqual(['8.8.8.8']);
+      expect(result.data).toEqual({ name: 'Somewhere' });
+      expect(result.meta.cache).toEqual(true);
+      expect(result.meta.cacheAge).toEqual(5000);
+    });
+
+    test('returns selected fields while caching all fields', async () => {
+      apiClientMock1.getCountry = async () => ({
+        data: { name: 'United States', countryCode: 'US', city: 'Los Angeles' },
+        meta: { cache: false, status: 200 },
+      });
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock1],
+      });
+      const fields = ['countryCode'];
+      const result = await apiClientOrchestrator.getCountry('8.8.8.8', { fields });
+      const cachedResult = await apiClientOrchestrator.getCountry('8.8.8.8', { fields });
+      expect(result.data).toEqual({ countryCode: 'US' });
+      expect(cachedResult.data).toEqual({ countryCode: 'US' });
+      expect((await apiClientOrchestrator.cache.get('8.8.8.8')).value).toEqual({
+        name: 'United States', countryCode: 'US', city: 'Los Angeles',
+      });
+    });
+
+    test('does not cache errors or results of non-cacheable API clients', async () => {
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock1],
+      });
+      apiClientMock1.isCacheable = false;
+      await apiClientOrchestrator.getCountry('8.8.8.8');
+      apiClientMock1.isCacheable = true;
+      apiClientMock1.getCountry = async (ip) => {
+        requestedIps.push(ip);
+        return { error: { message: 'Oops' }, meta: { status: 500 } };
+      };
+      await apiClientOrchestrator.getCountry('9.9.9.9');
+      expect(await apiClientOrchestrator.cache.get('8.8.8.8')).toEqual(undefined);
+      expect(await apiClientOrchestrator.cache.get('9.9.9.9')).toEqual(undefined);
+    });
+
+    test('treats cache failures as a miss', async () => {
+      const write = jest.fn();
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock1],
+        cache: {
+          get: async () => { throw new Error('Cache unavailable'); },
+          set: async () => { throw new Error('Cache unavailable'); },
+        },
+        logger: new Logger({ level: 'error', write }),
+      });
+      const result = await apiClientOrchestrator.getCountry('8.8.8.8');
+      expect(result.data).toEqual({ name: 'Somewhere' });
+      expect(write).toHaveBeenCalledTimes(2);
+    });
+
+    test('logs upstream requests and cache hits with the request ID', async () => {
+      const entries = [];
+      apiClientMock1.name = 'a';
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock1],
+        logger: new Logger({ write: (line) => entries.push(JSON.parse(line)) }),
+      });
+      await apiClientOrchestrator.getCountry('8.8.8.8', { requestId: 'abc' });
+      await apiClientOrchestrator.getCountry('8.8.8.8', { requestId: 'def' });
+      expect(entries).toEqual([
+        expect.objectContaining({
+          message: 'Upstream request',
+          requestId: 'abc',
+          provider: 'a',
+          ip: '8.8.8.8',
+          latency: expect.any(Number),
+          status: 200,
+          cache: false,
+        }),
+        expect.objectContaining({
+          message: 'Lookup',
+          requestId: 'def',
+          ip: '8.8.8.8',
+          status: 200,
+          cache: true,
+        }),
+      ]);
+    });
+  });
+
+  describe('ApiClientOrchestrator failover', () => {
+    const createApiClientMock = (name, results) => {
+      const apiClientMock = {
+        name,
+        count: 0,
+        isCacheable: true,
+        isRateLimited: false,
+        formatResult,
+        getCountry: async () => {
+          const result = results[Math.min(apiClientMock.count, results.length - 1)];
+          apiClientMock.count++;
+          return result;
+        },
+      };
+      return apiClientMock;
+    };
+    const success = { data: { name: 'Somewhere' }, meta: { cache: false, status: 200 } };
+    const failure = { error: { message: '500 Internal Server Error' }, meta: { status: 500 } };
+
+    test('fails over to the next API client and lists attempts', async () => {
+      const apiClientMockA = createApiClientMock('a', [failure]);
+      const apiClientMockB = createApiClientMock('b', [success]);
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMockA, apiClientMockB],
+      });
+      const result = await apiClientOrchestrator.getCountry('8.8.8.8');
+      expect(result.data).toEqual({ name: 'Somewhere' });
+      expect(result.meta.attempts).toEqual([
+        { provider: 'a', status: 500, error: '500 Internal Server Error' },
+        { provider: 'b', status: 200 },
+      ]);
+    });
+
+    test('does not fail over when the IP is not found', async () => {
+      const notFound = { error: { message: 'Country not found for this IP' }, meta: { status: 400 } };
+      const apiClientMockA = createApiClientMock('a', [notFound]);
+      const apiClientMockB = createApiClientMock('b', [success]);
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMockA, apiClientMockB],
+      });
+      const result = await apiClientOrchestrator.getCountry('8.8.8.8');
+      expect(result.meta.status).toEqual(400);
+      expect(apiClientMockB.count).toEqual(0);
+    });
+
+    test('does not fail over when the lookup is cancelled', async () => {
+      const controller = new AbortController();
+      const apiClientMockA = createApiClientMock('a', [
+        { error: { message: 'Request cancelled' }, meta: { status: 499 } },
+      ]);
+      const { getCountry } = apiClientMockA;
+      apiClientMockA.getCountry = async (ip, { signal }) => {
+        controller.abort();
+        expect(signal.aborted).toEqual(true);
+        return getCountry(ip);
+      };
+      const apiClientMockB = createApiClientMock('b', [success]);
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMockA, apiClientMockB],
+      });
+      const result = await apiClientOrchestrator.getCountry('8.8.8.8', {
+        signal: controller.signal,
+      });
+      expect(result.meta.status).toEqual(499);
+      expect(apiClientMockB.count).toEqual(0);
+      expect(apiClientOrchestrator.getStatus().providers[0].circuit)
+        .toEqual('closed');
+    });
+
+    test('switches away from an API client the provider rate limited', async () => {
+      const apiClientMockA = createApiClientMock('a', [
+        { error: { message: '429 Too Many Requests' }, meta: { status: 429 } },
+      ]);
+      const { getCountry } = apiClientMockA;
+      apiClientMockA.getCountry = async (ip) => {
+        apiClientMockA.isRateLimited = true;
+        return getCountry(ip);
+      };
+      const apiClientMockB = createApiClientMock('b', [success]);
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMockA, apiClientMockB],
+      });
+      const result = await apiClientOrchestrator.getCountry('1.1.1.1');
+      expect(result.data).toEqual({ name: 'Somewhere' });
+      expect(result.meta.attempts.map(({ status }) => status)).toEqual([429, 200]);
+      await apiClientOrchestrator.getCountry('2.2.2.2');
+      expect(apiClientMockA.count).toEqual(1);
+      expect(apiClientMockB.count).toEqual(2);
+    });
+
+    test('returns the last error when every API client fails', async () => {
+      const apiClientMockA = createApiClientMock('a', [failure]);
+      const apiClientMockB = createApiClientMock('b', [
+        { error: { message: 'Unauthorized' }, meta: { status: 401 } },
+      ]);
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMockA, apiClientMockB],
+      });
+      const result = await apiClientOrchestrator.getCountry('8.8.8.8');
+      expect(result.error).toEqual({ message: 'Unauthorized' });
+      expect(result.meta.attempts.map(({ provider }) => provider)).toEqual(['a', 'b']);
+    });
+
+    test('returns the rate limit error of the active API client when every one is rate limited', async () => {
+      const rateLimited = { error: { message: 'Rate limited' }, meta: { status: 429 } };
+      const apiClientMockA = createApiClientMock('a', [rateLimited]);
+      const apiClientMockB = createApiClientMock('b', [success, rateLimited]);
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMockA, apiClientMockB],
+      });
+      apiClientMockA.isRateLimited = true;
+      await apiClientOrchestrator.getCountry('8.8.8.8');
+      apiClientMockB.isRateLimited = true;
+      const result = await apiClientOrchestrator.getCountry('8.8.4.4');
+      expect(result.error).toEqual({ message: 'Rate limited' });
+      expect(apiClientMockA.count).toEqual(0);
+      expect(apiClientMockB.count).toEqual(2);
+    });
+
+    test('skips an API client while its circuit is open', async () => {
+      const apiClientMockA = createApiClientMock('a', [failure, failure, success]);
+      const apiClientMockB = createApiClientMock('b', [success]);
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMockA, apiClientMockB],
+        circuitBreaker: { cooldown: 1000, failureThreshold: 2 },
+      });
+      const dateNow = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      await apiClientOrchestrator.getCountry('1.1.1.1');
+      await apiClientOrchestrator.getCountry('2.2.2.2');
+      const skippedResult = await apiClientOrchestrator.getCountry('3.3.3.3');
+      expect(apiClientMockA.count).toEqual(2);
+      expect(skippedResult.meta.attempts).toEqual([{ provider: 'b', status: 200 }]);
+
+      // after the cooldown the first API client is available for a trial
+      // request when the second is not
+      dateNow.mockReturnValue(2000);
+      apiClientMockB.isRateLimited = true;
+      const trialResult = await apiClientOrchestrator.getCountry('4.4.4.4');
+      dateNow.mockRestore();
+      expect(apiClientMockA.count).toEqual(3);
+      expect(trialResult.meta.attempts).toEqual([{ provider: 'a', status: 200 }]);
+    });
+
+    test('fails over in the order of the strategy and records outcomes', async () => {
+      const apiClientMockA = createApiClientMock('a', [success]);
+      const apiClientMockB = createApiClientMock('b', [failure]);
+      const recorded = [];
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMockA, apiClientMockB],
+        strategy: {
+          order: (apiClients) => [...apiClients].reverse(),
+          record: (apiClient, { status }) => recorded.push([apiClient.name, status]),
+        },
+      });
+      const result = await apiClientOrchestrator.getCountry('8.8.8.8');
+      expect(result.meta.attempts.map(({ provider }) => provider)).toEqual(['b', 'a']);
+      expect(recorded).toEqual([['b', 500], ['a', 200]]);
+    });
+
+    test('returns 503 error when every circuit is open', async () => {
+      const apiClientMock = createApiClientMock('a', [failure]);
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock],
+        circuitBreaker: { failureThreshold: 1 },
+      });
+      await apiClientOrchestrator.getCountry('1.1.1.1');
+      const result = await apiClientOrchestrator.getCountry('2.2.2.2');
+      expect(apiClientMock.count).toEqual(1);
+      expect(result).toEqual({
+        error: { message: 'No API client available' },
+        meta: { status: 503 },
+      });
+    });
+  });
+
+  describe('ApiClientOrchestrator consensus', () => {
+    const createApiClientMock = (name, result) => {
+      const apiClientMock = {
+        name,
+        count: 0,
+        isCacheable: true,
+        isRateLimited: false,
+        formatResult,
+        getCountry: async () => {
+          apiClientMock.count++;
+          return result;
+        },
+      };
+      return apiClientMock;
+    };
+    const answer = (countryCode, name) => ({
+      data: { countryCode, name },
+      meta: { cache: false, status: 200 },
+    });
+    const us = answer('US', 'United States');
+    const ca = answer('CA', 'Canada');
+    const failure = { error: { message: '500 Internal Server Error' }, meta: { status: 500 } };
+
+    test('queries several API clients in parallel and returns the majority country', async () => {
+      const started = [];
+      const apiClientMocks = [
+        createApiClientMock('a', ca),
+        createApiClientMock('b', us),
+        createApiClientMock('c', us),
+      ];
+      apiClientMocks.forEach((apiClientMock) => {
+        const { getCountry } = apiClientMock;
+        apiClientMock.getCountry = async (ip) => {
+          started.push(apiClientMock.name);
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          // every query started before any completed
+          expect(started).toHaveLength(3);
+          return getCountry(ip);
+        };
+      });
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: apiClientMocks,
+      });
+      const result = await apiClientOrchestrator.getCountry('8.8.8.8', { consensus: 3 });
+      expect(result.data).toEqual({ countryCode: 'US', name: 'United States' });
+      expect(result.meta.agreement).toEqual({
+        answers: [
+          { provider: 'a', status: 200, countryCode: 'CA', name: 'Canada' },
+          { provider: 'b', status: 200, countryCode: 'US', name: 'United States' },
+          { provider: 'c', status: 200, countryCode: 'US', name: 'United States' },
+        ],
+        requested: 3,
+        status: 'majority',
+        votes: 2,
+      });
+    });
+
+    test('replaces failing API clients with the next available', async () => {
+      const apiClientMocks = [
+        createApiClientMock('a', us),
+        createApiClientMock('b', failure),
+        createApiClientMock('c', us),
+      ];
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: apiClientMocks,
+        consensus: { count: 2 },
+      });
+      const result = await apiClientOrchestrator.getCountry('8.8.8.8');
+      expect(result.meta.agreement.status).toEqual('unanimous');
+      expect(result.meta.agreement.answers.map(({ provider }) => provider))
+        .toEqual(['a', 'c']);
+      expect(result.meta.attempts.map(({ provider }) => provider))
+        .toEqual(['a', 'b', 'c']);
+    });
+
+    test('counts each API client against its rate limit and bypasses the cache', async () => {
+      const apiClientMockA = createApiClientMock('a', us);
+      const apiClientMockB = createApiClientMock('b', us);
+      const cache = new MemoryCache();
+      await cache.set('8.8.8.8', { name: 'Cached Country' });
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMockA, apiClientMockB],
+        cache,
+      });
+      const result = await apiClientOrchestrator.getCountry('8.8.8.8', { consensus: 5 });
+      expect(result.meta.agreement.requested).toEqual(2);
+      expect(apiClientMockA.count).toEqual(1);
+      expect(apiClientMockB.count).toEqual(1);
+      expect((await cache.get('8.8.8.8')).value).toEqual({ name: 'Cached Country' });
+    });
+  });
+
+  describe('ApiClientOrchestrator coalescing', () => {
+    const success = { data: { name: 'Somewhere' }, meta: { cache: false, status: 200 } };
+    const createDeferredApiClientMock = (name) => {
+      const apiClientMock = {
+        name,
+        calls: [],
+        isCacheable: true,
+        isRateLimited: false,
+        formatResult,
+        getCountry: (ip, { signal }) => new Promise((resolve) => {
+          apiClientMock.calls.push({ ip, resolve, signal });
+        }),
+      };
+      return apiClientMock;
+    };
+    const flush = () => new Promise((resolve) => { setImmediate(resolve); });
+
+    test('shares one upstream lookup between concurrent lookups of an IP', async () => {
+      const apiClientMock = createDeferredApiClientMock('a');
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock],
+      });
+      const lookups = [
+        apiClientOrchestrator.getCountry('8.8.8.8', { fields: ['name'] }),
+        apiClientOrchestrator.getCountry('8.8.8.8', { language: 'de' }),
+        apiClientOrchestrator.getCountry('8.8.8.8'),
+      ];
+      await flush();
+      expect(apiClientMock.calls).toHaveLength(1);
+      apiClientMock.calls[0].resolve(success);
+      const [first, second, third] = await Promise.all(lookups);
+
+      expect(first.data).toEqual({ name: 'Somewhere' });
+      expect(first.meta.coalesced).toEqual(undefined);
+      expect(second.meta.coalesced).toEqual(true);
+      expect(third.meta.coalesced).toEqual(true);
+      // callers may add their own meta data
+      expect(second.meta).not.toBe(third.meta);
+
+      // the result is cached once the lookup lands
+      const cached = await apiClientOrchestrator.getCountry('8.8.8.8');
+      expect(cached.meta.cache).toEqual(true);
+      expect(apiClientMock.calls).toHaveLength(1);
+    });
+
+    test('shares the lookup when it fails over to another API client', async () => {
+      const apiClientMockA = createDeferredApiClientMock('a');
+      const apiClientMockB = createDeferredApiClientMock('b');
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMockA, apiClientMockB],
+      });
+      const first = apiClientOrchestrator.getCountry('8.8.8.8');
+      await flush();
+      apiClientMockA.calls[0].resolve({
+        error: { message: '500 Internal Server Error' },
+        meta: { status: 500 },
+      });
+      await flush();
+      const second = apiClientOrchestrator.getCountry('8.8.8.8');
+      await flush();
+      apiClientMockB.calls[0].resolve(success);
+
+      const results = await Promise.all([first, second]);
+      results.forEach((result) => {
+        expect(result.data).toEqual({ name: 'Somewhere' });
+        expect(result.meta.attempts).toEqual([
+          { provider: 'a', status: 500, error: '500 Internal Server Error' },
+          { provider: 'b', status: 200 },
+        ]);
+      });
+      expect(apiClientMockA.calls).toHaveLength(1);
+      expect(apiClientMockB.calls).toHaveLength(1);
+    });
+
+    test('aborts the shared lookup once every caller is cancelled', async () => {
+      const apiClientMock = createDeferredApiClientMock('a');
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock],
+      });
+      const controllers = [new AbortController(), new AbortController()];
+      const lookups = controllers.map(({ signal }) => (
+        apiClientOrchestrator.getCountry('8.8.8.8', { signal })
+      ));
+      await flush();
+      const { resolve, signal } = apiClientMock.calls[0];
+      controllers[0].abort();
+      expect(signal.aborted).toEqual(false);
+      controllers[1].abort();
+      expect(signal.aborted).toEqual(true);
+      resolve({ error: { message: 'Request cancelled' }, meta: { status: 499 } });
+      await Promise.all(lookups);
+    });
+
+    test('starts a new lookup for callers arriving after every caller was cancelled', async () => {
+      const apiClientMock = createDeferredApiClientMock('a');
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock],
+      });
+      const controller = new AbortController();
+      const cancelled = apiClientOrchestrator.getCountry('8.8.8.8', {
+        signal: controller.signal,
+      });
+      await flush();
+      controller.abort();
+
+      // the aborted lookup hasn't settled yet
+      const fresh = apiClientOrchestrator.getCountry('8.8.8.8');
+      await flush();
+      expect(apiClientMock.calls).toHaveLength(2);
+      expect(apiClientMock.calls[1].signal.aborted).toEqual(false);
+      apiClientMock.calls[0].resolve({
+        error: { message: 'Request cancelled' },
+        meta: { status: 499 },
+      });
+      await cancelled;
+
+      // settling the aborted lookup leaves the fresh one shared
+      const joined = apiClientOrchestrator.getCountry('8.8.8.8');
+      await flush();
+      expect(apiClientMock.calls).toHaveLength(2);
+      apiClientMock.calls[1].resolve(success);
+      const [freshResult, joinedResult] = await Promise.all([fresh, joined]);
+      expect(freshResult.data).toEqual({ name: 'Somewhere' });
+      expect(freshResult.meta.coalesced).toEqual(undefined);
+      expect(joinedResult.meta.coalesced).toEqual(true);
+    });
+
+    test('does not share lookups in consensus mode', async () => {
+      const apiClientMock = createDeferredApiClientMock('a');
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock, createDeferredApiClientMock('b')],
+        consensus: { count: 2 },
+      });
+      apiClientOrchestrator.getCountry('8.8.8.8');
+      apiClientOrchestrator.getCountry('8.8.8.8');
+      await flush();
+      expect(apiClientMock.calls).toHaveLength(2);
+    });
+  });
+
+  describe('ApiClientOrchestrator metrics', () => {
+    const createApiClientMock = (name, result) => ({
+      name,
+      isCacheable: true,
+      isRateLimited: false,
+      formatResult,
+      getCountry: async () => result,
+      rateLimit: 5,
+      rateLimitCount: 2,
+    });
+    const success = { data: { name: 'Somewhere' }, meta: { cache: false, status: 200 } };
+    const failure = { error: { message: '500 Internal Server Error' }, meta: { status: 500 } };
+
+    test('records upstream calls, cache lookups, failovers and circuit state', async () => {
+      const metrics = new MetricsRegistry();
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [
+          createApiClientMock('a', failure),
+          createApiClientMock('b', success),
+        ],
+        circuitBreaker: { failureThreshold: 1 },
+        metrics,
+      });
+      await apiClientOrchestrator.getCountry('8.8.8.8');
+      await apiClientOrchestrator.getCountry('9.9.9.9');
+      await apiClientOrchestrator.getCountry('8.8.8.8');
+
+      const rendered = metrics.render();
+      [
+        'ip_country_upstream_requests_total{provider="a",status="500"} 1',
+        'ip_country_upstream_requests_total{provider="b",status="200"} 2',
+        'ip_country_upstream_request_duration_seconds_count{provider="b"} 2',
+        'ip_country_cache_requests_total{result="miss"} 2',
+        'ip_country_cache_requests_total{result="hit"} 1',
+        'ip_country_cache_hit_ratio 0.3333333333333333',
+        'ip_country_failovers_total{provider="a",reason="failure"} 1',
+        'ip_country_circuit_opens_total{provider="a"} 1',
+        'ip_country_circuit_state{provider="a",state="open"} 1',
+        'ip_country_circuit_state{provider="b",state="closed"} 1',
+        'ip_country_provider_switches_total{from="a",to="b"} 1',
+        'ip_country_rate_limit{provider="a"} 5',
+        'ip_country_rate_limit_count{provider="a"} 2',
+      ].forEach((line) => expect(rendered).toContain(line));
+    });
+  });
+
+  describe('ApiClientOrchestrator.getCountries', () => {
+    const createApiClientMock = (id, rateLimit) => {
+      const apiClientMock = {
+        _id: id,
+        count: 0,
+        isCacheable: true,
+        formatResult: ({ cache, cacheAge, ...data }) => ({
+          data,
+          meta: { cache, id },
+        }),
+        getCountry: async () => {
+          apiClientMock.count++;
+          return { data: { name: 'Somewhere' }, meta: { cache: false, id } };
+        },
+        get isRateLimited() {
+          return apiClientMock.count >= rateLimit;
+        },
+      };
+      return apiClientMock;
+    };
+
+    test('dedupes IPs and returns one result per unique IP', async () => {
+      const apiClientMock = createApiClientMock('a', 5);
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock],
+      });
+      const result = await apiClientOrchestrator.getCountries([
+        '1.1.1.1', '2.2.2.2', '1.1.1.1',
+      ]);
+      expect(result.data.map(({ ip }) => ip)).toEqual(['1.1.1.1', '2.2.2.2']);
+      expect(apiClientMock.count).toEqual(2);
+      expect(result.meta).toEqual({
+        cacheCount: 0,
+        count: 2,
+        errorCount: 0,
+        status: 200,
+      });
+    });
+
+    test('answers cached IPs from cache', async () => {
+      const apiClientMockA = createApiClientMock('a', 5);
+      const cache = new MemoryCache();
+      await cache.set('1.1.1.1', { name: 'Cached Country' });
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMockA],
+        cache,
+      });
+      const result = await apiClientOrchestrator.getCountries(['1.1.1.1']);
+      expect(result.data[0]).toEqual({
+        ip: '1.1.1.1',
+        data: { name: 'Cached Country' },
+        meta: { cache: true, id: 'a' },
+      });
+      expect(apiClientMockA.count).toEqual(0);
+      expect(result.meta.cacheCount).toEqual(1);
+    });
+
+    test('spreads uncached IPs across API clients as they rate limit', async () => {
+      const apiClientMockA = createApiClientMock('a', 2);
+      const apiClientMockB = createApiClientMock('b', 2);
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMockA, apiClientMockB],
+      });
+      const result = await apiClientOrchestrator.getCountries([
+        '1.1.1.1', '2.2.2.2', '3.3.3.3', '4.4.4.4',
+      ]);
+      expect(result.data.map(({ meta }) => meta.id)).toEqual(['a', 'a', 'b', 'b']);
+    });
+
+    test('dedupes equivalent notations of the same IP', async () => {
+      const apiClientMock = createApiClientMock('a', 5);
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock],
+      });
+      const result = await apiClientOrchestrator.getCountries([
+        '8.8.8.8', '::ffff:8.8.8.8', 'foo',
+      ]);
+      expect(result.data.map(({ ip }) => ip)).toEqual(['8.8.8.8', 'foo']);
+      expect(apiClientMock.count).toEqual(1);
+      expect(result.meta.errorCount).toEqual(1);
+    });
+  });
+
+  describe('ApiClientOrchestrator ranges', () => {
+    const unitedStates = {
+      name: 'United States',
+      countryCode: 'US',
+      city: 'Mountain View',
+    };
+    const createApiClientMock = (network) => {
+      const apiClientMock = {
+        name: 'a',
+        requestedIps: [],
+        isCacheable: true,
+        formatResult,
+        getCountry: async (ip) => {
+          apiClientMock.requestedIps.push(ip);
+          return formatResult({ ...unitedStates, network });
+        },
+      };
+      return apiClientMock;
+    };
+
+    test('caches the country for the network of an IP', async () => {
+      const apiClientMock = createApiClientMock('8.8.8.0/24');
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock],
+      });
+      await apiClientOrchestrator.getCountry('8.8.8.8');
+      const result = await apiClientOrchestrator.getCountry('8.8.8.4');
+      expect(apiClientMock.requestedIps).toEqual(['8.8.8.8']);
+      // only the country holds for the whole network
+      expect(result.data).toEqual({ name: 'United States', countryCode: 'US' });
+      expect(result.meta).toMatchObject({ cache: true, network: '8.8.8.0/24' });
+      expect((await apiClientOrchestrator.getCountry('8.8.8.8')).data)
+        .toEqual(unitedStates);
+    });
+  });
+
+  describe('ApiClientOrchestrator cache management', () => {
+    const createApiClientMock = (network) => {
+      const apiClientMock = {
+        name: 'a',
+        requestedIps: [],
+        isCacheable: true,
+        isRateLimited: false,
+        formatResult,
+        getCountry: async (ip) => {
+          apiClientMock.requestedIps.push(ip);
+          return formatResult({ name: 'United States', countryCode: 'US', network });
+        },
+      };
+      return apiClientMock;
+    };
+
+    test('clears cached IPs and ranges', async () => {
+      const apiClientMock = createApiClientMock('8.8.8.0/24');
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock],
+      });
+      await apiClientOrchestrator.getCountry('8.8.8.8');
+      await apiClientOrchestrator.clearCache();
+      await apiClientOrchestrator.getCountry('8.8.8.4');
+      expect(apiClientMock.requestedIps).toEqual(['8.8.8.8', '8.8.8.4']);
+    });
+
+    test('warms the cache until no cacheable ApiClient is available', async () => {
+      const apiClientMock = createApiClientMock();
+      const getCountry = apiClientMock.getCountry;
+      apiClientMock.getCountry = async (ip) => {
+        if (ip === '1.1.1.1') {
+          return formatResult({ error: new Error('Oops') });
+        }
+        apiClientMock.isRateLimited = apiClientMock.requestedIps.length >= 1;
+        return getCountry(ip);
+      };
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock],
+      });
+      await apiClientOrchestrator.cache.set('9.9.9.9', { name: 'Switzerland' });
+      const results = await apiClientOrchestrator.warmCache([
+        '9.9.9.9',
+        '8.8.8.8',
+        '1.1.1.1',
+        '8.8.4.4',
+        '8.8.4.4',
+        '4.4.4.4',
+      ]);
+      expect(results).toEqual([
+        { ip: '9.9.9.9', status: 'cached' },
+        { ip: '8.8.8.8', status: 'warmed' },
+        { ip: '1.1.1.1', status: 'failed', error: 'Oops' },
+        { ip: '8.8.4.4', status: 'warmed' },
+        { ip: '4.4.4.4', status: 'skipped' },
+      ]);
+      expect(apiClientMock.requestedIps).toEqual(['8.8.8.8', '8.8.4.4']);
+    });
+  });
+
+  describe('ApiClientOrchestrator overrides', () => {
+    const overrides = new Overrides({
+      overrides: [
+        { cidr: '8.8.8.0/24', countryCode: 'DE' },
+        { cidr: '10.1.0.0/16', countryCode: 'FR' },
+      ],
+    });
+
+    test('answers overridden IPs before the cache and API clients', async () => {
+      const cache = new MemoryCache();
+      await cache.set('8.8.8.8', { name: 'United States' });
+      const getCountry = jest.fn();
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [{ name: 'a', getCountry }],
+        cache,
+        overrides,
+      });
+      const result = await apiClientOrchestrator.getCountry('8.8.8.8', {
+        consensus: 1,
+        fields: ['name', 'countryCode'],
+        language: 'fr',
+      });
+      expect(result).toEqual({
+        data: { name: 'Allemagne', countryCode: 'DE' },
+        meta: {
+          cache: false,
+          network: '8.8.8.0/24',
+          source: 'override',
+          status: 200,
+        },
+      });
+      // including non-routable IPs, like a VPN's
+      expect((await apiClientOrchestrator.getCountry('10.1.2.3')).data.name)
+        .toEqual('France');
+      expect(getCountry).not.toHaveBeenCalled();
+      expect(apiClientOrchestrator.overrides).toBe(overrides);
+    });
+  });
+
+  describe('ApiClientOrchestrator.getCoverage', () => {
+    test('returns 400 error for invalid CIDR blocks', async () => {
+      const apiClientOrchestrator = new ApiClientOrchestrator({
+        apiClients: [apiClientMock1],
+      });
+      expect(await apiClientOrchestrator.getCoverage('8.8.8.0/33')).toEqual({
+        error: { message: 'Invalid CIDR block' },
+        meta: { status: 400 },
+      });
+    });
+  });
 });
@@ -1,5 +1,9 @@
 import { describe, expect, jest, test } from '@jest/globals';
-import ApiClient, { formatResult } from '../../../src/services/api-client';
+import ApiClient, {
+  formatResult,
+  parseRetryAfter,
+} from '../../../src/services/api-client';
+import MemoryRateLimitStore from '../../../src/services/rate-limit-store-memory';
 
 global.fetch = jest.fn(() =>
   Promise.resolve({
@@ -55,6 +59,19 @@ describe('formatResult', () => {
   });
 });
 
+describe('parseRetryAfter', () => {
+  test('parses seconds and HTTP dates', () => {
+    jest.spyOn(Date, 'now').mockReturnValueOnce(1000);
+    expect(parseRetryAfter('120')).toEqual(121000);
+    expect(parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT')).toEqual(1445412480000);
+  });
+
+  test('returns undefined for missing or invalid values', () => {
+    expect(parseRetryAfter(null)).toEqual(undefined);
+    expect(parseRetryAfter('soon')).toEqual(undefined);
+  });
+});
+
 describe('ApiClient', () => {
   let apiClient;
   let ip;
@@ -69,6 +86,7 @@ describe('ApiClient', () => {
       baseUrl: 'http://api.ipstack.com',
       rateLimit: 5,
       rateLimitTimeframe: 60000,
+      retryDelay: 0,
       token,
     });
   });
@@ -90,6 +108,44 @@ describe('ApiClient', () => {
       });
     });
 
+    test('returns location data mapped from the API result', async () => {
+      fetch.mockImplementationOnce(() => Promise.resolve({
+        json: () => Promise.resolve({
+          city: 'Los Angeles',
+          continent_code: 'NA',
+          continent_name: 'North America',
+          country_code: 'US',
+          country_name: 'United States',
+          latitude: 34.0453,
+          longitude: -118.2413,
+          region_name: 'California',
+          time_zone: { id: 'America/Los_Angeles' },
+        }),
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+      }));
+      const result = await apiClient.getCountry(ip);
+      expect(result.data).toEqual({
+        name: 'United States',
+        countryCode: 'US',
+        countryCodeAlpha3: 'USA',
+        continent: 'North America',
+        continentCode: 'NA',
+        region: 'California',
+        city: 'Los Angeles',
+        latitude: 34.0453,
+        longitude: -118.2413,
+        timeZone: 'America/Los_Angeles',
+      });
+    });
+
+    test('encodes the IP in the API URL', async () => {
+      await apiClient.getCountry('fe80::1%eth0');
+      expect(fetch.mock.calls[0][0])
+        .toEqual(`http://api.ipstack.com/fe80%3A%3A1%25eth0?access_key=${token}`);
+    });
+
     test('returns error and corresponding meta data when fetch returns an error', async () => {
       fetch.mockImplementationOnce(() => Promise.resolve({
         ok: false,
@@ -130,6 +186,160 @@ describe('ApiClient', () => {
       });
     });
 
+    test('returns 502 error when fetch fails without a response', async () => {
+      const fetchFailure = () => Promise.reject(new TypeError('fetch failed'));
+      fetch
+        .mockImplementationOnce(fetchFailure)
+        .mockImplementationOnce(fetchFailure)
+        .mockImplementationOnce(fetchFailure);
+      const result = await apiClient.getCountry(ip);
+      // the request and both retries count against the rate limit
+      expect(result).toEqual({
+        error: {
+          message: 'fetch failed',
+        },
+        meta: {
+          apiUrl,
+          rateLimit: 5,
+          rateLimitCount: 3,
+          status: 502,
+        },
+      });
+    });
+
+    test('retries network errors and server errors', async () => {
+      fetch
+        .mockImplementationOnce(() => Promise.reject(new TypeError('fetch failed')))
+        .mockImplementationOnce(() => Promise.resolve({
+          ok: false,
+          status: 503,
+          statusText: 'Service Unavailable',
+        }));
+      const result = await apiClient.getCountry(ip);
+      expect(result.data).toEqual({ name: 'Somewhere' });
+      expect(result.meta.rateLimitCount).toEqual(3);
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    test('does not retry client errors', async () => {
+      fetch.mockImplementationOnce(() => Promise.resolve({
+        ok: false,
+        status: 403,
+        statusText: 'Forbidden',
+      }));
+      const result = await apiClient.getCountry(ip);
+      expect(result.meta.status).toEqual(403);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not retry malformed results or errors mapping them', async () => {
+      fetch.mockImplementationOnce(() => Promise.resolve({
+        json: () => Promise.reject(new SyntaxError('Unexpected token <')),
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+      }));
+      let result = await apiClient.getCountry(ip);
+      expect(result.error).toEqual({
+        message: 'Invalid API result: Unexpected token <',
+      });
+      expect(result.meta.status).toEqual(502);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      jest.spyOn(apiClient, 'validateResult').mockImplementationOnce(() => {
+        throw new TypeError(`Cannot read properties of undefined (reading 'type')`);
+      });
+      result = await apiClient.getCountry(ip);
+      expect(result.meta.status).toEqual(502);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('stops retrying once the rate limit is met', async () => {
+      const rateLimitedApiClient = new ApiClient({
+        baseUrl: 'http://api.ipstack.com',
+        rateLimit: 2,
+        retryDelay: 0,
+        token,
+      });
+      const fetchFailure = () => Promise.reject(new TypeError('fetch failed'));
+      fetch
+        .mockImplementationOnce(fetchFailure)
+        .mockImplementationOnce(fetchFailure);
+      const result = await rateLimitedApiClient.getCountry(ip);
+      expect(result.meta.status).toEqual(429);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('returns 504 error when the API does not respond in time', async () => {
+      const slowApiClient = new ApiClient({
+        baseUrl: 'http://api.ipstack.com',
+        rateLimit: 5,
+        retries: 0,
+        timeout: 10,
+        token,
+      });
+      fetch.mockImplementationOnce((_, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }));
+      const result = await slowApiClient.getCountry(ip);
+      expect(result.error).toEqual({ message: 'Upstream request timed out' });
+      expect(result.meta.status).toEqual(504);
+    });
+
+    test('aborts the request when the lookup is cancelled', async () => {
+      const controller = new AbortController();
+      let fetchSignal;
+      fetch.mockImplementationOnce((_, { signal }) => new Promise((resolve, reject) => {
+        fetchSignal = signal;
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }));
+      const lookup = apiClient.getCountry(ip, { signal: controller.signal });
+      await new Promise((resolve) => { setImmediate(resolve); });
+      controller.abort();
+      const result = await lookup;
+      expect(fetchSignal.aborted).toEqual(true);
+      expect(result.error).toEqual({ message: 'Request cancelled' });
+      expect(result.meta.status).toEqual(499);
+      expect(apiClient.lastError).toEqual(undefined);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not fetch when the lookup is cancelled while waiting on the rate limit', async () => {
+      const controller = new AbortController();
+      const slowApiClient = new ApiClient({
+        baseUrl: 'http://api.ipstack.com',
+        rateLimit: 5,
+        rateLimitStore: {
+          consume: async () => {
+            controller.abort();
+            return { allowed: true, count: 1, resetAt: Date.now() + 60000 };
+          },
+        },
+        token,
+      });
+      const result = await slowApiClient.getCountry(ip, { signal: controller.signal });
+      expect(result.meta.status).toEqual(499);
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('stops waiting to retry when the lookup is cancelled', async () => {
+      const controller = new AbortController();
+      const retryingApiClient = new ApiClient({
+        baseUrl: 'http://api.ipstack.com',
+        rateLimit: 5,
+        retryDelay: 60000,
+        token,
+      });
+      fetch.mockImplementationOnce(() => {
+        setImmediate(() => controller.abort());
+        return Promise.reject(new TypeError('fetch failed'));
+      });
+      const result = await retryingApiClient.getCountry(ip, { signal: controller.signal });
+      expect(result.error).toEqual({ message: 'Request cancelled' });
+      expect(result.meta.status).toEqual(499);
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
     test(
       'returns error and corresponding meta data when API successfully responds, '
       + 'but with an error result',
@@ -181,6 +391,143 @@ describe('ApiClient', () => {
       expect(apiClient.isRateLimited).toEqual(true);
     });
 
+    test('marks the client as rate limited until the Retry-After of a 429 response', async () => {
+      const dateNow = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      fetch.mockImplementationOnce(() => Promise.resolve({
+        headers: new Headers({ 'Retry-After': '30' }),
+        ok: false,
+        status: 429,
+        statusText: 'Too Many Requests',
+      }));
+      const result = await apiClient.getCountry(ip);
+      expect(result.error).toEqual({ message: '429 Too Many Requests' });
+      expect(result.meta.status).toEqual(429);
+      expect(apiClient.isRateLimited).toEqual(true);
+      expect(apiClient.remainingQuota).toEqual(0);
+
+      // no request is made while rate limited
+      expect((await apiClient.getCountry(ip)).meta.status).toEqual(429);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      dateNow.mockReturnValue(31000);
+      expect(apiClient.isRateLimited).toEqual(false);
+      dateNow.mockRestore();
+    });
+
+    test('maps quota errors to 429 and marks the client as rate limited', async () => {
+      fetch.mockImplementationOnce(() => Promise.resolve({
+        json: () => Promise.resolve({
+          error: {
+            code: 104,
+            info: 'Your monthly usage limit has been reached.',
+            type: 'usage_limit_reached',
+          },
+          success: false,
+        }),
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+      }));
+      const result = await apiClient.getCountry(ip);
+      expect(result.error).toEqual({
+        message: 'Your monthly usage limit has been reached.',
+      });
+      expect(result.meta.status).toEqual(429);
+      expect(apiClient.isRateLimited).toEqual(true);
+    });
+
+    test('counts rate limit hits in a shared store', async () => {
+      const rateLimitStore = new MemoryRateLimitStore();
+      const createReplica = () => new ApiClient({
+        baseUrl: 'http://api.ipstack.com',
+        rateLimit: 2,
+        rateLimitStore,
+        token,
+      });
+      const replicaA = createReplica();
+      const replicaB = createReplica();
+      await replicaA.getCountry(ip);
+      await replicaB.getCountry(ip);
+      const result = await replicaA.getCountry(ip);
+      expect(result.meta.status).toEqual(429);
+      expect(replicaA.isRateLimited).toEqual(true);
+      expect(fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('counts concurrent lookups as rate limited before the store answers', async () => {
+      const rateLimitedApiClient = new ApiClient({
+        baseUrl: 'http://api.ipstack.com',
+        rateLimit: 1,
+        token,
+      });
+      const lookup = rateLimitedApiClient.getCountry(ip);
+      expect(rateLimitedApiClient.isRateLimited).toEqual(true);
+      expect(rateLimitedApiClient.remainingQuota).toEqual(0);
+      await lookup;
+    });
+
+    test('lets lookups through when the rate limit store fails', async () => {
+      const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      const failingApiClient = new ApiClient({
+        baseUrl: 'http://api.ipstack.com',
+        rateLimit: 1,
+        rateLimitStore: {
+          consume: async () => { throw new Error('Store unavailable'); },
+        },
+        token,
+      });
+      const result = await failingApiClient.getCountry(ip);
+      consoleError.mockRestore();
+      expect(result.data.name).toEqual('Somewhere');
+    });
+
+    test('fails lookups without a token and records the last error', async () => {
+      const unconfiguredApiClient = new ApiClient({
+        baseUrl: 'http://api.ipstack.com',
+        rateLimit: 5,
+      });
+      const result = await unconfiguredApiClient.getCountry(ip);
+      expect(unconfiguredApiClient.isConfigured).toEqual(false);
+      expect(result.meta.status).toEqual(503);
+      expect(unconfiguredApiClient.lastError).toEqual({
+        message: 'API token is missing',
+        status: 503,
+        at: expect.any(Number),
+      });
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('does not record IPs without a country as the last error', async () => {
+      fetch.mockImplementationOnce(() => Promise.resolve({
+        json: () => Promise.resolve({}),
+        ok: true,
+        status: 200,
+        statusText: 'OK',
+      }));
+      await apiClient.getCountry(ip);
+      expect(apiClient.isConfigured).toEqual(true);
+      expect(apiClient.lastError).toEqual(undefined);
+    });
+
+    describe('ApiClient.rateLimitResetAt', () => {
+      test('evaluates to the end of the current timeframe or signaled rate limit', async () => {
+        expect(apiClient.rateLimitResetAt).toEqual(undefined);
+        await apiClient.getCountry(ip);
+        expect(apiClient.rateLimitResetAt).toBeGreaterThan(Date.now());
+        apiClient.markRateLimited(Date.now() + 120000);
+        expect(apiClient.rateLimitResetAt).toBeGreaterThan(Date.now() + 60000);
+      });
+    });
+
+    describe('ApiClient.remainingQuota', () => {
+      test('evaluates to the lookups left before the rate limit is met', async () => {
+        expect(apiClient.remainingQuota).toEqual(5);
+        await apiClient.getCountry(ip);
+        await apiClient.getCountry(ip);
+        expect(apiClient.remainingQuota).toEqual(3);
+      });
+    });
+
     describe('ApiClient.isRateLimited', () => {
       test('evaluates to false when rate limit is not met', async () => {
         await apiClient.getCountry(ip);
@@ -197,18 +544,5 @@ describe('ApiClient', () => {
         expect(apiClient.isRateLimited).toEqual(true);
       });
     });
-
-    describe('ApiClient.transferCache', () => {
-      test('merges cache map', async () => {
-        await apiClient.getCountry(ip);
-        const mockApiClient = {
-          cache: new Map(),
-        };
-        mockApiClient.cache.set('1.1.1.1', 'My Country');
-        apiClient.transferCache(mockApiClient);
-        expect(apiClient.cache.get(ip)).toEqual('Somewhere');
-        expect(apiClient.cache.get('1.1.1.1')).toEqual('My Country');
-      });
-    });
   });
 });
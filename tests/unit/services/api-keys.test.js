@@ -0,0 +1,70 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import ApiKeys from '../../../src/services/api-keys';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('ApiKeys', () => {
+  test('throws on invalid keys', () => {
+    expect(() => new ApiKeys({ keys: [{ name: 'no key' }] }))
+      .toThrow('API key at index 0 is invalid');
+    expect(() => new ApiKeys({ keys: [{ key: 'a' }, { key: 'a', name: 'b' }] }))
+      .toThrow(`API key 'b' is duplicated`);
+    expect(() => new ApiKeys({ keys: [{ key: 'a', quota: -1 }] }))
+      .toThrow(`API key 'a' quota is invalid`);
+    expect(() => new ApiKeys({ keys: [{ key: 'a', window: 0 }] }))
+      .toThrow(`API key 'a' window is invalid`);
+    expect(() => new ApiKeys({ keys: [{ key: 'a', admin: 'yes' }] }))
+      .toThrow(`API key 'a' admin is invalid`);
+  });
+
+  test('loads keys from a JSON file', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-'));
+    const filePath = path.join(directory, 'keys.json');
+    fs.writeFileSync(filePath, JSON.stringify([{ key: 'abc', name: 'frontend' }]));
+    const apiKeys = ApiKeys.fromFile(filePath);
+    fs.rmSync(directory, { recursive: true });
+    expect(apiKeys.get('abc')).toEqual({
+      admin: false,
+      name: 'frontend',
+      quota: Infinity,
+      window: 3600000,
+    });
+    expect(apiKeys.get('def')).toEqual(undefined);
+    expect(() => ApiKeys.fromFile(filePath)).toThrow(
+      `Unable to load API keys file '${filePath}'`
+    );
+  });
+
+  test('counts requests per key until the quota is met', () => {
+    const apiKeys = new ApiKeys({
+      keys: [{ key: 'a', quota: 2, window: 1000 }, { key: 'b', quota: 2 }],
+    });
+    jest.spyOn(Date, 'now').mockReturnValue(5000);
+    expect(apiKeys.consume('a')).toEqual({
+      isLimited: false, limit: 2, remaining: 1, resetAt: 6000,
+    });
+    expect(apiKeys.consume('a').remaining).toEqual(0);
+    expect(apiKeys.consume('a')).toEqual({
+      isLimited: true, limit: 2, remaining: 0, resetAt: 6000,
+    });
+    expect(apiKeys.consume('b').isLimited).toEqual(false);
+    expect(apiKeys.getUsage('a')).toEqual({ count: 2, resetAt: 6000, total: 2 });
+  });
+
+  test('resets usage when the window ends', () => {
+    const apiKeys = new ApiKeys({ keys: [{ key: 'a', quota: 1, window: 1000 }] });
+    const dateNow = jest.spyOn(Date, 'now').mockReturnValue(5000);
+    apiKeys.consume('a');
+    expect(apiKeys.consume('a').isLimited).toEqual(true);
+    dateNow.mockReturnValue(6000);
+    expect(apiKeys.consume('a')).toEqual({
+      isLimited: false, limit: 1, remaining: 0, resetAt: 7000,
+    });
+    expect(apiKeys.getUsage('a').total).toEqual(2);
+  });
+});
@@ -0,0 +1,64 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import FileCache from '../../../src/services/cache-file';
+
+describe('FileCache', () => {
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ip-country-'));
+    filePath = path.join(directory, 'cache', 'countries.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { force: true, recursive: true });
+  });
+
+  test('persists entries across instances', async () => {
+    const cache = new FileCache({ path: filePath });
+    await cache.set('1.1.1.1', { name: 'Somewhere' });
+    await cache.close();
+
+    const restartedCache = new FileCache({ path: filePath });
+    expect((await restartedCache.get('1.1.1.1')).value).toEqual({ name: 'Somewhere' });
+  });
+
+  test('persists restored entries', async () => {
+    const cache = new FileCache({ path: filePath });
+    await cache.restore('1.1.1.1', { value: 'a', createdAt: 1000, expiresAt: null });
+    await cache.close();
+
+    const restartedCache = new FileCache({ path: filePath });
+    expect((await restartedCache.get('1.1.1.1')).createdAt).toEqual(1000);
+  });
+
+  test('writes changes after the save delay', async () => {
+    const cache = new FileCache({ path: filePath, saveDelay: 10 });
+    await cache.set('1.1.1.1', { name: 'Somewhere' });
+    expect(fs.existsSync(filePath)).toEqual(false);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))[0][0]).toEqual('1.1.1.1');
+  });
+
+  test('skips expired entries when loading', async () => {
+    fs.mkdirSync(path.dirname(filePath));
+    fs.writeFileSync(filePath, JSON.stringify([
+      ['1.1.1.1', { value: 'a', createdAt: 0, expiresAt: 1 }],
+      ['2.2.2.2', { value: 'b', createdAt: 0, expiresAt: null }],
+    ]));
+    const cache = new FileCache({ path: filePath });
+    expect(cache.size).toEqual(1);
+    expect((await cache.get('2.2.2.2')).value).toEqual('b');
+  });
+
+  test('throws on a corrupt cache file', () => {
+    fs.mkdirSync(path.dirname(filePath));
+    fs.writeFileSync(filePath, '{');
+    expect(() => new FileCache({ path: filePath })).toThrow(
+      `Unable to load cache file '${filePath}'`
+    );
+  });
+});
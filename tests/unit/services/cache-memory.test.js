@@ -0,0 +1,83 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import MemoryCache from '../../../src/services/cache-memory';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('MemoryCache', () => {
+  test('stores values with their creation time', async () => {
+    const cache = new MemoryCache();
+    jest.spyOn(Date, 'now').mockReturnValue(1000);
+    await cache.set('1.1.1.1', { name: 'Somewhere' });
+    expect(await cache.get('1.1.1.1')).toEqual({
+      value: { name: 'Somewhere' },
+      createdAt: 1000,
+      expiresAt: null,
+    });
+  });
+
+  test('expires entries after their time to live', async () => {
+    const cache = new MemoryCache({ ttl: 1000 });
+    const now = Date.now();
+    await cache.set('1.1.1.1', { name: 'Somewhere' });
+    await cache.set('2.2.2.2', { name: 'Elsewhere' }, { ttl: 5000 });
+    jest.spyOn(Date, 'now').mockReturnValue(now + 2000);
+    expect(await cache.get('1.1.1.1')).toEqual(undefined);
+    expect((await cache.get('2.2.2.2')).value).toEqual({ name: 'Elsewhere' });
+  });
+
+  test('evicts the least recently used entry when full', async () => {
+    const cache = new MemoryCache({ maxEntries: 2 });
+    await cache.set('1.1.1.1', 'a');
+    await cache.set('2.2.2.2', 'b');
+    await cache.get('1.1.1.1');
+    await cache.set('3.3.3.3', 'c');
+    expect(cache.size).toEqual(2);
+    expect(await cache.get('2.2.2.2')).toEqual(undefined);
+    expect((await cache.get('1.1.1.1')).value).toEqual('a');
+  });
+
+  test('deletes and clears entries', async () => {
+    const cache = new MemoryCache();
+    await cache.set('1.1.1.1', 'a');
+    await cache.set('2.2.2.2', 'b');
+    expect(await cache.delete('1.1.1.1')).toEqual(true);
+    expect(await cache.delete('1.1.1.1')).toEqual(false);
+    await cache.clear();
+    expect(cache.size).toEqual(0);
+  });
+
+  test('iterates over entries that have not expired', async () => {
+    const cache = new MemoryCache({ maxEntries: 3 });
+    const now = Date.now();
+    await cache.set('1.1.1.1', 'a');
+    await cache.set('2.2.2.2', 'b', { ttl: 1000 });
+    await cache.set('3.3.3.3', 'c');
+    jest.spyOn(Date, 'now').mockReturnValue(now + 2000);
+    const entries = [];
+    for await (const [key, entry] of cache.entries()) {
+      entries.push([key, entry.value]);
+    }
+    expect(entries).toEqual([['1.1.1.1', 'a'], ['3.3.3.3', 'c']]);
+
+    // iterating doesn't count as use
+    await cache.set('4.4.4.4', 'd');
+    expect(await cache.get('1.1.1.1')).toEqual(undefined);
+  });
+
+  test('restores entries with their creation and expiry time', async () => {
+    const cache = new MemoryCache();
+    const entry = { value: 'a', createdAt: 1000, expiresAt: Date.now() + 60000 };
+    expect(await cache.restore('1.1.1.1', entry)).toEqual(true);
+    expect(await cache.get('1.1.1.1')).toEqual(entry);
+    expect(await cache.restore('2.2.2.2', { value: 'b', createdAt: 1000, expiresAt: 2000 }))
+      .toEqual(false);
+    expect(cache.size).toEqual(1);
+  });
+
+  test('throws on invalid options', () => {
+    expect(() => new MemoryCache({ maxEntries: 0 })).toThrow(`'maxEntries' option is invalid`);
+    expect(() => new MemoryCache({ ttl: -1 })).toThrow(`'ttl' option is invalid`);
+  });
+});
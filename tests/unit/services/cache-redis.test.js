@@ -0,0 +1,93 @@
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import RedisCache from '../../../src/services/cache-redis';
+import { startRedisStandIn } from '../../helpers/redis-stand-in';
+
+describe('RedisCache', () => {
+  let caches;
+  let redis;
+
+  const createCache = (options) => {
+    const cache = new RedisCache({ url: redis.url, ...options });
+    caches.push(cache);
+    return cache;
+  };
+
+  beforeEach(async () => {
+    caches = [];
+    redis = await startRedisStandIn();
+  });
+
+  afterEach(async () => {
+    await Promise.all(caches.map((cache) => cache.close()));
+    await redis.close();
+  });
+
+  test('shares entries between instances', async () => {
+    await createCache().set('1.1.1.1', { name: 'Somewhere' });
+    const entry = await createCache().get('1.1.1.1');
+    expect(entry.value).toEqual({ name: 'Somewhere' });
+    expect(typeof entry.createdAt).toEqual('number');
+  });
+
+  test('stores entries with a server side expiry', async () => {
+    await createCache({ ttl: 60000 }).set('1.1.1.1', 'a');
+    const item = redis.data.get('ip-country:cache:1.1.1.1');
+    expect(item.expiresAt).toBeGreaterThan(Date.now());
+  });
+
+  test('deletes and clears entries', async () => {
+    const cache = createCache();
+    redis.data.set('other:key', { value: 'x' });
+    await cache.set('1.1.1.1', 'a');
+    await cache.set('2.2.2.2', 'b');
+    expect(await cache.delete('1.1.1.1')).toEqual(true);
+    expect(await cache.delete('1.1.1.1')).toEqual(false);
+    await cache.clear();
+    expect([...redis.data.keys()]).toEqual(['other:key']);
+  });
+
+  test('iterates over its own entries', async () => {
+    const cache = createCache();
+    redis.data.set('other:key', { value: 'x' });
+    await cache.set('1.1.1.1', 'a');
+    await cache.set('8.8.8.0/24', 'b');
+    const entries = [];
+    for await (const [key, entry] of cache.entries()) {
+      entries.push([key, entry.value]);
+    }
+    expect(entries).toEqual([['1.1.1.1', 'a'], ['8.8.8.0/24', 'b']]);
+  });
+
+  test('restores entries with their remaining time to live', async () => {
+    const cache = createCache();
+    const expiresAt = Date.now() + 60000;
+    await cache.restore('1.1.1.1', { value: 'a', createdAt: 1000, expiresAt });
+    expect(await cache.get('1.1.1.1')).toEqual({ value: 'a', createdAt: 1000, expiresAt });
+    expect(redis.data.get('ip-country:cache:1.1.1.1').expiresAt)
+      .toBeGreaterThan(expiresAt - 1000);
+    expect(await cache.restore('2.2.2.2', { value: 'b', createdAt: 1000, expiresAt: 2000 }))
+      .toEqual(false);
+  });
+
+  test('restores entries expiring at a fraction of a millisecond', async () => {
+    const cache = createCache();
+    const expiresAt = Date.now() + 60000.5;
+    expect(await cache.restore('1.1.1.1', { value: 'a', createdAt: 1000, expiresAt }))
+      .toEqual(true);
+    expect((await cache.get('1.1.1.1')).value).toEqual('a');
+  });
+
+  test('rejects when the server is unavailable', async () => {
+    const cache = createCache();
+    await redis.close();
+    await expect(cache.get('1.1.1.1')).rejects.toThrow();
+  });
+
+  test('reconnects after the connection is lost', async () => {
+    const cache = createCache();
+    await cache.set('1.1.1.1', 'a');
+    redis.dropConnections();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect((await cache.get('1.1.1.1')).value).toEqual('a');
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import { formatResult } from '../../../src/services/api-client';
+import CacheWarmer from '../../../src/services/cache-warmer';
+import MemoryCache from '../../../src/services/cache-memory';
+import { Logger } from '../../../src/services/logger';
+import Overrides from '../../../src/services/overrides';
+import RangeCache from '../../../src/services/range-cache';
+
+describe('CacheWarmer', () => {
+  const createCacheWarmer = (config) => {
+    const rangeCache = new RangeCache(new MemoryCache());
+    const lookup = jest.fn(async (ip) => {
+      if (ip === '1.1.1.1') {
+        return formatResult({ error: new Error('Oops') });
+      }
+      if (ip === '4.4.4.4') {
+        // answered by an API client whose results aren't cached
+        return formatResult({ name: 'Somewhere' });
+      }
+      if (await rangeCache.get(ip)) {
+        return formatResult({ name: 'Somewhere', cache: true });
+      }
+      await rangeCache.set(ip, formatResult({ name: 'Somewhere' }));
+      return formatResult({ name: 'Somewhere' });
+    });
+    const cacheWarmer = new CacheWarmer({
+      isWarmable: () => true,
+      lookup,
+      rangeCache,
+      ...config,
+    });
+    return { cacheWarmer, lookup, rangeCache };
+  };
+
+  test('looks up each unique IP once without consensus', async () => {
+    const { cacheWarmer, lookup, rangeCache } = createCacheWarmer();
+    await rangeCache.set('9.9.9.9', formatResult({ name: 'Switzerland' }));
+    const results = await cacheWarmer.warm(
+      ['9.9.9.9', '8.8.8.8', '1.1.1.1', '4.4.4.4', '8.8.8.8'],
+      { consensus: 3, requestId: 'abc' }
+    );
+    expect(results).toEqual([
+      { ip: '9.9.9.9', status: 'cached' },
+      { ip: '8.8.8.8', status: 'warmed' },
+      { ip: '1.1.1.1', status: 'failed', error: 'Oops' },
+      { ip: '4.4.4.4', status: 'failed', error: 'Result not cacheable' },
+    ]);
+    expect(lookup).toHaveBeenCalledTimes(4);
+    expect(lookup).toHaveBeenCalledWith('8.8.8.8', { consensus: 1, requestId: 'abc' });
+  });
+
+  test('skips the remaining IPs once not warmable or cancelled', async () => {
+    let isWarmable = true;
+    const { cacheWarmer, lookup } = createCacheWarmer({
+      isWarmable: () => isWarmable,
+    });
+    lookup.mockImplementationOnce(async () => {
+      isWarmable = false;
+      return formatResult({ name: 'Somewhere', cache: true });
+    });
+    expect(await cacheWarmer.warm(['8.8.8.8', '8.8.4.4'])).toEqual([
+      { ip: '8.8.8.8', status: 'cached' },
+      { ip: '8.8.4.4', status: 'skipped' },
+    ]);
+
+    isWarmable = true;
+    const controller = new AbortController();
+    controller.abort();
+    expect(await cacheWarmer.warm(['8.8.4.4'], { signal: controller.signal }))
+      .toEqual([{ ip: '8.8.4.4', status: 'skipped' }]);
+    expect(lookup).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not look up overridden IPs', async () => {
+    const { cacheWarmer, lookup } = createCacheWarmer({
+      overrides: new Overrides({
+        overrides: [{ cidr: '8.8.8.0/24', countryCode: 'DE' }],
+      }),
+    });
+    expect(await cacheWarmer.warm(['8.8.8.8'])).toEqual([
+      { ip: '8.8.8.8', status: 'overridden' },
+    ]);
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  test('logs cache failures and reports the IP failed', async () => {
+    const entries = [];
+    const cacheWarmer = new CacheWarmer({
+      isWarmable: () => true,
+      logger: new Logger({ write: (line) => entries.push(JSON.parse(line)) }),
+      lookup: async () => formatResult({ name: 'Somewhere' }),
+      rangeCache: { get: async () => { throw new Error('Cache unavailable'); } },
+    });
+    expect(await cacheWarmer.warm(['8.8.8.8'], { requestId: 'abc' })).toEqual([
+      { ip: '8.8.8.8', status: 'failed', error: 'Result not cacheable' },
+    ]);
+    expect(entries).toEqual([
+      expect.objectContaining({ message: 'Cache lookup failed', requestId: 'abc' }),
+    ]);
+  });
+});
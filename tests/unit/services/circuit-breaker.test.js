@@ -0,0 +1,76 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import CircuitBreaker from '../../../src/services/circuit-breaker';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('CircuitBreaker', () => {
+  test('stays closed until the failure threshold is reached', () => {
+    const circuitBreaker = new CircuitBreaker({ failureThreshold: 2 });
+    circuitBreaker.onFailure();
+    expect(circuitBreaker.state).toEqual('closed');
+    expect(circuitBreaker.isAvailable).toEqual(true);
+    circuitBreaker.onFailure();
+    expect(circuitBreaker.state).toEqual('open');
+    expect(circuitBreaker.isAvailable).toEqual(false);
+  });
+
+  test('resets consecutive failures on success', () => {
+    const circuitBreaker = new CircuitBreaker({ failureThreshold: 2 });
+    circuitBreaker.onFailure();
+    circuitBreaker.onSuccess();
+    circuitBreaker.onFailure();
+    expect(circuitBreaker.state).toEqual('closed');
+  });
+
+  test('lets a single trial request through once the cooldown has passed', () => {
+    const circuitBreaker = new CircuitBreaker({ cooldown: 1000, failureThreshold: 1 });
+    const dateNow = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    circuitBreaker.onFailure();
+    dateNow.mockReturnValue(1999);
+    expect(circuitBreaker.isAvailable).toEqual(false);
+    dateNow.mockReturnValue(2000);
+    expect(circuitBreaker.state).toEqual('half-open');
+    expect(circuitBreaker.isAvailable).toEqual(true);
+    circuitBreaker.onRequest();
+    expect(circuitBreaker.isAvailable).toEqual(false);
+  });
+
+  test('closes when the trial request succeeds', () => {
+    const circuitBreaker = new CircuitBreaker({ cooldown: 1000, failureThreshold: 1 });
+    const dateNow = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    circuitBreaker.onFailure();
+    dateNow.mockReturnValue(2000);
+    circuitBreaker.onRequest();
+    circuitBreaker.onSuccess();
+    expect(circuitBreaker.state).toEqual('closed');
+    expect(circuitBreaker.isAvailable).toEqual(true);
+  });
+
+  test('reopens when the trial request fails', () => {
+    const circuitBreaker = new CircuitBreaker({ cooldown: 1000, failureThreshold: 3 });
+    const dateNow = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    circuitBreaker.onFailure();
+    circuitBreaker.onFailure();
+    circuitBreaker.onFailure();
+    dateNow.mockReturnValue(2000);
+    circuitBreaker.onRequest();
+    circuitBreaker.onFailure();
+    expect(circuitBreaker.state).toEqual('open');
+    dateNow.mockReturnValue(2999);
+    expect(circuitBreaker.isAvailable).toEqual(false);
+  });
+
+  test('lets another trial request through when the trial request is cancelled', () => {
+    const circuitBreaker = new CircuitBreaker({ cooldown: 1000, failureThreshold: 1 });
+    const dateNow = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    circuitBreaker.onFailure();
+    dateNow.mockReturnValue(2000);
+    circuitBreaker.onRequest();
+    circuitBreaker.onCancel();
+    expect(circuitBreaker.state).toEqual('half-open');
+    expect(circuitBreaker.isAvailable).toEqual(true);
+    dateNow.mockRestore();
+  });
+});
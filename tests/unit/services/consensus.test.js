@@ -0,0 +1,83 @@
+import { describe, expect, test } from '@jest/globals';
+import Consensus from '../../../src/services/consensus';
+
+describe('Consensus', () => {
+  const answer = (name, countryCode, countryName) => ({
+    apiClient: { name },
+    result: {
+      data: { countryCode, name: countryName },
+      meta: { cache: false, status: 200 },
+    },
+  });
+  const failure = (name) => ({
+    apiClient: { name },
+    result: { error: { message: '500 Internal Server Error' }, meta: { status: 500 } },
+  });
+
+  test('throws on an invalid count', () => {
+    expect(() => new Consensus({ count: 0 })).toThrow(`'count' option is invalid`);
+    expect(() => new Consensus({ count: 1.5 })).toThrow(`'count' option is invalid`);
+    expect(new Consensus().count).toEqual(1);
+  });
+
+  test('returns the country answered by a majority', () => {
+    const answers = [
+      answer('a', 'CA', 'Canada'),
+      answer('b', 'US', 'United States'),
+      answer('c', 'US', 'United States'),
+    ];
+    const { answer: chosen, agreement } = new Consensus().reconcile(answers, 3);
+    expect(chosen).toBe(answers[1]);
+    expect(agreement).toEqual({
+      answers: [
+        { provider: 'a', status: 200, countryCode: 'CA', name: 'Canada' },
+        { provider: 'b', status: 200, countryCode: 'US', name: 'United States' },
+        { provider: 'c', status: 200, countryCode: 'US', name: 'United States' },
+      ],
+      requested: 3,
+      status: 'majority',
+      votes: 2,
+    });
+  });
+
+  test('flags unanimous answers', () => {
+    const answers = [answer('a', 'US', 'United States'), answer('b', 'US', 'United States')];
+    const { agreement } = new Consensus().reconcile(answers, 2);
+    expect(agreement.status).toEqual('unanimous');
+    expect(agreement.votes).toEqual(2);
+  });
+
+  test('flags disputed results without a tie-breaker', () => {
+    const answers = [answer('a', 'CA', 'Canada'), answer('b', 'US', 'United States')];
+    const { answer: chosen, agreement } = new Consensus().reconcile(answers, 2);
+    expect(chosen).toBe(answers[0]);
+    expect(agreement.status).toEqual('disputed');
+    expect(agreement.votes).toEqual(1);
+  });
+
+  test('falls back to the tie-breaker on disputes', () => {
+    const answers = [answer('a', 'CA', 'Canada'), answer('b', 'US', 'United States')];
+    const { answer: chosen, agreement } = new Consensus({ count: 2, tieBreaker: 'b' })
+      .reconcile(answers, 2);
+    expect(chosen).toBe(answers[1]);
+    expect(agreement.status).toEqual('tie-breaker');
+  });
+
+  test('counts requested API clients that did not answer against a majority', () => {
+    const answers = [answer('a', 'US', 'United States'), failure('b')];
+    const { agreement } = new Consensus({ tieBreaker: 'b' }).reconcile(answers, 3);
+    expect(agreement.status).toEqual('disputed');
+    expect(agreement.answers[1]).toEqual({
+      provider: 'b',
+      status: 500,
+      error: '500 Internal Server Error',
+    });
+  });
+
+  test('returns the last error when no country was answered', () => {
+    const answers = [failure('a'), failure('b')];
+    const { answer: chosen, agreement } = new Consensus().reconcile(answers, 2);
+    expect(chosen).toBe(answers[1]);
+    expect(agreement.votes).toEqual(0);
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import CountryLoader from '../../../src/services/country-loader';
+
+describe('CountryLoader', () => {
+  const createOrchestratorMock = () => ({
+    getCountries: jest.fn(async (ips, { language }) => ({
+      data: ips.map((ip) => ({
+        ip,
+        data: { name: language === 'de' ? 'Vereinigte Staaten' : 'United States' },
+        meta: { status: 200 },
+      })),
+    })),
+  });
+
+  test('batches and dedupes lookups made together', async () => {
+    const orchestrator = createOrchestratorMock();
+    const signal = new AbortController().signal;
+    const loader = new CountryLoader({ orchestrator, requestId: 'abc', signal });
+    const results = await Promise.all([
+      loader.load('8.8.8.8'),
+      loader.load('8.8.4.4'),
+      loader.load('::ffff:8.8.8.8'),
+      loader.load('8.8.8.8', { language: 'de' }),
+    ]);
+    expect(results.map(({ ip, data }) => [ip, data.name])).toEqual([
+      ['8.8.8.8', 'United States'],
+      ['8.8.4.4', 'United States'],
+      ['8.8.8.8', 'United States'],
+      ['8.8.8.8', 'Vereinigte Staaten'],
+    ]);
+    expect(orchestrator.getCountries.mock.calls).toEqual([
+      [['8.8.8.8', '8.8.4.4'], { requestId: 'abc', signal, language: undefined }],
+      [['8.8.8.8'], { requestId: 'abc', signal, language: 'de' }],
+    ]);
+
+    // later lookups of the same IP are shared as well
+    expect(await loader.load('8.8.4.4')).toBe(results[1]);
+    expect(orchestrator.getCountries).toHaveBeenCalledTimes(2);
+  });
+
+  test('fails lookups beyond the limit', async () => {
+    const orchestrator = createOrchestratorMock();
+    const loader = new CountryLoader({ limit: 1, orchestrator });
+    const [first, second] = await Promise.all([
+      loader.load('8.8.8.8'),
+      loader.load('8.8.4.4'),
+    ]);
+    expect(first.data).toEqual({ name: 'United States' });
+    expect(second).toEqual({
+      ip: '8.8.4.4',
+      error: { message: 'A request must not look up more than 1 IPs' },
+      meta: { status: 400 },
+    });
+  });
+
+  test('rejects the lookups of a failing batch', async () => {
+    const orchestrator = {
+      getCountries: async () => {
+        throw new Error('Oops');
+      },
+    };
+    const loader = new CountryLoader({ orchestrator });
+    await expect(loader.load('8.8.8.8')).rejects.toThrow('Oops');
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, expect, test } from '@jest/globals';
+import MemoryCache from '../../../src/services/cache-memory';
+import Coverage from '../../../src/services/coverage';
+import { Logger } from '../../../src/services/logger';
+import Overrides from '../../../src/services/overrides';
+import RangeCache from '../../../src/services/range-cache';
+
+describe('Coverage', () => {
+  const local = {
+    name: 'local',
+    getRanges: (cidr) => ({
+      ranges: [{ cidr, location: { name: 'Germany', countryCode: 'DE' } }],
+      truncated: true,
+    }),
+  };
+
+  test('summarizes cached IPs and networks and local databases', async () => {
+    const cache = new MemoryCache();
+    await cache.set('8.8.8.0/25', { name: 'United States', countryCode: 'US' });
+    await cache.set('8.8.8.200', { name: 'Canada', countryCode: 'CA' });
+    await cache.set('9.9.9.9', { name: 'Switzerland', countryCode: 'CH' });
+    const coverage = new Coverage({
+      apiClients: [{ name: 'a' }, local],
+      rangeCache: new RangeCache(cache),
+    });
+    const result = await coverage.get('8.8.8.0/24');
+    expect(result.meta).toEqual({ truncated: true, status: 200 });
+    expect(result.data.coverage).toEqual(1);
+    expect(result.data.ranges).toEqual([
+      { cidr: '8.8.8.0/24', name: 'Germany', countryCode: 'DE', source: 'local' },
+      { cidr: '8.8.8.0/25', name: 'United States', countryCode: 'US', source: 'cache' },
+      { cidr: '8.8.8.200/32', name: 'Canada', countryCode: 'CA', source: 'cache' },
+    ]);
+    expect(result.data.countries.map(({ countryCode }) => countryCode))
+      .toEqual(['US', 'DE', 'CA']);
+  });
+
+  test('covers ranges by their overrides', async () => {
+    const cache = new MemoryCache();
+    await cache.set('8.8.8.0/25', { name: 'United States', countryCode: 'US' });
+    await cache.set('8.8.9.9', { name: 'Canada', countryCode: 'CA' });
+    const coverage = new Coverage({
+      apiClients: [],
+      overrides: new Overrides({
+        overrides: [{ cidr: '8.8.8.0/24', countryCode: 'DE' }],
+      }),
+      rangeCache: new RangeCache(cache),
+    });
+    expect((await coverage.get('8.8.8.0/23')).data.ranges).toEqual([
+      { cidr: '8.8.8.0/24', name: 'Germany', countryCode: 'DE', source: 'override' },
+      { cidr: '8.8.9.9/32', name: 'Canada', countryCode: 'CA', source: 'cache' },
+    ]);
+    expect((await coverage.get('8.8.8.0/25')).data.ranges).toEqual([
+      { cidr: '8.8.8.0/25', name: 'Germany', countryCode: 'DE', source: 'override' },
+    ]);
+  });
+
+  test('leaves cached blocks out when the cache fails', async () => {
+    const entries = [];
+    const coverage = new Coverage({
+      apiClients: [local],
+      logger: new Logger({ write: (line) => entries.push(JSON.parse(line)) }),
+      rangeCache: new RangeCache({
+        entries: async function* entries() {
+          throw new Error('Cache unavailable');
+        },
+      }),
+    });
+    const result = await coverage.get('8.8.8.0/24', { requestId: 'abc' });
+    expect(result.data.ranges.map(({ source }) => source)).toEqual(['local']);
+    expect(entries).toEqual([
+      expect.objectContaining({ message: 'Cache lookup failed', requestId: 'abc' }),
+    ]);
+  });
+
+  test('returns 400 error for invalid CIDR blocks', async () => {
+    const coverage = new Coverage({
+      apiClients: [],
+      rangeCache: new RangeCache(new MemoryCache()),
+    });
+    expect(await coverage.get('8.8.8.0/33')).toEqual({
+      error: { message: 'Invalid CIDR block' },
+      meta: { status: 400 },
+    });
+  });
+});
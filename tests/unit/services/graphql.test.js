@@ -0,0 +1,204 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import CountryLoader from '../../../src/services/country-loader';
+import { executeGraphql, getErrorCode } from '../../../src/services/graphql';
+
+describe('executeGraphql', () => {
+  const createContext = (options) => {
+    const orchestrator = {
+      getCountries: jest.fn(async (ips) => ({
+        data: ips.map((ip) => {
+          if (ip === '192.168.1.1') {
+            return {
+              ip,
+              error: { message: 'Non-routable IP address (private)' },
+              meta: { status: 422 },
+            };
+          }
+          return {
+            ip,
+            data: { name: 'United States', countryCode: 'US' },
+            meta: ip === '8.8.4.4'
+              ? { cache: true, cacheAge: 100, rateLimit: Infinity, status: 200 }
+              : {
+                apiUrl: `https://ipxapi.com/api/ip?ip=${ip}`,
+                attempts: [
+                  { provider: 'ipstack', status: 502, error: 'fetch failed' },
+                  { provider: 'ipxapi', status: 200 },
+                ],
+                cache: false,
+                rateLimit: 5,
+                rateLimitCount: 1,
+                status: 200,
+              },
+          };
+        }),
+      })),
+    };
+    return {
+      orchestrator,
+      loader: new CountryLoader({ orchestrator, ...options }),
+    };
+  };
+
+  test('resolves lookups with their meta data', async () => {
+    const context = createContext();
+    const { status, body } = await executeGraphql({
+      query: `{
+        country(ip: "8.8.8.8") {
+          ip
+          location { name countryCode city }
+          meta {
+            provider apiUrl cache rateLimit rateLimitCount
+            attempts { provider status error }
+          }
+        }
+        cached: country(ip: "8.8.4.4") {
+          meta { provider cache cacheAge coalesced rateLimit }
+        }
+      }`,
+    }, context);
+    expect(status).toEqual(200);
+    expect(body).toEqual({
+      data: {
+        country: {
+          ip: '8.8.8.8',
+          location: { name: 'United States', countryCode: 'US', city: null },
+          meta: {
+            provider: 'ipxapi',
+            apiUrl: 'https://ipxapi.com/api/ip?ip=8.8.8.8',
+            cache: false,
+            rateLimit: 5,
+            rateLimitCount: 1,
+            attempts: [
+              { provider: 'ipstack', status: 502, error: 'fetch failed' },
+              { provider: 'ipxapi', status: 200, error: null },
+            ],
+          },
+        },
+        cached: {
+          meta: {
+            provider: null,
+            cache: true,
+            cacheAge: 100,
+            coalesced: false,
+            rateLimit: null,
+          },
+        },
+      },
+    });
+  });
+
+  test('batches and dedupes the lookups of a query', async () => {
+    const context = createContext();
+    const { body } = await executeGraphql({
+      query: `query ($ips: [String!]!) {
+        country(ip: "::ffff:8.8.8.8") { ip }
+        countries(ips: $ips) { ip }
+      }`,
+      variables: { ips: ['8.8.8.8', '8.8.4.4', '8.8.4.4'] },
+    }, context);
+    expect(body.data).toEqual({
+      country: { ip: '8.8.8.8' },
+      countries: [{ ip: '8.8.8.8' }, { ip: '8.8.4.4' }, { ip: '8.8.4.4' }],
+    });
+    expect(context.orchestrator.getCountries).toHaveBeenCalledTimes(1);
+    expect(context.orchestrator.getCountries.mock.calls[0][0])
+      .toEqual(['8.8.8.8', '8.8.4.4']);
+  });
+
+  test('maps lookup errors to errors with their status and code', async () => {
+    const context = createContext({ limit: 2 });
+    const { status, body } = await executeGraphql({
+      query: `{
+        country(ip: "192.168.1.1") { ip }
+        countries(ips: ["8.8.8.8", "8.8.4.4", "9.9.9.9"]) { ip }
+      }`,
+    }, context);
+    expect(status).toEqual(200);
+    expect(body.data).toEqual({
+      country: null,
+      countries: [{ ip: '8.8.8.8' }, null, null],
+    });
+    // errors are listed in the order lookups settle
+    const errors = JSON.parse(JSON.stringify(body.errors))
+      .sort((a, b) => a.path.join().localeCompare(b.path.join()));
+    expect(errors).toEqual([
+      {
+        message: 'A request must not look up more than 2 IPs',
+        locations: [{ line: 3, column: 9 }],
+        path: ['countries', 1],
+        extensions: { code: 'BAD_USER_INPUT', status: 400, ip: '8.8.4.4' },
+      },
+      {
+        message: 'A request must not look up more than 2 IPs',
+        locations: [{ line: 3, column: 9 }],
+        path: ['countries', 2],
+        extensions: { code: 'BAD_USER_INPUT', status: 400, ip: '9.9.9.9' },
+      },
+      {
+        message: 'Non-routable IP address (private)',
+        locations: [{ line: 2, column: 9 }],
+        path: ['country'],
+        extensions: { code: 'NON_ROUTABLE', status: 422, ip: '192.168.1.1' },
+      },
+    ]);
+  });
+
+  test('localizes from the lang argument or Accept-Language header', async () => {
+    const context = {
+      ...createContext(),
+      acceptLanguage: 'fr, de;q=0.5',
+    };
+    const load = jest.spyOn(context.loader, 'load');
+    const { body } = await executeGraphql({
+      query: `{
+        a: country(ip: "8.8.8.8") { ip }
+        b: country(ip: "8.8.8.8", lang: "de") { ip }
+        c: country(ip: "8.8.8.8", lang: "xx") { ip }
+      }`,
+    }, context);
+    expect(load.mock.calls).toEqual([
+      ['8.8.8.8', { language: 'fr' }],
+      ['8.8.8.8', { language: 'de' }],
+    ]);
+    expect(body.errors[0]).toMatchObject({
+      message: `Unsupported language 'xx'`,
+      path: ['c'],
+      extensions: { code: 'BAD_USER_INPUT', status: 400 },
+    });
+  });
+
+  test('rejects requests that cannot be executed', async () => {
+    const context = createContext();
+    expect(await executeGraphql({}, context)).toEqual({
+      status: 400,
+      body: { errors: [{ message: `'query' must be a non-empty string` }] },
+    });
+    expect(await executeGraphql({ query: '{ country }', variables: '{' }, context))
+      .toEqual({
+        status: 400,
+        body: { errors: [{ message: `'variables' must be an object` }] },
+      });
+    let result = await executeGraphql({ query: '{ country(' }, context);
+    expect(result.status).toEqual(400);
+    expect(result.body.errors[0].message).toMatch('Syntax Error');
+    result = await executeGraphql({ query: '{ country { ip } }' }, context);
+    expect(result.status).toEqual(400);
+    expect(result.body.errors[0].message)
+      .toMatch(`argument "ip" of type "String!" is required`);
+    result = await executeGraphql({
+      query: 'query ($ip: String!) { country(ip: $ip) { ip } }',
+    }, context);
+    expect(result.status).toEqual(400);
+    expect(context.orchestrator.getCountries).not.toHaveBeenCalled();
+  });
+});
+
+describe('getErrorCode', () => {
+  test('maps HTTP statuses to error codes', () => {
+    expect(getErrorCode(429)).toEqual('RATE_LIMITED');
+    expect(getErrorCode(503)).toEqual('SERVICE_UNAVAILABLE');
+    expect(getErrorCode(502)).toEqual('INTERNAL_SERVER_ERROR');
+    expect(getErrorCode(418)).toEqual('BAD_REQUEST');
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import { Logger } from '../../../src/services/logger';
+
+describe('Logger', () => {
+  const createLogger = (options) => {
+    const entries = [];
+    const logger = new Logger({
+      ...options,
+      write: (line, level) => entries.push({ ...JSON.parse(line), writtenAs: level }),
+    });
+    return { entries, logger };
+  };
+
+  test('writes entries as JSON lines with a time, level and message', () => {
+    const { entries, logger } = createLogger();
+    logger.info('Lookup', { ip: '8.8.8.8' });
+    expect(entries).toEqual([{
+      time: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+      level: 'info',
+      message: 'Lookup',
+      ip: '8.8.8.8',
+      writtenAs: 'info',
+    }]);
+  });
+
+  test('skips entries below its level', () => {
+    const { entries, logger } = createLogger({ level: 'warn' });
+    logger.debug('Debug');
+    logger.info('Info');
+    logger.warn('Warn');
+    logger.error('Error');
+    expect(entries.map(({ level }) => level)).toEqual(['warn', 'error']);
+  });
+
+  test('writes nothing when silent', () => {
+    const write = jest.fn();
+    const logger = new Logger({ level: 'silent', write });
+    logger.error('Error');
+    expect(write).not.toHaveBeenCalled();
+  });
+
+  test('includes fields of child loggers in every entry', () => {
+    const { entries, logger } = createLogger();
+    const child = logger.child({ requestId: 'abc' });
+    child.info('Lookup', { ip: '8.8.8.8' });
+    logger.info('Lookup');
+    expect(entries[0]).toMatchObject({ requestId: 'abc', ip: '8.8.8.8' });
+    expect(entries[1].requestId).toEqual(undefined);
+  });
+
+  test('serializes errors with their message, status and stack', () => {
+    const { entries, logger } = createLogger();
+    const error = Object.assign(new Error('Oops'), { status: 502 });
+    logger.error('Upstream request failed', { error });
+    expect(entries[0].error).toEqual({
+      message: 'Oops',
+      status: 502,
+      stack: error.stack,
+    });
+  });
+
+  test('throws on an invalid level', () => {
+    expect(() => new Logger({ level: 'verbose' }))
+      .toThrow(`'level' option is invalid`);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, expect, test } from '@jest/globals';
+import CircuitBreaker from '../../../src/services/circuit-breaker';
+import { createLookupMetrics } from '../../../src/services/lookup-metrics';
+import { MetricsRegistry } from '../../../src/services/metrics';
+
+describe('createLookupMetrics', () => {
+  test('collects the cache hit ratio and the state of each API client', () => {
+    const registry = new MetricsRegistry();
+    const apiClient = { name: 'a', rateLimit: 5, rateLimitCount: 2 };
+    const circuitBreaker = new CircuitBreaker({ failureThreshold: 1 });
+    const metrics = createLookupMetrics(registry, {
+      apiClients: [apiClient],
+      circuitBreakers: new Map([[apiClient, circuitBreaker]]),
+    });
+    expect(registry.render()).toContain('ip_country_cache_hit_ratio 0');
+
+    metrics.cacheRequests.inc({ result: 'hit' });
+    metrics.cacheRequests.inc({ result: 'miss' });
+    apiClient.rateLimitCount = 3;
+    circuitBreaker.onFailure();
+    const rendered = registry.render();
+    [
+      'ip_country_cache_hit_ratio 0.5',
+      'ip_country_rate_limit{provider="a"} 5',
+      'ip_country_rate_limit_count{provider="a"} 3',
+      'ip_country_circuit_state{provider="a",state="closed"} 0',
+      'ip_country_circuit_state{provider="a",state="open"} 1',
+    ].forEach((line) => expect(rendered).toContain(line));
+  });
+
+  test('returns the counters and histograms lookups are recorded with', () => {
+    const metrics = createLookupMetrics(new MetricsRegistry(), {
+      apiClients: [],
+      circuitBreakers: new Map(),
+    });
+    expect(Object.keys(metrics)).toEqual([
+      'cacheRequests',
+      'coalescedLookups',
+      'circuitOpens',
+      'failovers',
+      'overrideLookups',
+      'switches',
+      'upstreamDurations',
+      'upstreamRequests',
+    ]);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, expect, test } from '@jest/globals';
+import { MetricsRegistry } from '../../../src/services/metrics';
+
+describe('MetricsRegistry', () => {
+  test('renders counters in the Prometheus text format', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter({
+      name: 'requests_total',
+      help: 'Requests.',
+      labelNames: ['route', 'status'],
+    });
+    counter.inc({ route: '/a', status: 200 });
+    counter.inc({ route: '/a', status: 200 });
+    counter.inc({ route: 'quote " and \\ backslash', status: 500 }, 3);
+    expect(counter.get({ route: '/a', status: 200 })).toEqual(2);
+    expect(counter.get({ route: '/b', status: 200 })).toEqual(0);
+    expect(registry.render()).toEqual([
+      '# HELP requests_total Requests.',
+      '# TYPE requests_total counter',
+      'requests_total{route="/a",status="200"} 2',
+      'requests_total{route="quote \\" and \\\\ backslash",status="500"} 3',
+      '',
+    ].join('\n'));
+  });
+
+  test('returns registered metrics by name', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter({ name: 'a_total', help: 'A.' });
+    expect(registry.counter({ name: 'a_total', help: 'A.' })).toBe(counter);
+    expect(() => registry.gauge({ name: 'a_total', help: 'A.' }))
+      .toThrow(`Metric 'a_total' is registered with another type`);
+    expect(() => registry.counter({ name: 'a-total', help: 'A.' }))
+      .toThrow(`'name' option is invalid`);
+  });
+
+  test('collects gauge values before rendering', () => {
+    const registry = new MetricsRegistry();
+    let limit = 5;
+    registry.gauge({
+      name: 'rate_limit',
+      help: 'Rate limit.',
+      labelNames: ['provider'],
+      collect: (gauge) => {
+        gauge.set({ provider: 'ipstack' }, limit);
+        gauge.set({ provider: 'local' }, Infinity);
+      },
+    });
+    expect(registry.render()).toContain('rate_limit{provider="ipstack"} 5');
+    limit = 6;
+    const rendered = registry.render();
+    expect(rendered).toContain('rate_limit{provider="ipstack"} 6');
+    expect(rendered).toContain('rate_limit{provider="local"} +Inf');
+  });
+
+  test('renders histograms with cumulative buckets', () => {
+    const registry = new MetricsRegistry();
+    const histogram = registry.histogram({
+      name: 'duration_seconds',
+      help: 'Durations.',
+      labelNames: ['provider'],
+      buckets: [0.1, 1],
+    });
+    histogram.observe({ provider: 'ipstack' }, 0.05);
+    histogram.observe({ provider: 'ipstack' }, 0.5);
+    histogram.observe({ provider: 'ipstack' }, 2);
+    expect(registry.render()).toEqual([
+      '# HELP duration_seconds Durations.',
+      '# TYPE duration_seconds histogram',
+      'duration_seconds_bucket{provider="ipstack",le="0.1"} 1',
+      'duration_seconds_bucket{provider="ipstack",le="1"} 2',
+      'duration_seconds_bucket{provider="ipstack",le="+Inf"} 3',
+      'duration_seconds_sum{provider="ipstack"} 2.55',
+      'duration_seconds_count{provider="ipstack"} 3',
+      '',
+    ].join('\n'));
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, expect, test } from '@jest/globals';
+import openApiDocument from '../../../src/openapi';
+import { ApiError, formatResult } from '../../../src/services/api-client';
+import OpenApiValidator from '../../../src/services/openapi-validator';
+
+describe('OpenApiValidator', () => {
+  const validator = new OpenApiValidator(openApiDocument);
+
+  describe('validateRequest', () => {
+    test('accepts valid requests and requests it does not describe', () => {
+      expect(() => validator.validateRequest({
+        method: 'GET',
+        path: '/countries/8.8.8.8',
+        query: { consensus: '2', lang: 'de' },
+      })).not.toThrow();
+      expect(() => validator.validateRequest({
+        method: 'POST',
+        path: '/countries/',
+        body: { ips: ['8.8.8.8'] },
+        contentType: 'application/json; charset=utf-8',
+      })).not.toThrow();
+      expect(() => validator.validateRequest({
+        method: 'POST',
+        path: '/admin/cache/import',
+        body: '{}\n',
+        contentType: 'application/x-ndjson',
+      })).not.toThrow();
+      expect(() => validator.validateRequest({ method: 'PUT', path: '/foo' }))
+        .not.toThrow();
+    });
+
+    test('rejects invalid parameters', () => {
+      expect(() => validator.validateRequest({
+        method: 'GET',
+        path: '/countries/8.8.8.8',
+        query: { consensus: 'all' },
+      })).toThrow(new ApiError(
+        `Invalid query parameter 'consensus': must be integer`,
+        { status: 400 }
+      ));
+      expect(() => validator.validateRequest({
+        method: 'GET',
+        path: '/admin/cache',
+        query: { limit: '5000' },
+      })).toThrow(`Invalid query parameter 'limit': must be <= 1000`);
+      expect(() => validator.validateRequest({
+        method: 'GET',
+        path: '/countries/range/8.8.8.0/x',
+      })).toThrow(`Invalid path parameter 'prefixLength': must be integer`);
+    });
+
+    test('matches the path with the fewest parameters first', () => {
+      // `export` would be an invalid `format` of the cache entry route
+      expect(() => validator.validateRequest({
+        method: 'GET',
+        path: '/admin/cache/export',
+        query: { format: 'xml' },
+      })).toThrow(`Invalid query parameter 'format': must be equal to one of the allowed values`);
+      expect(() => validator.validateRequest({
+        method: 'GET',
+        path: '/admin/cache/8.8.8.0%2F24',
+        query: { format: 'xml' },
+      })).not.toThrow();
+    });
+
+    test('rejects invalid request bodies', () => {
+      expect(() => validator.validateRequest({
+        method: 'POST',
+        path: '/countries',
+        body: { ips: [] },
+        contentType: 'application/json',
+      })).toThrow(`Invalid request body at '/ips': must NOT have fewer than 1 items`);
+      expect(() => validator.validateRequest({ method: 'POST', path: '/countries' }))
+        .toThrow(new ApiError('Request body required', { status: 400 }));
+      let error;
+      try {
+        validator.validateRequest({
+          method: 'POST',
+          path: '/countries',
+          contentType: 'text/plain',
+        });
+      } catch (thrown) {
+        error = thrown;
+      }
+      expect(error).toMatchObject({
+        message: `Unsupported content type 'text/plain'`,
+        status: 415,
+      });
+    });
+  });
+
+  describe('validateResponse', () => {
+    test('accepts the envelopes of lookups', () => {
+      const success = formatResult({
+        name: 'United States',
+        countryCode: 'US',
+        apiUrl: 'https://api.ipstack.com/8.8.8.8',
+        rateLimit: Infinity,
+        rateLimitCount: 1,
+      });
+      success.meta.attempts = [{ provider: 'ipstack', status: 200 }];
+      success.meta.requestId = 'abc';
+      const error = formatResult({
+        error: new ApiError('Non-routable IP address (private)', { status: 422 }),
+      });
+      error.meta.ip = '10.0.0.1';
+      expect(() => validator.validateResponse({
+        method: 'GET', path: '/countries/8.8.8.8', status: 200, body: success,
+      })).not.toThrow();
+      expect(() => validator.validateResponse({
+        method: 'GET', path: '/countries/me', status: 422, body: error,
+      })).not.toThrow();
+      // undocumented statuses respond with the default error
+      expect(() => validator.validateResponse({
+        method: 'GET', path: '/countries/me', status: 408, body: error,
+      })).not.toThrow();
+      expect(() => validator.validateResponse({
+        method: 'POST',
+        path: '/countries',
+        status: 200,
+        body: {
+          data: [{ ip: '8.8.8.8', ...success }, { ip: '10.0.0.1', ...error }],
+          meta: { cacheCount: 0, count: 2, errorCount: 1, status: 200 },
+        },
+      })).not.toThrow();
+    });
+
+    test('rejects envelopes that changed shape', () => {
+      const result = formatResult({ name: 'United States' });
+      expect(() => validator.validateResponse({
+        method: 'GET',
+        path: '/countries/8.8.8.8',
+        status: 200,
+        body: { ...result, meta: { ...result.meta, provider: 'ipstack' } },
+      })).toThrow(`Invalid response body at '/meta': must NOT have additional properties 'provider'`);
+      expect(() => validator.validateResponse({
+        method: 'GET',
+        path: '/countries/8.8.8.8',
+        status: 200,
+        body: { data: result.data, meta: { status: 200 } },
+      })).toThrow(`Invalid response body at '/meta': must have required property 'cache'`);
+      expect(() => validator.validateResponse({
+        method: 'GET',
+        path: '/healthz',
+        status: 500,
+        body: {},
+      })).toThrow('Undocumented response status 500');
+    });
+
+    test('skips responses it does not describe', () => {
+      expect(() => validator.validateResponse({
+        method: 'GET', path: '/foo', status: 404, body: {},
+      })).not.toThrow();
+      expect(() => validator.validateResponse({
+        method: 'GET', path: '/docs', status: 200, body: {},
+      })).not.toThrow();
+    });
+  });
+});
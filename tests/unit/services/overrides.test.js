@@ -0,0 +1,83 @@
+import { describe, expect, test } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Overrides from '../../../src/services/overrides';
+
+describe('Overrides', () => {
+  const germany = {
+    name: 'Germany',
+    countryCode: 'DE',
+    countryCodeAlpha3: 'DEU',
+    continent: 'Europe',
+    continentCode: 'EU',
+  };
+
+  test('throws on invalid overrides', () => {
+    expect(() => new Overrides({ overrides: {} }))
+      .toThrow(`'overrides' option is invalid`);
+    expect(() => new Overrides({ overrides: [{ cidr: '8.8.8.0/33', countryCode: 'DE' }] }))
+      .toThrow('Override at index 0 has an invalid cidr');
+    expect(() => new Overrides({
+      overrides: [
+        { cidr: '8.8.8.0/24', countryCode: 'DE' },
+        { cidr: '8.8.8.1/24', countryCode: 'FR' },
+      ],
+    })).toThrow(`Override '8.8.8.1/24' is duplicated`);
+    expect(() => new Overrides({ overrides: [{ cidr: '8.8.8.8', countryCode: 'XX' }] }))
+      .toThrow(`Override '8.8.8.8' countryCode is invalid`);
+    expect(() => new Overrides({
+      overrides: [{ cidr: '8.8.8.8', countryCode: 'DE', note: 1 }],
+    })).toThrow(`Override '8.8.8.8' note is invalid`);
+  });
+
+  test('resolves IPs by the most specific override', () => {
+    const overrides = new Overrides({
+      overrides: [
+        { cidr: '8.8.8.0/24', countryCode: 'DEU', note: 'VPN' },
+        { cidr: '8.8.8.8', countryCode: 'fr' },
+        { cidr: '2001:4860:0::/32', countryCode: 'DE' },
+      ],
+    });
+    expect(overrides.size).toEqual(3);
+    expect(overrides.get('8.8.8.4')).toEqual({
+      cidr: '8.8.8.0/24',
+      location: germany,
+      note: 'VPN',
+    });
+    expect(overrides.get('8.8.8.8')).toMatchObject({
+      cidr: '8.8.8.8/32',
+      location: { name: 'France', countryCode: 'FR' },
+    });
+    expect(overrides.get('2001:4860::8888').cidr).toEqual('2001:4860::/32');
+    expect(overrides.get('8.8.4.4')).toEqual(undefined);
+  });
+
+  test('lists overrides in the order they were configured', () => {
+    const overrides = new Overrides({
+      overrides: [
+        { cidr: '8.8.8.8', countryCode: 'FR' },
+        { cidr: '8.8.8.0/24', countryCode: 'DE' },
+      ],
+    });
+    expect(overrides.list().map(({ cidr }) => cidr))
+      .toEqual(['8.8.8.8/32', '8.8.8.0/24']);
+    expect(new Overrides().list()).toEqual([]);
+  });
+
+  test('loads overrides from a JSON file', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'overrides-'));
+    const filePath = path.join(directory, 'overrides.json');
+    fs.writeFileSync(filePath, JSON.stringify([{ cidr: '8.8.8.0/24', countryCode: 'DE' }]));
+    const overrides = Overrides.fromFile(filePath);
+    fs.rmSync(directory, { recursive: true });
+    expect(overrides.get('8.8.8.8')).toEqual({
+      cidr: '8.8.8.0/24',
+      location: germany,
+      note: undefined,
+    });
+    expect(() => Overrides.fromFile(filePath)).toThrow(
+      `Unable to load overrides file '${filePath}'`
+    );
+  });
+});
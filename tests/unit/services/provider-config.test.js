@@ -0,0 +1,47 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { describe, expect, test } from '@jest/globals';
+import {
+  loadProviderConfig,
+  parseProviderConfig,
+} from '../../../src/services/provider-config';
+
+describe('parseProviderConfig', () => {
+  test('orders providers by priority, keeping the order of ties', () => {
+    const providers = parseProviderConfig([
+      { name: 'a' },
+      { name: 'b', priority: 2 },
+      { name: 'c', priority: 1 },
+      { name: 'd', priority: 2 },
+    ]);
+    expect(providers.map(({ name }) => name)).toEqual(['c', 'b', 'd', 'a']);
+  });
+
+  test('throws on invalid providers', () => {
+    expect(() => parseProviderConfig({})).toThrow('Providers must be a list');
+    expect(() => parseProviderConfig([{ type: 'http' }]))
+      .toThrow('Provider at index 0 has an invalid name');
+    expect(() => parseProviderConfig([{ name: 'a' }, { name: 'a' }]))
+      .toThrow(`Provider 'a' is duplicated`);
+    expect(() => parseProviderConfig([{ name: 'a', priority: 'high' }]))
+      .toThrow(`Provider 'a' priority is invalid`);
+    expect(() => parseProviderConfig([{ name: 'a', optional: 'yes' }]))
+      .toThrow(`Provider 'a' optional is invalid`);
+  });
+});
+
+describe('loadProviderConfig', () => {
+  test('loads providers from a JSON file', () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'providers-'));
+    const filePath = path.join(directory, 'providers.json');
+    fs.writeFileSync(filePath, JSON.stringify([{ name: 'a' }]));
+    expect(loadProviderConfig(filePath)).toEqual([{ name: 'a' }]);
+    fs.rmSync(directory, { recursive: true });
+  });
+
+  test('throws with the path of a missing or malformed file', () => {
+    expect(() => loadProviderConfig('/missing/providers.json'))
+      .toThrow(`Unable to load providers file '/missing/providers.json'`);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, expect, test } from '@jest/globals';
+import { formatResult } from '../../../src/services/api-client';
+import MemoryCache from '../../../src/services/cache-memory';
+import RangeCache from '../../../src/services/range-cache';
+import { parseCidr } from '../../../src/utils/ip';
+
+describe('RangeCache', () => {
+  const unitedStates = {
+    name: 'United States',
+    countryCode: 'US',
+    city: 'Mountain View',
+  };
+
+  test('caches the country for the network of an IP', async () => {
+    const rangeCache = new RangeCache(new MemoryCache());
+    await rangeCache.set('8.8.8.8', formatResult({ ...unitedStates, network: '8.8.8.0/24' }));
+    expect((await rangeCache.get('8.8.8.8')).value).toEqual(unitedStates);
+    // only the country holds for the whole network
+    expect(await rangeCache.get('8.8.8.4')).toMatchObject({
+      value: { name: 'United States', countryCode: 'US' },
+      network: '8.8.8.0/24',
+    });
+    expect(await rangeCache.get('8.8.9.4')).toBeUndefined();
+  });
+
+  test('answers by the most specific network in a persisted cache', async () => {
+    const cache = new MemoryCache();
+    await cache.set('2001:4860::/32', { name: 'Somewhere' });
+    await cache.set('2001:4860:4860::/48', { name: 'Elsewhere' });
+    const rangeCache = new RangeCache(cache);
+    expect(await rangeCache.get('2001:4860:4860::8888')).toMatchObject({
+      value: { name: 'Elsewhere' },
+      network: '2001:4860:4860::/48',
+    });
+    expect((await rangeCache.get('2001:4860:1::1')).value).toEqual({ name: 'Somewhere' });
+    expect(rangeCache.cache).toBe(cache);
+  });
+
+  test('does not cache networks that are too broad or single IPs', async () => {
+    const cache = new MemoryCache();
+    const rangeCache = new RangeCache(cache);
+    await rangeCache.set('8.8.8.8', formatResult({ ...unitedStates, network: '8.0.0.0/7' }));
+    await rangeCache.set('9.9.9.9', formatResult({ ...unitedStates, network: '9.9.9.9/32' }));
+    expect(cache.size).toEqual(2);
+    expect(await rangeCache.get('8.8.8.4')).toBeUndefined();
+  });
+
+  test('clears cached IPs and ranges', async () => {
+    const rangeCache = new RangeCache(new MemoryCache());
+    await rangeCache.set('8.8.8.8', formatResult({ ...unitedStates, network: '8.8.8.0/24' }));
+    await rangeCache.clear();
+    expect(await rangeCache.get('8.8.8.4')).toBeUndefined();
+  });
+
+  test('restores entries, skipping expired ones', async () => {
+    const rangeCache = new RangeCache(new MemoryCache());
+    // learns prefix lengths before the import
+    expect(await rangeCache.get('1.1.1.1')).toBeUndefined();
+    const createdAt = Date.now();
+    const count = await rangeCache.restore([
+      ['9.9.9.9', { value: { name: 'Switzerland' }, createdAt, expiresAt: null }],
+      ['8.8.8.0/24', { value: { name: 'United States' }, createdAt, expiresAt: null }],
+      ['8.8.4.4', { value: { name: 'Canada' }, createdAt, expiresAt: createdAt - 1 }],
+    ]);
+    expect(count).toEqual(2);
+    expect((await rangeCache.get('9.9.9.9')).value).toEqual({ name: 'Switzerland' });
+    expect(await rangeCache.get('8.8.8.8')).toMatchObject({
+      value: { name: 'United States' },
+      network: '8.8.8.0/24',
+    });
+    expect(await rangeCache.get('8.8.4.4')).toBeUndefined();
+  });
+
+  test('returns the cached blocks within a CIDR block', async () => {
+    const cache = new MemoryCache();
+    await cache.set('8.8.8.0/25', { name: 'United States' });
+    await cache.set('8.8.8.200', { name: 'Canada' });
+    await cache.set('9.9.9.9', { name: 'Switzerland' });
+    const rangeCache = new RangeCache(cache);
+    expect(await rangeCache.getBlocks(parseCidr('8.8.8.0/24'))).toEqual([
+      { cidr: '8.8.8.0/25', location: { name: 'United States' } },
+      { cidr: '8.8.8.200', location: { name: 'Canada' } },
+    ]);
+    expect(await rangeCache.getBlocks(parseCidr('8.8.8.0/26'))).toEqual([
+      { cidr: '8.8.8.0/26', location: { name: 'United States' } },
+    ]);
+  });
+});
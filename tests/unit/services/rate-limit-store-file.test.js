@@ -0,0 +1,54 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import FileRateLimitStore from '../../../src/services/rate-limit-store-file';
+
+describe('FileRateLimitStore', () => {
+  const options = { limit: 2, window: 60000 };
+  let directory;
+  let filePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ip-country-'));
+    filePath = path.join(directory, 'cache', 'rate-limits.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { force: true, recursive: true });
+  });
+
+  test('persists counts across restarts', async () => {
+    const store = new FileRateLimitStore({ path: filePath });
+    await store.consume('ipstack', options);
+    await store.consume('ipstack', options);
+    await store.close();
+
+    const restartedStore = new FileRateLimitStore({ path: filePath });
+    expect((await restartedStore.consume('ipstack', options)).allowed).toEqual(false);
+  });
+
+  test('persists sliding window hits across restarts', async () => {
+    const store = new FileRateLimitStore({ algorithm: 'sliding', path: filePath });
+    await store.consume('ipstack', options);
+    await store.close();
+
+    const restartedStore = new FileRateLimitStore({ algorithm: 'sliding', path: filePath });
+    expect((await restartedStore.consume('ipstack', options)).count).toEqual(2);
+  });
+
+  test('writes changes after the save delay', async () => {
+    const store = new FileRateLimitStore({ path: filePath, saveDelay: 10 });
+    await store.consume('ipstack', options);
+    expect(fs.existsSync(filePath)).toEqual(false);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))[0][0]).toEqual('ipstack');
+  });
+
+  test('throws on a corrupt file', () => {
+    fs.mkdirSync(path.dirname(filePath));
+    fs.writeFileSync(filePath, '{');
+    expect(() => new FileRateLimitStore({ path: filePath }))
+      .toThrow(`Unable to load rate limit file '${filePath}'`);
+  });
+});
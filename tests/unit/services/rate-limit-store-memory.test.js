@@ -0,0 +1,61 @@
+import { afterEach, describe, expect, jest, test } from '@jest/globals';
+import MemoryRateLimitStore from '../../../src/services/rate-limit-store-memory';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('MemoryRateLimitStore', () => {
+  const options = { limit: 2, window: 1000 };
+
+  test('throws on an invalid algorithm', () => {
+    expect(() => new MemoryRateLimitStore({ algorithm: 'foo' }))
+      .toThrow(`'algorithm' option is invalid`);
+  });
+
+  describe('fixed window', () => {
+    test('counts hits per key until the limit is met', async () => {
+      const store = new MemoryRateLimitStore();
+      jest.spyOn(Date, 'now').mockReturnValue(5000);
+      expect(await store.consume('a', options))
+        .toEqual({ allowed: true, count: 1, resetAt: 6000 });
+      expect(await store.consume('a', options))
+        .toEqual({ allowed: true, count: 2, resetAt: 6000 });
+      expect(await store.consume('a', options))
+        .toEqual({ allowed: false, count: 2, resetAt: 6000 });
+      expect((await store.consume('b', options)).allowed).toEqual(true);
+    });
+
+    test('resets once the window ends', async () => {
+      const store = new MemoryRateLimitStore();
+      const dateNow = jest.spyOn(Date, 'now').mockReturnValue(5000);
+      await store.consume('a', options);
+      dateNow.mockReturnValue(5999);
+      await store.consume('a', options);
+      dateNow.mockReturnValue(6000);
+      expect(await store.consume('a', options))
+        .toEqual({ allowed: true, count: 1, resetAt: 7000 });
+    });
+  });
+
+  describe('sliding window', () => {
+    test('counts the hits of the last window length', async () => {
+      const store = new MemoryRateLimitStore({ algorithm: 'sliding' });
+      const dateNow = jest.spyOn(Date, 'now').mockReturnValue(5000);
+      await store.consume('a', options);
+      dateNow.mockReturnValue(5500);
+      expect(await store.consume('a', options))
+        .toEqual({ allowed: true, count: 2, resetAt: 6000 });
+
+      // a fixed window would have reset here
+      dateNow.mockReturnValue(6000);
+      expect(await store.consume('a', options))
+        .toEqual({ allowed: true, count: 2, resetAt: 6500 });
+      dateNow.mockReturnValue(6400);
+      expect(await store.consume('a', options))
+        .toEqual({ allowed: false, count: 2, resetAt: 6500 });
+      dateNow.mockReturnValue(6500);
+      expect((await store.consume('a', options)).allowed).toEqual(true);
+    });
+  });
+});
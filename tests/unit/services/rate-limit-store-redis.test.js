@@ -0,0 +1,69 @@
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import RedisRateLimitStore from '../../../src/services/rate-limit-store-redis';
+import { startRedisStandIn } from '../../helpers/redis-stand-in';
+
+describe('RedisRateLimitStore', () => {
+  const options = { limit: 2, window: 60000 };
+  let redis;
+  let stores;
+
+  const createStore = (config) => {
+    const store = new RedisRateLimitStore({ url: redis.url, ...config });
+    stores.push(store);
+    return store;
+  };
+
+  beforeEach(async () => {
+    stores = [];
+    redis = await startRedisStandIn();
+  });
+
+  afterEach(async () => {
+    await Promise.all(stores.map((store) => store.close()));
+    await redis.close();
+  });
+
+  describe.each(['fixed', 'sliding'])('%s window', (algorithm) => {
+    test('shares counts between instances', async () => {
+      const storeA = createStore({ algorithm });
+      const storeB = createStore({ algorithm });
+      expect(await storeA.consume('ipstack', options))
+        .toEqual(expect.objectContaining({ allowed: true, count: 1 }));
+      expect(await storeB.consume('ipstack', options))
+        .toEqual(expect.objectContaining({ allowed: true, count: 2 }));
+      const result = await storeA.consume('ipstack', options);
+      expect(result).toEqual(expect.objectContaining({ allowed: false, count: 2 }));
+      expect(result.resetAt).toBeGreaterThan(Date.now());
+    });
+
+    test('never allows more than the limit for concurrent hits', async () => {
+      const storeA = createStore({ algorithm });
+      const storeB = createStore({ algorithm });
+      const results = await Promise.all([
+        storeA.consume('ipstack', options),
+        storeB.consume('ipstack', options),
+        storeA.consume('ipstack', options),
+        storeB.consume('ipstack', options),
+      ]);
+      expect(results.filter(({ allowed }) => allowed)).toHaveLength(2);
+    });
+  });
+
+  test('expires fixed window counters with the window', async () => {
+    await createStore().consume('ipstack', options);
+    const item = redis.data.get('ip-country:rate-limit:ipstack');
+    expect(item.value).toEqual('1');
+    expect(item.expiresAt).toBeGreaterThan(Date.now());
+  });
+
+  test('drops sliding window hits older than the window', async () => {
+    const store = createStore({ algorithm: 'sliding' });
+    await store.consume('ipstack', options);
+    await store.consume('ipstack', options);
+    // age the recorded hits past the window
+    const hits = redis.data.get('ip-country:rate-limit:ipstack').value;
+    hits.forEach((score, member) => hits.set(member, score - 60000));
+    expect(await store.consume('ipstack', options))
+      .toEqual(expect.objectContaining({ allowed: true, count: 1 }));
+  });
+});
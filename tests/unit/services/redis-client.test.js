@@ -0,0 +1,55 @@
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import RedisClient, {
+  encodeCommand,
+  parseReply,
+} from '../../../src/services/redis-client';
+import { startRedisStandIn } from '../../helpers/redis-stand-in';
+
+describe('encodeCommand and parseReply', () => {
+  test('round trip commands', () => {
+    const encoded = encodeCommand(['SET', 'key', 42]);
+    expect(encoded.toString()).toEqual('*3\r\n$3\r\nSET\r\n$3\r\nkey\r\n$2\r\n42\r\n');
+    expect(parseReply(encoded)).toEqual([['SET', 'key', '42'], encoded.length]);
+    expect(parseReply(encoded.subarray(0, 10))).toEqual(null);
+  });
+});
+
+describe('RedisClient', () => {
+  let client;
+  let redis;
+
+  beforeEach(async () => {
+    redis = await startRedisStandIn();
+    client = new RedisClient({ url: redis.url });
+  });
+
+  afterEach(async () => {
+    client.close();
+    await redis.close();
+  });
+
+  test('sends commands and resolves with their replies', async () => {
+    expect(await client.command('SET', 'key', 'value')).toEqual('OK');
+    expect(await client.command('GET', 'key')).toEqual('value');
+    await expect(client.command('NOPE')).rejects.toThrow(`ERR unknown command 'NOPE'`);
+  });
+
+  test('rejects commands in flight when closed', async () => {
+    redis.data.set('key', { value: 'value' });
+    const ping = client.command('PING');
+    client.close();
+    await expect(ping).rejects.toThrow('Redis connection closed');
+
+    // replies of the closed connection don't settle the next connection's
+    // commands
+    expect(await client.command('GET', 'key')).toEqual('value');
+    expect(await client.command('PING')).toEqual('PONG');
+  });
+
+  test('reconnects after the connection is lost', async () => {
+    expect(await client.command('PING')).toEqual('PONG');
+    redis.dropConnections();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(await client.command('PING')).toEqual('PONG');
+  });
+});
@@ -0,0 +1,15 @@
+import { describe, expect, test } from '@jest/globals';
+import CostStrategy from '../../../src/services/strategy-cost';
+
+describe('CostStrategy', () => {
+  test('prefers the cheapest API clients, keeping the configured order of equal costs', () => {
+    const strategy = new CostStrategy();
+    const ordered = strategy.order([
+      { name: 'a', cost: 2 },
+      { name: 'b', cost: 0 },
+      { name: 'c', cost: 1 },
+      { name: 'd', cost: 0 },
+    ]);
+    expect(ordered.map(({ name }) => name)).toEqual(['b', 'd', 'c', 'a']);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, expect, test } from '@jest/globals';
+import LatencyStrategy from '../../../src/services/strategy-latency';
+
+describe('LatencyStrategy', () => {
+  const apiClientA = { name: 'a' };
+  const apiClientB = { name: 'b' };
+  const names = (strategy) => (
+    strategy.order([apiClientA, apiClientB]).map(({ name }) => name)
+  );
+
+  test('prefers API clients with the lowest observed latency', () => {
+    const strategy = new LatencyStrategy();
+    strategy.record(apiClientA, { latency: 300, status: 200 });
+    strategy.record(apiClientB, { latency: 100, status: 200 });
+    expect(names(strategy)).toEqual(['b', 'a']);
+  });
+
+  test('prefers API clients without observations', () => {
+    const strategy = new LatencyStrategy();
+    strategy.record(apiClientA, { latency: 100, status: 200 });
+    expect(names(strategy)).toEqual(['b', 'a']);
+  });
+
+  test('does not prefer API clients that fail fast', () => {
+    const strategy = new LatencyStrategy();
+    strategy.record(apiClientA, { latency: 200, status: 200 });
+    strategy.record(apiClientB, { latency: 300, status: 200 });
+    [401, 499, 500, 503].forEach((status) => {
+      strategy.record(apiClientB, { latency: 1, status });
+    });
+    expect(strategy.getLatency(apiClientB)).toEqual(300);
+    expect(names(strategy)).toEqual(['a', 'b']);
+  });
+
+  test('averages observations with smoothing', () => {
+    const strategy = new LatencyStrategy({ smoothing: 0.5 });
+    strategy.record(apiClientA, { latency: 100, status: 200 });
+    strategy.record(apiClientA, { latency: 300, status: 200 });
+    expect(strategy.getLatency(apiClientA)).toEqual(200);
+    strategy.record(apiClientA, { latency: 0, status: 200 });
+    expect(strategy.getLatency(apiClientA)).toEqual(100);
+  });
+
+  test('throws on invalid smoothing', () => {
+    expect(() => new LatencyStrategy({ smoothing: 0 }))
+      .toThrow(`'smoothing' option is invalid`);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, expect, test } from '@jest/globals';
+import PriorityStrategy from '../../../src/services/strategy-priority';
+
+describe('PriorityStrategy', () => {
+  test('orders API clients in their configured order', () => {
+    const apiClients = [{ name: 'a' }, { name: 'b' }, { name: 'c' }];
+    const strategy = new PriorityStrategy();
+    expect(strategy.order(apiClients)).toEqual(apiClients);
+    expect(strategy.order(apiClients)).toEqual(apiClients);
+  });
+
+  test('keeps the current API client first while it is available', () => {
+    const [a, b, c] = [{ name: 'a' }, { name: 'b' }, { name: 'c' }];
+    const strategy = new PriorityStrategy();
+    expect(strategy.order([a, b, c])).toEqual([a, b, c]);
+    // a is rate limited
+    expect(strategy.order([b, c])).toEqual([b, c]);
+    // a's rate limit reset
+    expect(strategy.order([a, b, c])).toEqual([b, a, c]);
+    // b is rate limited
+    expect(strategy.order([a, c])).toEqual([a, c]);
+    expect(strategy.order([])).toEqual([]);
+  });
+
+  test('does not mutate the given list', () => {
+    const apiClients = [{ name: 'a' }, { name: 'b' }];
+    expect(new PriorityStrategy().order(apiClients)).not.toBe(apiClients);
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, expect, test } from '@jest/globals';
+import QuotaStrategy from '../../../src/services/strategy-quota';
+
+describe('QuotaStrategy', () => {
+  const apiClients = [
+    { name: 'a', remainingQuota: 10 },
+    { name: 'b', remainingQuota: 30 },
+  ];
+  const names = (strategy, list = apiClients) => (
+    strategy.order(list).map(({ name }) => name)
+  );
+
+  test('picks API clients in proportion to their remaining quota', () => {
+    expect(names(new QuotaStrategy({ random: () => 0 }))).toEqual(['a', 'b']);
+    expect(names(new QuotaStrategy({ random: () => 0.24 }))).toEqual(['a', 'b']);
+    expect(names(new QuotaStrategy({ random: () => 0.25 }))).toEqual(['b', 'a']);
+    expect(names(new QuotaStrategy({ random: () => 0.99 }))).toEqual(['b', 'a']);
+  });
+
+  test('spreads picks by remaining quota', () => {
+    let seed = 0;
+    const strategy = new QuotaStrategy({ random: () => (seed++ % 100) / 100 });
+    const counts = { a: 0, b: 0 };
+    for (let index = 0; index < 100; index++) {
+      counts[strategy.order(apiClients)[0].name]++;
+    }
+    expect(counts).toEqual({ a: 25, b: 75 });
+  });
+
+  test('prefers API clients without a rate limit', () => {
+    const strategy = new QuotaStrategy({ random: () => 0 });
+    expect(names(strategy, [
+      ...apiClients,
+      { name: 'local', remainingQuota: Infinity },
+    ])).toEqual(['local', 'a', 'b']);
+  });
+
+  test('keeps the configured order when no quota remains', () => {
+    const strategy = new QuotaStrategy({ random: () => 0.5 });
+    expect(names(strategy, [
+      { name: 'a', remainingQuota: 0 },
+      { name: 'b', remainingQuota: 0 },
+    ])).toEqual(['a', 'b']);
+  });
+});
@@ -0,0 +1,20 @@
+import { describe, expect, test } from '@jest/globals';
+import RoundRobinStrategy from '../../../src/services/strategy-round-robin';
+
+describe('RoundRobinStrategy', () => {
+  test('prefers the next API client for each order', () => {
+    const apiClients = [{ name: 'a' }, { name: 'b' }, { name: 'c' }];
+    const strategy = new RoundRobinStrategy();
+    const names = () => strategy.order(apiClients).map(({ name }) => name);
+    expect(names()).toEqual(['a', 'b', 'c']);
+    expect(names()).toEqual(['b', 'c', 'a']);
+    expect(names()).toEqual(['c', 'a', 'b']);
+    expect(names()).toEqual(['a', 'b', 'c']);
+  });
+
+  test('keeps rotating when fewer API clients are available', () => {
+    const strategy = new RoundRobinStrategy();
+    strategy.order([{ name: 'a' }, { name: 'b' }, { name: 'c' }]);
+    expect(strategy.order([{ name: 'a' }, { name: 'c' }])[0].name).toEqual('c');
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  createTrustedProxies,
+  resolveClientIp,
+} from '../../../src/utils/client-ip';
+
+describe('createTrustedProxies', () => {
+  test('throws on invalid CIDR blocks', () => {
+    expect(() => createTrustedProxies(['10.0.0.0/8', 'foo'])).toThrow(
+      `Invalid trusted proxy CIDR 'foo'`
+    );
+  });
+});
+
+describe('resolveClientIp', () => {
+  const trustedProxies = createTrustedProxies(['10.0.0.0/8', '::1']);
+
+  test('returns the socket address when no headers are present', () => {
+    expect(resolveClientIp({
+      remoteAddress: '::ffff:8.8.8.8',
+      trustedProxies,
+    })).toEqual('8.8.8.8');
+  });
+
+  test('ignores forwarding headers from untrusted peers', () => {
+    expect(resolveClientIp({
+      forwardedFor: '1.1.1.1',
+      remoteAddress: '8.8.8.8',
+      trustedProxies,
+    })).toEqual('8.8.8.8');
+  });
+
+  test('honors X-Forwarded-For from trusted proxies', () => {
+    expect(resolveClientIp({
+      forwardedFor: '1.1.1.1, 9.9.9.9, 10.0.0.2',
+      remoteAddress: '10.0.0.1',
+      trustedProxies,
+    })).toEqual('9.9.9.9');
+  });
+
+  test('strips ports from X-Forwarded-For addresses', () => {
+    expect(resolveClientIp({
+      forwardedFor: '9.9.9.9:4711',
+      remoteAddress: '::1',
+      trustedProxies,
+    })).toEqual('9.9.9.9');
+  });
+
+  test('honors the Forwarded header over X-Forwarded-For', () => {
+    expect(resolveClientIp({
+      forwarded: 'for="[2001:4860::8888]:4711";proto=https, for=10.0.0.2',
+      forwardedFor: '9.9.9.9',
+      remoteAddress: '10.0.0.1',
+      trustedProxies,
+    })).toEqual('2001:4860::8888');
+  });
+
+  test('stops at obfuscated Forwarded addresses', () => {
+    expect(resolveClientIp({
+      forwarded: 'for=1.1.1.1, for=_hidden',
+      remoteAddress: '10.0.0.1',
+      trustedProxies,
+    })).toEqual('10.0.0.1');
+  });
+
+  test('returns null for an invalid socket address', () => {
+    expect(resolveClientIp({ remoteAddress: undefined, trustedProxies }))
+      .toEqual(null);
+  });
+});
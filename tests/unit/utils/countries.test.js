@@ -0,0 +1,78 @@
+import { describe, expect, jest, test } from '@jest/globals';
+import {
+  findCountryByCode,
+  findCountryByName,
+  getCountryName,
+  hasCountryNames,
+} from '../../../src/utils/countries';
+
+describe('findCountryByCode', () => {
+  test('finds countries by alpha-2 or alpha-3 code', () => {
+    const country = {
+      code: 'GB',
+      alpha3: 'GBR',
+      continentCode: 'EU',
+      continent: 'Europe',
+      name: 'United Kingdom',
+    };
+    expect(findCountryByCode('gb')).toEqual(country);
+    expect(findCountryByCode('GBR')).toEqual(country);
+  });
+
+  test('returns undefined for unknown codes', () => {
+    expect(findCountryByCode('ZZ')).toEqual(undefined);
+    // user-assigned, not in ISO 3166-1
+    expect(findCountryByCode('XK')).toEqual(undefined);
+    expect(findCountryByCode(undefined)).toEqual(undefined);
+  });
+});
+
+describe('findCountryByName', () => {
+  test('finds countries by canonical, alias, ISO and CLDR names', () => {
+    expect(findCountryByName('South Korea').code).toEqual('KR');
+    expect(findCountryByName('Korea, Republic of').code).toEqual('KR');
+    expect(findCountryByName('Russian Federation')).toMatchObject({
+      code: 'RU',
+      continentCode: 'EU',
+    });
+    expect(findCountryByName('Côte d’Ivoire').code).toEqual('CI');
+    expect(findCountryByName('Bosnia & Herzegovina').code).toEqual('BA');
+  });
+
+  test('returns undefined for unknown names', () => {
+    expect(findCountryByName('Atlantis')).toEqual(undefined);
+  });
+});
+
+describe('getCountryName', () => {
+  test('returns canonical English names', () => {
+    expect(getCountryName('CI')).toEqual('Ivory Coast');
+    expect(getCountryName('CIV', 'en-US')).toEqual('Ivory Coast');
+  });
+
+  test('returns CLDR names for other languages', () => {
+    expect(getCountryName('JP', 'ja')).toEqual('日本');
+    expect(getCountryName('US', 'pt-BR')).toEqual('Estados Unidos');
+    expect(getCountryName('US', 'zh-TW')).toEqual('美國');
+  });
+
+  test('does not depend on the locale data of the runtime', () => {
+    const spy = jest.spyOn(Intl, 'DisplayNames').mockImplementation(() => {
+      throw new RangeError('Incorrect locale information provided');
+    });
+    try {
+      expect(getCountryName('US', 'de')).toEqual('Vereinigte Staaten');
+    } finally {
+      spy.mockRestore();
+    }
+  });
+});
+
+describe('hasCountryNames', () => {
+  test('tells whether CLDR has names for a language', () => {
+    expect(hasCountryNames('de')).toBe(true);
+    expect(hasCountryNames('pt-BR')).toBe(true);
+    expect(hasCountryNames('xx')).toBe(false);
+    expect(hasCountryNames('und')).toBe(false);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, expect, test } from '@jest/globals';
+import { summarizeCoverage } from '../../../src/utils/coverage';
+
+const australia = { name: 'Australia', countryCode: 'AU' };
+const newZealand = { name: 'New Zealand', countryCode: 'NZ' };
+
+describe('summarizeCoverage', () => {
+  test('summarizes the blocks in a CIDR block by country', () => {
+    expect(summarizeCoverage('1.0.0.0/22', [
+      { cidr: '1.0.0.0/24', location: australia, source: 'cache' },
+      { cidr: '1.0.1.0/24', location: newZealand, source: 'local' },
+      { cidr: '1.0.2.7', location: australia, source: 'cache' },
+      { cidr: '2.0.0.0/24', location: australia, source: 'cache' },
+    ])).toEqual({
+      cidr: '1.0.0.0/22',
+      coverage: 0.500976,
+      countries: [
+        { name: 'Australia', countryCode: 'AU', coverage: 0.250976 },
+        { name: 'New Zealand', countryCode: 'NZ', coverage: 0.25 },
+      ],
+      ranges: [
+        { cidr: '1.0.0.0/24', name: 'Australia', countryCode: 'AU', source: 'cache' },
+        { cidr: '1.0.1.0/24', name: 'New Zealand', countryCode: 'NZ', source: 'local' },
+        { cidr: '1.0.2.7/32', name: 'Australia', countryCode: 'AU', source: 'cache' },
+      ],
+    });
+  });
+
+  test('lets the most specific of nested blocks answer', () => {
+    const summary = summarizeCoverage('1.0.0.0/24', [
+      { cidr: '1.0.0.0/24', location: australia, source: 'local' },
+      { cidr: '1.0.0.0/25', location: newZealand, source: 'cache' },
+      { cidr: '1.0.0.0/26', location: newZealand, source: 'cache' },
+    ]);
+    expect(summary.coverage).toEqual(1);
+    expect(summary.countries).toEqual([
+      { name: 'Australia', countryCode: 'AU', coverage: 0.5 },
+      { name: 'New Zealand', countryCode: 'NZ', coverage: 0.5 },
+    ]);
+    expect(summary.ranges.map(({ cidr }) => cidr))
+      .toEqual(['1.0.0.0/24', '1.0.0.0/25', '1.0.0.0/26']);
+  });
+
+  test('counts blocks listed more than once as the first of them', () => {
+    const summary = summarizeCoverage('1.0.0.0/24', [
+      { cidr: '1.0.0.0/24', location: australia, source: 'cache' },
+      { cidr: '1.0.0.0/24', location: newZealand, source: 'local' },
+    ]);
+    expect(summary.ranges).toEqual([
+      { cidr: '1.0.0.0/24', name: 'Australia', countryCode: 'AU', source: 'cache' },
+    ]);
+  });
+
+  test('summarizes IPv6 blocks', () => {
+    const summary = summarizeCoverage('2001:db8::/32', [
+      { cidr: '2001:db8::/33', location: australia, source: 'cache' },
+    ]);
+    expect(summary.coverage).toEqual(0.5);
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  containsCidr,
+  formatCidr,
+  getCidrSize,
+  getNetwork,
+  getReservedRange,
+  IpPrefixMap,
+  normalizeIp,
+  normalizeNetwork,
+  parseCidr,
+  parseIp,
+} from '../../../src/utils/ip';
+
+describe('parseIp', () => {
+  test('parses IPv4 addresses', () => {
+    expect(parseIp('1.2.3.4')).toEqual({ version: 4, value: 0x01020304n });
+  });
+
+  test('parses IPv6 addresses', () => {
+    expect(parseIp('2001:db8::1')).toEqual({
+      version: 6,
+      value: 0x20010db8000000000000000000000001n,
+    });
+    expect(parseIp('::ffff:1.2.3.4')).toEqual({
+      version: 6,
+      value: 0xffff01020304n,
+    });
+    expect(parseIp('::')).toEqual({ version: 6, value: 0n });
+  });
+
+  test('returns null for invalid addresses', () => {
+    [
+      '', 'foo', '1.2.3', '1.2.3.256', '01.2.3.4', '1.2.3.4?x=1',
+      '1::2::3', '1:2:3:4:5:6:7:8:9', '12345::', 'fe80::1%eth0', undefined,
+    ].forEach((ip) => {
+      expect(parseIp(ip)).toEqual(null);
+    });
+  });
+});
+
+describe('parseCidr', () => {
+  test('parses and masks CIDR blocks', () => {
+    expect(parseCidr('10.1.2.3/8')).toEqual({
+      version: 4,
+      prefixLength: 8,
+      network: 0x0a000000n,
+    });
+  });
+
+  test('treats plain addresses as full length blocks', () => {
+    expect(parseCidr('::1').prefixLength).toEqual(128);
+  });
+
+  test('returns null for invalid blocks', () => {
+    ['10.0.0.0/33', '10.0.0.0/', '10.0.0.0/8/8', 'foo/8'].forEach((cidr) => {
+      expect(parseCidr(cidr)).toEqual(null);
+    });
+  });
+});
+
+describe('IpPrefixMap', () => {
+  test('resolves IPs by longest prefix match', () => {
+    const map = new IpPrefixMap();
+    map.set('10.0.0.0/8', 'a');
+    map.set('10.1.0.0/16', 'b');
+    expect(map.get('10.1.2.3')).toEqual({ value: 'b', prefixLength: 16 });
+    expect(map.get('10.2.2.3')).toEqual({ value: 'a', prefixLength: 8 });
+    expect(map.get('11.0.0.1')).toEqual(undefined);
+    expect(map.size).toEqual(2);
+  });
+
+  test('iterates over CIDR blocks and their values', () => {
+    const map = new IpPrefixMap();
+    map.set('10.0.0.0/8', 'a');
+    map.set('2001:db8::/32', 'b');
+    expect([...map.entries()]).toEqual([['10.0.0.0/8', 'a'], ['2001:db8::/32', 'b']]);
+  });
+});
+
+describe('CIDR blocks', () => {
+  test('formats parsed blocks', () => {
+    expect(formatCidr(parseCidr('10.1.2.3/8'))).toEqual('10.0.0.0/8');
+    expect(formatCidr(parseCidr('2001:0db8::1/32'))).toEqual('2001:db8::/32');
+  });
+
+  test('tells whether a block contains another', () => {
+    expect(containsCidr(parseCidr('10.0.0.0/8'), parseCidr('10.1.0.0/16'))).toEqual(true);
+    expect(containsCidr(parseCidr('10.0.0.0/8'), parseCidr('10.0.0.0/8'))).toEqual(true);
+    expect(containsCidr(parseCidr('10.1.0.0/16'), parseCidr('10.0.0.0/8'))).toEqual(false);
+    expect(containsCidr(parseCidr('::/0'), parseCidr('10.0.0.0/8'))).toEqual(false);
+  });
+
+  test('counts the addresses of a block', () => {
+    expect(getCidrSize(parseCidr('10.0.0.0/24'))).toEqual(256n);
+    expect(getCidrSize(parseCidr('::/64'))).toEqual(2n ** 64n);
+  });
+
+  test('returns the block of an IP', () => {
+    expect(getNetwork('8.8.8.8', 24)).toEqual('8.8.8.0/24');
+    expect(getNetwork('2001:db8::1', 48)).toEqual('2001:db8::/48');
+    expect(getNetwork('8.8.8.8', 33)).toEqual(null);
+  });
+
+  test('normalizes blocks that contain an IP', () => {
+    expect(normalizeNetwork('8.8.8.8', '8.8.8.0/24')).toEqual('8.8.8.0/24');
+    expect(normalizeNetwork('8.8.8.8', '8.8.8.8/24')).toEqual('8.8.8.0/24');
+    expect(normalizeNetwork('8.8.8.8', '9.9.9.0/24')).toEqual(undefined);
+    expect(normalizeNetwork('8.8.8.8', 'AS15169')).toEqual(undefined);
+    expect(normalizeNetwork('8.8.8.8', undefined)).toEqual(undefined);
+  });
+});
+
+describe('normalizeIp', () => {
+  test('formats IPv6 addresses canonically', () => {
+    expect(normalizeIp('2001:0DB8:0000:0000:0000:0000:0000:0001')).toEqual('2001:db8::1');
+    expect(normalizeIp('1:0:0:1:0:0:0:1')).toEqual('1:0:0:1::1');
+    expect(normalizeIp('1:0:2:3:4:5:6:7')).toEqual('1:0:2:3:4:5:6:7');
+  });
+
+  test('converts IPv4-mapped IPv6 addresses to IPv4', () => {
+    expect(normalizeIp('::ffff:8.8.8.8')).toEqual('8.8.8.8');
+    expect(normalizeIp('::ffff:808:808')).toEqual('8.8.8.8');
+  });
+
+  test('drops IPv6 zone IDs', () => {
+    expect(normalizeIp('fe80::1%eth0')).toEqual('fe80::1');
+  });
+
+  test('returns null for invalid addresses', () => {
+    expect(normalizeIp('1.2.3.4%eth0')).toEqual(null);
+    expect(normalizeIp('foo')).toEqual(null);
+  });
+});
+
+describe('getReservedRange', () => {
+  test('returns the category of non-routable addresses', () => {
+    expect(getReservedRange('10.1.2.3')).toEqual('private');
+    expect(getReservedRange('127.0.0.1')).toEqual('loopback');
+    expect(getReservedRange('169.254.1.1')).toEqual('link-local');
+    expect(getReservedRange('fe80::1')).toEqual('link-local');
+    expect(getReservedRange('fd00::1')).toEqual('private');
+    expect(getReservedRange('224.0.0.1')).toEqual('multicast');
+    expect(getReservedRange('255.255.255.255')).toEqual('reserved');
+  });
+
+  test('returns undefined for publicly routable addresses', () => {
+    expect(getReservedRange('8.8.8.8')).toEqual(undefined);
+    expect(getReservedRange('2001:4860::8888')).toEqual(undefined);
+  });
+});
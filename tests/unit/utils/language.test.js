@@ -0,0 +1,27 @@
+import { describe, expect, test } from '@jest/globals';
+import { parseAcceptLanguage, resolveLanguage } from '../../../src/utils/language';
+
+describe('parseAcceptLanguage', () => {
+  test('orders languages by quality', () => {
+    expect(parseAcceptLanguage('fr;q=0.5, de-CH, en;q=0.8, *;q=0.1, es;q=0'))
+      .toEqual(['de-CH', 'en', 'fr']);
+  });
+});
+
+describe('resolveLanguage', () => {
+  test('prefers the explicit language', () => {
+    expect(resolveLanguage({ acceptLanguage: 'fr', lang: 'pt-br' })).toEqual('pt-BR');
+  });
+
+  test('throws on an unsupported explicit language', () => {
+    expect(() => resolveLanguage({ lang: 'not a language' })).toThrow(
+      `Unsupported language 'not a language'`
+    );
+  });
+
+  test('uses the most preferred supported Accept-Language', () => {
+    expect(resolveLanguage({ acceptLanguage: 'xx, de;q=0.9' })).toEqual('de');
+    expect(resolveLanguage({ acceptLanguage: 'xx' })).toEqual(undefined);
+    expect(resolveLanguage({})).toEqual(undefined);
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, expect, test } from '@jest/globals';
+import {
+  formatLocation,
+  normalizeLocation,
+  parseLocationFields,
+  selectLocationFields,
+} from '../../../src/utils/location';
+
+describe('normalizeLocation', () => {
+  test('fills in country and continent details from the country code', () => {
+    expect(normalizeLocation({ name: 'Japan', countryCode: 'jp' })).toEqual({
+      name: 'Japan',
+      countryCode: 'JP',
+      countryCodeAlpha3: 'JPN',
+      continent: 'Asia',
+      continentCode: 'AS',
+    });
+  });
+
+  test('trims and coerces values and drops unknown values', () => {
+    expect(normalizeLocation({
+      name: ' Atlantis ',
+      countryCode: 'ZZ',
+      region: '',
+      city: null,
+      latitude: '35.69',
+      longitude: 'foo',
+    })).toEqual({
+      name: 'Atlantis',
+      latitude: 35.69,
+    });
+  });
+
+  test('uses the canonical country name whichever name the provider used', () => {
+    ['United States of America', 'USA', 'united states'].forEach((name) => {
+      expect(normalizeLocation({ name })).toEqual({
+        name: 'United States',
+        countryCode: 'US',
+        countryCodeAlpha3: 'USA',
+        continent: 'North America',
+        continentCode: 'NA',
+      });
+    });
+    expect(normalizeLocation({ name: 'Korea, Republic of' }).name).toEqual('South Korea');
+    expect(normalizeLocation({ name: "Cote d'Ivoire" }).countryCode).toEqual('CI');
+  });
+});
+
+describe('parseLocationFields', () => {
+  test('parses a comma separated list of fields', () => {
+    expect(parseLocationFields('name, countryCode')).toEqual(['name', 'countryCode']);
+    expect(parseLocationFields(undefined)).toEqual(undefined);
+  });
+
+  test('throws on unknown fields', () => {
+    expect(() => parseLocationFields('name,foo')).toThrow(`Unknown fields 'foo'`);
+  });
+});
+
+describe('selectLocationFields', () => {
+  test('returns a copy with only the selected fields', () => {
+    const location = { name: 'Japan', countryCode: 'JP' };
+    expect(selectLocationFields(location, ['countryCode'])).toEqual({ countryCode: 'JP' });
+    expect(selectLocationFields(location)).not.toBe(location);
+  });
+});
+
+describe('formatLocation', () => {
+  const location = {
+    name: 'Germany',
+    countryCode: 'DE',
+    city: 'Berlin',
+  };
+
+  test('localizes the country name', () => {
+    expect(formatLocation(location, { language: 'de' }).name).toEqual('Deutschland');
+    expect(formatLocation(location, { language: 'fr' }).name).toEqual('Allemagne');
+    expect(formatLocation(location, { language: 'en-GB' }).name).toEqual('Germany');
+  });
+
+  test('localizes before selecting fields', () => {
+    expect(formatLocation(location, { fields: ['name'], language: 'es' }))
+      .toEqual({ name: 'Alemania' });
+  });
+});